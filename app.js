@@ -4,15 +4,18 @@
 require('dotenv').config();
 const express = require('express');
 const config = require('./src/config');
-const { checkEnvironmentVariables } = require('./src/config/environment');
+const { checkEnvironmentVariables, getTrustProxy } = require('./src/config/environment');
 const { initializeMiddleware } = require('./src/middleware');
 const { initializeErrorHandling } = require('./src/middleware/errorHandler');
 const { initializeRoutes } = require('./src/routes');
 const { initializeProcessHandlers } = require('./src/utils/processHandlers');
+const { initializeJobs } = require('./src/jobs');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./src/config/swagger');
 
 const app = express();
+// Client addresses come from X-Forwarded-For; rate limits and IP blocks key on req.ip
+app.set('trust proxy', getTrustProxy());
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
 const startServer = async () => {
@@ -40,6 +43,8 @@ const startServer = async () => {
         initializeErrorHandling(app);
         // Initialize process handlers
         initializeProcessHandlers(config.database);
+        // Start background jobs
+        initializeJobs();
         // Start server
         const PORT = process.env.PORT || 5000;
         const net = require('net');
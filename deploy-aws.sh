@@ -69,6 +69,7 @@ if [ ! -f .env ]; then
     sed -i 's/PORT=5000/PORT=5000/' .env
     sed -i 's|MONGODB_URI=mongodb://localhost:27017/buildveritas|MONGODB_URI=mongodb://localhost:27017/buildveritas_prod|' .env
     sed -i 's|CORS_ORIGIN=http://localhost:3000|CORS_ORIGIN=*|' .env
+    sed -i 's/TRUST_PROXY=false/TRUST_PROXY=1/' .env
     
     echo "⚠️  Please update the following in /var/www/buildveritas-backend/.env:"
     echo "   - JWT_SECRET (use a strong, random secret)"
@@ -21,6 +21,7 @@ const corsOptions = {
         'Accept',
         'Origin',
         'X-Requested-With',
+        'X-Organization-Id',
         'Access-Control-Allow-Origin',
         'Access-Control-Allow-Headers'
     ],
@@ -25,10 +25,33 @@ const checkEnvironmentVariables = () => {
         process.exit(1);
     }
     
+    // Development stand-ins are disabled in production
+    if (process.env.NODE_ENV === 'production') {
+        if (!process.env.PAYMENT_GATEWAY || process.env.PAYMENT_GATEWAY === 'fake') {
+            console.warn('⚠️  PAYMENT_GATEWAY names no real payment gateway; invoice payments are disabled.');
+        }
+    }
+    
     console.log('✅ All critical environment variables are set.');
     hasChecked = true;
 };
 
+/**
+ * Express 'trust proxy' setting from TRUST_PROXY
+ * Defaults to false so X-Forwarded-For is ignored unless a proxy is declared;
+ * Vercel and the EC2 nginx setup each put one proxy in front of the app and set 1.
+ * Accepts a hop count, true/false, or a comma-separated list of trusted addresses.
+ * @returns {number|boolean|string}
+ */
+const getTrustProxy = () => {
+    const value = process.env.TRUST_PROXY;
+    if (value === undefined || value === '') return false;
+    if (/^\d+$/.test(value)) return parseInt(value, 10);
+    if (value === 'true' || value === 'false') return value === 'true';
+    return value;
+};
+
 module.exports = {
-    checkEnvironmentVariables
+    checkEnvironmentVariables,
+    getTrustProxy
 };
@@ -1,9 +1,27 @@
 const rateLimit = require('express-rate-limit');
+const RateLimitStore = require('../utils/throttleStores/rate.limit.store');
 
 // Constants
 const IP_BLOCK_DURATION = 1 * 60 * 60 * 1000; // 1 hour in milliseconds
 const MAX_FAILED_ATTEMPTS = 5;
 
+// Failed sign-in throttling, shared across instances through the throttle store
+const loginThrottleConfig = {
+    account: {
+        windowMs: 15 * 60 * 1000, // failures counted over 15 minutes
+        maxFailures: MAX_FAILED_ATTEMPTS, // then the account is locked
+        lockDuration: 15 * 60 * 1000,
+        delayAfter: 3, // failures before each attempt must wait
+        baseDelay: 2 * 1000, // doubles with every further failure
+        maxDelay: 30 * 1000
+    },
+    ip: {
+        windowMs: 60 * 60 * 1000,
+        maxFailures: 20, // across all accounts tried from the address
+        blockDuration: IP_BLOCK_DURATION
+    }
+};
+
 // Rate limiter configurations
 const rateLimitConfigs = {
     login: {
@@ -53,8 +71,8 @@ const securityHeadersConfig = {
 
 // Create rate limiters using configurations
 const rateLimiters = {
-    login: rateLimit(rateLimitConfigs.login),
-    registration: rateLimit(rateLimitConfigs.registration)
+    login: rateLimit({ ...rateLimitConfigs.login, store: new RateLimitStore('rl:login:') }),
+    registration: rateLimit({ ...rateLimitConfigs.registration, store: new RateLimitStore('rl:registration:') })
 };
 
 module.exports = {
@@ -63,6 +81,7 @@ module.exports = {
     MAX_FAILED_ATTEMPTS,
     
     // Configurations
+    loginThrottleConfig,
     rateLimitConfigs,
     passwordRules,
     securityHeadersConfig,  
@@ -0,0 +1,382 @@
+const { validationResult } = require('express-validator');
+const adminService = require('../services/admin.service');
+const { ApiResponse } = require('../utils/apiResponse');
+const { ApiError } = require('../utils/apiError');
+
+class AdminController {
+    /**
+     * Search user accounts
+     */
+    async listUsers(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const { search, role, status, page = 1, limit = 20 } = req.query;
+
+            const result = await adminService.listUsers({
+                search,
+                role,
+                status,
+                page: parseInt(page),
+                limit: parseInt(limit)
+            });
+
+            return ApiResponse.success(res, result, 'Users retrieved successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * User account details
+     */
+    async getUser(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const result = await adminService.getUser(req.params.userId);
+
+            return ApiResponse.success(res, result, 'User retrieved successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Suspend a user account
+     */
+    async suspendUser(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const user = await adminService.suspendUser(
+                req.params.userId,
+                req.user.id,
+                req.body.reason,
+                { ip: req.ip, userAgent: req.get('User-Agent') }
+            );
+
+            return ApiResponse.success(res, user, 'User suspended successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Reinstate a suspended user account
+     */
+    async reinstateUser(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const user = await adminService.reinstateUser(
+                req.params.userId,
+                req.user.id,
+                { ip: req.ip, userAgent: req.get('User-Agent') }
+            );
+
+            return ApiResponse.success(res, user, 'User reinstated successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Reset a user's two-factor authentication
+     */
+    async resetTwoFactor(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const user = await adminService.resetTwoFactor(
+                req.params.userId,
+                req.user.id,
+                req.body.reason,
+                { ip: req.ip, userAgent: req.get('User-Agent') }
+            );
+
+            return ApiResponse.success(res, user, 'Two-factor authentication reset successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Search vendor or construction firm profiles
+     */
+    async listProfiles(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const { search, status, verified, page = 1, limit = 20 } = req.query;
+
+            const result = await adminService.listProfiles({
+                type: req.params.type,
+                search,
+                status,
+                verified: verified === undefined ? undefined : verified === 'true',
+                page: parseInt(page),
+                limit: parseInt(limit)
+            });
+
+            return ApiResponse.success(res, result, 'Profiles retrieved successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Suspend a vendor or construction firm profile
+     */
+    async suspendProfile(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const profile = await adminService.suspendProfile(
+                req.params.type,
+                req.params.profileId,
+                req.user.id,
+                req.body.reason,
+                { ip: req.ip, userAgent: req.get('User-Agent') }
+            );
+
+            return ApiResponse.success(res, profile, 'Profile suspended successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Reinstate a suspended profile
+     */
+    async reinstateProfile(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const profile = await adminService.reinstateProfile(
+                req.params.type,
+                req.params.profileId,
+                req.user.id,
+                { ip: req.ip, userAgent: req.get('User-Agent') }
+            );
+
+            return ApiResponse.success(res, profile, 'Profile reinstated successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Force-cancel a project
+     */
+    async cancelProject(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const project = await adminService.forceCancelProject(
+                req.params.projectId,
+                req.user.id,
+                req.body.reason,
+                { ip: req.ip, userAgent: req.get('User-Agent') }
+            );
+
+            return ApiResponse.success(res, project, 'Project cancelled successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Browse bids
+     */
+    async listBids(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const { project, status, removed, page = 1, limit = 20 } = req.query;
+
+            const result = await adminService.listBids({
+                project,
+                status,
+                removed: removed === undefined ? undefined : removed === 'true',
+                page: parseInt(page),
+                limit: parseInt(limit)
+            });
+
+            return ApiResponse.success(res, result, 'Bids retrieved successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Remove a bid
+     */
+    async removeBid(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const bid = await adminService.removeBid(
+                req.params.bidId,
+                req.user.id,
+                req.body.reason,
+                { ip: req.ip, userAgent: req.get('User-Agent') }
+            );
+
+            return ApiResponse.success(res, bid, 'Bid removed successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Browse reviews
+     */
+    async listReviews(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const { vendor, hidden, maxRating, page = 1, limit = 20 } = req.query;
+
+            const result = await adminService.listReviews({
+                vendor,
+                hidden: hidden === undefined ? undefined : hidden === 'true',
+                maxRating: maxRating === undefined ? undefined : parseFloat(maxRating),
+                page: parseInt(page),
+                limit: parseInt(limit)
+            });
+
+            return ApiResponse.success(res, result, 'Reviews retrieved successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Hide a review
+     */
+    async hideReview(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const result = await adminService.setReviewVisibility(
+                req.params.reviewId,
+                true,
+                req.user.id,
+                req.body.reason,
+                { ip: req.ip, userAgent: req.get('User-Agent') }
+            );
+
+            return ApiResponse.success(res, result, 'Review hidden successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Restore a hidden review
+     */
+    async restoreReview(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const result = await adminService.setReviewVisibility(
+                req.params.reviewId,
+                false,
+                req.user.id,
+                req.body.reason,
+                { ip: req.ip, userAgent: req.get('User-Agent') }
+            );
+
+            return ApiResponse.success(res, result, 'Review restored successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Browse audit events
+     */
+    async listAuditEvents(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const { actor, entityType, entityId, event, from, to, page = 1, limit = 50 } = req.query;
+
+            const result = await adminService.listAuditEvents({
+                actor,
+                entityType,
+                entityId,
+                event,
+                from: from ? new Date(from) : undefined,
+                to: to ? new Date(to) : undefined,
+                page: parseInt(page),
+                limit: parseInt(limit)
+            });
+
+            return ApiResponse.success(res, result, 'Audit events retrieved successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Platform statistics
+     */
+    async getStats(req, res, next) {
+        try {
+            const stats = await adminService.getStats();
+
+            return ApiResponse.success(res, stats, 'Platform stats retrieved successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = new AdminController();
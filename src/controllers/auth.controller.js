@@ -59,7 +59,10 @@ class AuthController {
             }
 
             // Pass the complete body to service for processing
-            const userData = await this.authService.registerUser(req.body);
+            const userData = await this.authService.registerUser(req.body, {
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            });
             
             return ApiResponse.success(res, userData, 'User registered successfully');
         } catch (error) {
@@ -83,13 +86,10 @@ class AuthController {
             if (!password?.trim()) {
                 throw new ApiError(400, 'Password is required');
             }
-            if (!role?.trim()) {
-                throw new ApiError(400, 'Role is required');
-            }
 
-            // Validate role value
-            const validRoles = ['client_owner', 'vendor_supplier', 'construction_firm'];
-            if (!validRoles.includes(role)) {
+            // Role is optional; without it the session starts in the account's default role
+            const validRoles = ['client_owner', 'vendor_supplier', 'construction_firm', 'admin'];
+            if (role !== undefined && !validRoles.includes(role)) {
                 throw new ApiError(400, 'Invalid role specified');
             }
 
@@ -109,13 +109,17 @@ class AuthController {
             const authData = await this.authService.loginUser({ 
                 email: email.trim(), 
                 password: password.trim(), 
-                role: role.trim() 
-            });
+                role: role?.trim() 
+            }, { ip: req.ip, userAgent: req.get('User-Agent') });
             
+            if (authData.twoFactorRequired) {
+                return ApiResponse.success(res, authData, 'Enter your two-factor authentication code to finish signing in');
+            }
+
             // Log successful login
             console.log('Successful login:', {
                 email: email.trim(),
-                role,
+                role: authData.activeRole,
                 userId: authData.user._id,
                 timestamp: new Date().toISOString()
             });
@@ -135,6 +139,268 @@ class AuthController {
         }
     };
 
+    loginTwoFactor = async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const authData = await this.authService.completeTwoFactorLogin(req.body.challengeToken, req.body.code, {
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+
+            return ApiResponse.success(res, authData, 'Login successful');
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    refresh = async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const tokens = await this.authService.refreshTokens(req.body.refreshToken, {
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+
+            return ApiResponse.success(res, tokens, 'Token refreshed successfully');
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    logout = async (req, res, next) => {
+        try {
+            await this.authService.logout(req.user.id, req.user.sid, {
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+
+            return ApiResponse.success(res, null, 'Logged out successfully');
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    logoutAll = async (req, res, next) => {
+        try {
+            const result = await this.authService.logoutAllDevices(req.user.id, {
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+
+            return ApiResponse.success(res, result, 'Logged out of all devices successfully');
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    addRole = async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const user = await this.authService.addRole(req.user.id, req.body, {
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+
+            return ApiResponse.success(res, user, 'Role added successfully');
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    switchRole = async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const authData = await this.authService.switchRole(req.user.id, req.user.sid, req.body.role, {
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            }, req.user.mfa);
+
+            return ApiResponse.success(res, authData, 'Role switched successfully');
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    getTwoFactorStatus = async (req, res, next) => {
+        try {
+            const status = await this.authService.getTwoFactorStatus(req.user.id);
+            return ApiResponse.success(res, status, 'Two-factor status retrieved successfully');
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    setupTwoFactor = async (req, res, next) => {
+        try {
+            const enrollment = await this.authService.setupTwoFactor(req.user.id);
+            return ApiResponse.success(res, enrollment, 'Scan the QR code with your authenticator app, then confirm with a code');
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    enableTwoFactor = async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const result = await this.authService.enableTwoFactor(
+                req.user.id,
+                { id: req.user.sid, role: req.user.role },
+                req.body.code,
+                { ip: req.ip, userAgent: req.get('User-Agent') }
+            );
+
+            return ApiResponse.success(res, result, 'Two-factor authentication enabled. Store your backup codes somewhere safe');
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    disableTwoFactor = async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            await this.authService.disableTwoFactor(req.user.id, req.body.password, req.body.code, {
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+
+            return ApiResponse.success(res, null, 'Two-factor authentication disabled');
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    regenerateBackupCodes = async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const result = await this.authService.regenerateBackupCodes(req.user.id, req.body.code, {
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+
+            return ApiResponse.success(res, result, 'Backup codes regenerated. Previous codes no longer work');
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    forgotPassword = async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            await this.authService.forgotPassword(req.body.email, {
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+
+            return ApiResponse.success(res, null, 'If an account exists for this email, a reset link has been sent');
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    resetPassword = async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            await this.authService.resetPassword(req.body.token, req.body.password, {
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+
+            return ApiResponse.success(res, null, 'Password reset successfully. Please sign in with your new password');
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    verifyEmail = async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const user = await this.authService.verifyEmail(req.body.token, {
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+
+            return ApiResponse.success(res, user, 'Email verified successfully');
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    resendEmailVerification = async (req, res, next) => {
+        try {
+            await this.authService.resendEmailVerification(req.user.id);
+            return ApiResponse.success(res, null, 'Verification email sent');
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    listSessions = async (req, res, next) => {
+        try {
+            const sessions = await this.authService.listSessions(req.user.id, req.user.sid);
+            return ApiResponse.success(res, sessions, 'Active sessions retrieved successfully');
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    revokeSession = async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            await this.authService.revokeSession(req.user.id, req.params.sessionId, {
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+
+            return ApiResponse.success(res, null, 'Session revoked successfully');
+        } catch (error) {
+            next(error);
+        }
+    };
+
     getProfile = async (req, res, next) => {
         try {
             const userId = req.user.id;
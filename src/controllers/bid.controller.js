@@ -1,4 +1,6 @@
+const { validationResult } = require('express-validator');
 const bidService = require('../services/bid.service');
+const bidComparisonService = require('../services/bid.comparison.service');
 const { ApiError } = require('../utils/apiError');
 const { ApiResponse } = require('../utils/apiResponse');
 const logger = require('../utils/logger');
@@ -10,10 +12,15 @@ class BidController {
      */
     async submitBid(req, res, next) {
         try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
             const vendorId = req.user.id;
             const { projectId } = req.params;
             
-            const bid = await bidService.submitBid(projectId, vendorId, req.body);
+            const bid = await bidService.submitBid(projectId, vendorId, req.body, req.user.role);
             
             return ApiResponse.created(res, bid, 'Bid submitted successfully');
         } catch (error) {
@@ -26,10 +33,15 @@ class BidController {
      */
     async updateBid(req, res, next) {
         try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
             const vendorId = req.user.id;
             const { bidId } = req.params;
             
-            const bid = await bidService.updateBid(bidId, vendorId, req.body);
+            const bid = await bidService.updateBid(bidId, vendorId, req.body, req.user.role);
             
             return ApiResponse.success(res, bid, 'Bid updated successfully');
         } catch (error) {
@@ -89,7 +101,9 @@ class BidController {
             
             const result = await bidService.getProjectBids(projectId, status, {
                 page: parseInt(page),
-                limit: parseInt(limit)
+                limit: parseInt(limit),
+                userId: req.user.id,
+                userRole: req.user.role
             });
             
             return ApiResponse.success(
@@ -105,6 +119,37 @@ class BidController {
         }
     }
 
+    /**
+     * Compare selected bids on a project side by side (JSON or CSV)
+     */
+    async compareBids(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const { projectId } = req.params;
+            const { bidIds, format = 'json' } = req.query;
+
+            const comparison = await bidComparisonService.compareBids(projectId, req.user.id, bidIds);
+
+            if (format === 'csv') {
+                res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+                res.setHeader('Content-Disposition', `attachment; filename="bid-comparison-${projectId}.csv"`);
+                return res.status(200).send(bidComparisonService.toCsv(comparison));
+            }
+
+            return ApiResponse.success(
+                res,
+                comparison,
+                'Bid comparison generated successfully'
+            );
+        } catch (error) {
+            next(error);
+        }
+    }
+
     /**
      * Get multiple project bids (batch)
      */
@@ -116,7 +161,10 @@ class BidController {
                 throw new ApiError(400, 'Project IDs array is required');
             }
             
-            const result = await bidService.getMultipleProjectBids(projectIds, status);
+            const result = await bidService.getMultipleProjectBids(projectIds, status, {
+                userId: req.user.id,
+                userRole: req.user.role
+            });
             
             return ApiResponse.success(
                 res,
@@ -139,7 +187,7 @@ class BidController {
             const bids = await bidService.getVendorBids(
                 vendorId,
                 status,
-                { page: parseInt(page), limit: parseInt(limit) }
+                { page: parseInt(page), limit: parseInt(limit), userRole: req.user.role }
             );
             
             return ApiResponse.success(res, bids, 'Vendor bids retrieved successfully');
@@ -153,16 +201,90 @@ class BidController {
      */
     async negotiateBid(req, res, next) {
         try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
             const { bidId } = req.params;
-            const initiatorType = req.user.role === 'client_owner' ? 'client' : 'vendor';
             
             const result = await bidService.negotiateBid(
                 bidId,
-                req.body,
-                initiatorType
+                req.user.id,
+                req.user.role,
+                req.body
+            );
+            
+            return ApiResponse.created(res, result, 'Negotiation added successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get bid negotiation thread
+     */
+    async getNegotiations(req, res, next) {
+        try {
+            const { bidId } = req.params;
+            
+            const result = await bidService.getNegotiations(bidId, req.user.id, req.user.role);
+            
+            return ApiResponse.success(res, result, 'Negotiations retrieved successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Accept a pending negotiation offer
+     */
+    async acceptNegotiation(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const { bidId, negotiationId } = req.params;
+            
+            const result = await bidService.respondToNegotiation(
+                bidId,
+                negotiationId,
+                req.user.id,
+                req.user.role,
+                'accepted',
+                req.body.message
+            );
+            
+            return ApiResponse.success(res, result, 'Negotiation accepted successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Reject a pending negotiation offer
+     */
+    async rejectNegotiation(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const { bidId, negotiationId } = req.params;
+            
+            const result = await bidService.respondToNegotiation(
+                bidId,
+                negotiationId,
+                req.user.id,
+                req.user.role,
+                'rejected',
+                req.body.message
             );
             
-            return ApiResponse.success(res, result, 'Negotiation added successfully');
+            return ApiResponse.success(res, result, 'Negotiation rejected successfully');
         } catch (error) {
             next(error);
         }
@@ -216,7 +338,7 @@ class BidController {
         try {
             const { bidId } = req.params;
             
-            const analysis = await bidService.getCompetitiveAnalysis(bidId);
+            const analysis = await bidService.getCompetitiveAnalysis(bidId, req.user.id, req.user.role);
             
             return ApiResponse.success(
                 res,
@@ -236,7 +358,7 @@ class BidController {
             const vendorId = req.user.id;
             const { bidId } = req.params;
             
-            const result = await bidService.deleteBid(bidId, vendorId);
+            const result = await bidService.deleteBid(bidId, vendorId, req.user.role);
             
             return ApiResponse.success(res, result, 'Bid deleted successfully');
         } catch (error) {
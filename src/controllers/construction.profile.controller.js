@@ -0,0 +1,150 @@
+const { validationResult } = require('express-validator');
+const constructionProfileService = require('../services/construction.profile.service');
+const constructionCapacityService = require('../services/construction.capacity.service');
+const { ApiResponse } = require('../utils/apiResponse');
+const { ApiError } = require('../utils/apiError');
+
+class ConstructionProfileController {
+    async getOwnProfile(req, res, next) {
+        try {
+            const profile = await constructionProfileService.getProfileByUserId(req.user.id);
+            return ApiResponse.success(res, profile, 'Construction profile retrieved successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    async createProfile(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const profile = await constructionProfileService.createProfile(req.user.id, req.body);
+            return ApiResponse.created(res, profile, 'Construction profile created successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    async updateProfile(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const profile = await constructionProfileService.updateProfile(req.user.id, req.body);
+            return ApiResponse.success(res, profile, 'Construction profile updated successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    async getProfile(req, res, next) {
+        try {
+            const profile = await constructionProfileService.getProfileById(req.params.id);
+            return ApiResponse.success(res, profile, 'Construction profile retrieved successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    async searchProfiles(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const {
+                city,
+                state,
+                specializations,
+                minExperience,
+                minRating,
+                budget,
+                area,
+                hasCapacity,
+                verifiedOnly,
+                page = 1,
+                limit = 10
+            } = req.query;
+
+            const searchCriteria = {
+                city,
+                state,
+                specializations: specializations ? specializations.split(',') : undefined,
+                minExperience: minExperience ? parseInt(minExperience) : undefined,
+                minRating: minRating ? parseFloat(minRating) : undefined,
+                budget: budget ? parseFloat(budget) : undefined,
+                area: area ? parseFloat(area) : undefined,
+                hasCapacity: hasCapacity === 'true',
+                verifiedOnly: verifiedOnly === 'true'
+            };
+
+            // Exclude the current firm from its own search results
+            const excludeUserId = req.user.role === 'construction_firm' ? req.user.id : null;
+
+            const results = await constructionProfileService.searchProfiles(
+                searchCriteria,
+                parseInt(page),
+                parseInt(limit),
+                excludeUserId
+            );
+            return ApiResponse.success(res, results, 'Search results retrieved successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    async getOwnCapacityTimeline(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const profile = await constructionProfileService.getProfileByUserId(req.user.id);
+            const timeline = await constructionCapacityService.getCapacityTimeline(profile._id, {
+                months: req.query.months,
+                viewer: { userId: req.user.id, role: req.user.role }
+            });
+            return ApiResponse.success(res, timeline, 'Capacity timeline retrieved successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    async getCapacityTimeline(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const timeline = await constructionCapacityService.getCapacityTimeline(req.params.id, {
+                months: req.query.months,
+                viewer: { userId: req.user.id, role: req.user.role }
+            });
+            return ApiResponse.success(res, timeline, 'Capacity timeline retrieved successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    async softDeleteProfile(req, res, next) {
+        try {
+            const profile = await constructionProfileService.softDeleteProfile(req.user.id, {
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+            return ApiResponse.success(res, profile, 'Construction profile deactivated successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = new ConstructionProfileController();
@@ -0,0 +1,58 @@
+const { validationResult } = require('express-validator');
+const notificationService = require('../services/notification.service');
+const { ApiResponse } = require('../utils/apiResponse');
+const { ApiError } = require('../utils/apiError');
+
+class NotificationController {
+    /**
+     * List the current user's notifications
+     */
+    async getNotifications(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const { unreadOnly, page = 1, limit = 20 } = req.query;
+
+            const result = await notificationService.getUserNotifications(req.user.id, {
+                unreadOnly: unreadOnly === 'true',
+                page: parseInt(page),
+                limit: parseInt(limit)
+            });
+
+            return ApiResponse.success(res, result, 'Notifications retrieved successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Mark a notification as read
+     */
+    async markAsRead(req, res, next) {
+        try {
+            const notification = await notificationService.markAsRead(req.params.notificationId, req.user.id);
+
+            return ApiResponse.success(res, notification, 'Notification marked as read');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Mark all notifications as read
+     */
+    async markAllAsRead(req, res, next) {
+        try {
+            const result = await notificationService.markAllAsRead(req.user.id);
+
+            return ApiResponse.success(res, result, 'Notifications marked as read');
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = new NotificationController();
@@ -0,0 +1,218 @@
+const { validationResult } = require('express-validator');
+const organizationService = require('../services/organization.service');
+const { ApiResponse } = require('../utils/apiResponse');
+const { ApiError } = require('../utils/apiError');
+
+class OrganizationController {
+    /**
+     * Create an organization for the caller's company profile
+     */
+    async createOrganization(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const organization = await organizationService.createOrganization(req.user.id, req.user.role, req.body, {
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+
+            return ApiResponse.created(res, organization, 'Organization created successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * List organizations the caller belongs to
+     */
+    async getMyOrganizations(req, res, next) {
+        try {
+            const organizations = await organizationService.getUserOrganizations(req.user.id);
+
+            return ApiResponse.success(res, organizations, 'Organizations retrieved successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get an organization with its members (Member action)
+     */
+    async getOrganization(req, res, next) {
+        try {
+            const organization = await organizationService.getOrganization(req.params.organizationId, req.user.id);
+
+            return ApiResponse.success(res, organization, 'Organization retrieved successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Rename an organization (Owner action)
+     */
+    async updateOrganization(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const organization = await organizationService.updateOrganization(req.params.organizationId, req.user.id, req.body, {
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+
+            return ApiResponse.success(res, organization, 'Organization updated successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Invite a member by email (Owner action)
+     */
+    async inviteMember(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const invitation = await organizationService.inviteMember(req.params.organizationId, req.user.id, req.body, {
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+
+            return ApiResponse.created(res, invitation, 'Invitation sent successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * List invitations sent by an organization (Owner action)
+     */
+    async getOrganizationInvitations(req, res, next) {
+        try {
+            const invitations = await organizationService.getOrganizationInvitations(req.params.organizationId, req.user.id);
+
+            return ApiResponse.success(res, invitations, 'Invitations retrieved successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Revoke a pending invitation (Owner action)
+     */
+    async revokeInvitation(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const { organizationId, invitationId } = req.params;
+
+            const invitation = await organizationService.revokeInvitation(organizationId, invitationId, req.user.id, {
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+
+            return ApiResponse.success(res, invitation, 'Invitation revoked successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * List open invitations addressed to the caller
+     */
+    async getMyInvitations(req, res, next) {
+        try {
+            const invitations = await organizationService.getUserInvitations(req.user.id);
+
+            return ApiResponse.success(res, invitations, 'Invitations retrieved successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Accept or decline an invitation (Invitee action)
+     */
+    async respondToInvitation(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const invitation = await organizationService.respondToInvitation(
+                req.params.invitationId,
+                req.user.id,
+                req.body.decision,
+                { ip: req.ip, userAgent: req.get('User-Agent') }
+            );
+
+            return ApiResponse.success(res, invitation, `Invitation ${invitation.status.toLowerCase()}`);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Change a member's role (Owner action)
+     */
+    async updateMemberRole(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const { organizationId, userId } = req.params;
+
+            const organization = await organizationService.updateMemberRole(
+                organizationId,
+                userId,
+                req.user.id,
+                req.body.role,
+                { ip: req.ip, userAgent: req.get('User-Agent') }
+            );
+
+            return ApiResponse.success(res, organization, 'Member role updated successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Remove a member, or leave the organization (Owner or member action)
+     */
+    async removeMember(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const { organizationId, userId } = req.params;
+
+            const organization = await organizationService.removeMember(organizationId, userId, req.user.id, {
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+
+            return ApiResponse.success(res, organization, 'Member removed successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = new OrganizationController();
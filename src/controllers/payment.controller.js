@@ -0,0 +1,99 @@
+const { validationResult } = require('express-validator');
+const paymentService = require('../services/payment.service');
+const { ApiResponse } = require('../utils/apiResponse');
+const { ApiError } = require('../utils/apiError');
+
+class PaymentController {
+    /**
+     * Get invoices for a project
+     */
+    async getProjectInvoices(req, res, next) {
+        try {
+            const { projectId } = req.params;
+
+            const result = await paymentService.getProjectInvoices(projectId, req.user.id, req.user.role);
+
+            return ApiResponse.success(res, result, 'Project invoices retrieved successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get a single invoice
+     */
+    async getInvoice(req, res, next) {
+        try {
+            const { invoiceId } = req.params;
+
+            const invoice = await paymentService.getInvoice(invoiceId, req.user.id);
+
+            return ApiResponse.success(res, invoice, 'Invoice retrieved successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Pay an invoice into escrow (Client action)
+     */
+    async payInvoice(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const { invoiceId } = req.params;
+
+            const result = await paymentService.payInvoice(invoiceId, req.user.id, req.body);
+
+            return ApiResponse.created(res, result, 'Payment received and held in escrow');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Release escrowed funds to the vendor (Client action)
+     */
+    async releaseInvoice(req, res, next) {
+        try {
+            const { invoiceId } = req.params;
+
+            const invoice = await paymentService.releaseInvoice(invoiceId, req.user.id);
+
+            return ApiResponse.success(res, invoice, 'Escrow released to vendor');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get the client's outstanding balance
+     */
+    async getClientBalance(req, res, next) {
+        try {
+            const balance = await paymentService.getClientBalance(req.user.id);
+
+            return ApiResponse.success(res, balance, 'Client balance retrieved successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get the vendor's outstanding balance
+     */
+    async getVendorBalance(req, res, next) {
+        try {
+            const balance = await paymentService.getVendorBalance(req.user.id);
+
+            return ApiResponse.success(res, balance, 'Vendor balance retrieved successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = new PaymentController();
@@ -1,3 +1,4 @@
+const { validationResult } = require('express-validator');
 const projectService = require('../services/project.service');
 const { ApiError } = require('../utils/apiError');
 const { ApiResponse } = require('../utils/apiResponse');
@@ -8,6 +9,11 @@ class ProjectController {
      */
     async createAndPublish(req, res, next) {
         try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
             console.log('User from request:', req.user);
             const clientId = req.user.id;
             console.log('Client ID being used:', clientId);
@@ -30,6 +36,11 @@ class ProjectController {
      */
     async updateProject(req, res, next) {
         try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
             const { projectId } = req.params;
             const clientId = req.user.id; // JWT token has 'id', not '_id'
             
@@ -49,6 +60,46 @@ class ProjectController {
         }
     }
 
+    /**
+     * Configure tender mode (submission deadline and sealed bids)
+     */
+    async updateTender(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const { projectId } = req.params;
+
+            const project = await projectService.updateTender(projectId, req.user.id, req.body);
+
+            return ApiResponse.success(res, project, 'Tender settings updated successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Cancel a project
+     */
+    async cancelProject(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const { projectId } = req.params;
+
+            const project = await projectService.cancelProject(projectId, req.user.id, req.body.reason);
+
+            return ApiResponse.success(res, project, 'Project cancelled successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
     /**
      * Delete a project
      */
@@ -88,7 +139,7 @@ class ProjectController {
     async getProject(req, res, next) {
         try {
             const { projectId } = req.params;
-            const project = await projectService.getProjectById(projectId);
+            const project = await projectService.getProjectById(projectId, req.user);
             
             res.status(200).json(new ApiResponse(
                 200,
@@ -230,7 +281,7 @@ class ProjectController {
     }
 
     /**
-     * Get vendor's projects (projects where vendor has been selected)
+     * Get vendor's projects (projects where the vendor or construction firm has been selected)
      */
     async getVendorProjects(req, res, next) {
         try {
@@ -240,46 +291,11 @@ class ProjectController {
             console.log('getVendorProjects - vendorId:', vendorId);
             console.log('getVendorProjects - query params:', { status, page, limit });
 
-            // First, get the vendor profile to find the actual vendor ID
-            const VendorProfile = require('mongoose').model('VendorProfile');
-            const vendorProfile = await VendorProfile.findOne({ user: vendorId });
-            
-            console.log('getVendorProjects - vendorProfile:', vendorProfile);
-            
-            if (!vendorProfile) {
-                console.log('getVendorProjects - No vendor profile found, returning empty results');
-                return res.status(200).json({
-                    status: 'success',
-                    message: 'Vendor projects retrieved successfully',
-                    data: { projects: [], total: 0, page: 1, limit: 10 }
-                });
-            }
-
-            // Find projects where this vendor has bid on (regardless of acceptance status)
+            // Find projects this user's bid was selected for
             const Project = require('mongoose').model('Project');
-            const Bid = require('mongoose').model('Bid');
-            
-            // First, get all project IDs where this vendor has bid
-            const vendorBids = await Bid.find({ 
-                vendor: vendorProfile._id 
-            }).select('project status.current');
-            
-            const projectIds = vendorBids.map(bid => bid.project);
-            
-            console.log('getVendorProjects - vendor bids found:', vendorBids.length);
-            console.log('getVendorProjects - project IDs:', projectIds);
-            
-            if (projectIds.length === 0) {
-                return res.status(200).json({
-                    status: 'success',
-                    message: 'Vendor projects retrieved successfully',
-                    data: { projects: [], total: 0, page: 1, limit: 10 }
-                });
-            }
             
-            // Now find projects that the vendor has bid on
             const query = { 
-                _id: { $in: projectIds }
+                'assignment.vendorUser': vendorId
             };
 
             if (status) {
@@ -290,6 +306,7 @@ class ProjectController {
             
             const projects = await Project.find(query)
                 .populate('client', 'name email phone')
+                .populate('assignment.bid', 'status.current proposedCost.total metadata.submittedAt')
                 .sort({ 'metadata.createdAt': -1 })
                 .limit(limit * 1)
                 .skip((page - 1) * limit);
@@ -298,18 +315,14 @@ class ProjectController {
             
             console.log('getVendorProjects - projects found:', projects.length);
             
-            // Add bid information to each project
-            const projectsWithBids = await Promise.all(projects.map(async (project) => {
-                const projectBid = await Bid.findOne({ 
-                    project: project._id, 
-                    vendor: vendorProfile._id 
-                }).select('status.current proposedCost.total metadata.submittedAt');
-                
+            // Expose the accepted bid alongside each project
+            const projectsWithBids = projects.map(project => {
+                const projectData = project.toObject();
                 return {
-                    ...project.toObject(),
-                    vendorBid: projectBid
+                    ...projectData,
+                    vendorBid: projectData.assignment?.bid || null
                 };
-            }));
+            });
             
             const responseData = {
                 projects: projectsWithBids || [],
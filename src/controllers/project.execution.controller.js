@@ -0,0 +1,83 @@
+const { validationResult } = require('express-validator');
+const projectExecutionService = require('../services/project.execution.service');
+const { ApiResponse } = require('../utils/apiResponse');
+const { ApiError } = require('../utils/apiError');
+
+class ProjectExecutionController {
+    /**
+     * Get milestone progress for a project
+     */
+    async getExecution(req, res, next) {
+        try {
+            const { projectId } = req.params;
+
+            const execution = await projectExecutionService.getExecution(
+                projectId,
+                req.user.id,
+                req.user.role
+            );
+
+            return ApiResponse.success(res, execution, 'Project execution retrieved successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Submit a milestone for client approval (Vendor action)
+     */
+    async submitMilestone(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const { projectId, milestoneId } = req.params;
+
+            const execution = await projectExecutionService.submitMilestone(
+                projectId,
+                milestoneId,
+                req.user.id,
+                req.body
+            );
+
+            return ApiResponse.success(res, execution, 'Milestone submitted for approval');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Approve or reject a submitted milestone (Client action)
+     */
+    async reviewMilestone(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const { projectId, milestoneId } = req.params;
+            const { decision, feedback } = req.body;
+
+            const execution = await projectExecutionService.reviewMilestone(
+                projectId,
+                milestoneId,
+                req.user.id,
+                decision,
+                feedback
+            );
+
+            const message = decision === 'approve'
+                ? 'Milestone approved successfully'
+                : 'Milestone rejected successfully';
+
+            return ApiResponse.success(res, execution, message);
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = new ProjectExecutionController();
@@ -0,0 +1,105 @@
+const { validationResult } = require('express-validator');
+const projectInvitationService = require('../services/project.invitation.service');
+const { ApiResponse } = require('../utils/apiResponse');
+const { ApiError } = require('../utils/apiError');
+
+class ProjectInvitationController {
+    /**
+     * Invite vendors to a project (Client action)
+     */
+    async inviteVendors(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const { projectId } = req.params;
+
+            const invitations = await projectInvitationService.inviteVendors(projectId, req.user.id, req.body);
+
+            return ApiResponse.created(res, invitations, 'Vendors invited successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * List invitations for a project (Client action)
+     */
+    async getProjectInvitations(req, res, next) {
+        try {
+            const { projectId } = req.params;
+
+            const invitations = await projectInvitationService.getProjectInvitations(projectId, req.user.id);
+
+            return ApiResponse.success(res, invitations, 'Project invitations retrieved successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Revoke an invitation (Client action)
+     */
+    async revokeInvitation(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const { projectId, invitationId } = req.params;
+
+            const invitation = await projectInvitationService.revokeInvitation(projectId, invitationId, req.user.id);
+
+            return ApiResponse.success(res, invitation, 'Invitation revoked successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * List invitations received by the vendor
+     */
+    async getVendorInvitations(req, res, next) {
+        try {
+            const invitations = await projectInvitationService.getVendorInvitations(
+                req.user.id,
+                req.query.status,
+                req.user.role
+            );
+
+            return ApiResponse.success(res, invitations, 'Invitations retrieved successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Accept or decline an invitation (Vendor action)
+     */
+    async respondToInvitation(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const { invitationId } = req.params;
+
+            const invitation = await projectInvitationService.respondToInvitation(
+                invitationId,
+                req.user.id,
+                req.body.decision,
+                req.user.role
+            );
+
+            return ApiResponse.success(res, invitation, 'Invitation response recorded');
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = new ProjectInvitationController();
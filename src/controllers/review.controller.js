@@ -0,0 +1,90 @@
+const { validationResult } = require('express-validator');
+const reviewService = require('../services/review.service');
+const { ApiResponse } = require('../utils/apiResponse');
+const { ApiError } = require('../utils/apiError');
+
+class ReviewController {
+    /**
+     * Review the vendor of a completed project (Client action)
+     */
+    async createReview(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const { projectId } = req.params;
+
+            const result = await reviewService.createReview(projectId, req.user.id, req.body);
+
+            return ApiResponse.created(res, result, 'Review submitted successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Respond to a review (Vendor action)
+     */
+    async respondToReview(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const { reviewId } = req.params;
+
+            const review = await reviewService.respondToReview(
+                reviewId,
+                req.user.id,
+                req.body.message,
+                req.user.role
+            );
+
+            return ApiResponse.success(res, review, 'Response added successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get reviews for a vendor
+     */
+    async getVendorReviews(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const { vendorId } = req.params;
+            const page = parseInt(req.query.page, 10) || 1;
+            const limit = parseInt(req.query.limit, 10) || 10;
+
+            const result = await reviewService.getVendorReviews(vendorId, { page, limit });
+
+            return ApiResponse.success(res, result, 'Vendor reviews retrieved successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get the review for a project
+     */
+    async getProjectReview(req, res, next) {
+        try {
+            const { projectId } = req.params;
+
+            const review = await reviewService.getProjectReview(projectId);
+
+            return ApiResponse.success(res, review, 'Project review retrieved successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = new ReviewController();
@@ -120,7 +120,10 @@ class VendorProfileController {
                 throw new ApiError(403, 'Only vendors can delete their profiles');
             }
 
-            const profile = await vendorProfileService.deleteProfile(req.user.id);
+            const profile = await vendorProfileService.deleteProfile(req.user.id, {
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            });
             return ApiResponse.success(res, profile, 'Vendor profile deleted successfully');
         } catch (error) {
             next(error);
@@ -134,7 +137,10 @@ class VendorProfileController {
                 throw new ApiError(403, 'Only vendors can deactivate their profiles');
             }
 
-            const profile = await vendorProfileService.softDeleteProfile(req.user.id);
+            const profile = await vendorProfileService.softDeleteProfile(req.user.id, {
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            });
             return ApiResponse.success(res, profile, 'Vendor profile deactivated successfully');
         } catch (error) {
             next(error);
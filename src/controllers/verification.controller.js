@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const { validationResult } = require('express-validator');
+const verificationService = require('../services/verification.service');
+const { ApiResponse } = require('../utils/apiResponse');
+const { ApiError } = require('../utils/apiError');
+
+/**
+ * Remove uploaded documents that will not be attached to a request
+ * @private
+ */
+const discardUploads = (files) => {
+    Object.values(files || {}).flat().forEach(file => {
+        fs.unlink(file.path, () => {});
+    });
+};
+
+class VerificationController {
+    /**
+     * Submit verification documents (Vendor or construction firm action)
+     */
+    async submitVerification(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const files = Object.values(req.files || {}).flat();
+            if (files.length === 0) {
+                throw new ApiError(400, 'No documents uploaded');
+            }
+
+            const request = await verificationService.submitVerification(
+                req.user.id,
+                req.user.role,
+                files,
+                req.body
+            );
+
+            return ApiResponse.created(res, request, 'Verification request submitted successfully');
+        } catch (error) {
+            // Rejected submissions must not leave identity documents on disk
+            discardUploads(req.files);
+            next(error);
+        }
+    }
+
+    /**
+     * Own verification status
+     */
+    async getVerificationStatus(req, res, next) {
+        try {
+            const status = await verificationService.getVerificationStatus(req.user.id, req.user.role);
+
+            return ApiResponse.success(res, status, 'Verification status retrieved successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Verification review queue (Admin action)
+     */
+    async getReviewQueue(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const { status, profileType, page = 1, limit = 20 } = req.query;
+
+            const queue = await verificationService.getReviewQueue({
+                status,
+                profileType,
+                page: parseInt(page),
+                limit: parseInt(limit)
+            });
+
+            return ApiResponse.success(res, queue, 'Verification queue retrieved successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Verification request details (Admin action)
+     */
+    async getRequest(req, res, next) {
+        try {
+            const request = await verificationService.getRequest(req.params.requestId);
+
+            return ApiResponse.success(res, request, 'Verification request retrieved successfully');
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Download a submitted document (Admin action)
+     */
+    async getDocument(req, res, next) {
+        try {
+            const { requestId, documentId } = req.params;
+            const document = await verificationService.getDocumentFile(requestId, documentId);
+
+            if (document.mimeType) {
+                res.type(document.mimeType);
+            }
+            return res.download(path.resolve(document.path), document.originalName);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Approve or reject a verification request (Admin action)
+     */
+    async reviewRequest(req, res, next) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                throw new ApiError(400, 'Validation Error', errors.array());
+            }
+
+            const request = await verificationService.reviewRequest(
+                req.params.requestId,
+                req.user.id,
+                req.body,
+                { ip: req.ip, userAgent: req.get('User-Agent') }
+            );
+
+            return ApiResponse.success(res, request, `Verification request ${request.status.toLowerCase()}`);
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = new VerificationController();
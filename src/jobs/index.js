@@ -0,0 +1,64 @@
+/**
+ * Background job scheduling
+ * Jobs run on a fixed interval inside the API process. Each run is
+ * skipped while the previous one is still in progress, and across app
+ * instances only the one holding the job's lease runs it.
+ */
+const Project = require('../models/project.model');
+const JobLock = require('../models/job.lock.model');
+const credentialExpiryService = require('../services/credential.expiry.service');
+const { INSTANCE_ID } = require('../utils/cacheInvalidation');
+const logger = require('../utils/logger');
+
+const JOB_INTERVALS = {
+    CLOSE_EXPIRED_TENDERS: 60 * 1000, // 1 minute
+    CHECK_CREDENTIAL_EXPIRY: 60 * 60 * 1000 // 1 hour
+};
+
+const scheduleJob = (name, intervalMs, task) => {
+    let running = false;
+
+    const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+            // The lease lasts one interval, so each interval runs on one instance
+            const acquired = await JobLock.acquire(name, INSTANCE_ID, intervalMs);
+            if (!acquired) return;
+            await task();
+        } catch (error) {
+            logger.error(`Job ${name} failed`, { error: error.message });
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(run, intervalMs);
+    // Do not keep the process alive just for background jobs
+    timer.unref();
+    run();
+};
+
+const closeExpiredTenders = async () => {
+    const closed = await Project.closeExpiredTenders();
+    if (closed > 0) {
+        logger.info('Closed expired tenders', { count: closed });
+    }
+};
+
+const checkCredentialExpiry = async () => {
+    const warnings = await credentialExpiryService.raiseExpiryWarnings();
+    if (warnings > 0) {
+        logger.info('Raised credential expiry warnings', { count: warnings });
+    }
+    await credentialExpiryService.enforceLicenseSuspensions();
+};
+
+const initializeJobs = () => {
+    scheduleJob('closeExpiredTenders', JOB_INTERVALS.CLOSE_EXPIRED_TENDERS, closeExpiredTenders);
+    scheduleJob('checkCredentialExpiry', JOB_INTERVALS.CHECK_CREDENTIAL_EXPIRY, checkCredentialExpiry);
+};
+
+module.exports = {
+    initializeJobs
+};
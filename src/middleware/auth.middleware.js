@@ -1,20 +1,26 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { ApiError } = require('../utils/apiError');
+const User = require('../models/user.model');
+const { isRevoked, isRevokedLocally, TOKEN_CACHE_NAMESPACE } = require('../utils/tokenRevocation');
+const { getCache } = require('../utils/cache');
 
 // Cache decoded tokens to reduce JWT verification overhead
-const tokenCache = new Map();
-const TOKEN_CACHE_MAX_SIZE = 1000;
 const TOKEN_CACHE_EXPIRY = 15 * 60 * 1000; // 15 minutes
+const tokenCache = getCache(TOKEN_CACHE_NAMESPACE, { ttl: TOKEN_CACHE_EXPIRY });
+
+// `<sessionId>:<token hash>`, so revoking a session can drop its tokens by prefix.
+// The session ID is read unverified; only a verified token is ever stored under the key.
+const getTokenCacheKey = (token) => {
+    const claims = jwt.decode(token);
+    if (!claims || typeof claims !== 'object' || !claims.sid) return null;
+    return `${claims.sid}:${crypto.createHash('sha256').update(token).digest('hex')}`;
+};
 
-// Clean expired tokens from cache
-setInterval(() => {
-    const now = Date.now();
-    for (const [key, value] of tokenCache.entries()) {
-        if (now > value.expiresAt) {
-            tokenCache.delete(key);
-        }
-    }
-}, 5 * 60 * 1000); // Clean every 5 minutes
+// Never cache a token beyond its own expiry
+const cacheToken = (cacheKey, decoded) => {
+    return tokenCache.set(cacheKey, decoded, Math.min(TOKEN_CACHE_EXPIRY, decoded.exp * 1000 - Date.now()));
+};
 
 const authMiddleware = async (req, res, next) => {
     // Set request timeout
@@ -48,38 +54,44 @@ const authMiddleware = async (req, res, next) => {
 
         try {
             // Check token cache first
-            let decoded = tokenCache.get(token);
+            const cacheKey = getTokenCacheKey(token);
+            let decoded = cacheKey && await tokenCache.get(cacheKey);
             
             if (decoded) {
-                // Check if cached token is still valid
-                if (Date.now() <= decoded.expiresAt) {
-                    req.user = decoded.payload;
-                    return next();
-                } else {
-                    // Remove expired token from cache
-                    tokenCache.delete(token);
+                // Check the cached token's session has not been revoked
+                if (isRevokedLocally(decoded.sid)) {
+                    await tokenCache.delete(cacheKey);
+                    throw new ApiError(401, 'Session has been revoked. Please sign in again');
                 }
+                req.user = decoded;
+                return next();
             }
 
             // Verify token if not in cache
             decoded = jwt.verify(token, process.env.JWT_SECRET);
             
-            // Validate decoded token structure
-            if (!decoded.id || !decoded.role) {
+            // Validate decoded token structure; tokens without a session predate refresh tokens
+            if (!decoded.id || !decoded.role || !decoded.sid) {
                 throw new ApiError(401, 'Invalid token structure');
             }
 
-            // Cache the decoded token
-            if (tokenCache.size >= TOKEN_CACHE_MAX_SIZE) {
-                // Remove oldest entry if cache is full
-                const oldestKey = tokenCache.keys().next().value;
-                tokenCache.delete(oldestKey);
+            // Revoked sessions and suspended accounts are refused once their tokens leave the cache
+            const [account, revoked] = await Promise.all([
+                User.findById(decoded.id).select('status').lean(),
+                isRevoked(decoded.sid)
+            ]);
+            if (revoked) {
+                throw new ApiError(401, 'Session has been revoked. Please sign in again');
+            }
+            if (!account) {
+                throw new ApiError(401, 'Account no longer exists');
+            }
+            if (account.status === 'suspended') {
+                throw new ApiError(403, 'This account has been suspended');
             }
 
-            tokenCache.set(token, {
-                payload: decoded,
-                expiresAt: Date.now() + TOKEN_CACHE_EXPIRY
-            });
+            // Cache the decoded token
+            await cacheToken(cacheKey, decoded);
 
             // Add user info to request
             req.user = decoded;
@@ -128,9 +140,10 @@ const optionalAuthMiddleware = async (req, res, next) => {
         }
 
         // Check if token is in cache
-        const cachedToken = tokenCache.get(token);
-        if (cachedToken && Date.now() < cachedToken.expiresAt) {
-            req.user = cachedToken.payload;
+        const cacheKey = getTokenCacheKey(token);
+        const cachedToken = cacheKey && await tokenCache.get(cacheKey);
+        if (cachedToken && !isRevokedLocally(cachedToken.sid)) {
+            req.user = cachedToken;
             return next();
         }
 
@@ -138,22 +151,22 @@ const optionalAuthMiddleware = async (req, res, next) => {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         
         // Check token structure
-        if (!decoded || typeof decoded !== 'object' || !decoded.id || !decoded.role) {
+        if (!decoded || typeof decoded !== 'object' || !decoded.id || !decoded.role || !decoded.sid) {
             console.log('Invalid token structure:', decoded);
             return next(); // Continue without authentication
         }
 
-        // Cache the token
-        if (tokenCache.size >= TOKEN_CACHE_MAX_SIZE) {
-            // Remove oldest entry
-            const firstKey = tokenCache.keys().next().value;
-            tokenCache.delete(firstKey);
+        // Treat revoked sessions and suspended accounts as anonymous
+        const [account, revoked] = await Promise.all([
+            User.findById(decoded.id).select('status').lean(),
+            isRevoked(decoded.sid)
+        ]);
+        if (revoked || !account || account.status === 'suspended') {
+            return next();
         }
-        
-        tokenCache.set(token, {
-            payload: decoded,
-            expiresAt: Date.now() + TOKEN_CACHE_EXPIRY
-        });
+
+        // Cache the token
+        await cacheToken(cacheKey, decoded);
 
         req.user = decoded;
         next();
@@ -164,4 +177,29 @@ const optionalAuthMiddleware = async (req, res, next) => {
     }
 };
 
-module.exports = { authMiddleware, optionalAuthMiddleware };
+// Requires authMiddleware; blocks accounts that have not confirmed their email address
+const requireVerifiedEmail = async (req, res, next) => {
+    try {
+        const account = await User.findById(req.user.id).select('emailVerified').lean();
+        if (!account) {
+            throw new ApiError(401, 'Account no longer exists');
+        }
+        if (account.emailVerified === false) {
+            throw new ApiError(403, 'Please verify your email address to continue');
+        }
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Requires authMiddleware; sensitive actions need a session that signed in with two-factor authentication
+const requireTwoFactor = (req, res, next) => {
+    if (!req.user.mfa) {
+        return next(new ApiError(403, 'Two-factor authentication is required for this action. Enable it under /api/auth/2fa and sign in again'));
+    }
+    next();
+};
+
+module.exports = { authMiddleware, optionalAuthMiddleware, requireVerifiedEmail, requireTwoFactor };
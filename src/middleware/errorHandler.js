@@ -18,6 +18,11 @@ const initializeErrorHandling = (app) => {
             return ApiResponse.error(res, err.statusCode, err.message, err.errors);
         }
 
+        // File upload errors (size or count limits)
+        if (err.name === 'MulterError') {
+            return ApiResponse.error(res, 400, err.message, [{ field: err.field }]);
+        }
+
         // MongoDB duplicate key error
         if (err.code === 11000) {
             return ApiResponse.error(res, 400, 'Duplicate value error', [
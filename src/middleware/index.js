@@ -13,7 +13,6 @@ const {
     loginLimiter,
     registrationLimiter,
     checkBlockedIP,
-    trackFailedLogin,
     passwordStrengthCheck,
     securityHeaders
 } = require('./security.middleware');
@@ -44,7 +43,6 @@ module.exports = {
         loginLimiter,
         registrationLimiter,
         checkBlockedIP,
-        trackFailedLogin,
         passwordStrengthCheck,
         securityHeaders
     },
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { ApiError } = require('../utils/apiError');
+const Organization = require('../models/organization.model');
+const User = require('../models/user.model');
+const { logAudit } = require('../utils/auditLogger');
+
+/**
+ * Let organization members act on the company's behalf
+ * Requires authMiddleware. When the request names an organization in the
+ * X-Organization-Id header, the caller must be a member whose role grants
+ * `<resource>:read` (GET) or `<resource>:write` (anything else). The request
+ * then runs as the organization's account and active role, so downstream
+ * role checks and services see the company. The member is kept in
+ * `req.user.actingMember` and every change they make is audited under their name.
+ * Without the header the request runs as the caller.
+ * @param {string} resource - 'projects', 'bids', 'plans' or 'payments'
+ */
+const actAsOrganization = (resource) => {
+    return async (req, res, next) => {
+        try {
+            const organizationId = req.get('X-Organization-Id');
+            if (!organizationId) {
+                return next();
+            }
+            if (!mongoose.Types.ObjectId.isValid(organizationId)) {
+                throw new ApiError(400, 'Invalid organization ID');
+            }
+
+            const organization = await Organization.findById(organizationId).select('account role members');
+            const member = organization && organization.getMember(req.user.id);
+            if (!member) {
+                throw new ApiError(403, 'You are not a member of this organization');
+            }
+
+            const permission = `${resource}:${req.method === 'GET' ? 'read' : 'write'}`;
+            if (!Organization.roleCan(member.role, permission)) {
+                throw new ApiError(403, `Your organization role does not allow ${permission}`);
+            }
+
+            const account = await User.findById(organization.account).select('status').lean();
+            if (!account || account.status === 'suspended') {
+                throw new ApiError(403, 'This organization account is not active');
+            }
+
+            const actingMember = {
+                id: req.user.id,
+                role: member.role,
+                organization: organization._id.toString()
+            };
+            req.user = {
+                ...req.user,
+                id: organization.account.toString(),
+                role: organization.role,
+                actingMember
+            };
+
+            if (req.method !== 'GET') {
+                res.on('finish', () => {
+                    if (res.statusCode >= 400) return;
+                    logAudit('ORGANIZATION_MEMBER_ACTION', {
+                        entityType: 'Organization',
+                        entityId: organization._id,
+                        memberRole: member.role,
+                        account: organization.account,
+                        method: req.method,
+                        path: req.originalUrl,
+                        statusCode: res.statusCode,
+                        ip: req.ip,
+                        userAgent: req.get('User-Agent')
+                    }, actingMember.id);
+                });
+            }
+
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
+module.exports = { actAsOrganization };
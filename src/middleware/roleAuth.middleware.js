@@ -2,6 +2,8 @@ const { ApiError } = require('../utils/apiError');
 
 /**
  * Middleware to check if user has required role(s)
+ * Checks the active role the access token was issued for. Holding a role is
+ * not enough; users with several roles switch to it first.
  * @param {string|string[]} allowedRoles - Single role or array of roles allowed to access the route
  */
 const checkRole = (allowedRoles) => {
@@ -33,6 +35,7 @@ const roleAuth = {
     clientOnly: checkRole(['client_owner']),
     vendorOnly: checkRole(['vendor_supplier']),
     constructionOnly: checkRole(['construction_firm']),
+    adminOnly: checkRole(['admin']),
     
     // Combined role checks
     clientAndVendor: checkRole(['client_owner', 'vendor_supplier']),
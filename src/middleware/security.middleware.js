@@ -1,48 +1,19 @@
 const { ApiError } = require('../utils/apiError');
+const loginThrottle = require('../utils/loginThrottle');
 const {
-    IP_BLOCK_DURATION,
-    MAX_FAILED_ATTEMPTS,
     passwordRules,
     securityHeadersConfig,
     rateLimiters
 } = require('../config/security');
 
-// Track failed login attempts
-const loginAttempts = new Map();
-
-// Track and block suspicious IPs
-const trackFailedLogin = (ip, success = false) => {
-    if (!loginAttempts.has(ip)) {
-        loginAttempts.set(ip, { count: 0, blockedUntil: null });
-    }
-
-    const attempt = loginAttempts.get(ip);
-
-    if (success) {
-        // Reset on successful login
-        loginAttempts.delete(ip);
-        return;
+// Middleware to reject requests from IPs blocked for failed sign-ins
+const checkBlockedIP = async (req, res, next) => {
+    try {
+        await loginThrottle.assertIpAllowed(req.ip);
+        next();
+    } catch (error) {
+        next(error);
     }
-
-    attempt.count++;
-    if (attempt.count >= MAX_FAILED_ATTEMPTS) {
-        attempt.blockedUntil = Date.now() + IP_BLOCK_DURATION;
-    }
-
-    loginAttempts.set(ip, attempt);
-};
-
-// Middleware to check for blocked IPs
-const checkBlockedIP = (req, res, next) => {
-    const ip = req.ip;
-    const attempt = loginAttempts.get(ip);
-
-    if (attempt && attempt.blockedUntil && attempt.blockedUntil > Date.now()) {
-        const remainingTime = Math.ceil((attempt.blockedUntil - Date.now()) / 1000 / 60);
-        throw new ApiError(429, `IP blocked due to too many failed attempts. Try again in ${remainingTime} minutes`);
-    }
-
-    next();
 };
 
 // Middleware to validate password strength
@@ -50,6 +21,11 @@ const passwordStrengthCheck = (req, res, next) => {
     const { password } = req.body;
     const errors = [];
 
+    // Missing passwords are reported by the route validators
+    if (typeof password !== 'string') {
+        return next();
+    }
+
     if (password.length < passwordRules.minLength) {
         errors.push(passwordRules.messages.minLength);
     }
@@ -82,7 +58,6 @@ module.exports = {
     
     // Security middleware
     checkBlockedIP,
-    trackFailedLogin,
     passwordStrengthCheck,
     securityHeaders
 };
\ No newline at end of file
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const auditEventSchema = new mongoose.Schema({
+    event: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    level: {
+        type: String,
+        enum: ['info', 'warn', 'error'],
+        default: 'info'
+    },
+    // Acting user; empty for system jobs
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    entityType: {
+        type: String,
+        trim: true
+    },
+    entityId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    data: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    ip: String,
+    userAgent: String
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditEventSchema.index({ event: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
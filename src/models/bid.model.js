@@ -99,12 +99,18 @@ const bidSchema = new mongoose.Schema({
         required: true,
         index: true
     },
+    // Bidder profile: a vendor or a construction firm, per bidderType
     vendor: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'VendorProfile',
+        refPath: 'bidderType',
         required: true,
         index: true
     },
+    bidderType: {
+        type: String,
+        enum: ['VendorProfile', 'ConstructionProfile'],
+        default: 'VendorProfile'
+    },
     proposedCost: {
         total: {
             type: Number,
@@ -148,11 +154,28 @@ const bidSchema = new mongoose.Schema({
         description: String,
         completionDate: Date,
         value: Number,
+        // Vendor's own estimate; scoring compares projectType and area instead
         similarityScore: {
             type: Number,
             min: 0,
             max: 100
         },
+        // Compared with the project being bid on when scoring track record
+        projectType: {
+            type: String,
+            enum: ['residential', 'commercial', 'industrial', 'infrastructure']
+        },
+        area: {
+            value: {
+                type: Number,
+                min: 0
+            },
+            unit: {
+                type: String,
+                enum: ['sqft', 'sqm'],
+                default: 'sqft'
+            }
+        },
         photos: [{
             url: String,
             caption: String
@@ -184,6 +207,19 @@ const bidSchema = new mongoose.Schema({
             reason: String
         }]
     },
+    // Set when a moderator removes the bid
+    moderation: {
+        removed: {
+            type: Boolean,
+            default: false
+        },
+        reason: String,
+        moderatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        moderatedAt: Date
+    },
     negotiations: [{
         initiator: {
             type: String,
@@ -198,11 +234,18 @@ const bidSchema = new mongoose.Schema({
         originalValue: mongoose.Schema.Types.Mixed,
         proposedValue: mongoose.Schema.Types.Mixed,
         message: String,
+        inReplyTo: {
+            type: mongoose.Schema.Types.ObjectId
+        },
         status: {
             type: String,
             enum: ['pending', 'accepted', 'rejected'],
             default: 'pending'
         },
+        response: {
+            message: String,
+            respondedAt: Date
+        },
         timestamp: {
             type: Date,
             default: Date.now
@@ -261,6 +304,88 @@ bidSchema.pre('save', function(next) {
     next();
 });
 
+const DAYS_PER_UNIT = { days: 1, weeks: 7, months: 30 };
+const MS_IN_DAY = 24 * 60 * 60 * 1000;
+const roundAmount = value => Math.round(value * 100) / 100;
+
+/**
+ * Scale cost line items to a new total
+ * Items are rounded to the cent and the largest absorbs the remainder, so the
+ * breakdown adds up to the total exactly.
+ */
+const rescaleBreakdown = (items, previousTotal, total) => {
+    if (!items.length || !(previousTotal > 0)) return;
+
+    const ratio = total / previousTotal;
+    items.forEach(item => {
+        item.amount = roundAmount(item.amount * ratio);
+    });
+
+    const remainder = roundAmount(total - items.reduce((sum, item) => sum + item.amount, 0));
+    if (remainder !== 0) {
+        const largest = items.reduce((max, item) => (item.amount > max.amount ? item : max));
+        largest.amount = roundAmount(largest.amount + remainder);
+    }
+};
+
+/**
+ * Move milestone dates so each keeps its relative place in a new schedule
+ * @param {Array} milestones - Milestones with expectedCompletionDate
+ * @param {Object} from - { startDate, duration: { value, unit } } the dates were planned for
+ * @param {Object} to - { startDate, duration: { value, unit } } of the new schedule
+ */
+const rescaleMilestones = (milestones, from, to) => {
+    const span = ({ value, unit = 'months' }) => value * DAYS_PER_UNIT[unit] * MS_IN_DAY;
+    const fromStart = new Date(from.startDate).getTime();
+    const toStart = new Date(to.startDate).getTime();
+    const fromSpan = span(from.duration);
+    if (!(fromSpan > 0)) return;
+
+    const scale = span(to.duration) / fromSpan;
+    milestones.forEach(milestone => {
+        const offset = new Date(milestone.expectedCompletionDate).getTime() - fromStart;
+        milestone.expectedCompletionDate = new Date(toStart + offset * scale);
+    });
+};
+
+/**
+ * Apply an accepted negotiation's proposed value to the bid
+ * Cost offers rescale the line items so the breakdown still adds up to the new
+ * total; timeline offers move the milestones to fit the new duration.
+ */
+const applyNegotiatedValue = (bid, negotiation) => {
+    const value = negotiation.proposedValue;
+
+    switch (negotiation.type) {
+        case 'cost': {
+            const previousTotal = bid.proposedCost.total;
+            bid.proposedCost.total = value;
+            rescaleBreakdown(bid.proposedCost.breakdown, previousTotal, value);
+            break;
+        }
+        case 'timeline': {
+            const { proposedStartDate: startDate, estimatedDuration } = bid.timeline;
+            const previousDuration = { value: estimatedDuration.value, unit: estimatedDuration.unit };
+            bid.timeline.estimatedDuration = {
+                value: value.value,
+                unit: value.unit || previousDuration.unit
+            };
+            rescaleMilestones(
+                bid.timeline.milestones,
+                { startDate, duration: previousDuration },
+                { startDate, duration: bid.timeline.estimatedDuration }
+            );
+            break;
+        }
+        case 'scope':
+            bid.proposal.approach = value;
+            break;
+        default:
+            // 'other' offers are informational only
+            break;
+    }
+};
+
 // Methods
 bidSchema.methods.updateStatus = async function(newStatus, reason) {
     const validTransitions = {
@@ -286,14 +411,75 @@ bidSchema.methods.updateStatus = async function(newStatus, reason) {
     await this.save();
 };
 
+/**
+ * Open a negotiation offer on the bid
+ * The party's one-open-offer rule is checked in the same write as the push, so
+ * concurrent requests cannot both open an offer. A counter-offer then closes
+ * the offer it replies to.
+ * @returns {Promise<Object>} { bid, negotiation } with the bid as stored
+ */
 bidSchema.methods.addNegotiation = async function(negotiationData) {
-    this.negotiations.push({
+    const entry = {
+        _id: new mongoose.Types.ObjectId(),
         ...negotiationData,
         timestamp: new Date()
-    });
-    
+    };
+
+    const Bid = this.constructor;
+    const updated = await Bid.findOneAndUpdate(
+        {
+            _id: this._id,
+            'status.current': { $in: ['PENDING', 'IN_REVIEW'] },
+            negotiations: { $not: { $elemMatch: { initiator: entry.initiator, status: 'pending' } } }
+        },
+        {
+            $push: { negotiations: entry },
+            $set: { 'metadata.lastUpdated': new Date() }
+        },
+        { new: true, runValidators: true }
+    );
+    if (!updated) {
+        throw new ApiError(409, 'You already have an open offer on this bid');
+    }
+
+    if (entry.inReplyTo) {
+        const response = { message: 'Countered', respondedAt: new Date() };
+        await Bid.updateOne(
+            { _id: this._id },
+            { $set: { 'negotiations.$[countered].status': 'rejected', 'negotiations.$[countered].response': response } },
+            { arrayFilters: [{ 'countered._id': entry.inReplyTo, 'countered.status': 'pending' }] }
+        );
+        const countered = updated.negotiations.id(entry.inReplyTo);
+        if (countered?.status === 'pending') {
+            countered.status = 'rejected';
+            countered.response = response;
+        }
+    }
+
+    return { bid: updated, negotiation: updated.negotiations.id(entry._id) };
+};
+
+bidSchema.methods.resolveNegotiation = async function(negotiationId, decision, message) {
+    const negotiation = this.negotiations.id(negotiationId);
+    if (!negotiation) {
+        throw new ApiError(404, 'Negotiation not found');
+    }
+    if (negotiation.status !== 'pending') {
+        throw new ApiError(400, `Negotiation has already been ${negotiation.status}`);
+    }
+
+    if (decision === 'accepted') {
+        applyNegotiatedValue(this, negotiation);
+    }
+
+    negotiation.status = decision;
+    negotiation.response = {
+        message,
+        respondedAt: new Date()
+    };
+
     await this.save();
-    return this.negotiations[this.negotiations.length - 1];
+    return negotiation;
 };
 
 bidSchema.methods.markAsViewed = async function() {
@@ -305,6 +491,9 @@ bidSchema.methods.markAsViewed = async function() {
 };
 
 // Statics
+bidSchema.statics.rescaleBreakdown = rescaleBreakdown;
+bidSchema.statics.rescaleMilestones = rescaleMilestones;
+
 bidSchema.statics.findCompetingBids = async function(projectId, excludeBidId = null) {
     const query = { project: projectId, 'status.current': { $in: ['PENDING', 'IN_REVIEW'] } };
     
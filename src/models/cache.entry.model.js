@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+/**
+ * Entry of the shared cache used when CACHE_STORE=mongo
+ * Values are stored as JSON so every store hands back the same shapes.
+ */
+const cacheEntrySchema = new mongoose.Schema({
+    // `<namespace>:<key>`
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    value: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// Indexes
+cacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('CacheEntry', cacheEntrySchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+/**
+ * Cache invalidation published by one app instance for the others
+ * Only used while the cache store is local to each instance.
+ */
+const cacheInvalidationSchema = new mongoose.Schema({
+    namespace: {
+        type: String,
+        required: true
+    },
+    // Exactly one of key and prefix is set
+    key: String,
+    prefix: String,
+    // Instance that published the event; it has already applied it
+    origin: {
+        type: String,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Indexes
+cacheInvalidationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+module.exports = mongoose.model('CacheInvalidation', cacheInvalidationSchema);
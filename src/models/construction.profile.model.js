@@ -65,6 +65,11 @@ const constructionProfileSchema = new mongoose.Schema({
         validUntil: {
             type: Date,
             required: [true, 'License validity date is required']
+        },
+        // An expired mandatory license suspends the firm
+        isMandatory: {
+            type: Boolean,
+            default: true
         }
     }],
     equipmentOwned: [{
@@ -213,6 +218,13 @@ const constructionProfileSchema = new mongoose.Schema({
         count: {
             type: Number,
             default: 0
+        },
+        // Per-dimension averages from client reviews
+        breakdown: {
+            quality: { type: Number, min: 0, max: 5 },
+            timeliness: { type: Number, min: 0, max: 5 },
+            communication: { type: Number, min: 0, max: 5 },
+            budgetAdherence: { type: Number, min: 0, max: 5 }
         }
     },
     financialDetails: {
@@ -246,6 +258,18 @@ const constructionProfileSchema = new mongoose.Schema({
         type: String,
         enum: ['active', 'inactive', 'suspended'],
         default: 'active'
+    },
+    suspension: {
+        reason: {
+            type: String,
+            enum: ['LICENSE_EXPIRED', 'ADMIN']
+        },
+        note: String,
+        suspendedAt: Date,
+        suspendedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
     }
 }, {
     timestamps: true
@@ -261,5 +285,56 @@ constructionProfileSchema.index({ 'projectCapacity.budgetRange.minBudget': 1, 'p
 constructionProfileSchema.index({ 'projectCapacity.operationalRegions.city': 1, 'projectCapacity.operationalRegions.state': 1 });
 constructionProfileSchema.index({ 'projectCapacity.simultaneousProjects.current': 1 });
 constructionProfileSchema.index({ 'projectCapacity.projectSizeRange.minSquareFeet': 1, 'projectCapacity.projectSizeRange.maxSquareFeet': 1 });    
+constructionProfileSchema.index({ 'licenses.validUntil': 1 });
+constructionProfileSchema.index({ 'certifications.validUntil': 1 });
+
+// Matches profiles holding a mandatory license that expired before the given date
+const expiredMandatoryLicense = (asOf) => ({
+    licenses: {
+        $elemMatch: {
+            isMandatory: { $ne: false },
+            validUntil: { $lt: asOf }
+        }
+    }
+});
+
+// Methods
+constructionProfileSchema.methods.hasExpiredMandatoryLicense = function(asOf = new Date()) {
+    return (this.licenses || []).some(license =>
+        license.isMandatory !== false && license.validUntil < asOf);
+};
+
+// Statics
+constructionProfileSchema.statics.suspendExpiredLicenses = async function(asOf = new Date()) {
+    const profiles = await this.find({ status: 'active', ...expiredMandatoryLicense(asOf) })
+        .select('user companyName licenses')
+        .lean();
+    if (profiles.length === 0) return [];
+
+    await this.updateMany(
+        { _id: { $in: profiles.map(p => p._id) }, status: 'active' },
+        { $set: { status: 'suspended', suspension: { reason: 'LICENSE_EXPIRED', suspendedAt: asOf } } }
+    );
+
+    return profiles;
+};
+
+constructionProfileSchema.statics.reinstateRenewedLicenses = async function(asOf = new Date()) {
+    const profiles = await this.find({
+        status: 'suspended',
+        'suspension.reason': 'LICENSE_EXPIRED',
+        $nor: [expiredMandatoryLicense(asOf)]
+    })
+        .select('user companyName')
+        .lean();
+    if (profiles.length === 0) return [];
+
+    await this.updateMany(
+        { _id: { $in: profiles.map(p => p._id) }, status: 'suspended' },
+        { $set: { status: 'active' }, $unset: { suspension: '' } }
+    );
+
+    return profiles;
+};
 
 module.exports = mongoose.model('ConstructionProfile', constructionProfileSchema);
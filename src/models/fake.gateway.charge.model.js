@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+/**
+ * Charge held by the fake payment gateway
+ * Stored in the database so releases and refunds work after a restart and on every instance.
+ */
+const fakeGatewayChargeSchema = new mongoose.Schema({
+    reference: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    amount: {
+        type: Number,
+        required: true
+    },
+    currency: String,
+    // Payment reference supplied by the caller
+    paymentReference: String,
+    metadata: mongoose.Schema.Types.Mixed,
+    status: {
+        type: String,
+        enum: ['held', 'released', 'refunded'],
+        default: 'held'
+    },
+    releasedAt: Date,
+    refundedAt: Date
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('FakeGatewayCharge', fakeGatewayChargeSchema);
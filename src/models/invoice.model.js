@@ -0,0 +1,194 @@
+const mongoose = require('mongoose');
+const { ApiError } = require('../utils/apiError');
+
+const roundAmount = value => Math.round(value * 100) / 100;
+
+const paymentSchema = new mongoose.Schema({
+    amount: {
+        type: Number,
+        required: [true, 'Payment amount is required'],
+        min: [0.01, 'Payment amount must be positive']
+    },
+    currency: {
+        type: String,
+        enum: ['INR', 'USD'],
+        required: true
+    },
+    gateway: {
+        type: String,
+        required: true
+    },
+    gatewayReference: String,
+    // PENDING: sent to gateway, HELD: in escrow, RELEASED: paid out to vendor, REFUNDED: returned to client
+    status: {
+        type: String,
+        enum: ['PENDING', 'HELD', 'RELEASED', 'FAILED', 'REFUNDED'],
+        default: 'PENDING'
+    },
+    failureReason: String,
+    paidBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    heldAt: Date,
+    releasedAt: Date,
+    refundedAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const invoiceSchema = new mongoose.Schema({
+    invoiceNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project',
+        required: true,
+        index: true
+    },
+    bid: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Bid',
+        required: true
+    },
+    // Execution milestone on the project this invoice pays for
+    milestone: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    milestoneTitle: String,
+    client: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ClientProfile',
+        required: true
+    },
+    clientUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    vendor: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'bidderType',
+        required: true
+    },
+    bidderType: {
+        type: String,
+        enum: ['VendorProfile', 'ConstructionProfile'],
+        default: 'VendorProfile'
+    },
+    vendorUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Invoice amount is required'],
+        min: [0, 'Invoice amount cannot be negative']
+    },
+    currency: {
+        type: String,
+        enum: ['INR', 'USD'],
+        default: 'INR'
+    },
+    paymentPercentage: {
+        type: Number,
+        min: 0,
+        max: 100
+    },
+    dueDate: Date,
+    status: {
+        type: String,
+        enum: ['ISSUED', 'PARTIALLY_PAID', 'PAID', 'CANCELLED'],
+        default: 'ISSUED'
+    },
+    escrow: {
+        held: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        released: {
+            type: Number,
+            default: 0,
+            min: 0
+        }
+    },
+    payments: [paymentSchema]
+}, {
+    timestamps: true,
+    // Payments are settled by concurrent requests; a save over a stale copy fails
+    optimisticConcurrency: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes
+invoiceSchema.index({ project: 1, milestone: 1 }, { unique: true });
+invoiceSchema.index({ clientUser: 1, status: 1 });
+invoiceSchema.index({ vendorUser: 1, status: 1 });
+
+// Virtuals
+invoiceSchema.virtual('amountPaid').get(function() {
+    return roundAmount((this.escrow?.held || 0) + (this.escrow?.released || 0));
+});
+
+invoiceSchema.virtual('outstanding').get(function() {
+    return roundAmount(Math.max(0, this.amount - this.amountPaid));
+});
+
+// Methods
+invoiceSchema.methods.refreshTotals = function() {
+    const sumByStatus = status => roundAmount(
+        this.payments
+            .filter(p => p.status === status)
+            .reduce((sum, p) => sum + p.amount, 0)
+    );
+
+    this.escrow.held = sumByStatus('HELD');
+    this.escrow.released = sumByStatus('RELEASED');
+
+    if (this.status !== 'CANCELLED') {
+        const paid = this.escrow.held + this.escrow.released;
+        if (paid <= 0) {
+            this.status = 'ISSUED';
+        } else if (paid < this.amount) {
+            this.status = 'PARTIALLY_PAID';
+        } else {
+            this.status = 'PAID';
+        }
+    }
+};
+
+invoiceSchema.methods.assertPayable = function(amount, currency) {
+    if (this.status === 'CANCELLED') {
+        throw new ApiError(400, 'Invoice has been cancelled');
+    }
+    if (currency && currency !== this.currency) {
+        throw new ApiError(400, `Payments for this invoice must be made in ${this.currency}`);
+    }
+
+    const pending = this.payments
+        .filter(p => p.status === 'PENDING')
+        .reduce((sum, p) => sum + p.amount, 0);
+    const payable = roundAmount(this.outstanding - pending);
+
+    if (amount > payable) {
+        throw new ApiError(400, `Payment exceeds the outstanding balance of ${payable} ${this.currency}`);
+    }
+};
+
+// Statics
+invoiceSchema.statics.generateInvoiceNumber = function(projectId, index) {
+    return `INV-${projectId.toString().toUpperCase()}-${String(index + 1).padStart(2, '0')}`;
+};
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+/**
+ * Lease on a background job shared by every app instance
+ * Whichever instance holds an unexpired lease runs the job; the others skip it.
+ */
+const jobLockSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Instance holding the lease
+    owner: {
+        type: String,
+        required: true
+    },
+    lockedUntil: {
+        type: Date,
+        required: true
+    }
+});
+
+// Statics
+jobLockSchema.statics.acquire = async function(name, owner, leaseMs) {
+    const now = new Date();
+    try {
+        const lock = await this.findOneAndUpdate(
+            { name, $or: [{ lockedUntil: { $lte: now } }, { owner }] },
+            { $set: { owner, lockedUntil: new Date(now.getTime() + leaseMs) } },
+            { upsert: true, new: true }
+        );
+        return Boolean(lock);
+    } catch (error) {
+        // The upsert collided with a lease another instance still holds
+        if (error.code === 11000) return false;
+        throw error;
+    }
+};
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
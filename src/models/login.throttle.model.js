@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+/**
+ * Failure counters and blocks shared by every app instance
+ * Keys look like `account:<email>`, `ip:<address>` or `rl:<limiter>:<ip>`.
+ */
+const loginThrottleSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    // The counter starts over once this passes
+    windowExpiresAt: Date,
+    blockedUntil: Date,
+    // Later of the window end and the block end
+    expiresAt: Date
+});
+
+// Indexes
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
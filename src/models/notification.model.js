@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: [
+            'CREDENTIAL_EXPIRING',
+            'CREDENTIAL_EXPIRED',
+            'ACCOUNT_SUSPENDED',
+            'ACCOUNT_REINSTATED',
+            'VERIFICATION_APPROVED',
+            'VERIFICATION_REJECTED'
+        ],
+        required: true
+    },
+    severity: {
+        type: String,
+        enum: ['info', 'warning', 'critical'],
+        default: 'info'
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    message: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    data: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    // Identifies the event so scheduled jobs never raise the same notification twice
+    dedupeKey: {
+        type: String
+    },
+    readAt: Date
+}, {
+    timestamps: true
+});
+
+// Indexes
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+notificationSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+
+// Statics
+// Returns whether a new notification was created
+notificationSchema.statics.notifyOnce = async function(notification) {
+    if (!notification.dedupeKey) {
+        await this.create(notification);
+        return true;
+    }
+
+    const result = await this.updateOne(
+        { dedupeKey: notification.dedupeKey },
+        { $setOnInsert: notification },
+        { upsert: true }
+    );
+    return result.upsertedCount > 0;
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const organizationInvitationSchema = new mongoose.Schema({
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true
+    },
+    email: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+    },
+    role: {
+        type: String,
+        enum: ['owner', 'estimator', 'site_manager', 'finance'],
+        required: true
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['PENDING', 'ACCEPTED', 'DECLINED', 'REVOKED'],
+        default: 'PENDING'
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    respondedAt: Date,
+    revokedAt: Date
+}, {
+    timestamps: true
+});
+
+// Indexes
+organizationInvitationSchema.index({ organization: 1, email: 1 }, { unique: true });
+organizationInvitationSchema.index({ email: 1, status: 1 });
+
+// Methods
+organizationInvitationSchema.methods.isOpen = function() {
+    return this.status === 'PENDING' && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('OrganizationInvitation', organizationInvitationSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const MEMBER_ROLES = ['owner', 'estimator', 'site_manager', 'finance'];
+
+// What each member role may do when acting for the organization; write implies read
+const ROLE_PERMISSIONS = {
+    owner: ['organization:manage', 'projects:write', 'bids:write', 'plans:write', 'payments:write'],
+    estimator: ['projects:read', 'bids:write', 'plans:write'],
+    site_manager: ['projects:write', 'bids:read', 'plans:write'],
+    finance: ['projects:read', 'bids:read', 'plans:read', 'payments:write']
+};
+
+const memberSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    role: {
+        type: String,
+        enum: MEMBER_ROLES,
+        required: true
+    },
+    addedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    joinedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const organizationSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Organization name is required'],
+        trim: true,
+        maxlength: [200, 'Organization name cannot exceed 200 characters']
+    },
+    // The user account that holds the company's profile; members act on its behalf
+    account: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Role the company trades as, which selects the profile members work with
+    role: {
+        type: String,
+        enum: ['client_owner', 'vendor_supplier', 'construction_firm'],
+        required: true
+    },
+    members: [memberSchema]
+}, {
+    timestamps: true
+});
+
+// Indexes
+organizationSchema.index({ account: 1, role: 1 }, { unique: true });
+organizationSchema.index({ 'members.user': 1 });
+
+// Methods
+organizationSchema.methods.getMember = function(userId) {
+    return this.members.find(member => member.user.toString() === userId.toString()) || null;
+};
+
+organizationSchema.methods.can = function(userId, permission) {
+    const member = this.getMember(userId);
+    return Boolean(member) && this.constructor.roleCan(member.role, permission);
+};
+
+// Statics
+organizationSchema.statics.MEMBER_ROLES = MEMBER_ROLES;
+
+organizationSchema.statics.roleCan = function(memberRole, permission) {
+    const granted = ROLE_PERMISSIONS[memberRole] || [];
+    const [resource, access] = permission.split(':');
+    return granted.includes(permission) || (access === 'read' && granted.includes(`${resource}:write`));
+};
+
+organizationSchema.statics.permissionsFor = function(memberRole) {
+    return [...(ROLE_PERMISSIONS[memberRole] || [])];
+};
+
+module.exports = mongoose.model('Organization', organizationSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Invitations that still grant access to an invite-only project
+const ACTIVE_STATUSES = ['PENDING', 'ACCEPTED'];
+
+const projectInvitationSchema = new mongoose.Schema({
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project',
+        required: true
+    },
+    vendor: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'bidderType',
+        required: true
+    },
+    bidderType: {
+        type: String,
+        enum: ['VendorProfile', 'ConstructionProfile'],
+        default: 'VendorProfile'
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    message: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Message cannot exceed 1000 characters']
+    },
+    status: {
+        type: String,
+        enum: ['PENDING', 'ACCEPTED', 'DECLINED', 'REVOKED'],
+        default: 'PENDING'
+    },
+    respondedAt: Date,
+    revokedAt: Date
+}, {
+    timestamps: true
+});
+
+// Indexes
+projectInvitationSchema.index({ project: 1, vendor: 1 }, { unique: true });
+projectInvitationSchema.index({ vendor: 1, status: 1 });
+
+// Statics
+projectInvitationSchema.statics.isInvited = async function(projectId, vendorId) {
+    const invitation = await this.exists({
+        project: projectId,
+        vendor: vendorId,
+        status: { $in: ACTIVE_STATUSES }
+    });
+    return Boolean(invitation);
+};
+
+projectInvitationSchema.statics.findInvitedProjectIds = async function(vendorId) {
+    return this.distinct('project', {
+        vendor: vendorId,
+        status: { $in: ACTIVE_STATUSES }
+    });
+};
+
+module.exports = mongoose.model('ProjectInvitation', projectInvitationSchema);
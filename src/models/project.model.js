@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { ApiError } = require('../utils/apiError');
+const { logStatusChange } = require('../utils/auditLogger');
 
 const projectSpecificationSchema = new mongoose.Schema({
     area: {
@@ -69,6 +70,65 @@ const projectTimelineSchema = new mongoose.Schema({
     }
 });
 
+const executionMilestoneSchema = new mongoose.Schema({
+    // Milestone on the accepted bid this entry was created from
+    bidMilestone: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    title: {
+        type: String,
+        required: [true, 'Milestone title is required']
+    },
+    description: String,
+    expectedCompletionDate: {
+        type: Date,
+        required: [true, 'Expected completion date is required']
+    },
+    paymentPercentage: {
+        type: Number,
+        min: [0, 'Payment percentage cannot be negative'],
+        max: [100, 'Payment percentage cannot exceed 100'],
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: ['PENDING', 'SUBMITTED', 'APPROVED', 'REJECTED'],
+        default: 'PENDING'
+    },
+    submission: {
+        notes: String,
+        evidence: [{
+            type: {
+                type: String,
+                enum: ['photo', 'document', 'report', 'other'],
+                default: 'photo'
+            },
+            url: {
+                type: String,
+                required: [true, 'Evidence URL is required']
+            },
+            caption: String
+        }],
+        submittedAt: Date
+    },
+    review: {
+        feedback: String,
+        reviewedAt: Date
+    },
+    approvedAt: Date,
+    history: [{
+        status: {
+            type: String,
+            enum: ['PENDING', 'SUBMITTED', 'APPROVED', 'REJECTED']
+        },
+        timestamp: {
+            type: Date,
+            default: Date.now
+        },
+        note: String
+    }]
+});
+
 const projectSchema = new mongoose.Schema({
     client: {
         type: mongoose.Schema.Types.ObjectId,
@@ -263,6 +323,71 @@ const projectSchema = new mongoose.Schema({
         enum: ['public', 'private', 'invited'],
         default: 'public'
     },
+    // Tender mode: bids are accepted until the deadline, then the project moves to IN_REVIEW
+    tender: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        submissionDeadline: {
+            type: Date,
+            required: function() {
+                return this.tender?.enabled;
+            }
+        },
+        // Sealed tenders hide competing bids from vendors until the deadline
+        sealed: {
+            type: Boolean,
+            default: false
+        },
+        closedAt: Date
+    },
+    // Winning vendor, recorded when a bid is accepted
+    assignment: {
+        bid: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Bid'
+        },
+        vendor: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'assignment.bidderType'
+        },
+        bidderType: {
+            type: String,
+            enum: ['VendorProfile', 'ConstructionProfile'],
+            default: 'VendorProfile'
+        },
+        vendorUser: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        agreedCost: {
+            type: Number,
+            min: 0
+        },
+        currency: {
+            type: String,
+            enum: ['INR', 'USD']
+        },
+        assignedAt: Date,
+        // Whether the assigned construction firm holds a simultaneous-project slot
+        capacityReserved: {
+            type: Boolean,
+            default: false
+        }
+    },
+    // Milestone tracking once the project is under way
+    execution: {
+        milestones: [executionMilestoneSchema],
+        percentComplete: {
+            type: Number,
+            min: 0,
+            max: 100,
+            default: 0
+        },
+        startedAt: Date,
+        completedAt: Date
+    },
     metadata: {
         createdAt: {
             type: Date,
@@ -293,6 +418,8 @@ projectSchema.index({ 'status.current': 1 });
 projectSchema.index({ 'projectType': 1 });
 projectSchema.index({ 'budget.range.min': 1, 'budget.range.max': 1 });
 projectSchema.index({ 'metadata.createdAt': -1 });
+projectSchema.index({ 'assignment.vendor': 1, 'status.current': 1 });
+projectSchema.index({ 'tender.enabled': 1, 'status.current': 1, 'tender.submissionDeadline': 1 });
 
 // Middleware
 projectSchema.pre('save', function(next) {
@@ -324,6 +451,57 @@ projectSchema.methods.updateStatus = async function(newStatus, reason) {
     }
 };
 
+projectSchema.methods.isAssignedTo = function(vendorProfileId) {
+    return Boolean(this.assignment?.vendor) &&
+        this.assignment.vendor.toString() === vendorProfileId.toString();
+};
+
+projectSchema.methods.initializeExecution = function(bid) {
+    this.execution = {
+        milestones: (bid.timeline?.milestones || []).map(milestone => ({
+            bidMilestone: milestone._id,
+            title: milestone.title,
+            description: milestone.description,
+            expectedCompletionDate: milestone.expectedCompletionDate,
+            paymentPercentage: milestone.paymentPercentage,
+            status: 'PENDING',
+            history: [{ status: 'PENDING', timestamp: new Date() }]
+        })),
+        percentComplete: 0,
+        startedAt: new Date()
+    };
+};
+
+projectSchema.methods.recalculateProgress = function() {
+    const milestones = this.execution?.milestones || [];
+    if (milestones.length === 0) {
+        this.execution.percentComplete = 0;
+        return 0;
+    }
+
+    // Weight by payment share; fall back to milestone count when no shares are set
+    const totalWeight = milestones.reduce((sum, m) => sum + (m.paymentPercentage || 0), 0);
+    const approved = milestones.filter(m => m.status === 'APPROVED');
+    const percentComplete = totalWeight > 0
+        ? approved.reduce((sum, m) => sum + (m.paymentPercentage || 0), 0) / totalWeight * 100
+        : approved.length / milestones.length * 100;
+
+    this.execution.percentComplete = Math.round(percentComplete * 100) / 100;
+    return this.execution.percentComplete;
+};
+
+projectSchema.methods.getSlippedMilestones = function(asOf = new Date()) {
+    return (this.execution?.milestones || []).filter(milestone => {
+        const due = new Date(milestone.expectedCompletionDate);
+        // Delivery counts from submission; time awaiting the client's review is not slippage
+        if (['SUBMITTED', 'APPROVED'].includes(milestone.status)) {
+            const deliveredAt = milestone.submission?.submittedAt || milestone.approvedAt;
+            return Boolean(deliveredAt) && deliveredAt > due;
+        }
+        return due < asOf;
+    });
+};
+
 projectSchema.methods.incrementViews = async function() {
     this.metadata.views += 1;
     this.metadata.lastActivityAt = new Date();
@@ -345,6 +523,54 @@ projectSchema.statics.findNearby = async function(coordinates, maxDistance = 500
     });
 };
 
+// Tender helpers take plain objects so they work on lean results too
+projectSchema.statics.isTenderClosed = function(project, asOf = new Date()) {
+    return Boolean(project?.tender?.enabled && project.tender.submissionDeadline) &&
+        new Date(project.tender.submissionDeadline) <= asOf;
+};
+
+projectSchema.statics.areBidsSealed = function(project, asOf = new Date()) {
+    return Boolean(project?.tender?.enabled && project.tender.sealed) &&
+        !this.isTenderClosed(project, asOf);
+};
+
+projectSchema.statics.closeExpiredTenders = async function(asOf = new Date(), filter = {}) {
+    const projects = await this.find({
+        ...filter,
+        'tender.enabled': true,
+        'status.current': 'OPEN',
+        'tender.submissionDeadline': { $lte: asOf }
+    }).select('status tender metadata');
+
+    const Bid = mongoose.model('Bid');
+    for (const project of projects) {
+        project.tender.closedAt = asOf;
+        await project.updateStatus('IN_REVIEW', 'Tender submission deadline passed');
+        logStatusChange('Project', project._id, 'OPEN', 'IN_REVIEW', null, { reason: 'Tender submission deadline passed' });
+
+        const pendingBids = await Bid.find({ project: project._id, 'status.current': 'PENDING' }).select('_id').lean();
+        await Bid.updateMany(
+            { _id: { $in: pendingBids.map(bid => bid._id) } },
+            {
+                $set: { 'status.current': 'IN_REVIEW' },
+                $push: {
+                    'status.history': {
+                        status: 'IN_REVIEW',
+                        timestamp: asOf,
+                        reason: 'Tender closed'
+                    }
+                }
+            }
+        );
+        pendingBids.forEach(bid => logStatusChange('Bid', bid._id, 'PENDING', 'IN_REVIEW', null, {
+            projectId: project._id,
+            reason: 'Tender closed'
+        }));
+    }
+
+    return projects.length;
+};
+
 projectSchema.statics.findMatchingVendors = async function(projectId) {
     const project = await this.findById(projectId);
     if (!project) {
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Only a SHA-256 hash is stored; the raw token is returned to the client once
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Every token rotated from the same login shares a session ID
+    sessionId: {
+        type: String,
+        required: true
+    },
+    // Role the session acts as; carried over on rotation
+    role: String,
+    // Whether the session signed in with two-factor authentication
+    mfa: {
+        type: Boolean,
+        default: false
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: Date,
+    revokedReason: {
+        type: String,
+        enum: ['ROTATED', 'LOGOUT', 'LOGOUT_ALL', 'REUSE_DETECTED', 'ACCOUNT_SUSPENDED', 'PASSWORD_RESET', 'ROLE_SWITCHED', 'TWO_FACTOR_ENABLED', 'TWO_FACTOR_RESET']
+    },
+    replacedBy: String,
+    createdByIp: String,
+    userAgent: String
+}, {
+    timestamps: true
+});
+
+// Indexes
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ sessionId: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Methods
+refreshTokenSchema.methods.isActive = function(asOf = new Date()) {
+    return !this.revokedAt && this.expiresAt > asOf;
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+const scoreField = (label) => ({
+    type: Number,
+    required: [true, `${label} score is required`],
+    min: [1, `${label} score must be between 1 and 5`],
+    max: [5, `${label} score must be between 1 and 5`]
+});
+
+const reviewSchema = new mongoose.Schema({
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project',
+        required: true,
+        unique: true // One review per completed project
+    },
+    bid: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Bid'
+    },
+    vendor: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'bidderType',
+        required: true,
+        index: true
+    },
+    bidderType: {
+        type: String,
+        enum: ['VendorProfile', 'ConstructionProfile'],
+        default: 'VendorProfile'
+    },
+    client: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ClientProfile',
+        required: true
+    },
+    clientUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    scores: {
+        quality: scoreField('Quality'),
+        timeliness: scoreField('Timeliness'),
+        communication: scoreField('Communication'),
+        budgetAdherence: scoreField('Budget adherence')
+    },
+    overall: {
+        type: Number,
+        min: 1,
+        max: 5
+    },
+    comment: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Review cannot exceed 2000 characters']
+    },
+    vendorResponse: {
+        message: {
+            type: String,
+            trim: true,
+            maxlength: [2000, 'Response cannot exceed 2000 characters']
+        },
+        respondedAt: Date
+    },
+    // Hidden reviews are not shown and do not count towards ratings
+    moderation: {
+        hidden: {
+            type: Boolean,
+            default: false
+        },
+        reason: String,
+        moderatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        moderatedAt: Date
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+reviewSchema.index({ vendor: 1, createdAt: -1 });
+
+// Middleware
+reviewSchema.pre('save', function(next) {
+    const { quality, timeliness, communication, budgetAdherence } = this.scores;
+    this.overall = Math.round((quality + timeliness + communication + budgetAdherence) / 4 * 100) / 100;
+    next();
+});
+
+// Statics
+reviewSchema.statics.recalculateVendorRatings = async function(vendorId, bidderType = 'VendorProfile') {
+    const [stats] = await this.aggregate([
+        {
+            $match: {
+                vendor: new mongoose.Types.ObjectId(vendorId.toString()),
+                'moderation.hidden': { $ne: true }
+            }
+        },
+        {
+            $group: {
+                _id: '$vendor',
+                average: { $avg: '$overall' },
+                count: { $sum: 1 },
+                quality: { $avg: '$scores.quality' },
+                timeliness: { $avg: '$scores.timeliness' },
+                communication: { $avg: '$scores.communication' },
+                budgetAdherence: { $avg: '$scores.budgetAdherence' }
+            }
+        }
+    ]);
+
+    const round = value => Math.round((value || 0) * 100) / 100;
+    const ratings = {
+        average: round(stats?.average),
+        count: stats?.count || 0,
+        breakdown: {
+            quality: round(stats?.quality),
+            timeliness: round(stats?.timeliness),
+            communication: round(stats?.communication),
+            budgetAdherence: round(stats?.budgetAdherence)
+        }
+    };
+
+    await mongoose.model(bidderType).updateOne({ _id: vendorId }, { $set: { ratings } });
+
+    return ratings;
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Sessions whose access tokens must be refused before they expire
+const tokenRevocationSchema = new mongoose.Schema({
+    sessionId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    reason: String,
+    // Kept until the last access token of the session has expired
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+tokenRevocationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('TokenRevocation', tokenRevocationSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+/**
+ * A user's TOTP secret and backup codes
+ * Kept apart from the user document so secrets are never loaded with it.
+ * Secrets are stored encrypted and backup codes as SHA-256 hashes.
+ */
+const twoFactorCredentialSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    secret: String,
+    // Set during enrollment until the first code confirms the authenticator app
+    pendingSecret: String,
+    backupCodes: [{
+        hash: {
+            type: String,
+            required: true
+        },
+        usedAt: Date,
+        _id: false
+    }],
+    // Time step of the last accepted code; a code is never accepted twice
+    lastUsedStep: {
+        type: Number,
+        default: 0
+    },
+    enabledAt: Date
+}, {
+    timestamps: true
+});
+
+// Methods
+twoFactorCredentialSchema.methods.remainingBackupCodes = function() {
+    return this.backupCodes.filter(code => !code.usedAt).length;
+};
+
+module.exports = mongoose.model('TwoFactorCredential', twoFactorCredentialSchema);
@@ -1,5 +1,10 @@
 const mongoose = require('mongoose');
 
+const ROLES = ['client_owner', 'vendor_supplier', 'construction_firm', 'admin'];
+
+// Roles a user holds; accounts created before multi-role support only have `role`
+const heldRoles = (user) => (user.roles && user.roles.length > 0 ? user.roles : [user.role]);
+
 const userSchema = new mongoose.Schema({
     firstName: {
         type: String,
@@ -24,32 +29,60 @@ const userSchema = new mongoose.Schema({
         required: [true, 'Password is required'],
         minlength: [8, 'Password must be at least 8 characters']
     },
+    // Default role, used when a login does not ask for a specific one
     role: {
         type: String,
-        enum: ['client_owner', 'vendor_supplier', 'construction_firm'],
+        // Admin accounts cannot be self-registered
+        enum: ROLES,
         required: [true, 'Role is required']
     },
+    // Every role the user holds, each with its own profile
+    roles: {
+        type: [{
+            type: String,
+            enum: ROLES
+        }],
+        default: undefined
+    },
     phone: {
         type: String,
         required: function() {
-            return this.role === 'vendor_supplier' || this.role === 'construction_firm';
+            return heldRoles(this).some(role => role === 'vendor_supplier' || role === 'construction_firm');
         },
         match: [/^[0-9]{10}$/, 'Please enter a valid 10-digit phone number']
     },
     companyName: {
         type: String,
         required: function() {
-            return this.role === 'construction_firm';
+            return heldRoles(this).includes('construction_firm');
         },
         trim: true
     },
     gstNumber: {
         type: String,
         required: function() {
-            return this.role === 'construction_firm';
+            return heldRoles(this).includes('construction_firm');
         },
         trim: true,
         match: [/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/, 'Please enter a valid GST number']
+    },
+    // Accounts created before email verification existed have no value and are treated as verified
+    emailVerified: Boolean,
+    emailVerifiedAt: Date,
+    // Secrets live in TwoFactorCredential
+    twoFactorEnabled: Boolean,
+    status: {
+        type: String,
+        enum: ['active', 'suspended'],
+        default: 'active'
+    },
+    suspension: {
+        reason: String,
+        suspendedAt: Date,
+        suspendedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
     }
 }, {
     timestamps: true,
@@ -63,5 +96,26 @@ const userSchema = new mongoose.Schema({
 
 // Index for email lookups
 userSchema.index({ email: 1 });
+userSchema.index({ role: 1, status: 1 });
+userSchema.index({ roles: 1 });
+
+// Keep the default role among the roles held
+userSchema.pre('validate', function(next) {
+    if (this.role && !heldRoles(this).includes(this.role)) {
+        this.roles = [...heldRoles(this), this.role];
+    } else if (!this.roles || this.roles.length === 0) {
+        this.roles = [this.role];
+    }
+    next();
+});
+
+// Methods
+userSchema.methods.hasRole = function(role) {
+    return heldRoles(this).includes(role);
+};
+
+userSchema.methods.getRoles = function() {
+    return [...heldRoles(this)];
+};
 
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
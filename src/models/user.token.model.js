@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * Single-use tokens sent to a user by email
+ * Only a hash of the token is stored.
+ */
+const userTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    purpose: {
+        type: String,
+        enum: ['EMAIL_VERIFICATION', 'PASSWORD_RESET'],
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: Date
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+userTokenSchema.index({ user: 1, purpose: 1 });
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Statics
+
+/**
+ * Create a token for the user, replacing any unused one with the same purpose
+ * @returns {Promise<string>} Raw token to send to the user
+ */
+userTokenSchema.statics.issue = async function(userId, purpose, ttlMs) {
+    const rawToken = crypto.randomBytes(32).toString('hex');
+
+    await this.deleteMany({ user: userId, purpose, usedAt: null });
+    await this.create({
+        user: userId,
+        purpose,
+        tokenHash: this.hash(rawToken),
+        expiresAt: new Date(Date.now() + ttlMs)
+    });
+
+    return rawToken;
+};
+
+/**
+ * Mark a token as used if it is valid
+ * The update is atomic, so a token can only be consumed once.
+ * @returns {Promise<Object|null>} The token document, or null if invalid, used or expired
+ */
+userTokenSchema.statics.consume = function(rawToken, purpose) {
+    return this.findOneAndUpdate(
+        {
+            tokenHash: this.hash(rawToken),
+            purpose,
+            usedAt: null,
+            expiresAt: { $gt: new Date() }
+        },
+        { $set: { usedAt: new Date() } },
+        { new: true }
+    );
+};
+
+userTokenSchema.statics.hash = function(rawToken) {
+    return crypto.createHash('sha256').update(String(rawToken)).digest('hex');
+};
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
@@ -88,6 +88,9 @@ const vendorProfileSchema = new mongoose.Schema({
         year: {
             type: Number,
             required: true
+        },
+        validUntil: {
+            type: Date
         }
     }],
     ratings: {
@@ -100,6 +103,13 @@ const vendorProfileSchema = new mongoose.Schema({
         count: {
             type: Number,
             default: 0
+        },
+        // Per-dimension averages from client reviews
+        breakdown: {
+            quality: { type: Number, min: 0, max: 5 },
+            timeliness: { type: Number, min: 0, max: 5 },
+            communication: { type: Number, min: 0, max: 5 },
+            budgetAdherence: { type: Number, min: 0, max: 5 }
         }
     },
     isVerified: {
@@ -110,6 +120,18 @@ const vendorProfileSchema = new mongoose.Schema({
         type: String,
         enum: ['active', 'inactive', 'suspended'],
         default: 'active'
+    },
+    suspension: {
+        reason: {
+            type: String,
+            enum: ['ADMIN']
+        },
+        note: String,
+        suspendedAt: Date,
+        suspendedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
     }
 }, {
     timestamps: true
@@ -122,5 +144,6 @@ vendorProfileSchema.index({ 'experience.yearsInBusiness': -1 });
 vendorProfileSchema.index({ 'projectRange.minBudget': 1, 'projectRange.maxBudget': 1 });
 vendorProfileSchema.index({ 'projectRange.preferredLocations.city': 1, 'projectRange.preferredLocations.state': 1 });
 vendorProfileSchema.index({ 'projectRange.preferredProjectTypes': 1 });
+vendorProfileSchema.index({ 'certifications.validUntil': 1 });
 
 module.exports = mongoose.model('VendorProfile', vendorProfileSchema);
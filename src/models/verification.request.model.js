@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const DOCUMENT_TYPES = ['gst_certificate', 'license', 'identity', 'other'];
+
+const verificationDocumentSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: DOCUMENT_TYPES,
+        required: [true, 'Document type is required']
+    },
+    originalName: {
+        type: String,
+        trim: true
+    },
+    path: {
+        type: String,
+        required: [true, 'Document path is required']
+    },
+    mimeType: String,
+    size: Number,
+    uploadedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const verificationRequestSchema = new mongoose.Schema({
+    profile: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'profileType',
+        required: true
+    },
+    profileType: {
+        type: String,
+        enum: ['VendorProfile', 'ConstructionProfile'],
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    documents: {
+        type: [verificationDocumentSchema],
+        validate: {
+            validator: documents => documents.length > 0,
+            message: 'At least one document is required'
+        }
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+    status: {
+        type: String,
+        enum: ['PENDING', 'APPROVED', 'REJECTED'],
+        default: 'PENDING'
+    },
+    review: {
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reviewedAt: Date,
+        reason: {
+            type: String,
+            trim: true,
+            maxlength: [1000, 'Reason cannot exceed 1000 characters']
+        }
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+verificationRequestSchema.index({ status: 1, createdAt: 1 });
+verificationRequestSchema.index({ profile: 1, createdAt: -1 });
+
+verificationRequestSchema.statics.DOCUMENT_TYPES = DOCUMENT_TYPES;
+
+module.exports = mongoose.model('VerificationRequest', verificationRequestSchema);
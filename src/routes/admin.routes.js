@@ -0,0 +1,128 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const adminController = require('../controllers/admin.controller');
+const { authMiddleware, requireTwoFactor } = require('../middleware/auth.middleware');
+const roleAuth = require('../middleware/roleAuth.middleware');
+
+const router = express.Router();
+
+// Validation middleware
+const paginationValidation = [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+const reasonValidation = body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required')
+    .isLength({ max: 1000 })
+    .withMessage('Reason cannot exceed 1000 characters');
+
+const optionalReasonValidation = body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Reason cannot exceed 1000 characters');
+
+const userIdValidation = param('userId').isMongoId().withMessage('Invalid user ID');
+
+const profileParamsValidation = [
+    param('type').isIn(['vendor', 'construction']).withMessage('Profile type must be vendor or construction'),
+    param('profileId').isMongoId().withMessage('Invalid profile ID')
+];
+
+const listUsersValidation = [
+    query('search').optional().trim().isLength({ max: 100 }).withMessage('Search cannot exceed 100 characters'),
+    query('role')
+        .optional()
+        .isIn(['client_owner', 'vendor_supplier', 'construction_firm', 'admin'])
+        .withMessage('Invalid role'),
+    query('status').optional().isIn(['active', 'suspended']).withMessage('Invalid status'),
+    ...paginationValidation
+];
+
+const listProfilesValidation = [
+    param('type').isIn(['vendor', 'construction']).withMessage('Profile type must be vendor or construction'),
+    query('search').optional().trim().isLength({ max: 100 }).withMessage('Search cannot exceed 100 characters'),
+    query('status').optional().isIn(['active', 'inactive', 'suspended']).withMessage('Invalid status'),
+    query('verified').optional().isBoolean().withMessage('Verified must be true or false'),
+    ...paginationValidation
+];
+
+const listBidsValidation = [
+    query('project').optional().isMongoId().withMessage('Invalid project ID'),
+    query('status')
+        .optional()
+        .isIn(['DRAFT', 'PENDING', 'IN_REVIEW', 'ACCEPTED', 'REJECTED', 'WITHDRAWN'])
+        .withMessage('Invalid bid status'),
+    query('removed').optional().isBoolean().withMessage('Removed must be true or false'),
+    ...paginationValidation
+];
+
+const listReviewsValidation = [
+    query('vendor').optional().isMongoId().withMessage('Invalid vendor ID'),
+    query('hidden').optional().isBoolean().withMessage('Hidden must be true or false'),
+    query('maxRating').optional().isFloat({ min: 1, max: 5 }).withMessage('Max rating must be between 1 and 5'),
+    ...paginationValidation
+];
+
+const listAuditEventsValidation = [
+    query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+    query('entityType').optional().trim().isLength({ max: 50 }).withMessage('Invalid entity type'),
+    query('entityId').optional().isMongoId().withMessage('Invalid entity ID'),
+    query('event').optional().trim().isLength({ max: 100 }).withMessage('Invalid event name'),
+    query('from').optional().isISO8601().withMessage('From must be a valid date'),
+    query('to').optional().isISO8601().withMessage('To must be a valid date'),
+    ...paginationValidation
+];
+
+// Routes
+router.use(authMiddleware, roleAuth.adminOnly, requireTwoFactor); // All routes require an admin signed in with 2FA
+
+router.get('/stats', adminController.getStats);
+
+// Users
+router.get('/users', listUsersValidation, adminController.listUsers);
+router.get('/users/:userId', userIdValidation, adminController.getUser);
+router.post('/users/:userId/suspend', [userIdValidation, reasonValidation], adminController.suspendUser);
+router.post('/users/:userId/reinstate', userIdValidation, adminController.reinstateUser);
+router.post('/users/:userId/2fa/reset', [userIdValidation, reasonValidation], adminController.resetTwoFactor);
+
+// Vendor and construction firm profiles
+router.get('/profiles/:type', listProfilesValidation, adminController.listProfiles);
+router.post('/profiles/:type/:profileId/suspend', [...profileParamsValidation, reasonValidation], adminController.suspendProfile);
+router.post('/profiles/:type/:profileId/reinstate', profileParamsValidation, adminController.reinstateProfile);
+
+// Projects
+router.post(
+    '/projects/:projectId/cancel',
+    [param('projectId').isMongoId().withMessage('Invalid project ID'), reasonValidation],
+    adminController.cancelProject
+);
+
+// Bid moderation
+router.get('/bids', listBidsValidation, adminController.listBids);
+router.post(
+    '/bids/:bidId/remove',
+    [param('bidId').isMongoId().withMessage('Invalid bid ID'), reasonValidation],
+    adminController.removeBid
+);
+
+// Review moderation
+router.get('/reviews', listReviewsValidation, adminController.listReviews);
+router.post(
+    '/reviews/:reviewId/hide',
+    [param('reviewId').isMongoId().withMessage('Invalid review ID'), reasonValidation],
+    adminController.hideReview
+);
+router.post(
+    '/reviews/:reviewId/restore',
+    [param('reviewId').isMongoId().withMessage('Invalid review ID'), optionalReasonValidation],
+    adminController.restoreReview
+);
+
+// Audit trail
+router.get('/audit-events', listAuditEventsValidation, adminController.listAuditEvents);
+
+module.exports = router;
@@ -1,7 +1,13 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const authController = require('../controllers/auth.controller');
 const { authMiddleware } = require('../middleware/auth.middleware');
+const {
+    loginLimiter,
+    registrationLimiter,
+    checkBlockedIP,
+    passwordStrengthCheck
+} = require('../middleware/security.middleware');
 
 const router = express.Router();
 
@@ -50,15 +56,124 @@ const loginValidation = [
     body('email').isEmail().withMessage('Please enter a valid email'),
     body('password').notEmpty().withMessage('Password is required'),
     body('role')
-        .notEmpty()
-        .withMessage('Role is required')
+        .optional()
+        .isIn(['client_owner', 'vendor_supplier', 'construction_firm', 'admin'])
+        .withMessage('Invalid role')
+];
+
+const addRoleValidation = [
+    body('role')
         .isIn(['client_owner', 'vendor_supplier', 'construction_firm'])
+        .withMessage('Invalid role'),
+    body('phone')
+        .optional()
+        .matches(/^[0-9]{10}$/)
+        .withMessage('Please provide a valid 10-digit phone number'),
+    body('companyName')
+        .optional()
+        .trim()
+        .notEmpty()
+        .withMessage('Company name cannot be empty'),
+    body('gstNumber')
+        .optional()
+        .trim()
+        .toUpperCase()
+        .matches(/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/)
+        .withMessage('Please provide a valid GST number in format: 27ABCDE1234F1Z5')
+];
+
+const switchRoleValidation = [
+    body('role')
+        .isIn(['client_owner', 'vendor_supplier', 'construction_firm', 'admin'])
         .withMessage('Invalid role')
 ];
 
+const refreshValidation = [
+    body('refreshToken')
+        .isString()
+        .withMessage('Refresh token is required')
+        .trim()
+        .notEmpty()
+        .withMessage('Refresh token is required')
+];
+
+const forgotPasswordValidation = [
+    body('email').isEmail().withMessage('Please enter a valid email')
+];
+
+const resetPasswordValidation = [
+    body('token')
+        .isString()
+        .withMessage('Reset token is required')
+        .trim()
+        .notEmpty()
+        .withMessage('Reset token is required'),
+    body('password')
+        .isLength({ min: 8 })
+        .withMessage('Password must be at least 8 characters long')
+        .matches(/\d/)
+        .withMessage('Password must contain a number')
+];
+
+const verifyEmailValidation = [
+    body('token')
+        .isString()
+        .withMessage('Verification token is required')
+        .trim()
+        .notEmpty()
+        .withMessage('Verification token is required')
+];
+
+const twoFactorCodeValidation = [
+    body('code')
+        .isString()
+        .withMessage('Authentication code is required')
+        .trim()
+        .notEmpty()
+        .withMessage('Authentication code is required')
+];
+
+const twoFactorLoginValidation = [
+    body('challengeToken')
+        .isString()
+        .withMessage('Challenge token is required')
+        .trim()
+        .notEmpty()
+        .withMessage('Challenge token is required'),
+    ...twoFactorCodeValidation
+];
+
+const disableTwoFactorValidation = [
+    body('password').notEmpty().withMessage('Password is required'),
+    ...twoFactorCodeValidation
+];
+
+const sessionIdValidation = [
+    param('sessionId').isUUID().withMessage('Invalid session ID')
+];
+
 // Routes
-router.post('/register', registerValidation, authController.register);
-router.post('/login', loginValidation, authController.login);
+// Addresses blocked for repeated failed sign-ins are turned away from the credential routes.
+// Signed-in sessions can still refresh and log out.
+router.post('/register', checkBlockedIP, registrationLimiter, registerValidation, passwordStrengthCheck, authController.register);
+router.post('/login', checkBlockedIP, loginLimiter, loginValidation, authController.login);
+router.post('/login/2fa', checkBlockedIP, loginLimiter, twoFactorLoginValidation, authController.loginTwoFactor);
+router.post('/refresh', refreshValidation, authController.refresh);
+router.post('/roles', authMiddleware, addRoleValidation, authController.addRole);
+router.post('/switch-role', authMiddleware, switchRoleValidation, authController.switchRole);
+router.get('/2fa', authMiddleware, authController.getTwoFactorStatus);
+router.post('/2fa/setup', authMiddleware, authController.setupTwoFactor);
+router.post('/2fa/enable', authMiddleware, twoFactorCodeValidation, authController.enableTwoFactor);
+router.post('/2fa/disable', authMiddleware, disableTwoFactorValidation, authController.disableTwoFactor);
+router.post('/2fa/backup-codes', authMiddleware, twoFactorCodeValidation, authController.regenerateBackupCodes);
+router.post('/forgot-password', checkBlockedIP, forgotPasswordValidation, authController.forgotPassword);
+router.post('/reset-password', checkBlockedIP, resetPasswordValidation, passwordStrengthCheck, authController.resetPassword);
+router.post('/verify-email', checkBlockedIP, verifyEmailValidation, authController.verifyEmail);
+router.post('/verify-email/resend', authMiddleware, authController.resendEmailVerification);
+router.post('/logout', authMiddleware, authController.logout);
+router.post('/logout-all', authMiddleware, authController.logoutAll);
+router.get('/sessions', authMiddleware, authController.listSessions);
+router.delete('/sessions/:sessionId', authMiddleware, sessionIdValidation, authController.revokeSession);
 router.get('/profile', authMiddleware, authController.getProfile);
 
 module.exports = router;
\ No newline at end of file
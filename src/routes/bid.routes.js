@@ -1,60 +1,276 @@
 const express = require('express');
-const { body, query } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const bidController = require('../controllers/bid.controller');
-const { authMiddleware } = require('../middleware/auth.middleware');
+const { authMiddleware, requireVerifiedEmail } = require('../middleware/auth.middleware');
+const { actAsOrganization } = require('../middleware/organization.middleware');
 const roleAuth = require('../middleware/roleAuth.middleware');
 
 const router = express.Router();
 
-// Simplified bid validation - only essential fields
-const createBidValidation = [
-    body('proposedCost')
-        .isNumeric()
-        .withMessage('Proposed cost must be a number')
-        .custom(value => value > 0)
-        .withMessage('Proposed cost must be positive'),
-    body('startDate')
-        .custom(value => {
-            const date = new Date(value);
-            return !isNaN(date.getTime());
-        })
-        .withMessage('Invalid date format'),
-    body('duration')
-        .isInt({ min: 1 })
-        .withMessage('Duration must be at least 1'),
-    body('proposal')
+const COST_CATEGORIES = ['labor', 'materials', 'equipment', 'permits', 'overhead', 'other'];
+const TEAM_ROLES = ['project_manager', 'architect', 'engineer', 'supervisor', 'labor', 'specialist'];
+
+const isValidDate = value => !isNaN(new Date(value).getTime());
+
+// Bid validation - core fields are required, detailed sections are optional
+// and fall back to service defaults when omitted. Updates validate only the
+// fields sent; the service checks them against the rest of the bid.
+const bidValidation = (isUpdate = false) => {
+    const field = path => (isUpdate ? body(path).optional() : body(path));
+
+    return [
+        field('proposedCost')
+            .isNumeric()
+            .withMessage('Proposed cost must be a number')
+            .custom(value => value > 0)
+            .withMessage('Proposed cost must be positive'),
+        body('currency')
+            .optional()
+            .isIn(['INR', 'USD'])
+            .withMessage('Currency must be INR or USD'),
+        field('startDate')
+            .custom(isValidDate)
+            .withMessage('Invalid date format'),
+        field('duration')
+            .isInt({ min: 1 })
+            .withMessage('Duration must be at least 1'),
+        body('durationUnit')
+            .optional()
+            .isIn(['days', 'weeks', 'months'])
+            .withMessage('Duration unit must be days, weeks or months'),
+        field('proposal')
+            .trim()
+            .isLength({ min: 50 })
+            .withMessage('Proposal must be at least 50 characters'),
+        body('approach')
+            .optional()
+            .trim()
+            .notEmpty()
+            .withMessage('Approach cannot be empty'),
+        body('uniqueValue')
+            .optional()
+            .trim(),
+        field('teamSize')
+            .if(body('teamComposition').not().exists())
+            .isInt({ min: 1 })
+            .withMessage('Team size must be at least 1'),
+
+        // Line-item cost breakdown
+        body('costBreakdown')
+            .optional()
+            .isArray({ min: 1 })
+            .withMessage('Cost breakdown must be a non-empty array')
+            .bail()
+            .custom((items, { req }) => {
+                if (req.body.proposedCost === undefined) return true;
+                const sum = items.reduce((total, item) => total + Number(item.amount || 0), 0);
+                // Allow for rounding on line items
+                return Math.abs(sum - Number(req.body.proposedCost)) <= 1;
+            })
+            .withMessage('Cost breakdown amounts must add up to the proposed cost'),
+        body('costBreakdown.*.category')
+            .isIn(COST_CATEGORIES)
+            .withMessage(`Cost category must be one of: ${COST_CATEGORIES.join(', ')}`),
+        body('costBreakdown.*.description')
+            .trim()
+            .notEmpty()
+            .withMessage('Cost description is required'),
+        body('costBreakdown.*.amount')
+            .isFloat({ min: 0 })
+            .withMessage('Cost amount cannot be negative'),
+        body('costBreakdown.*.quantity')
+            .optional()
+            .isFloat({ min: 1 })
+            .withMessage('Quantity must be positive'),
+        body('costBreakdown.*.unit')
+            .optional()
+            .trim(),
+
+        // Milestones
+        body('milestones')
+            .optional()
+            .isArray({ min: 1 })
+            .withMessage('Milestones must be a non-empty array')
+            .bail()
+            .custom(items => {
+                const total = items.reduce((sum, item) => sum + Number(item.paymentPercentage || 0), 0);
+                return Math.abs(total - 100) < 0.01;
+            })
+            .withMessage('Milestone payment percentages must add up to 100'),
+        body('milestones.*.title')
+            .trim()
+            .notEmpty()
+            .withMessage('Milestone title is required'),
+        body('milestones.*.expectedCompletionDate')
+            .custom(isValidDate)
+            .withMessage('Invalid milestone completion date')
+            .bail()
+            .custom((value, { req }) => req.body.startDate === undefined || new Date(value) >= new Date(req.body.startDate))
+            .withMessage('Milestone completion date cannot be before the start date'),
+        body('milestones.*.paymentPercentage')
+            .isFloat({ min: 0, max: 100 })
+            .withMessage('Payment percentage must be between 0 and 100'),
+
+        // Team
+        body('teamComposition')
+            .optional()
+            .isArray({ min: 1 })
+            .withMessage('Team composition must be a non-empty array'),
+        body('teamComposition.*.role')
+            .isIn(TEAM_ROLES)
+            .withMessage(`Team role must be one of: ${TEAM_ROLES.join(', ')}`),
+        body('teamComposition.*.count')
+            .isInt({ min: 1 })
+            .withMessage('Team member count must be at least 1'),
+        body('teamComposition.*.expertise')
+            .optional()
+            .isArray()
+            .withMessage('Expertise must be an array'),
+        body('teamComposition.*.availability')
+            .optional()
+            .isIn(['full_time', 'part_time', 'on_call'])
+            .withMessage('Invalid availability'),
+        body('projectManager.name')
+            .optional()
+            .trim()
+            .notEmpty()
+            .withMessage('Project manager name cannot be empty'),
+        body('projectManager.experience')
+            .optional()
+            .isInt({ min: 0 })
+            .withMessage('Project manager experience must be a positive number'),
+        body('projectManager.certifications')
+            .optional()
+            .isArray()
+            .withMessage('Project manager certifications must be an array'),
+
+        // Risks
+        body('risks')
+            .optional()
+            .isArray()
+            .withMessage('Risks must be an array'),
+        body('risks.*.description')
+            .trim()
+            .notEmpty()
+            .withMessage('Risk description is required'),
+        body('risks.*.impact')
+            .optional()
+            .isIn(['low', 'medium', 'high'])
+            .withMessage('Risk impact must be low, medium or high'),
+
+        // Previous work
+        body('previousWork')
+            .optional()
+            .isArray()
+            .withMessage('Previous work must be an array'),
+        body('previousWork.*.projectName')
+            .trim()
+            .notEmpty()
+            .withMessage('Previous work project name is required'),
+        body('previousWork.*.completionDate')
+            .optional()
+            .custom(isValidDate)
+            .withMessage('Invalid previous work completion date'),
+        body('previousWork.*.value')
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage('Previous work value cannot be negative'),
+        body('previousWork.*.similarityScore')
+            .optional()
+            .isFloat({ min: 0, max: 100 })
+            .withMessage('Similarity score must be between 0 and 100'),
+        body('previousWork.*.projectType')
+            .optional()
+            .isIn(['residential', 'commercial', 'industrial', 'infrastructure'])
+            .withMessage('Invalid previous work project type'),
+        body('previousWork.*.area.value')
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage('Previous work area cannot be negative'),
+        body('previousWork.*.area.unit')
+            .optional()
+            .isIn(['sqft', 'sqm'])
+            .withMessage('Previous work area unit must be sqft or sqm'),
+        body('previousWork.*.photos')
+            .optional()
+            .isArray()
+            .withMessage('Previous work photos must be an array')
+    ];
+};
+
+const negotiationValidation = [
+    body('type')
+        .isIn(['cost', 'timeline', 'scope', 'other'])
+        .withMessage('Negotiation type must be one of: cost, timeline, scope, other'),
+    body('proposedValue')
+        .exists({ values: 'null' })
+        .withMessage('Proposed value is required'),
+    body('message')
+        .optional()
         .trim()
-        .isLength({ min: 50 })
-        .withMessage('Proposal must be at least 50 characters'),
-    body('teamSize')
-        .isInt({ min: 1 })
-        .withMessage('Team size must be at least 1')
+        .isLength({ max: 1000 })
+        .withMessage('Message cannot exceed 1000 characters'),
+    body('inReplyTo')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid negotiation reference')
 ];
 
-// Negotiation removed for simplicity
+const negotiationResponseValidation = [
+    param('negotiationId')
+        .isMongoId()
+        .withMessage('Invalid negotiation ID'),
+    body('message')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Message cannot exceed 1000 characters')
+];
+
+const compareBidsValidation = [
+    param('projectId')
+        .isMongoId()
+        .withMessage('Invalid project ID'),
+    query('bidIds')
+        .optional()
+        .customSanitizer(value => {
+            // Anything but a string or a list of strings (e.g. ?bidIds[a]=1) fails the check below
+            const ids = typeof value === 'string' ? value.split(',') : value;
+            return Array.isArray(ids) && ids.every(id => typeof id === 'string')
+                ? ids.map(id => id.trim()).filter(Boolean)
+                : null;
+        })
+        .custom(ids => Array.isArray(ids) && ids.every(id => /^[a-f\d]{24}$/i.test(id)))
+        .withMessage('bidIds must be a comma-separated list of bid IDs'),
+    query('format')
+        .optional()
+        .isIn(['json', 'csv'])
+        .withMessage('Format must be json or csv')
+];
 
 // Routes
-router.use(authMiddleware); // All routes require authentication
+router.use(authMiddleware, actAsOrganization('bids')); // All routes require authentication; members may act for their organization
 
 // Bid Submission and Management
 router.post(
     '/project/:projectId',
-    roleAuth.vendorOnly,
-    createBidValidation,
+    roleAuth.vendorAndConstruction,
+    requireVerifiedEmail,
+    bidValidation(),
     bidController.submitBid
 );
 
 router.put(
     '/:bidId',
-    roleAuth.vendorOnly,
-    createBidValidation,
+    roleAuth.vendorAndConstruction,
+    bidValidation(true),
     bidController.updateBid
 );
 
 // Delete a bid
 router.delete(
     '/:bidId',
-    roleAuth.vendorOnly,
+    roleAuth.vendorAndConstruction,
     bidController.deleteBid
 );
 
@@ -78,6 +294,14 @@ router.get(
     bidController.getProjectBids
 );
 
+// Side-by-side comparison of bids on a project
+router.get(
+    '/project/:projectId/compare',
+    roleAuth.clientOnly,
+    compareBidsValidation,
+    bidController.compareBids
+);
+
 // Get multiple project bids (batch)
 router.post(
     '/projects/batch',
@@ -87,11 +311,37 @@ router.post(
 
 router.get(
     '/vendor/bids',
-    roleAuth.vendorOnly,
+    roleAuth.vendorAndConstruction,
     bidController.getVendorBids
 );
 
-// Bid Negotiation - REMOVED for simplicity
+// Bid Negotiation
+router.get(
+    '/:bidId/negotiations',
+    roleAuth.allBusinessRoles,
+    bidController.getNegotiations
+);
+
+router.post(
+    '/:bidId/negotiations',
+    roleAuth.allBusinessRoles,
+    negotiationValidation,
+    bidController.negotiateBid
+);
+
+router.post(
+    '/:bidId/negotiations/:negotiationId/accept',
+    roleAuth.allBusinessRoles,
+    negotiationResponseValidation,
+    bidController.acceptNegotiation
+);
+
+router.post(
+    '/:bidId/negotiations/:negotiationId/reject',
+    roleAuth.allBusinessRoles,
+    negotiationResponseValidation,
+    bidController.rejectNegotiation
+);
 
 // Bid Details
 router.get(
@@ -0,0 +1,198 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const constructionProfileController = require('../controllers/construction.profile.controller');
+const { authMiddleware } = require('../middleware/auth.middleware');
+const roleAuth = require('../middleware/roleAuth.middleware');
+const { isValidGstin, isValidIfsc, isValidLicenseNumber } = require('../utils/validators');
+
+const router = express.Router();
+
+const SPECIALIZATIONS = [
+    'residential_construction',
+    'commercial_construction',
+    'industrial_construction',
+    'infrastructure_development',
+    'interior_construction',
+    'renovation',
+    'sustainable_construction',
+    'other'
+];
+
+const isValidDate = value => !isNaN(new Date(value).getTime());
+
+// Validation middleware
+// Creation requires every mandatory section; updates validate only the fields sent
+const profileValidation = (isUpdate = false) => {
+    const field = path => (isUpdate ? body(path).optional() : body(path));
+
+    return [
+        field('companyName').trim().notEmpty().withMessage('Company name is required'),
+        field('location.city').trim().notEmpty().withMessage('City is required'),
+        field('location.state').trim().notEmpty().withMessage('State is required'),
+        field('experience.yearsInBusiness')
+            .isInt({ min: 0 })
+            .withMessage('Years of experience must be a positive number'),
+        field('experience.totalProjects')
+            .isInt({ min: 0 })
+            .withMessage('Total projects must be a positive number'),
+
+        // GST
+        field('gstDetails.number')
+            .trim()
+            .toUpperCase()
+            .custom(isValidGstin)
+            .withMessage('Please enter a valid GST number'),
+        field('gstDetails.registrationDate')
+            .custom(value => isValidDate(value) && new Date(value) <= new Date())
+            .withMessage('GST registration date must be a valid date in the past'),
+
+        // Licenses
+        body('licenses').optional().isArray().withMessage('Licenses must be an array'),
+        body('licenses.*.type')
+            .isIn(['state', 'central', 'municipal', 'other'])
+            .withMessage('License type must be state, central, municipal or other'),
+        body('licenses.*.number')
+            .trim()
+            .custom(isValidLicenseNumber)
+            .withMessage('License number must be 4-50 letters, digits, "/", "-" or "."'),
+        body('licenses.*.issuedBy').trim().notEmpty().withMessage('Issuing authority is required'),
+        // Updates may resend licenses that have since expired; the service checks new or changed ones
+        isUpdate
+            ? body('licenses.*.validUntil')
+                .custom(isValidDate)
+                .withMessage('License validity date must be a valid date')
+            : body('licenses.*.validUntil')
+                .custom(value => isValidDate(value) && new Date(value) > new Date())
+                .withMessage('License must be valid until a future date'),
+        body('licenses.*.isMandatory')
+            .optional()
+            .isBoolean()
+            .withMessage('isMandatory must be true or false')
+            .toBoolean(),
+
+        // Capacity
+        field('projectCapacity.budgetRange.minBudget')
+            .isFloat({ min: 0 })
+            .withMessage('Minimum budget must be a positive number'),
+        field('projectCapacity.budgetRange.maxBudget')
+            .isFloat({ min: 0 })
+            .withMessage('Maximum budget must be a positive number'),
+        field('projectCapacity.simultaneousProjects.maximum')
+            .isInt({ min: 1 })
+            .withMessage('Maximum simultaneous projects must be at least 1'),
+        field('projectCapacity.projectSizeRange.minSquareFeet')
+            .isFloat({ min: 0 })
+            .withMessage('Minimum project size must be a positive number'),
+        field('projectCapacity.projectSizeRange.maxSquareFeet')
+            .isFloat({ min: 0 })
+            .withMessage('Maximum project size must be a positive number'),
+        body('projectCapacity.operationalRegions')
+            .optional()
+            .isArray()
+            .withMessage('Operational regions must be an array'),
+        body('projectCapacity.operationalRegions.*.city').trim().notEmpty().withMessage('Region city is required'),
+        body('projectCapacity.operationalRegions.*.state').trim().notEmpty().withMessage('Region state is required'),
+
+        // Finance
+        field('financialDetails.annualTurnover')
+            .isFloat({ min: 0 })
+            .withMessage('Annual turnover must be a positive number'),
+        field('financialDetails.bankingInfo.bankName').trim().notEmpty().withMessage('Bank name is required'),
+        field('financialDetails.bankingInfo.accountType')
+            .isIn(['savings', 'current'])
+            .withMessage('Account type must be savings or current'),
+        field('financialDetails.bankingInfo.ifscCode')
+            .trim()
+            .toUpperCase()
+            .custom(isValidIfsc)
+            .withMessage('Please enter a valid IFSC code'),
+
+        body('specializations').optional().isArray().withMessage('Specializations must be an array'),
+        body('specializations.*').isIn(SPECIALIZATIONS).withMessage('Invalid specialization'),
+        body('equipmentOwned').optional().isArray().withMessage('Equipment must be an array'),
+        body('equipmentOwned.*.name').trim().notEmpty().withMessage('Equipment name is required'),
+        body('equipmentOwned.*.quantity').isInt({ min: 1 }).withMessage('Equipment quantity must be at least 1'),
+        body('certifications').optional().isArray().withMessage('Certifications must be an array'),
+        body('companyPhotos').optional().isArray().withMessage('Company photos must be an array')
+    ];
+};
+
+const searchValidation = [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('minExperience').optional().isInt({ min: 0 }).withMessage('Min experience must be a positive number'),
+    query('minRating').optional().isFloat({ min: 0, max: 5 }).withMessage('Min rating must be between 0 and 5'),
+    query('budget').optional().isFloat({ min: 0 }).withMessage('Budget must be a positive number'),
+    query('area').optional().isFloat({ min: 0 }).withMessage('Area must be a positive number'),
+    query('hasCapacity').optional().isBoolean().withMessage('hasCapacity must be true or false'),
+    query('verifiedOnly').optional().isBoolean().withMessage('verifiedOnly must be true or false')
+];
+
+const timelineValidation = [
+    query('months').optional().isInt({ min: 1, max: 36 }).withMessage('Months must be between 1 and 36')
+];
+
+// Routes
+router.post(
+    '/create',
+    authMiddleware,
+    roleAuth.constructionOnly,
+    profileValidation(),
+    constructionProfileController.createProfile
+);
+
+router.put(
+    '/update',
+    authMiddleware,
+    roleAuth.constructionOnly,
+    profileValidation(true),
+    constructionProfileController.updateProfile
+);
+
+// Get own profile
+router.get(
+    '/profile',
+    authMiddleware,
+    roleAuth.constructionOnly,
+    constructionProfileController.getOwnProfile
+);
+
+// Get specific profile by ID
+router.get(
+    '/profile/:id',
+    authMiddleware,
+    constructionProfileController.getProfile
+);
+
+// Committed workload by month
+router.get(
+    '/capacity/timeline',
+    authMiddleware,
+    roleAuth.constructionOnly,
+    timelineValidation,
+    constructionProfileController.getOwnCapacityTimeline
+);
+
+router.get(
+    '/profile/:id/capacity',
+    authMiddleware,
+    timelineValidation,
+    constructionProfileController.getCapacityTimeline
+);
+
+router.get(
+    '/search',
+    authMiddleware,
+    searchValidation,
+    constructionProfileController.searchProfiles
+);
+
+// Deactivate profile (soft delete)
+router.put(
+    '/deactivate',
+    authMiddleware,
+    roleAuth.constructionOnly,
+    constructionProfileController.softDeleteProfile
+);
+
+module.exports = router;
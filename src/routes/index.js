@@ -2,6 +2,7 @@
  * Route initialization
  */
 const mongoose = require('mongoose');
+const { getCacheStats } = require('../utils/cache');
 
 const initializeRoutes = (app) => {
     // API Routes
@@ -9,9 +10,16 @@ const initializeRoutes = (app) => {
     app.use('/api/budget-estimate', require('./budget.estimate.routes'));
     app.use('/api/vendor', require('./vendor.profile.routes'));
     app.use('/api/client', require('./client.profile.routes'));
+    app.use('/api/construction', require('./construction.profile.routes'));
     app.use('/api/projects', require('./project.routes'));
     app.use('/api/bids', require('./bid.routes'));
     app.use('/api/vendor-project-plans', require('./vendorProjectPlan.routes'));
+    app.use('/api/payments', require('./payment.routes'));
+    app.use('/api/reviews', require('./review.routes'));
+    app.use('/api/notifications', require('./notification.routes'));
+    app.use('/api/verification', require('./verification.routes'));
+    app.use('/api/organizations', require('./organization.routes'));
+    app.use('/api/admin', require('./admin.routes'));
     
     // Root route
     app.get('/', (req, res) => {
@@ -47,6 +55,7 @@ const initializeRoutes = (app) => {
                     used: `${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`,
                     total: `${Math.round(process.memoryUsage().heapTotal / 1024 / 1024)}MB`
                 },
+                cache: await getCacheStats(),
                 uptime: `${Math.round(process.uptime())} seconds`
             });
         } catch (error) {
@@ -0,0 +1,34 @@
+const express = require('express');
+const { query } = require('express-validator');
+const notificationController = require('../controllers/notification.controller');
+const { authMiddleware } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Validation middleware
+const listValidation = [
+    query('unreadOnly').optional().isBoolean().withMessage('unreadOnly must be true or false'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+];
+
+// Routes
+router.use(authMiddleware); // All routes require authentication
+
+router.get(
+    '/',
+    listValidation,
+    notificationController.getNotifications
+);
+
+router.post(
+    '/read-all',
+    notificationController.markAllAsRead
+);
+
+router.post(
+    '/:notificationId/read',
+    notificationController.markAsRead
+);
+
+module.exports = router;
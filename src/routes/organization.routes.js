@@ -0,0 +1,106 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const organizationController = require('../controllers/organization.controller');
+const { authMiddleware } = require('../middleware/auth.middleware');
+const roleAuth = require('../middleware/roleAuth.middleware');
+
+const router = express.Router();
+
+const MEMBER_ROLES = ['owner', 'estimator', 'site_manager', 'finance'];
+
+// Validation middleware
+const organizationValidation = [
+    body('name')
+        .trim()
+        .notEmpty()
+        .withMessage('Organization name is required')
+        .isLength({ max: 200 })
+        .withMessage('Organization name cannot exceed 200 characters')
+];
+
+const organizationIdValidation = [
+    param('organizationId').isMongoId().withMessage('Invalid organization ID')
+];
+
+const inviteValidation = [
+    ...organizationIdValidation,
+    body('email').isEmail().withMessage('Please enter a valid email'),
+    body('role').isIn(MEMBER_ROLES).withMessage(`Role must be one of: ${MEMBER_ROLES.join(', ')}`)
+];
+
+const invitationResponseValidation = [
+    param('invitationId').isMongoId().withMessage('Invalid invitation ID'),
+    body('decision').isIn(['accept', 'decline']).withMessage('Decision must be accept or decline')
+];
+
+const memberValidation = [
+    ...organizationIdValidation,
+    param('userId').isMongoId().withMessage('Invalid user ID')
+];
+
+// Routes
+router.use(authMiddleware); // All routes require authentication
+
+router.post(
+    '/',
+    roleAuth.allBusinessRoles,
+    organizationValidation,
+    organizationController.createOrganization
+);
+
+router.get('/', organizationController.getMyOrganizations);
+
+// Invitations addressed to the caller
+router.get('/invitations', organizationController.getMyInvitations);
+
+router.post(
+    '/invitations/:invitationId/respond',
+    invitationResponseValidation,
+    organizationController.respondToInvitation
+);
+
+// Organization management
+router.get(
+    '/:organizationId',
+    organizationController.getOrganization
+);
+
+router.patch(
+    '/:organizationId',
+    organizationIdValidation,
+    organizationValidation,
+    organizationController.updateOrganization
+);
+
+router.get(
+    '/:organizationId/invitations',
+    organizationController.getOrganizationInvitations
+);
+
+router.post(
+    '/:organizationId/invitations',
+    inviteValidation,
+    organizationController.inviteMember
+);
+
+router.delete(
+    '/:organizationId/invitations/:invitationId',
+    organizationIdValidation,
+    param('invitationId').isMongoId().withMessage('Invalid invitation ID'),
+    organizationController.revokeInvitation
+);
+
+router.patch(
+    '/:organizationId/members/:userId',
+    memberValidation,
+    body('role').isIn(MEMBER_ROLES).withMessage(`Role must be one of: ${MEMBER_ROLES.join(', ')}`),
+    organizationController.updateMemberRole
+);
+
+router.delete(
+    '/:organizationId/members/:userId',
+    memberValidation,
+    organizationController.removeMember
+);
+
+module.exports = router;
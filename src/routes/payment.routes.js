@@ -0,0 +1,70 @@
+const express = require('express');
+const { body } = require('express-validator');
+const paymentController = require('../controllers/payment.controller');
+const { authMiddleware, requireTwoFactor } = require('../middleware/auth.middleware');
+const { actAsOrganization } = require('../middleware/organization.middleware');
+const roleAuth = require('../middleware/roleAuth.middleware');
+
+const router = express.Router();
+
+// Validation middleware
+const paymentValidation = [
+    body('amount')
+        .isFloat({ gt: 0 })
+        .withMessage('Payment amount must be a positive number'),
+    body('currency')
+        .optional()
+        .isIn(['INR', 'USD'])
+        .withMessage('Currency must be INR or USD'),
+    body('paymentMethod')
+        .optional()
+        .trim()
+        .notEmpty()
+        .withMessage('Payment method cannot be empty')
+];
+
+// Routes
+router.use(authMiddleware, actAsOrganization('payments')); // All routes require authentication; members may act for their organization
+
+// Balances
+router.get(
+    '/balance/client',
+    roleAuth.clientOnly,
+    paymentController.getClientBalance
+);
+
+router.get(
+    '/balance/vendor',
+    roleAuth.vendorAndConstruction,
+    paymentController.getVendorBalance
+);
+
+// Invoices
+router.get(
+    '/project/:projectId/invoices',
+    roleAuth.allBusinessRoles,
+    paymentController.getProjectInvoices
+);
+
+router.get(
+    '/invoices/:invoiceId',
+    roleAuth.allBusinessRoles,
+    paymentController.getInvoice
+);
+
+router.post(
+    '/invoices/:invoiceId/pay',
+    roleAuth.clientOnly,
+    requireTwoFactor,
+    paymentValidation,
+    paymentController.payInvoice
+);
+
+router.post(
+    '/invoices/:invoiceId/release',
+    roleAuth.clientOnly,
+    requireTwoFactor,
+    paymentController.releaseInvoice
+);
+
+module.exports = router;
@@ -1,47 +1,102 @@
 const express = require('express');
-const { body, query } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const projectController = require('../controllers/project.controller');
-const { authMiddleware, optionalAuthMiddleware } = require('../middleware/auth.middleware');
+const projectExecutionController = require('../controllers/project.execution.controller');
+const projectInvitationController = require('../controllers/project.invitation.controller');
+const { authMiddleware, optionalAuthMiddleware, requireVerifiedEmail, requireTwoFactor } = require('../middleware/auth.middleware');
+const { actAsOrganization } = require('../middleware/organization.middleware');
 const roleAuth = require('../middleware/roleAuth.middleware');
 
 const router = express.Router();
 
+const isFutureDate = value => {
+    const date = new Date(value);
+    return !isNaN(date.getTime()) && date > new Date();
+};
+
 // Simplified validation middleware - only essential fields
-const createProjectValidation = [
-    body('title')
-        .trim()
-        .isLength({ min: 5, max: 100 })
-        .withMessage('Title must be between 5 and 100 characters'),
-    body('description')
-        .trim()
-        .isLength({ min: 20 })
-        .withMessage('Description must be at least 20 characters'),
-    body('budget')
-        .isNumeric()
-        .withMessage('Budget must be a number')
-        .custom(value => value > 0)
-        .withMessage('Budget must be positive'),
-    body('location')
+// Updates take the same fields, each optional; tender settings have their own route
+const projectValidation = (isUpdate = false) => {
+    const field = path => (isUpdate ? body(path).optional() : body(path));
+
+    return [
+        field('title')
+            .trim()
+            .isLength({ min: 5, max: 100 })
+            .withMessage('Title must be between 5 and 100 characters'),
+        field('description')
+            .trim()
+            .isLength({ min: 20 })
+            .withMessage('Description must be at least 20 characters'),
+        field('budget')
+            .isNumeric()
+            .withMessage('Budget must be a number')
+            .custom(value => value > 0)
+            .withMessage('Budget must be positive'),
+        field('location')
+            .trim()
+            .notEmpty()
+            .withMessage('Location is required'),
+        field('projectType')
+            .isIn(['residential', 'commercial', 'industrial', 'infrastructure'])
+            .withMessage('Invalid project type'),
+        field('area')
+            .isNumeric()
+            .withMessage('Area must be a number')
+            .custom(value => value > 0)
+            .withMessage('Area must be positive'),
+        field('startDate')
+            .custom(value => {
+                const date = new Date(value);
+                return !isNaN(date.getTime());
+            })
+            .withMessage('Invalid date format'),
+        field('duration')
+            .isInt({ min: 1 })
+            .withMessage('Duration must be at least 1'),
+        body('visibility')
+            .optional()
+            .isIn(['public', 'private', 'invited'])
+            .withMessage('Visibility must be public, private or invited'),
+        ...(isUpdate ? [] : [
+            body('tender.submissionDeadline')
+                .optional()
+                .custom(isFutureDate)
+                .withMessage('Tender submission deadline must be a future date'),
+            body('tender.sealed')
+                .optional()
+                .isBoolean()
+                .withMessage('Sealed must be true or false')
+                .toBoolean()
+        ])
+    ];
+};
+
+const tenderValidation = [
+    param('projectId').isMongoId().withMessage('Invalid project ID'),
+    body('enabled')
+        .optional()
+        .isBoolean()
+        .withMessage('Enabled must be true or false')
+        .toBoolean(),
+    body('submissionDeadline')
+        .if(body('enabled').not().equals('false'))
+        .custom(isFutureDate)
+        .withMessage('Tender submission deadline must be a future date'),
+    body('sealed')
+        .optional()
+        .isBoolean()
+        .withMessage('Sealed must be true or false')
+        .toBoolean()
+];
+
+const cancelProjectValidation = [
+    param('projectId').isMongoId().withMessage('Invalid project ID'),
+    body('reason')
+        .optional()
         .trim()
-        .notEmpty()
-        .withMessage('Location is required'),
-    body('projectType')
-        .isIn(['residential', 'commercial', 'industrial', 'infrastructure'])
-        .withMessage('Invalid project type'),
-    body('area')
-        .isNumeric()
-        .withMessage('Area must be a number')
-        .custom(value => value > 0)
-        .withMessage('Area must be positive'),
-    body('startDate')
-        .custom(value => {
-            const date = new Date(value);
-            return !isNaN(date.getTime());
-        })
-        .withMessage('Invalid date format'),
-    body('duration')
-        .isInt({ min: 1 })
-        .withMessage('Duration must be at least 1')
+        .isLength({ max: 500 })
+        .withMessage('Reason cannot exceed 500 characters')
 ];
 
 const searchValidation = [
@@ -55,6 +110,43 @@ const searchValidation = [
     ]).withMessage('Invalid project type')
 ];
 
+const milestoneSubmissionValidation = [
+    param('milestoneId').isMongoId().withMessage('Invalid milestone ID'),
+    body('notes').optional().trim().isLength({ max: 2000 }).withMessage('Notes cannot exceed 2000 characters'),
+    body('evidence').isArray({ min: 1 }).withMessage('At least one piece of evidence is required'),
+    body('evidence.*.url').trim().isURL().withMessage('Evidence URL must be a valid URL'),
+    body('evidence.*.type').optional().isIn(['photo', 'document', 'report', 'other']).withMessage('Invalid evidence type'),
+    body('evidence.*.caption').optional().trim()
+];
+
+const milestoneReviewValidation = [
+    param('milestoneId').isMongoId().withMessage('Invalid milestone ID'),
+    body('decision').isIn(['approve', 'reject']).withMessage('Decision must be approve or reject'),
+    body('feedback')
+        .if(body('decision').equals('reject'))
+        .trim()
+        .notEmpty()
+        .withMessage('Feedback is required when rejecting a milestone')
+];
+
+const invitationValidation = [
+    param('projectId').isMongoId().withMessage('Invalid project ID'),
+    body('vendorIds')
+        .isArray({ min: 1, max: 50 })
+        .withMessage('Provide between 1 and 50 vendor IDs'),
+    body('vendorIds.*').isMongoId().withMessage('Invalid vendor ID'),
+    body('message')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Message cannot exceed 1000 characters')
+];
+
+const invitationResponseValidation = [
+    param('invitationId').isMongoId().withMessage('Invalid invitation ID'),
+    body('decision').isIn(['accept', 'decline']).withMessage('Decision must be accept or decline')
+];
+
 // Public routes (optional authentication)
 router.get(
     '/public/search',
@@ -64,23 +156,38 @@ router.get(
 );
 
 // Routes
-router.use(authMiddleware); // All routes require authentication
+router.use(authMiddleware, actAsOrganization('projects')); // All routes require authentication; members may act for their organization
 
 // Project Creation and Management
 router.post(
     '/create-and-publish',
     roleAuth.clientOnly,
-    createProjectValidation,
+    requireVerifiedEmail,
+    projectValidation(),
     projectController.createAndPublish
 );
 
 router.put(
     '/:projectId',
     roleAuth.clientOnly,
-    createProjectValidation,
+    projectValidation(true),
     projectController.updateProject
 );
 
+router.put(
+    '/:projectId/tender',
+    roleAuth.clientOnly,
+    tenderValidation,
+    projectController.updateTender
+);
+
+router.post(
+    '/:projectId/cancel',
+    roleAuth.clientOnly,
+    cancelProjectValidation,
+    projectController.cancelProject
+);
+
 router.delete(
     '/:projectId',
     roleAuth.clientOnly,
@@ -115,8 +222,65 @@ router.get(
 // Vendor Projects
 router.get(
     '/vendor/projects',
-    roleAuth.vendorOnly,
+    roleAuth.vendorAndConstruction,
     projectController.getVendorProjects
 );
 
+// Project Invitations
+router.get(
+    '/vendor/invitations',
+    roleAuth.vendorAndConstruction,
+    projectInvitationController.getVendorInvitations
+);
+
+router.post(
+    '/vendor/invitations/:invitationId/respond',
+    roleAuth.vendorAndConstruction,
+    invitationResponseValidation,
+    projectInvitationController.respondToInvitation
+);
+
+router.get(
+    '/:projectId/invitations',
+    roleAuth.clientOnly,
+    projectInvitationController.getProjectInvitations
+);
+
+router.post(
+    '/:projectId/invitations',
+    roleAuth.clientOnly,
+    invitationValidation,
+    projectInvitationController.inviteVendors
+);
+
+router.delete(
+    '/:projectId/invitations/:invitationId',
+    roleAuth.clientOnly,
+    param('invitationId').isMongoId().withMessage('Invalid invitation ID'),
+    projectInvitationController.revokeInvitation
+);
+
+// Project Execution
+router.get(
+    '/:projectId/execution',
+    roleAuth.allBusinessRoles,
+    projectExecutionController.getExecution
+);
+
+router.post(
+    '/:projectId/milestones/:milestoneId/submit',
+    roleAuth.vendorAndConstruction,
+    milestoneSubmissionValidation,
+    projectExecutionController.submitMilestone
+);
+
+router.post(
+    '/:projectId/milestones/:milestoneId/review',
+    roleAuth.clientOnly,
+    // Approving a milestone releases its escrowed payment
+    requireTwoFactor,
+    milestoneReviewValidation,
+    projectExecutionController.reviewMilestone
+);
+
 module.exports = router;
@@ -0,0 +1,68 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const reviewController = require('../controllers/review.controller');
+const { authMiddleware } = require('../middleware/auth.middleware');
+const roleAuth = require('../middleware/roleAuth.middleware');
+
+const router = express.Router();
+
+const SCORE_FIELDS = ['quality', 'timeliness', 'communication', 'budgetAdherence'];
+
+// Validation middleware
+const createReviewValidation = [
+    ...SCORE_FIELDS.map(field =>
+        body(`scores.${field}`)
+            .isInt({ min: 1, max: 5 })
+            .withMessage(`${field} score must be a whole number between 1 and 5`)
+            .toInt()
+    ),
+    body('comment')
+        .optional()
+        .trim()
+        .isLength({ max: 2000 })
+        .withMessage('Comment cannot exceed 2000 characters')
+];
+
+const responseValidation = [
+    body('message')
+        .trim()
+        .notEmpty()
+        .withMessage('Response message is required')
+        .isLength({ max: 2000 })
+        .withMessage('Response cannot exceed 2000 characters')
+];
+
+const paginationValidation = [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+];
+
+// Routes
+router.use(authMiddleware); // All routes require authentication
+
+router.get(
+    '/vendor/:vendorId',
+    paginationValidation,
+    reviewController.getVendorReviews
+);
+
+router.get(
+    '/project/:projectId',
+    reviewController.getProjectReview
+);
+
+router.post(
+    '/project/:projectId',
+    roleAuth.clientOnly,
+    createReviewValidation,
+    reviewController.createReview
+);
+
+router.post(
+    '/:reviewId/response',
+    roleAuth.vendorAndConstruction,
+    responseValidation,
+    reviewController.respondToReview
+);
+
+module.exports = router;
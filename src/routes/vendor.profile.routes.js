@@ -25,6 +25,7 @@ const createProfileValidation = [
     body('projectRange.maxBudget').optional().isInt({ min: 0 }).withMessage('Maximum budget must be a positive number'),
     body('projectRange.preferredProjectTypes').optional().isArray().withMessage('Preferred project types must be an array'),
     body('certifications').optional().isArray().withMessage('Certifications must be an array'),
+    body('certifications.*.validUntil').optional().isISO8601().withMessage('Certification validity must be a valid date'),
 ];
 
 const searchValidation = [
@@ -3,9 +3,19 @@ const router = express.Router();
 const VendorProjectPlan = require('../models/vendorProjectPlan.model');
 const Project = require('../models/project.model');
 const { authMiddleware } = require('../middleware/auth.middleware');
+const { actAsOrganization } = require('../middleware/organization.middleware');
+const { findBidderProfile } = require('../utils/bidder');
+const { logAudit } = require('../utils/auditLogger');
+
+// Projects reference the client profile, while tokens carry the user ID
+const isProjectClient = async (project, userId) => {
+  const ClientProfile = require('mongoose').model('ClientProfile');
+  const clientProfile = await ClientProfile.findOne({ user: userId }).select('_id').lean();
+  return Boolean(clientProfile) && project.client.toString() === clientProfile._id.toString();
+};
 
 // Get all vendor project plans for a project (Client view)
-router.get('/project/:projectId', authMiddleware, async (req, res) => {
+router.get('/project/:projectId', authMiddleware, actAsOrganization('plans'), async (req, res) => {
   try {
     const { projectId } = req.params;
     const { status, page = 1, limit = 10 } = req.query;
@@ -46,7 +56,7 @@ router.get('/project/:projectId', authMiddleware, async (req, res) => {
 });
 
 // Get vendor project plan by ID
-router.get('/:planId', authMiddleware, async (req, res) => {
+router.get('/:planId', authMiddleware, actAsOrganization('plans'), async (req, res) => {
   try {
     const { planId } = req.params;
 
@@ -78,7 +88,7 @@ router.get('/:planId', authMiddleware, async (req, res) => {
 });
 
 // Submit vendor project plan (Vendor action)
-router.post('/submit', authMiddleware, async (req, res) => {
+router.post('/submit', authMiddleware, actAsOrganization('plans'), async (req, res) => {
   try {
     const vendorId = req.user.id;
     const planData = req.body;
@@ -106,9 +116,9 @@ router.post('/submit', authMiddleware, async (req, res) => {
       });
     }
 
-    // Get vendor profile to check if vendor has accepted bid for this project
-    const VendorProfile = require('mongoose').model('VendorProfile');
-    const vendorProfile = await VendorProfile.findOne({ user: vendorId });
+    // Get the vendor or construction firm profile to check for an accepted bid on this project
+    const bidder = await findBidderProfile(vendorId, req.user.role, '_id');
+    const vendorProfile = bidder?.profile;
     
     if (!vendorProfile) {
       return res.status(403).json({
@@ -117,15 +127,8 @@ router.post('/submit', authMiddleware, async (req, res) => {
       });
     }
 
-    // Check if vendor has an accepted bid for this project
-    const Bid = require('mongoose').model('Bid');
-    const acceptedBid = await Bid.findOne({
-      project: planData.projectId,
-      vendor: vendorProfile._id,
-      'status.current': 'ACCEPTED'
-    });
-
-    if (!acceptedBid) {
+    // Check if vendor is assigned to this project
+    if (!project.isAssignedTo(vendorProfile._id)) {
       return res.status(403).json({
         status: 'error',
         message: 'You are not authorized to submit a plan for this project. You need to have an accepted bid first.'
@@ -182,7 +185,7 @@ router.post('/submit', authMiddleware, async (req, res) => {
 });
 
 // Request project plan from vendor (Client action)
-router.post('/request/:projectId', authMiddleware, async (req, res) => {
+router.post('/request/:projectId', authMiddleware, actAsOrganization('plans'), async (req, res) => {
   try {
     const { projectId } = req.params;
     const clientId = req.user.id;
@@ -205,7 +208,7 @@ router.post('/request/:projectId', authMiddleware, async (req, res) => {
       });
     }
 
-    if (project.client.toString() !== clientId) {
+    if (!(await isProjectClient(project, clientId))) {
       return res.status(403).json({
         status: 'error',
         message: 'You are not authorized to request project plans for this project. This project belongs to a different client.'
@@ -213,7 +216,7 @@ router.post('/request/:projectId', authMiddleware, async (req, res) => {
     }
 
     // Check if project has accepted bid (vendor selected)
-    if (!project.acceptedBid || !project.vendorId) {
+    if (!project.assignment?.bid || !project.assignment?.vendor) {
       return res.status(403).json({
         status: 'error',
         message: 'No vendor has been selected for this project yet. Please wait for a vendor to be assigned.'
@@ -235,7 +238,7 @@ router.post('/request/:projectId', authMiddleware, async (req, res) => {
 });
 
 // Request progress update (Client action)
-router.post('/progress-request/:projectId', authMiddleware, async (req, res) => {
+router.post('/progress-request/:projectId', authMiddleware, actAsOrganization('plans'), async (req, res) => {
   try {
     const { projectId } = req.params;
     const clientId = req.user.id;
@@ -249,7 +252,7 @@ router.post('/progress-request/:projectId', authMiddleware, async (req, res) =>
       });
     }
 
-    if (project.client.toString() !== clientId) {
+    if (!(await isProjectClient(project, clientId))) {
       return res.status(403).json({
         status: 'error',
         message: 'You are not authorized to request progress updates for this project'
@@ -257,7 +260,7 @@ router.post('/progress-request/:projectId', authMiddleware, async (req, res) =>
     }
 
     // Check if project has vendor
-    if (!project.vendorId) {
+    if (!project.assignment?.vendor) {
       return res.status(400).json({
         status: 'error',
         message: 'No vendor assigned to this project'
@@ -279,7 +282,7 @@ router.post('/progress-request/:projectId', authMiddleware, async (req, res) =>
 });
 
 // Update project plan status (Client action - approve/reject)
-router.patch('/:planId/status', authMiddleware, async (req, res) => {
+router.patch('/:planId/status', authMiddleware, actAsOrganization('plans'), async (req, res) => {
   try {
     const { planId } = req.params;
     const { status, feedback, approvalNotes } = req.body;
@@ -309,6 +312,7 @@ router.patch('/:planId/status', authMiddleware, async (req, res) => {
     }
 
     // Update project plan status
+    const previousStatus = plan.status;
     plan.status = status;
     plan.review.reviewedBy = clientId;
     plan.review.reviewedAt = new Date();
@@ -317,6 +321,17 @@ router.patch('/:planId/status', authMiddleware, async (req, res) => {
 
     await plan.save();
 
+    logAudit('PLAN_REVIEWED', {
+      entityType: 'VendorProjectPlan',
+      entityId: plan._id,
+      projectId: plan.projectId,
+      from: previousStatus,
+      to: status,
+      feedback,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    }, clientId);
+
     res.json({
       status: 'success',
       message: `Project plan ${status} successfully`,
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+const { body, param, query } = require('express-validator');
+const verificationController = require('../controllers/verification.controller');
+const { authMiddleware, requireTwoFactor } = require('../middleware/auth.middleware');
+const roleAuth = require('../middleware/roleAuth.middleware');
+const { ApiError } = require('../utils/apiError');
+
+const router = express.Router();
+
+const UPLOAD_DIR = 'uploads/verification-documents/';
+const ALLOWED_MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+
+// Multer configuration for verification documents; each form field is a document type
+const storage = multer.diskStorage({
+    destination: function (req, file, cb) {
+        fs.mkdir(UPLOAD_DIR, { recursive: true }, (error) => cb(error, UPLOAD_DIR));
+    },
+    filename: function (req, file, cb) {
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname).toLowerCase());
+    }
+});
+
+const upload = multer({
+    storage,
+    limits: { fileSize: 10 * 1024 * 1024 }, // 10MB per document
+    fileFilter: function (req, file, cb) {
+        if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+            return cb(new ApiError(400, 'Documents must be PDF, JPEG or PNG files'));
+        }
+        cb(null, true);
+    }
+});
+
+const documentUpload = upload.fields([
+    { name: 'gst_certificate', maxCount: 2 },
+    { name: 'license', maxCount: 5 },
+    { name: 'identity', maxCount: 2 },
+    { name: 'other', maxCount: 5 }
+]);
+
+// Validation middleware
+const submitValidation = [
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Notes cannot exceed 1000 characters')
+];
+
+const queueValidation = [
+    query('status').optional().isIn(['PENDING', 'APPROVED', 'REJECTED']).withMessage('Invalid status'),
+    query('profileType')
+        .optional()
+        .isIn(['VendorProfile', 'ConstructionProfile'])
+        .withMessage('Profile type must be VendorProfile or ConstructionProfile'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+const reviewValidation = [
+    param('requestId').isMongoId().withMessage('Invalid verification request ID'),
+    body('decision').isIn(['approve', 'reject']).withMessage('Decision must be approve or reject'),
+    body('reason')
+        .if(body('decision').equals('reject'))
+        .trim()
+        .notEmpty()
+        .withMessage('A reason is required when rejecting')
+        .isLength({ max: 1000 })
+        .withMessage('Reason cannot exceed 1000 characters')
+];
+
+// Routes
+router.use(authMiddleware); // All routes require authentication
+
+router.post(
+    '/submit',
+    roleAuth.vendorAndConstruction,
+    documentUpload,
+    submitValidation,
+    verificationController.submitVerification
+);
+
+router.get(
+    '/status',
+    roleAuth.vendorAndConstruction,
+    verificationController.getVerificationStatus
+);
+
+// Admin review queue; reviewers must be signed in with 2FA
+router.get(
+    '/admin/queue',
+    roleAuth.adminOnly,
+    requireTwoFactor,
+    queueValidation,
+    verificationController.getReviewQueue
+);
+
+router.get(
+    '/admin/:requestId',
+    roleAuth.adminOnly,
+    requireTwoFactor,
+    verificationController.getRequest
+);
+
+router.get(
+    '/admin/:requestId/documents/:documentId',
+    roleAuth.adminOnly,
+    requireTwoFactor,
+    verificationController.getDocument
+);
+
+router.post(
+    '/admin/:requestId/review',
+    roleAuth.adminOnly,
+    requireTwoFactor,
+    reviewValidation,
+    verificationController.reviewRequest
+);
+
+module.exports = router;
@@ -0,0 +1,49 @@
+/**
+ * Create a platform admin account
+ * Usage: npm run create-admin -- <email> <password> <firstName> <lastName>
+ */
+require('dotenv').config();
+const bcrypt = require('bcryptjs');
+const Database = require('../config/database');
+const User = require('../models/user.model');
+
+const SALT_ROUNDS = 9;
+
+const createAdmin = async () => {
+    const [email, password, firstName = 'Platform', lastName = 'Admin'] = process.argv.slice(2);
+
+    if (!email || !password) {
+        throw new Error('Usage: npm run create-admin -- <email> <password> [firstName] [lastName]');
+    }
+    if (password.length < 8) {
+        throw new Error('Password must be at least 8 characters');
+    }
+
+    await Database.connect();
+
+    try {
+        const normalizedEmail = email.toLowerCase().trim();
+        if (await User.exists({ email: normalizedEmail })) {
+            throw new Error(`An account already exists for ${normalizedEmail}`);
+        }
+
+        const admin = await User.create({
+            firstName,
+            lastName,
+            email: normalizedEmail,
+            password: await bcrypt.hash(password, SALT_ROUNDS),
+            role: 'admin',
+            emailVerified: true,
+            emailVerifiedAt: new Date()
+        });
+
+        console.log(`✅ Admin account created for ${admin.email}`);
+    } finally {
+        await Database.disconnect();
+    }
+};
+
+createAdmin().catch((error) => {
+    console.error('❌ Failed to create admin:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,671 @@
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const VendorProfile = require('../models/vendor.profile.model');
+const ConstructionProfile = require('../models/construction.profile.model');
+const ClientProfile = require('../models/client.profile.model');
+const Project = require('../models/project.model');
+const Bid = require('../models/bid.model');
+const Review = require('../models/review.model');
+const Invoice = require('../models/invoice.model');
+const VerificationRequest = require('../models/verification.request.model');
+const Notification = require('../models/notification.model');
+const AuditEvent = require('../models/audit.event.model');
+const projectService = require('./project.service');
+const bidService = require('./bid.service');
+const reviewService = require('./review.service');
+const AuthService = require('./auth.service');
+const tokenService = require('./token.service');
+const twoFactorService = require('./two.factor.service');
+const { ApiError } = require('../utils/apiError');
+const logger = require('../utils/logger');
+const { logAdminAction } = require('../utils/auditLogger');
+const { sanitizeText, escapeRegex } = require('../utils/sanitize');
+
+// Profile collections an admin can manage, keyed by the type used in the API
+const PROFILE_MODELS = {
+    vendor: VendorProfile,
+    construction: ConstructionProfile
+};
+
+// Profile owned by each business role
+const ROLE_PROFILE_MODELS = {
+    client_owner: ClientProfile,
+    vendor_supplier: VendorProfile,
+    construction_firm: ConstructionProfile
+};
+
+class AdminService {
+    /**
+     * Search user accounts
+     * @param {Object} filters - { search, role, status, page, limit }
+     * @returns {Promise<Object>} Users with pagination
+     */
+    async listUsers({ search, role, status, page = 1, limit = 20 } = {}) {
+        try {
+            const query = {};
+            // Accounts created before multi-role support only have `role`
+            if (role) query.$and = [{ $or: [{ roles: role }, { role }] }];
+            if (status) query.status = status;
+            if (search) {
+                const pattern = new RegExp(escapeRegex(search), 'i');
+                query.$or = [
+                    { firstName: pattern },
+                    { lastName: pattern },
+                    { email: pattern },
+                    { companyName: pattern }
+                ];
+            }
+
+            const [users, total] = await Promise.all([
+                User.find(query)
+                    .select('-password')
+                    .sort({ createdAt: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit)
+                    .lean(),
+                User.countDocuments(query)
+            ]);
+
+            return {
+                users,
+                pagination: this._paginate(page, limit, total)
+            };
+        } catch (error) {
+            logger.error('Error listing users', { error: error.message });
+            throw new ApiError(500, 'Error listing users', error);
+        }
+    }
+
+    /**
+     * User account with the business profile of each role it holds
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} { user, profiles } with profiles keyed by role
+     */
+    async getUser(userId) {
+        const user = await this._findUser(userId);
+
+        const roles = user.getRoles().filter(role => ROLE_PROFILE_MODELS[role]);
+        const profiles = await Promise.all(roles.map(role =>
+            ROLE_PROFILE_MODELS[role].findOne({ user: user._id }).select('-financialDetails.bankingInfo').lean()
+        ));
+
+        return {
+            user: { ...user.toJSON(), roles: user.getRoles() },
+            profiles: Object.fromEntries(roles.map((role, index) => [role, profiles[index]]))
+        };
+    }
+
+    /**
+     * Suspend a user account and sign it out everywhere (Admin action)
+     * @param {string} userId - User ID
+     * @param {string} adminId - Acting admin's user ID
+     * @param {string} reason - Suspension reason
+     * @param {Object} context - { ip, userAgent } of the admin request
+     * @returns {Promise<Object>} Updated user
+     */
+    async suspendUser(userId, adminId, reason, context = {}) {
+        try {
+            const user = await this._findUser(userId);
+            if (user.hasRole('admin')) {
+                throw new ApiError(400, 'Admin accounts cannot be suspended');
+            }
+            if (user.status === 'suspended') {
+                throw new ApiError(400, 'User is already suspended');
+            }
+
+            user.status = 'suspended';
+            user.suspension = {
+                reason: sanitizeText(reason),
+                suspendedAt: new Date(),
+                suspendedBy: adminId
+            };
+            await user.save();
+
+            await tokenService.revokeAllSessions(user._id, 'ACCOUNT_SUSPENDED');
+            await AuthService.clearCachedUser(user.email);
+
+            logAdminAction('USER_SUSPENDED', adminId, {
+                entityType: 'User',
+                entityId: user._id,
+                reason: user.suspension.reason,
+                ...context
+            });
+
+            return user.toJSON();
+        } catch (error) {
+            logger.error('Error suspending user', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, 'Error suspending user', error);
+        }
+    }
+
+    /**
+     * Lift a user account suspension (Admin action)
+     * @param {string} userId - User ID
+     * @param {string} adminId - Acting admin's user ID
+     * @param {Object} context - { ip, userAgent } of the admin request
+     * @returns {Promise<Object>} Updated user
+     */
+    async reinstateUser(userId, adminId, context = {}) {
+        try {
+            const user = await this._findUser(userId);
+            if (user.status !== 'suspended') {
+                throw new ApiError(400, 'User is not suspended');
+            }
+
+            user.status = 'active';
+            user.suspension = undefined;
+            await user.save();
+
+            await AuthService.clearCachedUser(user.email);
+
+            logAdminAction('USER_REINSTATED', adminId, { entityType: 'User', entityId: user._id, ...context });
+
+            return user.toJSON();
+        } catch (error) {
+            logger.error('Error reinstating user', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, 'Error reinstating user', error);
+        }
+    }
+
+    /**
+     * Remove a user's two-factor authentication so they can enroll again (Admin action)
+     * For users who lost both their authenticator and their backup codes.
+     * All of the user's sessions are ended.
+     * @param {string} userId - User ID
+     * @param {string} adminId - Acting admin's user ID
+     * @param {string} reason - Why the reset was granted
+     * @param {Object} context - { ip, userAgent } of the admin request
+     * @returns {Promise<Object>} Updated user
+     */
+    async resetTwoFactor(userId, adminId, reason, context = {}) {
+        try {
+            const user = await this._findUser(userId);
+            if (user._id.toString() === adminId.toString()) {
+                throw new ApiError(400, 'Admins cannot reset their own two-factor authentication');
+            }
+            if (!user.twoFactorEnabled) {
+                throw new ApiError(400, 'User does not have two-factor authentication enabled');
+            }
+
+            await twoFactorService.disable(user._id);
+            await tokenService.revokeAllSessions(user._id, 'TWO_FACTOR_RESET');
+            await AuthService.clearCachedUser(user.email);
+
+            logAdminAction('USER_TWO_FACTOR_RESET', adminId, {
+                entityType: 'User',
+                entityId: user._id,
+                reason: sanitizeText(reason),
+                ...context
+            });
+
+            user.twoFactorEnabled = undefined;
+            return user.toJSON();
+        } catch (error) {
+            logger.error('Error resetting two-factor authentication', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, 'Error resetting two-factor authentication', error);
+        }
+    }
+
+    /**
+     * Search vendor or construction firm profiles
+     * @param {Object} filters - { type, search, status, verified, page, limit }
+     * @returns {Promise<Object>} Profiles with pagination
+     */
+    async listProfiles({ type, search, status, verified, page = 1, limit = 20 } = {}) {
+        try {
+            const ProfileModel = this._getProfileModel(type);
+
+            const query = {};
+            if (status) query.status = status;
+            if (verified !== undefined) query.isVerified = verified;
+            if (search) {
+                const pattern = new RegExp(escapeRegex(search), 'i');
+                query.$or = [
+                    { companyName: pattern },
+                    { 'location.city': pattern },
+                    { 'gstDetails.number': pattern }
+                ];
+            }
+
+            const [profiles, total] = await Promise.all([
+                ProfileModel.find(query)
+                    .select('-financialDetails.bankingInfo')
+                    .populate('user', 'firstName lastName email phone status')
+                    .sort({ createdAt: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit)
+                    .lean(),
+                ProfileModel.countDocuments(query)
+            ]);
+
+            return {
+                profiles,
+                pagination: this._paginate(page, limit, total)
+            };
+        } catch (error) {
+            logger.error('Error listing profiles', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, 'Error listing profiles', error);
+        }
+    }
+
+    /**
+     * Suspend a vendor or construction firm profile so it can no longer bid (Admin action)
+     * @param {string} type - 'vendor' or 'construction'
+     * @param {string} profileId - Profile ID
+     * @param {string} adminId - Acting admin's user ID
+     * @param {string} reason - Suspension reason
+     * @param {Object} context - { ip, userAgent } of the admin request
+     * @returns {Promise<Object>} Updated profile
+     */
+    async suspendProfile(type, profileId, adminId, reason, context = {}) {
+        try {
+            const profile = await this._findProfile(type, profileId);
+            if (profile.status === 'suspended' && profile.suspension?.reason === 'ADMIN') {
+                throw new ApiError(400, 'Profile is already suspended');
+            }
+
+            // An admin suspension takes precedence over an automatic one
+            profile.status = 'suspended';
+            profile.suspension = {
+                reason: 'ADMIN',
+                note: sanitizeText(reason),
+                suspendedAt: new Date(),
+                suspendedBy: adminId
+            };
+            await profile.save();
+
+            await Notification.create({
+                user: profile.user,
+                type: 'ACCOUNT_SUSPENDED',
+                severity: 'critical',
+                title: 'Account suspended',
+                message: `${profile.companyName} has been suspended by the platform: ${profile.suspension.note}`,
+                data: { profileId: profile._id }
+            });
+
+            logAdminAction('PROFILE_SUSPENDED', adminId, {
+                entityType: profile.constructor.modelName,
+                entityId: profile._id,
+                reason: profile.suspension.note,
+                ...context
+            });
+
+            return profile.toObject();
+        } catch (error) {
+            logger.error('Error suspending profile', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, 'Error suspending profile', error);
+        }
+    }
+
+    /**
+     * Lift a profile suspension (Admin action)
+     * Construction firms with an expired mandatory license stay suspended.
+     * @param {string} type - 'vendor' or 'construction'
+     * @param {string} profileId - Profile ID
+     * @param {string} adminId - Acting admin's user ID
+     * @param {Object} context - { ip, userAgent } of the admin request
+     * @returns {Promise<Object>} Updated profile
+     */
+    async reinstateProfile(type, profileId, adminId, context = {}) {
+        try {
+            const profile = await this._findProfile(type, profileId);
+            if (profile.status !== 'suspended') {
+                throw new ApiError(400, 'Profile is not suspended');
+            }
+            if (type === 'construction' && profile.hasExpiredMandatoryLicense()) {
+                throw new ApiError(400, 'Profile has an expired mandatory license and cannot be reinstated until it is renewed');
+            }
+
+            profile.status = 'active';
+            profile.suspension = undefined;
+            await profile.save();
+
+            await Notification.create({
+                user: profile.user,
+                type: 'ACCOUNT_REINSTATED',
+                severity: 'info',
+                title: 'Account reinstated',
+                message: `${profile.companyName} has been reinstated by the platform.`,
+                data: { profileId: profile._id }
+            });
+
+            logAdminAction('PROFILE_REINSTATED', adminId, {
+                entityType: profile.constructor.modelName,
+                entityId: profile._id,
+                ...context
+            });
+
+            return profile.toObject();
+        } catch (error) {
+            logger.error('Error reinstating profile', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, 'Error reinstating profile', error);
+        }
+    }
+
+    /**
+     * Cancel any unfinished project (Admin action)
+     * @param {string} projectId - Project ID
+     * @param {string} adminId - Acting admin's user ID
+     * @param {string} reason - Cancellation reason
+     * @param {Object} context - { ip, userAgent } of the admin request
+     * @returns {Promise<Object>} Cancelled project
+     */
+    async forceCancelProject(projectId, adminId, reason, context = {}) {
+        const project = await projectService.forceCancelProject(projectId, adminId, sanitizeText(reason));
+
+        logAdminAction('PROJECT_FORCE_CANCELLED', adminId, {
+            entityType: 'Project',
+            entityId: project._id,
+            reason: sanitizeText(reason),
+            ...context
+        });
+
+        return project;
+    }
+
+    /**
+     * Browse bids across the platform
+     * @param {Object} filters - { project, status, removed, page, limit }
+     * @returns {Promise<Object>} Bids with pagination
+     */
+    async listBids({ project, status, removed, page = 1, limit = 20 } = {}) {
+        try {
+            const query = {};
+            if (project) query.project = project;
+            if (status) query['status.current'] = status;
+            if (removed !== undefined) query['moderation.removed'] = removed ? true : { $ne: true };
+
+            const [bids, total] = await Promise.all([
+                Bid.find(query)
+                    .populate('project', 'title status.current')
+                    .populate('vendor', 'companyName status')
+                    .sort({ createdAt: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit)
+                    .lean(),
+                Bid.countDocuments(query)
+            ]);
+
+            return {
+                bids,
+                pagination: this._paginate(page, limit, total)
+            };
+        } catch (error) {
+            logger.error('Error listing bids', { error: error.message });
+            throw new ApiError(500, 'Error listing bids', error);
+        }
+    }
+
+    /**
+     * Remove a bid that breaks platform rules (Admin action)
+     * @param {string} bidId - Bid ID
+     * @param {string} adminId - Acting admin's user ID
+     * @param {string} reason - Removal reason
+     * @param {Object} context - { ip, userAgent } of the admin request
+     * @returns {Promise<Object>} Updated bid
+     */
+    async removeBid(bidId, adminId, reason, context = {}) {
+        const bid = await bidService.removeBid(bidId, adminId, reason);
+
+        logAdminAction('BID_REMOVED', adminId, {
+            entityType: 'Bid',
+            entityId: bid._id,
+            projectId: bid.project,
+            reason: bid.moderation.reason,
+            ...context
+        });
+
+        return bid;
+    }
+
+    /**
+     * Browse reviews across the platform
+     * @param {Object} filters - { vendor, hidden, maxRating, page, limit }
+     * @returns {Promise<Object>} Reviews with pagination
+     */
+    async listReviews({ vendor, hidden, maxRating, page = 1, limit = 20 } = {}) {
+        try {
+            const query = {};
+            if (vendor) query.vendor = vendor;
+            if (hidden !== undefined) query['moderation.hidden'] = hidden ? true : { $ne: true };
+            if (maxRating !== undefined) query.overall = { $lte: maxRating };
+
+            const [reviews, total] = await Promise.all([
+                Review.find(query)
+                    .populate('project', 'title')
+                    .populate('vendor', 'companyName')
+                    .sort({ createdAt: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit)
+                    .lean(),
+                Review.countDocuments(query)
+            ]);
+
+            return {
+                reviews,
+                pagination: this._paginate(page, limit, total)
+            };
+        } catch (error) {
+            logger.error('Error listing reviews', { error: error.message });
+            throw new ApiError(500, 'Error listing reviews', error);
+        }
+    }
+
+    /**
+     * Hide or restore a review (Admin action)
+     * @param {string} reviewId - Review ID
+     * @param {boolean} hidden - Whether the review should be hidden
+     * @param {string} adminId - Acting admin's user ID
+     * @param {string} reason - Moderation reason
+     * @param {Object} context - { ip, userAgent } of the admin request
+     * @returns {Promise<Object>} Updated review and the vendor's ratings
+     */
+    async setReviewVisibility(reviewId, hidden, adminId, reason, context = {}) {
+        const result = await reviewService.setReviewVisibility(reviewId, hidden, adminId, reason);
+
+        logAdminAction(hidden ? 'REVIEW_HIDDEN' : 'REVIEW_RESTORED', adminId, {
+            entityType: 'Review',
+            entityId: result.review._id,
+            vendorId: result.review.vendor,
+            reason: result.review.moderation.reason,
+            ...context
+        });
+
+        return result;
+    }
+
+    /**
+     * Platform-wide counts and payment totals
+     * @returns {Promise<Object>} Platform statistics
+     */
+    async getStats() {
+        try {
+            const [users, profiles, projects, bids, contracts, invoices, reviews, pendingVerifications] = await Promise.all([
+                // Users holding several roles are counted under each of them
+                User.aggregate([
+                    { $project: { status: 1, roles: { $ifNull: ['$roles', ['$role']] } } },
+                    { $unwind: '$roles' },
+                    { $group: { _id: { role: '$roles', status: '$status' }, count: { $sum: 1 } } }
+                ]),
+                Promise.all(Object.entries(PROFILE_MODELS).map(async ([type, ProfileModel]) => [
+                    type,
+                    await ProfileModel.aggregate([
+                        { $group: { _id: '$status', count: { $sum: 1 }, verified: { $sum: { $cond: ['$isVerified', 1, 0] } } } }
+                    ])
+                ])),
+                Project.aggregate([
+                    { $group: { _id: '$status.current', count: { $sum: 1 } } }
+                ]),
+                Bid.aggregate([
+                    { $group: { _id: '$status.current', count: { $sum: 1 } } }
+                ]),
+                Project.aggregate([
+                    { $match: { 'assignment.agreedCost': { $gt: 0 } } },
+                    { $group: { _id: '$assignment.currency', count: { $sum: 1 }, value: { $sum: '$assignment.agreedCost' } } }
+                ]),
+                Invoice.aggregate([
+                    { $match: { status: { $ne: 'CANCELLED' } } },
+                    {
+                        $group: {
+                            _id: '$currency',
+                            count: { $sum: 1 },
+                            invoiced: { $sum: '$amount' },
+                            heldInEscrow: { $sum: '$escrow.held' },
+                            released: { $sum: '$escrow.released' }
+                        }
+                    }
+                ]),
+                Review.aggregate([
+                    {
+                        $group: {
+                            _id: null,
+                            total: { $sum: 1 },
+                            hidden: { $sum: { $cond: ['$moderation.hidden', 1, 0] } },
+                            averageRating: { $avg: '$overall' }
+                        }
+                    }
+                ]),
+                VerificationRequest.countDocuments({ status: 'PENDING' })
+            ]);
+
+            return {
+                users: users.reduce((acc, { _id, count }) => {
+                    acc[_id.role] = acc[_id.role] || { total: 0 };
+                    acc[_id.role][_id.status || 'active'] = (acc[_id.role][_id.status || 'active'] || 0) + count;
+                    acc[_id.role].total += count;
+                    return acc;
+                }, {}),
+                profiles: Object.fromEntries(profiles.map(([type, groups]) => [type, {
+                    total: groups.reduce((sum, group) => sum + group.count, 0),
+                    verified: groups.reduce((sum, group) => sum + group.verified, 0),
+                    byStatus: this._countsById(groups)
+                }])),
+                projects: this._countsById(projects),
+                bids: this._countsById(bids),
+                contracts: contracts.map(({ _id, count, value }) => ({ currency: _id || 'INR', count, value })),
+                payments: invoices.map(({ _id, ...totals }) => ({ currency: _id, ...totals })),
+                reviews: {
+                    total: reviews[0]?.total || 0,
+                    hidden: reviews[0]?.hidden || 0,
+                    averageRating: reviews[0]?.averageRating ? Math.round(reviews[0].averageRating * 100) / 100 : 0
+                },
+                pendingVerifications
+            };
+        } catch (error) {
+            logger.error('Error retrieving platform stats', { error: error.message });
+            throw new ApiError(500, 'Error retrieving platform stats', error);
+        }
+    }
+
+    /**
+     * Browse the audit trail, newest first
+     * @param {Object} filters - { actor, entityType, entityId, event, from, to, page, limit }
+     * @returns {Promise<Object>} Audit events with pagination
+     */
+    async listAuditEvents({ actor, entityType, entityId, event, from, to, page = 1, limit = 50 } = {}) {
+        try {
+            const query = {};
+            if (actor) query.actor = actor;
+            if (entityType) query.entityType = entityType;
+            if (entityId) query.entityId = entityId;
+            if (event) query.event = event;
+            if (from || to) {
+                query.createdAt = {};
+                if (from) query.createdAt.$gte = from;
+                if (to) query.createdAt.$lte = to;
+            }
+
+            const [events, total] = await Promise.all([
+                AuditEvent.find(query)
+                    .populate('actor', 'firstName lastName email role')
+                    .sort({ createdAt: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit)
+                    .lean(),
+                AuditEvent.countDocuments(query)
+            ]);
+
+            return {
+                events,
+                pagination: this._paginate(page, limit, total)
+            };
+        } catch (error) {
+            logger.error('Error retrieving audit events', { error: error.message });
+            throw new ApiError(500, 'Error retrieving audit events', error);
+        }
+    }
+
+    // Private helper methods
+
+    /**
+     * @private
+     */
+    async _findUser(userId) {
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            throw new ApiError(400, 'Invalid user ID');
+        }
+
+        const user = await User.findById(userId);
+        if (!user) {
+            throw new ApiError(404, 'User not found');
+        }
+        return user;
+    }
+
+    /**
+     * @private
+     */
+    _getProfileModel(type) {
+        const ProfileModel = PROFILE_MODELS[type];
+        if (!ProfileModel) {
+            throw new ApiError(400, 'Profile type must be vendor or construction');
+        }
+        return ProfileModel;
+    }
+
+    /**
+     * @private
+     */
+    async _findProfile(type, profileId) {
+        const ProfileModel = this._getProfileModel(type);
+        if (!mongoose.Types.ObjectId.isValid(profileId)) {
+            throw new ApiError(400, 'Invalid profile ID');
+        }
+
+        const profile = await ProfileModel.findById(profileId);
+        if (!profile) {
+            throw new ApiError(404, 'Profile not found');
+        }
+        return profile;
+    }
+
+    /**
+     * @private
+     */
+    _countsById(groups) {
+        return groups.reduce((acc, { _id, count }) => {
+            acc[_id] = count;
+            return acc;
+        }, {});
+    }
+
+    /**
+     * @private
+     */
+    _paginate(page, limit, total) {
+        return {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        };
+    }
+}
+
+module.exports = new AdminService();
@@ -1,65 +1,63 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const UserRepository = require('../repositories/user.repository');
 const { ApiError } = require('../utils/apiError');
+const logger = require('../utils/logger');
+const { logAuthEvent } = require('../utils/auditLogger');
+const tokenService = require('./token.service');
+const mailService = require('./mail.service');
+const twoFactorService = require('./two.factor.service');
+const sessionManager = require('../utils/sessionManager');
+const loginThrottle = require('../utils/loginThrottle');
+const UserToken = require('../models/user.token.model');
+const User = require('../models/user.model');
+const { getCache } = require('../utils/cache');
 
 // Constants for performance optimization
 const SALT_ROUNDS = 9;  // Optimized for ~40ms hashing time while maintaining good security
-const TOKEN_EXPIRY = '24h';
 const LOGIN_TIMEOUT = 15000; // 15 seconds for free tier latency
 const REGISTRATION_TIMEOUT = 20000; // 20 seconds timeout for registration on free tier
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const PASSWORD_RESET_TTL = 60 * 60 * 1000; // 1 hour
 
-// Cache for frequently accessed users
-const userCache = new Map();
-const USER_CACHE_MAX_SIZE = 1000;
+// Cache for frequently accessed users, keyed by normalized email
 const USER_CACHE_EXPIRY = 5 * 60 * 1000; // 5 minutes
+const userCache = getCache('users', { ttl: USER_CACHE_EXPIRY });
 
 // Precompute regex patterns for validation
 const EMAIL_REGEX = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
 const PHONE_REGEX = /^[0-9]{10}$/;
 const GST_REGEX = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
 const validRoles = ['client_owner', 'vendor_supplier', 'construction_firm'];
+// Admins sign in like everyone else but cannot self-register
+const loginRoles = [...validRoles, 'admin'];
+// Failures that mean a wrong email, password or role rather than a bad request
+const FAILED_LOGIN_STATUSES = [401, 404];
 
 class AuthService {
     constructor() {
         this.userRepository = new UserRepository();
-        
-        // Clean expired users from cache periodically
-        setInterval(() => {
-            const now = Date.now();
-            for (const [key, value] of userCache.entries()) {
-                if (now > value.expiresAt) {
-                    userCache.delete(key);
-                }
-            }
-        }, 60000); // Clean every minute
     }
 
-    // Helper method to manage user cache
+    // Helper method to manage user cache; cached users come back as documents
     async getCachedUser(email) {
-        const cachedUser = userCache.get(email);
-        if (cachedUser && Date.now() <= cachedUser.expiresAt) {
-            return cachedUser.user;
-        }
-        return null;
+        const cachedUser = await userCache.get(email.toLowerCase());
+        return cachedUser ? User.hydrate(cachedUser) : null;
+    }
+
+    // Drop a cached user on every instance so the next login reads fresh account data
+    static async clearCachedUser(email) {
+        await userCache.delete(email.toLowerCase());
     }
 
     // Helper method to cache user
-    cacheUser(email, user) {
-        if (userCache.size >= USER_CACHE_MAX_SIZE) {
-            const oldestKey = userCache.keys().next().value;
-            userCache.delete(oldestKey);
-        }
-        userCache.set(email, {
-            user,
-            expiresAt: Date.now() + USER_CACHE_EXPIRY
-        });
+    async cacheUser(email, user) {
+        await userCache.set(email.toLowerCase(), user.toObject());
     }
 
-    async registerUser(data) {
+    async registerUser(data, context = {}) {
         try {
             // Set timeout for registration
-            const registrationPromise = this._performRegistration(data);
+            const registrationPromise = this._performRegistration(data, context);
             const timeoutPromise = new Promise((_, reject) => {
                 setTimeout(() => reject(new ApiError(408, 'Registration request timed out')), REGISTRATION_TIMEOUT);
             });
@@ -73,7 +71,7 @@ class AuthService {
         }
     }
 
-    async _performRegistration(data) {
+    async _performRegistration(data, context = {}) {
         // Clean data first (synchronous operations)
         const cleanData = this._sanitizeInputData(data);
         
@@ -97,7 +95,9 @@ class AuthService {
             firstName: cleanData.firstName,
             lastName: cleanData.lastName,
             role: cleanData.role,
-            phone: cleanData.phone
+            roles: [cleanData.role],
+            phone: cleanData.phone,
+            emailVerified: false
         };
 
         // Add role-specific fields
@@ -108,21 +108,23 @@ class AuthService {
 
         // Step 2: Create user first, then generate token and prepare cache in parallel
         const user = await this.userRepository.create(userData);
+
+        // Mail delivery must not hold up or fail the registration
+        this._sendEmailVerification(user).catch(error => {
+            logger.error('Failed to send verification email', { userId: user._id, error: error.message });
+        });
         
-        const [token, cacheKey] = await Promise.all([
-            this.generateToken(user),  // Use the actual user object from database
+        const [tokens, cacheKey] = await Promise.all([
+            tokenService.issueTokens(user, context),  // Use the actual user object from database
             this._prepareCacheKey(cleanData.email)  // Prepare cache key in parallel
         ]);
 
-        // Step 3: Update cache and prepare response in parallel
-        await Promise.all([
-            this.cacheUser(cacheKey, user),
-            this._updateLoginAttempts(cleanData.email, true)  // Clear any previous failed attempts
-        ]);
+        // Step 3: Update cache
+        await this.cacheUser(cacheKey, user);
 
         return {
             user: this.sanitizeUser(user),
-            token
+            ...tokens
         };
     }
 
@@ -157,14 +159,19 @@ class AuthService {
             throw new ApiError(400, 'Invalid role specified');
         }
 
+        this._validateRoleFields(data.role, data);
+    }
+
+    // Validate the account fields a role depends on
+    _validateRoleFields(role, data) {
         // Validate phone for vendor/construction
-        if ((data.role === 'vendor_supplier' || data.role === 'construction_firm') &&
+        if ((role === 'vendor_supplier' || role === 'construction_firm') &&
             (!data.phone || !PHONE_REGEX.test(data.phone))) {
             throw new ApiError(400, 'Valid phone number is required for vendors and construction firms');
         }
 
         // Validate construction firm specific fields
-        if (data.role === 'construction_firm') {
+        if (role === 'construction_firm') {
             if (!data.companyName) {
                 throw new ApiError(400, 'Company name is required for construction firms');
             }
@@ -174,10 +181,10 @@ class AuthService {
         }
     }
 
-    async loginUser({ email, password, role }) {
+    async loginUser({ email, password, role }, context = {}) {
         try {
             // Set timeout for login operation
-            const loginPromise = this._performLogin({ email, password, role });
+            const loginPromise = this._performLogin({ email, password, role }, context);
             const timeoutPromise = new Promise((_, reject) => {
                 setTimeout(() => reject(new ApiError(408, 'Login request timed out')), LOGIN_TIMEOUT);
             });
@@ -191,22 +198,28 @@ class AuthService {
         }
     }
 
-    async _performLogin({ email, password, role }) {
+    async _performLogin({ email, password, role }, context = {}) {
+        let user = null;
+
         try {
             // Step 1: Quick synchronous validations and data cleaning
-            if (!email || !password || !role) {
-                throw new ApiError(400, 'Email, password, and role are required');
+            if (!email || !password) {
+                throw new ApiError(400, 'Email and password are required');
             }
 
             const normalizedEmail = email.trim().toLowerCase();
             const cleanPassword = password.trim();
-            const cleanRole = role.trim();
+            // Without a role the session starts in the account's default role
+            const cleanRole = role ? role.trim() : null;
 
             // Validate format synchronously
-            if (!EMAIL_REGEX.test(normalizedEmail) || !validRoles.includes(cleanRole)) {
+            if (!EMAIL_REGEX.test(normalizedEmail) || (cleanRole && !loginRoles.includes(cleanRole))) {
                 throw new ApiError(400, 'Invalid email format or role');
             }
 
+            // Locked accounts and blocked addresses are turned away before any lookup
+            await loginThrottle.assertAllowed({ email: normalizedEmail, ip: context.ip });
+
             // Step 2: Parallel operations - check cache and prepare cache key
             const [cachedUser, cacheKey] = await Promise.all([
                 this.getCachedUser(normalizedEmail),
@@ -214,7 +227,7 @@ class AuthService {
             ]);
 
             // Step 3: If cache miss, get user from DB
-            let user = cachedUser;
+            user = cachedUser;
             let isCacheHit = Boolean(cachedUser);
 
             if (!user) {
@@ -225,63 +238,135 @@ class AuthService {
             }
 
             // Quick role check before expensive operations
-            if (user.role !== cleanRole) {
+            if (cleanRole && !user.hasRole(cleanRole)) {
                 throw new ApiError(401, 'Invalid role for this account');
             }
+            const activeRole = cleanRole || user.role;
 
-            // Step 4: Parallel operations - verify password, generate token, and prepare cache
-            const [isPasswordValid, token] = await Promise.all([
-                bcrypt.compare(cleanPassword, user.password),
-                this.generateToken(user)
-            ]);
+            if (user.status === 'suspended') {
+                throw new ApiError(403, 'This account has been suspended. Please contact support.');
+            }
+
+            // Step 4: Verify password before starting a session
+            const isPasswordValid = await bcrypt.compare(cleanPassword, user.password);
 
             if (!isPasswordValid) {
-                // Update failed attempts and throw error
-                await this._updateLoginAttempts(normalizedEmail, false);
                 throw new ApiError(401, 'Incorrect password. Please try again.');
             }
 
-            // Step 5: Final parallel operations - update cache and login attempts
+            // Step 5: Update cache
             if (!isCacheHit) {
-                await Promise.all([
-                    this.cacheUser(cacheKey, user),
-                    this._updateLoginAttempts(normalizedEmail, true)
-                ]);
-            } else {
-                await this._updateLoginAttempts(normalizedEmail, true);
+                await this.cacheUser(cacheKey, user);
             }
 
+            // With two-factor authentication the session only starts once a code is provided,
+            // so failures are only cleared when the second step succeeds
+            if (user.twoFactorEnabled) {
+                logAuthEvent('LOGIN_TWO_FACTOR_CHALLENGE', user._id, true, {
+                    entityType: 'User',
+                    entityId: user._id,
+                    role: activeRole,
+                    ...context
+                });
+
+                return {
+                    twoFactorRequired: true,
+                    ...twoFactorService.createChallenge(user, activeRole)
+                };
+            }
+
+            const tokens = await tokenService.issueTokens(user, context, { role: activeRole });
+            await loginThrottle.recordSuccess({ email: normalizedEmail });
+
+            logAuthEvent('LOGIN', user._id, true, {
+                entityType: 'User',
+                entityId: user._id,
+                role: activeRole,
+                ...context
+            });
+
             return {
                 user: this.sanitizeUser(user),
-                token,
+                ...tokens,
                 cached: isCacheHit
             };
         } catch (error) {
-            // Update failed login attempts
-            if (email) {
-                this._updateLoginAttempts(email.trim().toLowerCase(), false);
+            logAuthEvent('LOGIN', user?._id || null, false, {
+                entityType: user ? 'User' : undefined,
+                entityId: user?._id,
+                email: email?.trim().toLowerCase(),
+                role,
+                reason: error.message,
+                ...context
+            });
+
+            // Unknown accounts and wrong credentials count towards throttling
+            if (FAILED_LOGIN_STATUSES.includes(error.statusCode)) {
+                await loginThrottle.recordFailure(
+                    { email: email.trim().toLowerCase(), ip: context.ip },
+                    { userId: user?._id || null, userAgent: context.userAgent }
+                );
             }
             throw error;
         }
     }
 
-    // Track login attempts for security
-    _updateLoginAttempts(email, success) {
-        const key = `login_attempts_${email}`;
-        const attempts = userCache.get(key) || { count: 0, lastAttempt: 0 };
-        
-        if (success) {
-            userCache.delete(key);
-        } else {
-            attempts.count += 1;
-            attempts.lastAttempt = Date.now();
-            userCache.set(key, attempts);
-
-            // If too many failed attempts, implement exponential backoff
-            if (attempts.count > 5) {
-                const backoffTime = Math.min(Math.pow(2, attempts.count - 5) * 1000, 30000);
-                throw new ApiError(429, `Too many failed attempts. Please try again in ${Math.ceil(backoffTime/1000)} seconds`);
+    /**
+     * Second login step: exchange a challenge token and a code for a session
+     * @param {string} challengeToken - Token returned by the password step
+     * @param {string} code - Authenticator or backup code
+     * @returns {Promise<Object>} { user, token, refreshToken, expiresIn, activeRole }
+     */
+    async completeTwoFactorLogin(challengeToken, code, context = {}) {
+        let user = null;
+        try {
+            const challenge = twoFactorService.readChallenge(challengeToken);
+
+            user = await this.userRepository.findById(challenge.userId);
+            if (!user) {
+                throw new ApiError(401, 'Account no longer exists');
+            }
+            await loginThrottle.assertAllowed({ email: user.email, ip: context.ip });
+
+            const method = await twoFactorService.completeChallenge(challenge, code);
+
+            if (user.status === 'suspended') {
+                throw new ApiError(403, 'This account has been suspended. Please contact support.');
+            }
+            // The role may have been removed since the password step
+            const role = user.hasRole(challenge.role) ? challenge.role : user.role;
+
+            const tokens = await tokenService.issueTokens(user, context, { role, mfa: true });
+            await loginThrottle.recordSuccess({ email: user.email });
+
+            logAuthEvent('LOGIN', user._id, true, {
+                entityType: 'User',
+                entityId: user._id,
+                role,
+                twoFactorMethod: method,
+                ...context
+            });
+
+            return {
+                user: this.sanitizeUser(user),
+                ...tokens
+            };
+        } catch (error) {
+            logAuthEvent('LOGIN_TWO_FACTOR', user?._id || null, false, {
+                entityType: user ? 'User' : undefined,
+                entityId: user?._id,
+                reason: error.message,
+                ...context
+            });
+
+            // Wrong codes count against the account like wrong passwords
+            if (user && error.statusCode === 401) {
+                await loginThrottle.recordFailure(
+                    { email: user.email, ip: context.ip },
+                    { userId: user._id, userAgent: context.userAgent }
+                );
             }
+            throw error;
         }
     }
 
@@ -293,29 +378,327 @@ class AuthService {
         return this.sanitizeUser(user);
     }
 
-    generateToken(user) {
-        try {
-            return jwt.sign(
-                { 
-                    id: user._id,
-                    role: user.role
-                },
-                process.env.JWT_SECRET,
-                { 
-                    expiresIn: TOKEN_EXPIRY,
-                    algorithm: 'HS256' // Specify faster algorithm
-                }
-            );
-        } catch (error) {
-            console.error('Token generation error:', error);
-            throw new ApiError(500, 'Failed to generate authentication token');
+    async refreshTokens(refreshToken, context = {}) {
+        return tokenService.refresh(refreshToken, context);
+    }
+
+    async logout(userId, sessionId, context = {}) {
+        await tokenService.revokeSession(sessionId, userId);
+        logAuthEvent('LOGOUT', userId, true, { entityType: 'User', entityId: userId, sessionId, ...context });
+    }
+
+    async logoutAllDevices(userId, context = {}) {
+        const sessions = await tokenService.revokeAllSessions(userId);
+        logAuthEvent('LOGOUT_ALL', userId, true, { entityType: 'User', entityId: userId, sessions, ...context });
+        return { sessions };
+    }
+
+    /**
+     * List the devices a user is signed in on
+     * @param {string} userId - User ID
+     * @param {string} currentSessionId - Session of the request, flagged as current
+     */
+    async listSessions(userId, currentSessionId) {
+        const sessions = await sessionManager.getUserSessions(userId);
+        return sessions.map(session => ({
+            sessionId: session.sessionId,
+            ip: session.deviceInfo.ip,
+            userAgent: session.deviceInfo.userAgent,
+            createdAt: session.createdAt,
+            lastActivity: session.lastActivity,
+            expiresAt: session.expiresAt,
+            current: session.sessionId === currentSessionId
+        }));
+    }
+
+    /**
+     * Sign a single device out
+     * @param {string} userId - User ID
+     * @param {string} sessionId - Session to end; must belong to the user
+     */
+    async revokeSession(userId, sessionId, context = {}) {
+        const session = await sessionManager.getSession(sessionId);
+        if (!session || session.userId.toString() !== userId.toString()) {
+            throw new ApiError(404, 'Session not found');
+        }
+
+        await tokenService.revokeSession(sessionId, userId);
+        logAuthEvent('SESSION_REVOKED', userId, true, { entityType: 'User', entityId: userId, sessionId, ...context });
+    }
+
+    /**
+     * Add a role to an account
+     * The user switches to it with switchRole and then creates its profile.
+     * @param {string} userId - User ID
+     * @param {Object} data - { role, phone, companyName, gstNumber }
+     */
+    async addRole(userId, data, context = {}) {
+        const user = await this.userRepository.findById(userId);
+        if (!user) {
+            throw new ApiError(404, 'User not found');
+        }
+
+        const role = data.role;
+        if (!validRoles.includes(role)) {
+            throw new ApiError(400, 'Invalid role specified');
+        }
+        if (user.hasRole(role)) {
+            throw new ApiError(400, 'You already hold this role');
+        }
+
+        // Fields already on the account count towards the new role's requirements
+        const fields = {
+            phone: data.phone?.trim() || user.phone,
+            companyName: data.companyName?.trim() || user.companyName,
+            gstNumber: data.gstNumber?.trim().toUpperCase() || user.gstNumber
+        };
+        this._validateRoleFields(role, fields);
+
+        user.roles = [...user.getRoles(), role];
+        if (role === 'vendor_supplier' || role === 'construction_firm') {
+            user.phone = fields.phone;
+        }
+        if (role === 'construction_firm') {
+            user.companyName = fields.companyName;
+            user.gstNumber = fields.gstNumber;
+        }
+        await user.save();
+
+        await AuthService.clearCachedUser(user.email);
+        logAuthEvent('ROLE_ADDED', user._id, true, { entityType: 'User', entityId: user._id, role, ...context });
+
+        return this.sanitizeUser(user);
+    }
+
+    /**
+     * Act as another of the user's roles
+     * Starts a new session scoped to the role and ends the current one.
+     * @param {string} userId - User ID
+     * @param {string} sessionId - Current session ID
+     * @param {string} role - Role to switch to
+     * @param {boolean} mfa - Whether the current session passed two-factor authentication
+     * @returns {Promise<Object>} { user, token, refreshToken, expiresIn, activeRole }
+     */
+    async switchRole(userId, sessionId, role, context = {}, mfa = false) {
+        const user = await this.userRepository.findById(userId);
+        if (!user) {
+            throw new ApiError(404, 'User not found');
+        }
+        if (!user.hasRole(role)) {
+            throw new ApiError(403, 'You do not hold this role');
         }
+
+        const tokens = await tokenService.issueTokens(user, context, { role, mfa: Boolean(mfa) });
+        await tokenService.revokeSession(sessionId, userId, 'ROLE_SWITCHED');
+
+        logAuthEvent('ROLE_SWITCHED', user._id, true, { entityType: 'User', entityId: user._id, role, ...context });
+
+        return {
+            user: this.sanitizeUser(user),
+            ...tokens
+        };
+    }
+
+    /**
+     * Two-factor status for the account settings page
+     * @param {string} userId - User ID
+     */
+    async getTwoFactorStatus(userId) {
+        const user = await this.userRepository.findById(userId);
+        if (!user) {
+            throw new ApiError(404, 'User not found');
+        }
+        return twoFactorService.getStatus(user);
+    }
+
+    /**
+     * Begin two-factor enrollment
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} { secret, otpauthUri } for the authenticator app
+     */
+    async setupTwoFactor(userId) {
+        const user = await this.userRepository.findById(userId);
+        if (!user) {
+            throw new ApiError(404, 'User not found');
+        }
+        return twoFactorService.startEnrollment(user);
+    }
+
+    /**
+     * Turn on two-factor authentication with a code from the new authenticator
+     * The current session is replaced by one that counts as two-factor authenticated.
+     * @param {string} userId - User ID
+     * @param {Object} session - { id, role } of the current session
+     * @param {string} code - Code from the authenticator app
+     * @returns {Promise<Object>} { backupCodes, token, refreshToken, expiresIn, activeRole }
+     */
+    async enableTwoFactor(userId, session, code, context = {}) {
+        const user = await this.userRepository.findById(userId);
+        if (!user) {
+            throw new ApiError(404, 'User not found');
+        }
+
+        const backupCodes = await twoFactorService.enable(user, code);
+        await AuthService.clearCachedUser(user.email);
+
+        const tokens = await tokenService.issueTokens(user, context, { role: session.role, mfa: true });
+        await tokenService.revokeSession(session.id, userId, 'TWO_FACTOR_ENABLED');
+
+        logAuthEvent('TWO_FACTOR_ENABLED', user._id, true, { entityType: 'User', entityId: user._id, ...context });
+
+        return { backupCodes, ...tokens };
+    }
+
+    /**
+     * Turn off two-factor authentication; needs the password and a current code
+     * @param {string} userId - User ID
+     * @param {string} password - Account password
+     * @param {string} code - Authenticator or backup code
+     */
+    async disableTwoFactor(userId, password, code, context = {}) {
+        const user = await this.userRepository.findById(userId);
+        if (!user) {
+            throw new ApiError(404, 'User not found');
+        }
+        if (twoFactorService.isRequired(user)) {
+            throw new ApiError(403, 'Two-factor authentication is required for this account');
+        }
+        if (!user.twoFactorEnabled) {
+            throw new ApiError(400, 'Two-factor authentication is not enabled');
+        }
+        if (!(await bcrypt.compare(password, user.password))) {
+            throw new ApiError(401, 'Incorrect password. Please try again.');
+        }
+
+        await twoFactorService.verify(user._id, code);
+        await twoFactorService.disable(user._id);
+        await AuthService.clearCachedUser(user.email);
+
+        logAuthEvent('TWO_FACTOR_DISABLED', user._id, true, { entityType: 'User', entityId: user._id, ...context });
+    }
+
+    /**
+     * Replace backup codes after confirming a current code
+     * @param {string} userId - User ID
+     * @param {string} code - Authenticator or backup code
+     * @returns {Promise<Object>} { backupCodes }
+     */
+    async regenerateBackupCodes(userId, code, context = {}) {
+        await twoFactorService.verify(userId, code);
+        const backupCodes = await twoFactorService.regenerateBackupCodes(userId);
+
+        logAuthEvent('TWO_FACTOR_BACKUP_CODES_REGENERATED', userId, true, { entityType: 'User', entityId: userId, ...context });
+
+        return { backupCodes };
+    }
+
+    /**
+     * Confirm a user's email address with the token from their verification email
+     * @param {string} token - Raw verification token
+     */
+    async verifyEmail(token, context = {}) {
+        const record = await UserToken.consume(token, 'EMAIL_VERIFICATION');
+        if (!record) {
+            throw new ApiError(400, 'Verification link is invalid or has expired');
+        }
+
+        const user = await this.userRepository.update(record.user, {
+            emailVerified: true,
+            emailVerifiedAt: new Date()
+        });
+        if (!user) {
+            throw new ApiError(404, 'User not found');
+        }
+
+        await AuthService.clearCachedUser(user.email);
+        logAuthEvent('EMAIL_VERIFIED', user._id, true, { entityType: 'User', entityId: user._id, ...context });
+
+        return this.sanitizeUser(user);
+    }
+
+    /**
+     * Send a new verification email; earlier links stop working
+     * @param {string} userId - User ID
+     */
+    async resendEmailVerification(userId) {
+        const user = await this.userRepository.findById(userId);
+        if (!user) {
+            throw new ApiError(404, 'User not found');
+        }
+        if (user.emailVerified !== false) {
+            throw new ApiError(400, 'Email address is already verified');
+        }
+
+        await this._sendEmailVerification(user);
+    }
+
+    /**
+     * Email a password reset link
+     * Responds the same way whether or not an account exists for the email.
+     * @param {string} email - Account email
+     */
+    async forgotPassword(email, context = {}) {
+        const user = await this.userRepository.findByEmail(email.trim().toLowerCase());
+        if (!user || user.status === 'suspended') {
+            return;
+        }
+
+        const token = await UserToken.issue(user._id, 'PASSWORD_RESET', PASSWORD_RESET_TTL);
+        mailService.sendPasswordReset(user, token).catch(error => {
+            logger.error('Failed to send password reset email', { userId: user._id, error: error.message });
+        });
+
+        logAuthEvent('PASSWORD_RESET_REQUESTED', user._id, true, { entityType: 'User', entityId: user._id, ...context });
+    }
+
+    /**
+     * Set a new password with the token from a reset email
+     * Every open session is ended, so the new password is needed everywhere.
+     * @param {string} token - Raw reset token
+     * @param {string} password - New password
+     */
+    async resetPassword(token, password, context = {}) {
+        const record = await UserToken.consume(token, 'PASSWORD_RESET');
+        if (!record) {
+            throw new ApiError(400, 'Reset link is invalid or has expired');
+        }
+
+        const user = await this.userRepository.findById(record.user);
+        if (!user) {
+            throw new ApiError(400, 'Reset link is invalid or has expired');
+        }
+        if (user.status === 'suspended') {
+            throw new ApiError(403, 'This account has been suspended. Please contact support.');
+        }
+
+        const update = { password: await bcrypt.hash(password, SALT_ROUNDS) };
+        // Following the emailed link proves the user owns the address
+        if (user.emailVerified === false) {
+            update.emailVerified = true;
+            update.emailVerifiedAt = new Date();
+        }
+        await this.userRepository.update(user._id, update);
+
+        await AuthService.clearCachedUser(user.email);
+        await loginThrottle.unlockAccount(user.email);
+        const sessions = await tokenService.revokeAllSessions(user._id, 'PASSWORD_RESET');
+
+        logAuthEvent('PASSWORD_RESET', user._id, true, { entityType: 'User', entityId: user._id, sessions, ...context });
+    }
+
+    /**
+     * @private
+     */
+    async _sendEmailVerification(user) {
+        const token = await UserToken.issue(user._id, 'EMAIL_VERIFICATION', EMAIL_VERIFICATION_TTL);
+        await mailService.sendEmailVerification(user, token);
     }
 
     sanitizeUser(user) {
         const { password, ...sanitizedUser } = user.toObject();
         // Add id field for frontend compatibility
         sanitizedUser.id = sanitizedUser._id;
+        sanitizedUser.roles = user.getRoles();
         
         console.log('AuthService: Sanitized user object:', {
             _id: sanitizedUser._id,
@@ -328,7 +711,7 @@ class AuthService {
     }
 
     _prepareCacheKey(email) {
-        return `user_${email.toLowerCase()}`;
+        return email.toLowerCase();
     }
 }
 
@@ -0,0 +1,280 @@
+const mongoose = require('mongoose');
+const Bid = require('../models/bid.model');
+const Project = require('../models/project.model');
+const { ApiError } = require('../utils/apiError');
+const logger = require('../utils/logger');
+const { toCsv } = require('../utils/csv');
+
+const COMPARISON_CONSTANTS = {
+    MIN_BIDS: 2,
+    MAX_BIDS: 10,
+    COMPARABLE_STATUSES: ['PENDING', 'IN_REVIEW', 'ACCEPTED', 'REJECTED'],
+    COST_CATEGORIES: ['labor', 'materials', 'equipment', 'permits', 'overhead', 'other'],
+    // Points on the timeline (% elapsed) at which cumulative payments are compared
+    PAYMENT_CHECKPOINTS: [25, 50, 75],
+    DAYS_IN_WEEK: 7,
+    DAYS_IN_MONTH: 30,
+    MS_IN_DAY: 24 * 60 * 60 * 1000
+};
+
+const round = value => Math.round(value * 100) / 100;
+
+class BidComparisonService {
+    /**
+     * Build a side-by-side comparison of bids on a project
+     * @param {string} projectId - Project ID
+     * @param {string} clientId - Client user ID
+     * @param {Array<string>} bidIds - Bids to compare; all open bids when empty
+     * @returns {Promise<Object>} { project, bids, rows }
+     */
+    async compareBids(projectId, clientId, bidIds = []) {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(projectId)) {
+                throw new ApiError(400, 'Invalid project ID');
+            }
+
+            const ClientProfile = mongoose.model('ClientProfile');
+            const clientProfile = await ClientProfile.findOne({ user: clientId }).select('_id').lean();
+            if (!clientProfile) {
+                throw new ApiError(404, 'Client profile not found');
+            }
+
+            const project = await Project.findOne({ _id: projectId, client: clientProfile._id })
+                .select('title budget')
+                .lean();
+            if (!project) {
+                throw new ApiError(404, 'Project not found or unauthorized');
+            }
+
+            const query = {
+                project: projectId,
+                'status.current': { $in: COMPARISON_CONSTANTS.COMPARABLE_STATUSES }
+            };
+            if (bidIds.length) {
+                query._id = { $in: bidIds };
+            }
+
+            const bids = await Bid.find(query)
+                .populate('vendor', 'companyName ratings experience')
+                .sort('proposedCost.total')
+                .limit(COMPARISON_CONSTANTS.MAX_BIDS + 1)
+                .lean();
+
+            if (bidIds.length && bids.length !== new Set(bidIds).size) {
+                throw new ApiError(400, 'Some bids were not found on this project or cannot be compared');
+            }
+            if (bids.length < COMPARISON_CONSTANTS.MIN_BIDS) {
+                throw new ApiError(400, `At least ${COMPARISON_CONSTANTS.MIN_BIDS} bids are needed for a comparison`);
+            }
+            if (bids.length > COMPARISON_CONSTANTS.MAX_BIDS) {
+                throw new ApiError(400, `Select at most ${COMPARISON_CONSTANTS.MAX_BIDS} bids to compare`);
+            }
+
+            return this._buildMatrix(project, bids);
+        } catch (error) {
+            logger.error('Error comparing bids', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, 'Error comparing bids', error);
+        }
+    }
+
+    /**
+     * Render a comparison matrix as CSV, marking the best and worst value in each row
+     * @param {Object} comparison - Result of compareBids
+     * @returns {string} CSV text
+     */
+    toCsv(comparison) {
+        const header = ['Group', 'Metric', ...comparison.bids.map(bid => bid.vendor.companyName || bid.id)];
+
+        const rows = comparison.rows.map(row => [
+            row.group,
+            row.label,
+            ...row.values.map((value, index) => {
+                const bidId = comparison.bids[index].id;
+                if (value === null) return '';
+                if (row.best.includes(bidId)) return `${value} (best)`;
+                if (row.worst.includes(bidId)) return `${value} (worst)`;
+                return value;
+            })
+        ]);
+
+        return toCsv([header, ...rows]);
+    }
+
+    /**
+     * @private
+     */
+    _buildMatrix(project, bids) {
+        const currencies = new Set(bids.map(bid => bid.proposedCost.currency));
+        const sameCurrency = currencies.size === 1;
+
+        const columns = bids.map(bid => ({
+            id: bid._id.toString(),
+            status: bid.status.current,
+            currency: bid.proposedCost.currency,
+            vendor: {
+                id: bid.vendor?._id,
+                companyName: bid.vendor?.companyName
+            },
+            paymentCurve: this._paymentCurve(bid)
+        }));
+
+        const rows = [];
+        const addRow = (group, key, label, better, valueOf, comparable = true) => {
+            const values = bids.map((bid, index) => {
+                const value = valueOf(bid, index);
+                return value === undefined || value === null ? null : round(value);
+            });
+            rows.push({
+                group,
+                key,
+                label,
+                better,
+                values,
+                ...this._highlight(values, columns, comparable ? better : null)
+            });
+        };
+
+        // Cost
+        addRow('Cost', 'cost.total', 'Total cost', 'lower', bid => bid.proposedCost.total, sameCurrency);
+        COMPARISON_CONSTANTS.COST_CATEGORIES
+            .filter(category => bids.some(bid => this._categoryCost(bid, category) !== null))
+            .forEach(category => addRow(
+                'Cost',
+                `cost.${category}`,
+                `${category.charAt(0).toUpperCase()}${category.slice(1)} cost`,
+                'lower',
+                bid => this._categoryCost(bid, category),
+                sameCurrency
+            ));
+
+        // Timeline
+        addRow('Timeline', 'timeline.durationDays', 'Duration (days)', 'lower',
+            bid => this._durationToDays(bid.timeline.estimatedDuration));
+        addRow('Timeline', 'timeline.milestones', 'Milestones', null,
+            bid => bid.timeline.milestones?.length || 0);
+
+        // Payment curve: less paid up front keeps more leverage with the client
+        COMPARISON_CONSTANTS.PAYMENT_CHECKPOINTS.forEach((checkpoint, index) => addRow(
+            'Payments',
+            `payments.at${checkpoint}`,
+            `Paid by ${checkpoint}% of timeline (%)`,
+            'lower',
+            (bid, bidIndex) => columns[bidIndex].paymentCurve.checkpoints[index].cumulativePercentage
+        ));
+
+        // Team
+        addRow('Team', 'team.size', 'Team size', 'higher', bid => this._teamSize(bid.team));
+        addRow('Team', 'team.managerExperience', 'Project manager experience (years)', 'higher',
+            bid => bid.team?.projectManager?.experience);
+
+        // Risks
+        addRow('Risks', 'risks.identified', 'Risks identified', null, bid => bid.proposal?.risks?.length || 0);
+        addRow('Risks', 'risks.highImpact', 'High-impact risks', 'lower',
+            bid => (bid.proposal?.risks || []).filter(risk => risk.impact === 'high').length);
+        addRow('Risks', 'risks.unmitigated', 'Risks without mitigation', 'lower',
+            bid => (bid.proposal?.risks || []).filter(risk => !risk.mitigation).length);
+
+        // Vendor
+        addRow('Vendor', 'vendor.rating', 'Vendor rating', 'higher', bid => bid.vendor?.ratings?.average);
+        addRow('Vendor', 'vendor.reviews', 'Vendor reviews', 'higher', bid => bid.vendor?.ratings?.count);
+        addRow('Vendor', 'vendor.yearsInBusiness', 'Years in business', 'higher',
+            bid => bid.vendor?.experience?.yearsInBusiness);
+        addRow('Vendor', 'vendor.competitiveness', 'Competitiveness score', 'higher',
+            bid => bid.metadata?.competitivenessScore);
+
+        return {
+            project: {
+                id: project._id,
+                title: project.title,
+                currency: project.budget?.currency
+            },
+            currencies: [...currencies],
+            bids: columns,
+            rows
+        };
+    }
+
+    /**
+     * Bid IDs holding the best and worst value in a row
+     * @private
+     */
+    _highlight(values, columns, better) {
+        const present = values.filter(value => value !== null);
+        if (!better || present.length < 2) {
+            return { best: [], worst: [] };
+        }
+
+        const min = Math.min(...present);
+        const max = Math.max(...present);
+        if (min === max) {
+            return { best: [], worst: [] };
+        }
+
+        const idsWith = target => columns
+            .filter((column, index) => values[index] === target)
+            .map(column => column.id);
+
+        return better === 'lower'
+            ? { best: idsWith(min), worst: idsWith(max) }
+            : { best: idsWith(max), worst: idsWith(min) };
+    }
+
+    /**
+     * Cumulative payment percentage against elapsed timeline
+     * @private
+     */
+    _paymentCurve(bid) {
+        const start = new Date(bid.timeline.proposedStartDate).getTime();
+        const totalMs = this._durationToDays(bid.timeline.estimatedDuration) * COMPARISON_CONSTANTS.MS_IN_DAY;
+
+        let cumulative = 0;
+        const points = [...(bid.timeline.milestones || [])]
+            .sort((a, b) => new Date(a.expectedCompletionDate) - new Date(b.expectedCompletionDate))
+            .map(milestone => {
+                cumulative += milestone.paymentPercentage;
+                const elapsed = (new Date(milestone.expectedCompletionDate).getTime() - start) / totalMs * 100;
+                return {
+                    title: milestone.title,
+                    elapsedPercentage: round(Math.max(0, elapsed)),
+                    cumulativePercentage: round(cumulative)
+                };
+            });
+
+        const checkpoints = COMPARISON_CONSTANTS.PAYMENT_CHECKPOINTS.map(checkpoint => {
+            const reached = points.filter(point => point.elapsedPercentage <= checkpoint);
+            return {
+                elapsedPercentage: checkpoint,
+                cumulativePercentage: reached.length ? reached[reached.length - 1].cumulativePercentage : 0
+            };
+        });
+
+        return { points, checkpoints };
+    }
+
+    /**
+     * @private
+     */
+    _categoryCost(bid, category) {
+        const items = (bid.proposedCost.breakdown || []).filter(item => item.category === category);
+        return items.length ? items.reduce((sum, item) => sum + item.amount, 0) : null;
+    }
+
+    /**
+     * @private
+     */
+    _teamSize(team) {
+        return (team?.composition || []).reduce((sum, member) => sum + member.count, 0);
+    }
+
+    /**
+     * @private
+     */
+    _durationToDays({ value, unit = 'months' }) {
+        if (unit === 'days') return value;
+        if (unit === 'weeks') return value * COMPARISON_CONSTANTS.DAYS_IN_WEEK;
+        return value * COMPARISON_CONSTANTS.DAYS_IN_MONTH;
+    }
+}
+
+module.exports = new BidComparisonService();
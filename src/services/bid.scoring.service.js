@@ -0,0 +1,377 @@
+/**
+ * Bid competitiveness scoring
+ * Scores a bid out of 100 from weighted components. Every component
+ * returns its own 0-100 score along with a short explanation so clients
+ * can see why a bid ranks where it does.
+ */
+
+const SCORING_CONSTANTS = {
+    // Component weights, must add up to 100
+    WEIGHTS: {
+        cost: 25,
+        timeline: 15,
+        team: 20,
+        previousWork: 15,
+        vendor: 15,
+        costBreakdown: 10
+    },
+    // Team sizing: one on-site member per this many square feet of built area
+    TEAM: {
+        SQFT_PER_MEMBER: 400,
+        MIN_TEAM_SIZE: 3,
+        SUPERVISOR_RATIO: 10, // 1 supervisor or manager per 10 members
+        PROJECT_MANAGER_EXPERIENCE: 8, // Years for a full experience score
+        ENGINEER_REQUIRED_FLOORS: 3
+    },
+    PREVIOUS_WORK: {
+        ENTRIES_FOR_FULL_SCORE: 3,
+        RECENT_YEARS: 5,
+        UNKNOWN_SCORE: 50 // Used for any detail the vendor did not provide
+    },
+    VENDOR: {
+        RATING_PRIOR: 3, // Rating assumed for vendors without reviews
+        RATING_PRIOR_WEIGHT: 5, // Reviews needed before the vendor's own average dominates
+        YEARS_FOR_FULL_SCORE: 10
+    },
+    // Acceptable share of the total per cost category
+    COST_SHARES: {
+        labor: { min: 0.15, max: 0.6 },
+        materials: { min: 0.3, max: 0.7 },
+        overhead: { min: 0, max: 0.2 }
+    },
+    SQM_TO_SQFT: 10.764,
+    DAYS_IN_WEEK: 7,
+    DAYS_IN_MONTH: 30
+};
+
+const clamp = (value, min = 0, max = 100) => Math.max(min, Math.min(max, value));
+const round = value => Math.round(value * 10) / 10;
+const percent = value => `${Math.round(value * 100)}%`;
+
+class BidScoringService {
+    /**
+     * Score a bid against its project, vendor and competing bids
+     * @param {Object} bid - Bid document (lean)
+     * @param {Object} context - { project, vendor, competingBids }
+     * @returns {Object} { score, components }
+     */
+    scoreBid(bid, { project, vendor, competingBids = [] } = {}) {
+        const components = {
+            cost: this._scoreCost(bid, project, competingBids),
+            timeline: this._scoreTimeline(bid, project, competingBids),
+            team: this._scoreTeam(bid.team, project),
+            previousWork: this._scorePreviousWork(bid.previousWork, project, bid.proposedCost.total),
+            vendor: this._scoreVendor(vendor),
+            costBreakdown: this._scoreCostBreakdown(bid.proposedCost)
+        };
+
+        let score = 0;
+        Object.entries(components).forEach(([key, component]) => {
+            component.score = round(component.score);
+            component.weight = SCORING_CONSTANTS.WEIGHTS[key];
+            component.contribution = round(component.score * component.weight / 100);
+            score += component.contribution;
+        });
+
+        return {
+            score: round(clamp(score)),
+            components
+        };
+    }
+
+    /**
+     * Cost relative to competing bids and the client's budget
+     * @private
+     */
+    _scoreCost(bid, project, competingBids) {
+        const total = bid.proposedCost.total;
+        const notes = [];
+        let score = 100;
+
+        const competitorCosts = competingBids.map(b => b.proposedCost.total);
+        if (competitorCosts.length) {
+            const average = competitorCosts.reduce((a, b) => a + b, 0) / competitorCosts.length;
+            const deviation = (total - average) / average;
+            score -= Math.abs(deviation) * 100;
+            notes.push(`${percent(Math.abs(deviation))} ${deviation >= 0 ? 'above' : 'below'} the average of ${competitorCosts.length} competing bid(s)`);
+        } else {
+            notes.push('No competing bids to compare against');
+        }
+
+        const range = project?.budget?.range;
+        if (range) {
+            if (total > range.max) {
+                score -= 25;
+                notes.push(`exceeds the client budget of ${range.max}`);
+            } else if (total < range.min * 0.8) {
+                score -= 15;
+                notes.push(`more than 20% under the client's minimum budget of ${range.min}, which may not be sustainable`);
+            } else {
+                notes.push('within the client budget');
+            }
+        }
+
+        return { score: clamp(score), explanation: `Cost ${notes.join('; ')}` };
+    }
+
+    /**
+     * Duration relative to competing bids and the client's expected duration
+     * @private
+     */
+    _scoreTimeline(bid, project, competingBids) {
+        const days = this._durationToDays(bid.timeline.estimatedDuration);
+        const notes = [];
+        let score = 100;
+
+        const competitorDays = competingBids.map(b => this._durationToDays(b.timeline.estimatedDuration));
+        if (competitorDays.length) {
+            const average = competitorDays.reduce((a, b) => a + b, 0) / competitorDays.length;
+            const deviation = (days - average) / average;
+            score -= Math.abs(deviation) * 60;
+            notes.push(`${percent(Math.abs(deviation))} ${deviation >= 0 ? 'longer' : 'shorter'} than the competing average`);
+        }
+
+        const expected = project?.timeline?.expectedDuration;
+        if (expected?.value) {
+            const expectedDays = this._durationToDays(expected);
+            const overrun = (days - expectedDays) / expectedDays;
+            if (overrun > 0) {
+                score -= overrun * 50;
+                notes.push(`${percent(overrun)} over the client's expected duration`);
+            } else if (overrun < -0.4) {
+                score -= 15;
+                notes.push('far shorter than the client expects, which may be unrealistic');
+            } else {
+                notes.push("within the client's expected duration");
+            }
+        }
+
+        if (!notes.length) {
+            notes.push('no benchmarks available');
+        }
+
+        return { score: clamp(score), explanation: `Duration of ${days} days: ${notes.join('; ')}` };
+    }
+
+    /**
+     * Team size and composition against the built area and floors
+     * @private
+     */
+    _scoreTeam(team, project) {
+        const { TEAM } = SCORING_CONSTANTS;
+        const composition = team?.composition || [];
+        const countOf = role => composition
+            .filter(member => member.role === role)
+            .reduce((sum, member) => sum + member.count, 0);
+        const teamSize = composition.reduce((sum, member) => sum + member.count, 0);
+
+        if (!teamSize) {
+            return { score: 0, explanation: 'No team composition provided' };
+        }
+
+        const notes = [];
+
+        // Size fit (50%)
+        const area = this._areaInSqft(project?.specifications?.area);
+        const floors = project?.specifications?.floors || 1;
+        let sizeScore = 100;
+        if (area) {
+            const expected = Math.max(TEAM.MIN_TEAM_SIZE, Math.ceil(area / TEAM.SQFT_PER_MEMBER));
+            const ratio = teamSize / expected;
+            if (ratio < 0.75) {
+                sizeScore = ratio / 0.75 * 100;
+            } else if (ratio > 2) {
+                sizeScore = Math.max(50, 100 - (ratio - 2) * 25);
+            }
+            notes.push(`${teamSize} members for ${Math.round(area)} sqft (about ${expected} expected)`);
+        } else {
+            notes.push(`${teamSize} members; project area unknown`);
+        }
+
+        // Role coverage (30%)
+        const leads = countOf('project_manager') + countOf('supervisor');
+        const requiredLeads = Math.ceil(teamSize / TEAM.SUPERVISOR_RATIO);
+        const needsEngineer = floors >= TEAM.ENGINEER_REQUIRED_FLOORS ||
+            ['commercial', 'industrial', 'infrastructure'].includes(project?.projectType);
+        let coverageScore = clamp(leads / requiredLeads * 100);
+        if (leads < requiredLeads) {
+            notes.push(`${leads} of ${requiredLeads} required managers or supervisors`);
+        }
+        if (needsEngineer && !countOf('engineer') && !countOf('architect')) {
+            coverageScore -= 40;
+            notes.push('no engineer or architect for a project of this scale');
+        }
+
+        // Project manager experience (20%)
+        const experience = team.projectManager?.experience || 0;
+        const experienceScore = clamp(experience / TEAM.PROJECT_MANAGER_EXPERIENCE * 100);
+        notes.push(`project manager has ${experience} year(s) of experience`);
+
+        return {
+            score: sizeScore * 0.5 + clamp(coverageScore) * 0.3 + experienceScore * 0.2,
+            explanation: `Team: ${notes.join('; ')}`
+        };
+    }
+
+    /**
+     * Relevance, scale and recency of the vendor's previous work
+     * Similarity is measured against this project's type and built area; the
+     * vendor's own description of a job carries no weight.
+     * @private
+     */
+    _scorePreviousWork(previousWork = [], project, bidTotal) {
+        const { PREVIOUS_WORK, DAYS_IN_MONTH } = SCORING_CONSTANTS;
+
+        if (!previousWork.length) {
+            return { score: 0, explanation: 'No previous work provided' };
+        }
+
+        const now = Date.now();
+        const recentCutoff = PREVIOUS_WORK.RECENT_YEARS * 12 * DAYS_IN_MONTH * 24 * 60 * 60 * 1000;
+        const projectArea = this._areaInSqft(project?.specifications?.area);
+        const range = project?.budget?.range;
+        // Comparable value: the client's budget, falling back to the bid itself
+        const targetValue = range?.min && range?.max ? (range.min + range.max) / 2 : bidTotal;
+
+        const entryScores = previousWork.map(work => {
+            let typeScore = PREVIOUS_WORK.UNKNOWN_SCORE;
+            if (work.projectType && project?.projectType) {
+                typeScore = work.projectType === project.projectType ? 100 : 0;
+            }
+
+            let areaScore = PREVIOUS_WORK.UNKNOWN_SCORE;
+            const workArea = this._areaInSqft(work.area);
+            if (workArea && projectArea) {
+                areaScore = this._scaleScore(workArea / projectArea);
+            }
+
+            let valueScore = PREVIOUS_WORK.UNKNOWN_SCORE;
+            if (work.value && targetValue) {
+                valueScore = this._scaleScore(work.value / targetValue);
+            }
+
+            let recencyScore = PREVIOUS_WORK.UNKNOWN_SCORE;
+            if (work.completionDate) {
+                recencyScore = now - new Date(work.completionDate).getTime() <= recentCutoff ? 100 : 40;
+            }
+
+            const similarity = typeScore * 0.6 + areaScore * 0.4;
+            return similarity * 0.5 + valueScore * 0.3 + recencyScore * 0.2;
+        }).sort((a, b) => b - a);
+
+        const best = entryScores.slice(0, PREVIOUS_WORK.ENTRIES_FOR_FULL_SCORE);
+        const average = best.reduce((a, b) => a + b, 0) / best.length;
+        const coverage = Math.min(previousWork.length, PREVIOUS_WORK.ENTRIES_FOR_FULL_SCORE) / PREVIOUS_WORK.ENTRIES_FOR_FULL_SCORE;
+
+        let explanation = `${previousWork.length} previous project(s); best ${best.length} average ${Math.round(average)} for project type and size, comparable value and recency`;
+        if (coverage < 1) {
+            explanation += `; scaled down for fewer than ${PREVIOUS_WORK.ENTRIES_FOR_FULL_SCORE} projects`;
+        }
+
+        return { score: average * coverage, explanation };
+    }
+
+    /**
+     * Vendor reputation from client reviews and years in business
+     * @private
+     */
+    _scoreVendor(vendor) {
+        const { VENDOR } = SCORING_CONSTANTS;
+
+        if (!vendor) {
+            return { score: 0, explanation: 'Vendor profile unavailable' };
+        }
+
+        const count = vendor.ratings?.count || 0;
+        const average = vendor.ratings?.average || 0;
+        // Pull ratings with few reviews towards the prior so one review cannot dominate
+        const adjusted = (average * count + VENDOR.RATING_PRIOR * VENDOR.RATING_PRIOR_WEIGHT) /
+            (count + VENDOR.RATING_PRIOR_WEIGHT);
+        const ratingScore = adjusted / 5 * 100;
+
+        const years = vendor.experience?.yearsInBusiness || 0;
+        const yearsScore = clamp(years / VENDOR.YEARS_FOR_FULL_SCORE * 100);
+
+        const ratingNote = count
+            ? `rated ${average.toFixed(1)} from ${count} review(s)`
+            : 'no reviews yet';
+
+        return {
+            score: ratingScore * 0.6 + yearsScore * 0.4,
+            explanation: `Vendor ${ratingNote}; ${years} year(s) in business`
+        };
+    }
+
+    /**
+     * Whether the cost breakdown adds up and its category shares are plausible
+     * @private
+     */
+    _scoreCostBreakdown(proposedCost) {
+        const breakdown = proposedCost.breakdown || [];
+        const total = proposedCost.total;
+
+        if (!breakdown.length || !total) {
+            return { score: 30, explanation: 'No cost breakdown provided' };
+        }
+
+        const notes = [];
+        let score = 100;
+
+        const sum = breakdown.reduce((acc, item) => acc + item.amount, 0);
+        const mismatch = Math.abs(sum - total) / total;
+        if (mismatch > 0.01) {
+            score -= Math.min(50, mismatch * 100);
+            notes.push(`items add up to ${sum} rather than ${total}`);
+        }
+
+        const categories = new Set(breakdown.map(item => item.category));
+        if (categories.size < 2) {
+            score -= 20;
+            notes.push('only one cost category');
+        }
+
+        Object.entries(SCORING_CONSTANTS.COST_SHARES).forEach(([category, { min, max }]) => {
+            const share = breakdown
+                .filter(item => item.category === category)
+                .reduce((acc, item) => acc + item.amount, 0) / total;
+            if (share < min || share > max) {
+                score -= 15;
+                notes.push(`${category} is ${percent(share)} of the total (expected ${percent(min)}-${percent(max)})`);
+            }
+        });
+
+        return {
+            score: clamp(score),
+            explanation: notes.length
+                ? `Cost breakdown: ${notes.join('; ')}`
+                : 'Cost breakdown adds up and category shares are realistic'
+        };
+    }
+
+    /**
+     * @private
+     */
+    _durationToDays({ value, unit = 'months' }) {
+        if (unit === 'days') return value;
+        if (unit === 'weeks') return value * SCORING_CONSTANTS.DAYS_IN_WEEK;
+        return value * SCORING_CONSTANTS.DAYS_IN_MONTH;
+    }
+
+    /**
+     * Full marks within half to double the reference size, falling off beyond
+     * @private
+     */
+    _scaleScore(ratio) {
+        return ratio >= 0.5 && ratio <= 2 ? 100 : clamp(100 - Math.abs(Math.log2(ratio)) * 40);
+    }
+
+    /**
+     * @private
+     */
+    _areaInSqft(area) {
+        if (!area?.value) return null;
+        return area.unit === 'sqm' ? area.value * SCORING_CONSTANTS.SQM_TO_SQFT : area.value;
+    }
+}
+
+module.exports = new BidScoringService();
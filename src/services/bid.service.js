@@ -1,9 +1,16 @@
 const mongoose = require('mongoose');
 const Bid = require('../models/bid.model');
 const Project = require('../models/project.model');
-const VendorProfile = require('../models/vendor.profile.model');
+const ProjectInvitation = require('../models/project.invitation.model');
+const paymentService = require('./payment.service');
+const bidScoringService = require('./bid.scoring.service');
+const constructionCapacityService = require('./construction.capacity.service');
 const { ApiError } = require('../utils/apiError');
 const logger = require('../utils/logger');
+const { sanitizeText } = require('../utils/sanitize');
+const { logAudit, logStatusChange } = require('../utils/auditLogger');
+const { findBidderProfile, getBidderModel } = require('../utils/bidder');
+const { getCache } = require('../utils/cache');
 
 // Constants - Extract magic numbers for maintainability
 const BID_CONSTANTS = {
@@ -26,6 +33,11 @@ const BID_CONSTANTS = {
         SUPERVISOR_RATIO: 5, // 1 supervisor per 5 team members
         PROJECT_MANAGER_EXPERIENCE: 5
     },
+    // Proposal text used when the vendor does not supply their own
+    DEFAULT_PROPOSAL: {
+        APPROACH: 'We will follow industry best practices and ensure quality workmanship throughout the project.',
+        UNIQUE_VALUE: 'Experienced team with proven track record'
+    },
     // Pagination defaults
     PAGINATION: {
         DEFAULT_LIMIT: 20,
@@ -35,94 +47,32 @@ const BID_CONSTANTS = {
     },
     // Cache settings
     CACHE: {
-        TTL: 5 * 60 * 1000, // 5 minutes
-        MAX_SIZE: 1000,
-        CLEANUP_INTERVAL: 60000 // 1 minute
+        TTL: 5 * 60 * 1000 // 5 minutes
     },
     // Date constants
     TIME: {
         DAYS_IN_MONTH: 30,
+        DAYS_IN_WEEK: 7,
         HOURS_IN_DAY: 24,
         MINUTES_IN_HOUR: 60,
         SECONDS_IN_MINUTE: 60,
         MS_IN_SECOND: 1000
+    },
+    // Construction firms declare project size in square feet
+    AREA: {
+        SQFT_PER_SQM: 10.764
     }
 };
 
-/**
- * Simple TTL Cache implementation
- * Map doesn't support TTL natively, so we implement it manually
- */
-class TTLCache {
-    constructor(ttl = BID_CONSTANTS.CACHE.TTL, maxSize = BID_CONSTANTS.CACHE.MAX_SIZE) {
-        this.cache = new Map();
-        this.ttl = ttl;
-        this.maxSize = maxSize;
-    }
-
-    set(key, value) {
-        // Evict oldest entry if cache is full
-        if (this.cache.size >= this.maxSize) {
-            const firstKey = this.cache.keys().next().value;
-            this.cache.delete(firstKey);
-        }
-
-        this.cache.set(key, {
-            value,
-            expiresAt: Date.now() + this.ttl
-        });
-    }
-
-    get(key) {
-        const entry = this.cache.get(key);
-        if (!entry) return null;
-
-        // Check if expired
-        if (Date.now() > entry.expiresAt) {
-            this.cache.delete(key);
-            return null;
-        }
-
-        return entry.value;
-    }
-
-    has(key) {
-        return this.get(key) !== null;
-    }
-
-    delete(key) {
-        this.cache.delete(key);
-    }
-
-    keys() {
-        return this.cache.keys();
-    }
-
-    // Clean up expired entries
-    cleanup() {
-        const now = Date.now();
-        for (const [key, entry] of this.cache.entries()) {
-            if (now > entry.expiresAt) {
-                this.cache.delete(key);
-            }
-        }
-    }
-
-    get size() {
-        return this.cache.size;
-    }
-}
-
-/**
- * Helper function to sanitize text input (prevent XSS)
- */
-function sanitizeText(text) {
-    if (!text) return text;
-    return text
-        .toString()
-        .replace(/[<>]/g, '') // Remove < and >
-        .trim();
-}
+// Request fields that make up each section of a bid; an update rebuilds only
+// the sections it sends fields for
+const BID_SECTIONS = {
+    proposedCost: ['proposedCost', 'currency', 'costBreakdown', 'costNotes'],
+    timeline: ['startDate', 'duration', 'durationUnit', 'milestones'],
+    proposal: ['proposal', 'approach', 'uniqueValue', 'risks'],
+    team: ['teamSize', 'teamComposition', 'projectManager'],
+    previousWork: ['previousWork']
+};
 
 /**
  * Helper function to validate pagination parameters
@@ -138,15 +88,9 @@ function validatePagination(page, limit) {
 
 class BidService {
     constructor() {
-        // Cache for frequently accessed bids with proper TTL
-        this.bidCache = new TTLCache();
-        this.projectBidsCache = new TTLCache();
-        
-        // Periodic cleanup of expired cache entries
-        setInterval(() => {
-            this.bidCache.cleanup();
-            this.projectBidsCache.cleanup();
-        }, BID_CONSTANTS.CACHE.CLEANUP_INTERVAL);
+        // Shared caches; keys start with the project ID so a project's entries can be cleared together
+        this.bidCache = getCache('bid-analysis', { ttl: BID_CONSTANTS.CACHE.TTL });
+        this.projectBidsCache = getCache('project-bids', { ttl: BID_CONSTANTS.CACHE.TTL });
     }
 
     /**
@@ -165,150 +109,388 @@ class BidService {
         return clientProfile;
     }
 
+    /**
+     * Convert a duration to days
+     * @private
+     */
+    _durationToDays(value, unit = 'months') {
+        if (unit === 'days') return value;
+        if (unit === 'weeks') return value * BID_CONSTANTS.TIME.DAYS_IN_WEEK;
+        return value * BID_CONSTANTS.TIME.DAYS_IN_MONTH;
+    }
+
     /**
      * Calculate milestone dates
      * @private
      */
-    _calculateMilestoneDates(startDate, durationMonths) {
+    _calculateMilestoneDates(startDate, duration, unit = 'months') {
         const startTime = new Date(startDate).getTime();
-        const msInMonth = durationMonths * 
-            BID_CONSTANTS.TIME.DAYS_IN_MONTH * 
+        const msInDuration = this._durationToDays(duration, unit) * 
             BID_CONSTANTS.TIME.HOURS_IN_DAY * 
             BID_CONSTANTS.TIME.MINUTES_IN_HOUR * 
             BID_CONSTANTS.TIME.SECONDS_IN_MINUTE * 
             BID_CONSTANTS.TIME.MS_IN_SECOND;
         
         return {
-            foundation: new Date(startTime + msInMonth * BID_CONSTANTS.MILESTONES.FOUNDATION_PERCENTAGE),
-            structure: new Date(startTime + msInMonth * BID_CONSTANTS.MILESTONES.STRUCTURE_PERCENTAGE),
-            completion: new Date(startTime + msInMonth)
+            foundation: new Date(startTime + msInDuration * BID_CONSTANTS.MILESTONES.FOUNDATION_PERCENTAGE),
+            structure: new Date(startTime + msInDuration * BID_CONSTANTS.MILESTONES.STRUCTURE_PERCENTAGE),
+            completion: new Date(startTime + msInDuration)
+        };
+    }
+
+    /**
+     * Total head count of the proposed team
+     * @private
+     */
+    _getTeamSize(bidData) {
+        if (Array.isArray(bidData.teamComposition) && bidData.teamComposition.length > 0) {
+            return bidData.teamComposition.reduce((sum, member) => sum + Number(member.count), 0);
+        }
+        return Number(bidData.teamSize);
+    }
+
+    /**
+     * Build the cost section of a bid
+     * Uses the vendor's line items, or the default labor/materials/overhead split
+     * @private
+     */
+    _buildProposedCost(bidData) {
+        const total = Number(bidData.proposedCost);
+
+        const breakdown = Array.isArray(bidData.costBreakdown) && bidData.costBreakdown.length > 0
+            ? bidData.costBreakdown.map(item => ({
+                category: item.category,
+                description: sanitizeText(item.description),
+                amount: Number(item.amount),
+                unit: sanitizeText(item.unit),
+                quantity: item.quantity !== undefined ? Number(item.quantity) : undefined
+            }))
+            : [
+                {
+                    category: 'labor',
+                    description: 'Labor costs',
+                    amount: total * BID_CONSTANTS.COST_BREAKDOWN.LABOR_PERCENTAGE,
+                    quantity: this._getTeamSize(bidData)
+                },
+                {
+                    category: 'materials',
+                    description: 'Materials and supplies',
+                    amount: total * BID_CONSTANTS.COST_BREAKDOWN.MATERIALS_PERCENTAGE
+                },
+                {
+                    category: 'overhead',
+                    description: 'Overhead and profit',
+                    amount: total * BID_CONSTANTS.COST_BREAKDOWN.OVERHEAD_PERCENTAGE
+                }
+            ];
+
+        return {
+            total,
+            currency: bidData.currency || 'INR',
+            breakdown,
+            notes: sanitizeText(bidData.costNotes)
+        };
+    }
+
+    /**
+     * Build the timeline section of a bid
+     * Uses the vendor's milestones, or the default foundation/structure/completion schedule
+     * @private
+     */
+    _buildTimeline(bidData) {
+        const unit = bidData.durationUnit || 'months';
+        let milestones;
+
+        if (Array.isArray(bidData.milestones) && bidData.milestones.length > 0) {
+            milestones = bidData.milestones
+                .map(milestone => ({
+                    title: sanitizeText(milestone.title),
+                    description: sanitizeText(milestone.description),
+                    expectedCompletionDate: new Date(milestone.expectedCompletionDate),
+                    paymentPercentage: Number(milestone.paymentPercentage)
+                }))
+                .sort((a, b) => a.expectedCompletionDate - b.expectedCompletionDate);
+        } else {
+            const milestoneDates = this._calculateMilestoneDates(bidData.startDate, bidData.duration, unit);
+            milestones = [
+                {
+                    title: 'Foundation Complete',
+                    expectedCompletionDate: milestoneDates.foundation,
+                    paymentPercentage: BID_CONSTANTS.MILESTONES.FOUNDATION_PAYMENT
+                },
+                {
+                    title: 'Structure Complete',
+                    expectedCompletionDate: milestoneDates.structure,
+                    paymentPercentage: BID_CONSTANTS.MILESTONES.STRUCTURE_PAYMENT
+                },
+                {
+                    title: 'Project Complete',
+                    expectedCompletionDate: milestoneDates.completion,
+                    paymentPercentage: BID_CONSTANTS.MILESTONES.COMPLETION_PAYMENT
+                }
+            ];
+        }
+
+        return {
+            proposedStartDate: new Date(bidData.startDate),
+            estimatedDuration: {
+                value: Number(bidData.duration),
+                unit
+            },
+            milestones
+        };
+    }
+
+    /**
+     * Build the proposal section of a bid
+     * @private
+     */
+    _buildProposal(bidData) {
+        const risks = Array.isArray(bidData.risks)
+            ? bidData.risks.map(risk => ({
+                description: sanitizeText(risk.description),
+                mitigation: sanitizeText(risk.mitigation),
+                impact: risk.impact
+            }))
+            : [];
+
+        return {
+            summary: sanitizeText(bidData.proposal),
+            approach: sanitizeText(bidData.approach) || BID_CONSTANTS.DEFAULT_PROPOSAL.APPROACH,
+            uniqueValue: sanitizeText(bidData.uniqueValue) || BID_CONSTANTS.DEFAULT_PROPOSAL.UNIQUE_VALUE,
+            risks
+        };
+    }
+
+    /**
+     * Build the team section of a bid
+     * Uses the vendor's team composition, or derives one from the team size
+     * @private
+     */
+    _buildTeam(bidData) {
+        let composition;
+
+        if (Array.isArray(bidData.teamComposition) && bidData.teamComposition.length > 0) {
+            composition = bidData.teamComposition.map(member => ({
+                role: member.role,
+                count: Number(member.count),
+                expertise: Array.isArray(member.expertise)
+                    ? member.expertise.map(sanitizeText).filter(Boolean)
+                    : [],
+                availability: member.availability || 'full_time'
+            }));
+        } else {
+            const teamSize = Number(bidData.teamSize);
+            const supervisors = Math.ceil(teamSize / BID_CONSTANTS.TEAM.SUPERVISOR_RATIO);
+            composition = [
+                {
+                    role: 'project_manager',
+                    count: 1,
+                    expertise: ['construction', 'management'],
+                    availability: 'full_time'
+                },
+                {
+                    role: 'supervisor',
+                    count: Math.max(1, supervisors),
+                    expertise: ['construction', 'supervision'],
+                    availability: 'full_time'
+                },
+                {
+                    role: 'labor',
+                    count: Math.max(1, teamSize - supervisors - 1),
+                    expertise: ['construction'],
+                    availability: 'full_time'
+                }
+            ];
+        }
+
+        const projectManager = bidData.projectManager
+            ? {
+                name: sanitizeText(bidData.projectManager.name) || 'Project Manager',
+                experience: bidData.projectManager.experience !== undefined
+                    ? Number(bidData.projectManager.experience)
+                    : BID_CONSTANTS.TEAM.PROJECT_MANAGER_EXPERIENCE,
+                certifications: Array.isArray(bidData.projectManager.certifications)
+                    ? bidData.projectManager.certifications.map(sanitizeText).filter(Boolean)
+                    : []
+            }
+            : {
+                name: 'Project Manager',
+                experience: BID_CONSTANTS.TEAM.PROJECT_MANAGER_EXPERIENCE,
+                certifications: ['Construction Management']
+            };
+
+        return { composition, projectManager };
+    }
+
+    /**
+     * Build the previous work section of a bid
+     * @private
+     */
+    _buildPreviousWork(bidData) {
+        if (!Array.isArray(bidData.previousWork)) {
+            return [];
+        }
+
+        return bidData.previousWork.map(work => ({
+            projectName: sanitizeText(work.projectName),
+            description: sanitizeText(work.description),
+            completionDate: work.completionDate ? new Date(work.completionDate) : undefined,
+            value: work.value !== undefined ? Number(work.value) : undefined,
+            similarityScore: work.similarityScore !== undefined ? Number(work.similarityScore) : undefined,
+            projectType: work.projectType,
+            area: work.area?.value !== undefined
+                ? { value: Number(work.area.value), unit: work.area.unit }
+                : undefined,
+            photos: Array.isArray(work.photos)
+                ? work.photos.map(photo => ({
+                    url: photo.url,
+                    caption: sanitizeText(photo.caption)
+                }))
+                : []
+        }));
+    }
+
+    /**
+     * Build the vendor-editable content of a bid from request data
+     * Each section falls back to its default only when the vendor omits it
+     * @private
+     */
+    _buildBidContent(bidData) {
+        return {
+            proposedCost: this._buildProposedCost(bidData),
+            timeline: this._buildTimeline(bidData),
+            proposal: this._buildProposal(bidData),
+            team: this._buildTeam(bidData),
+            previousWork: this._buildPreviousWork(bidData)
+        };
+    }
+
+    /**
+     * Build the sections of a bid touched by an update
+     * Fields the update leaves out keep their current values, so sending only a
+     * new duration does not reset the cost breakdown or team.
+     * @private
+     */
+    _buildBidUpdate(bid, updateData) {
+        const sections = Object.keys(BID_SECTIONS)
+            .filter(section => BID_SECTIONS[section].some(field => updateData[field] !== undefined));
+        const current = this._toBidData(bid);
+        const merged = { ...current, ...updateData };
+
+        if (updateData.teamSize !== undefined && updateData.teamComposition === undefined) {
+            // A new head count replaces the derived composition
+            merged.teamComposition = undefined;
+        }
+
+        const costChanged = Number(merged.proposedCost) !== current.proposedCost;
+        if (costChanged && updateData.costBreakdown === undefined) {
+            merged.costBreakdown = current.costBreakdown.map(item => ({ ...item }));
+            Bid.rescaleBreakdown(merged.costBreakdown, current.proposedCost, Number(merged.proposedCost));
+        }
+
+        const scheduleChanged = ['startDate', 'duration', 'durationUnit'].some(field => updateData[field] !== undefined);
+        if (scheduleChanged && updateData.milestones === undefined) {
+            merged.milestones = current.milestones.map(milestone => ({ ...milestone }));
+            Bid.rescaleMilestones(
+                merged.milestones,
+                { startDate: current.startDate, duration: { value: current.duration, unit: current.durationUnit } },
+                { startDate: merged.startDate, duration: { value: Number(merged.duration), unit: merged.durationUnit } }
+            );
+        }
+
+        const builders = {
+            proposedCost: this._buildProposedCost,
+            timeline: this._buildTimeline,
+            proposal: this._buildProposal,
+            team: this._buildTeam,
+            previousWork: this._buildPreviousWork
+        };
+        const content = {};
+        sections.forEach(section => {
+            content[section] = builders[section].call(this, merged);
+        });
+
+        // The route checks these against the request; re-check them against the merged bid
+        if (content.proposedCost) {
+            const { total, breakdown } = content.proposedCost;
+            const sum = breakdown.reduce((acc, item) => acc + item.amount, 0);
+            if (Math.abs(sum - total) > 1) {
+                throw new ApiError(400, 'Cost breakdown amounts must add up to the proposed cost');
+            }
+        }
+        if (content.timeline?.milestones.some(m => m.expectedCompletionDate < content.timeline.proposedStartDate)) {
+            throw new ApiError(400, 'Milestone completion date cannot be before the start date');
+        }
+
+        return content;
+    }
+
+    /**
+     * Express a stored bid in the request shape the section builders take
+     * @private
+     */
+    _toBidData(bid) {
+        const { proposedCost, timeline, proposal, team, previousWork } = bid.toObject();
+        return {
+            proposedCost: proposedCost.total,
+            currency: proposedCost.currency,
+            costBreakdown: proposedCost.breakdown || [],
+            costNotes: proposedCost.notes,
+            startDate: timeline.proposedStartDate,
+            duration: timeline.estimatedDuration.value,
+            durationUnit: timeline.estimatedDuration.unit,
+            milestones: timeline.milestones || [],
+            proposal: proposal?.summary,
+            approach: proposal?.approach,
+            uniqueValue: proposal?.uniqueValue,
+            risks: proposal?.risks,
+            teamComposition: team?.composition,
+            projectManager: team?.projectManager,
+            previousWork: previousWork || []
         };
     }
 
     /**
      * Submit a new bid
      * @param {string} projectId - Project ID
-     * @param {string} vendorId - Vendor ID
+     * @param {string} vendorId - Bidder's user ID (vendor or construction firm)
      * @param {Object} bidData - Bid data
+     * @param {string} userRole - Bidder's role
      * @returns {Promise<Object>} Created bid
      */
-    async submitBid(projectId, vendorId, bidData) {
+    async submitBid(projectId, vendorId, bidData, userRole) {
         const session = await mongoose.startSession();
         session.startTransaction();
 
         try {
             logger.debug('Submitting bid', { projectId, vendorId: vendorId.substring(0, 8) });
             
-            // Parallel fetch of vendor and project
-            const [vendor, project] = await Promise.all([
-                VendorProfile.findOne({ user: vendorId }).lean(),
+            // Parallel fetch of bidder and project
+            const [bidder, project] = await Promise.all([
+                this._getBidderProfile(vendorId, userRole),
                 Project.findById(projectId).lean()
             ]);
 
             if (!project) {
                 throw new ApiError(404, 'Project not found');
             }
-            if (!vendor) {
-                throw new ApiError(404, 'Vendor not found');
-            }
+            const { profile: vendor, bidderType } = bidder;
 
             // Validate project status
             if (!['OPEN', 'IN_REVIEW'].includes(project.status.current)) {
                 throw new ApiError(400, 'Project is not open for bidding');
             }
+            await this._assertTenderOpen(project);
 
-            // Validate vendor eligibility
-            await this._validateVendorEligibility(vendor, project);
-
-            // Sanitize text inputs
-            const sanitizedProposal = sanitizeText(bidData.proposal);
+            // Validate bidder eligibility
+            await this._validateBidderEligibility(vendor, bidderType, project);
 
-            // Calculate milestone dates
-            const milestoneDates = this._calculateMilestoneDates(bidData.startDate, bidData.duration);
-            
-            const simplifiedBidData = {
+            const bidDocument = {
                 project: projectId,
                 vendor: vendor._id,
-                proposedCost: {
-                    total: bidData.proposedCost,
-                    currency: 'INR',
-                    breakdown: [
-                        {
-                            category: 'labor',
-                            description: 'Labor costs',
-                            amount: bidData.proposedCost * BID_CONSTANTS.COST_BREAKDOWN.LABOR_PERCENTAGE,
-                            quantity: bidData.teamSize
-                        },
-                        {
-                            category: 'materials',
-                            description: 'Materials and supplies',
-                            amount: bidData.proposedCost * BID_CONSTANTS.COST_BREAKDOWN.MATERIALS_PERCENTAGE
-                        },
-                        {
-                            category: 'overhead',
-                            description: 'Overhead and profit',
-                            amount: bidData.proposedCost * BID_CONSTANTS.COST_BREAKDOWN.OVERHEAD_PERCENTAGE
-                        }
-                    ]
-                },
-                timeline: {
-                    proposedStartDate: new Date(bidData.startDate),
-                    estimatedDuration: {
-                        value: bidData.duration,
-                        unit: 'months'
-                    },
-                    milestones: [
-                        {
-                            title: 'Foundation Complete',
-                            expectedCompletionDate: milestoneDates.foundation,
-                            paymentPercentage: BID_CONSTANTS.MILESTONES.FOUNDATION_PAYMENT
-                        },
-                        {
-                            title: 'Structure Complete',
-                            expectedCompletionDate: milestoneDates.structure,
-                            paymentPercentage: BID_CONSTANTS.MILESTONES.STRUCTURE_PAYMENT
-                        },
-                        {
-                            title: 'Project Complete',
-                            expectedCompletionDate: milestoneDates.completion,
-                            paymentPercentage: BID_CONSTANTS.MILESTONES.COMPLETION_PAYMENT
-                        }
-                    ]
-                },
-                proposal: {
-                    summary: sanitizedProposal,
-                    approach: 'We will follow industry best practices and ensure quality workmanship throughout the project.',
-                    uniqueValue: 'Experienced team with proven track record',
-                    risks: []
-                },
-                team: {
-                    composition: [
-                        {
-                            role: 'project_manager',
-                            count: 1,
-                            expertise: ['construction', 'management'],
-                            availability: 'full_time'
-                        },
-                        {
-                            role: 'supervisor',
-                            count: Math.max(1, Math.ceil(bidData.teamSize / BID_CONSTANTS.TEAM.SUPERVISOR_RATIO)),
-                            expertise: ['construction', 'supervision'],
-                            availability: 'full_time'
-                        },
-                        {
-                            role: 'labor',
-                            count: Math.max(1, bidData.teamSize - Math.ceil(bidData.teamSize / BID_CONSTANTS.TEAM.SUPERVISOR_RATIO) - 1),
-                            expertise: ['construction'],
-                            availability: 'full_time'
-                        }
-                    ],
-                    projectManager: {
-                        name: 'Project Manager',
-                        experience: BID_CONSTANTS.TEAM.PROJECT_MANAGER_EXPERIENCE,
-                        certifications: ['Construction Management']
-                    }
-                },
-                previousWork: [],
+                bidderType,
+                ...this._buildBidContent(bidData),
                 status: {
                     current: 'PENDING',
                     history: [{
@@ -319,12 +501,14 @@ class BidService {
             };
 
             // Create and save bid
-            const bid = new Bid(simplifiedBidData);
+            const bid = new Bid(bidDocument);
             await bid.save({ session });
 
             await session.commitTransaction();
 
             logger.info('Bid created successfully', { bidId: bid._id.toString() });
+            logStatusChange('Bid', bid._id, null, 'PENDING', vendorId, { projectId });
+            await this._refreshCompetitivenessScores(projectId);
 
             // Return lean object
             return bid.toObject();
@@ -352,21 +536,19 @@ class BidService {
     /**
      * Update an existing bid
      * @param {string} bidId - Bid ID
-     * @param {string} vendorId - Vendor ID
+     * @param {string} vendorId - Bidder's user ID
      * @param {Object} updateData - Update data
+     * @param {string} userRole - Bidder's role
      * @returns {Promise<Object>} Updated bid
      */
-    async updateBid(bidId, vendorId, updateData) {
+    async updateBid(bidId, vendorId, updateData, userRole) {
         try {
             // Always fetch fresh from DB for updates
-            const [vendor, bid] = await Promise.all([
-                VendorProfile.findOne({ user: vendorId }).lean(),
+            const [{ profile: vendor }, bid] = await Promise.all([
+                this._getBidderProfile(vendorId, userRole),
                 Bid.findById(bidId)
             ]);
 
-            if (!vendor) {
-                throw new ApiError(404, 'Vendor profile not found');
-            }
             if (!bid) {
                 throw new ApiError(404, 'Bid not found');
             }
@@ -382,17 +564,24 @@ class BidService {
                 throw new ApiError(400, 'Cannot update bid in current status');
             }
 
-            // Sanitize text inputs
-            if (updateData.proposal) {
-                updateData.proposal = sanitizeText(updateData.proposal);
-            }
+            const project = await Project.findById(bid.project).select('tender').lean();
+            await this._assertTenderOpen(project);
 
             // Remove immutable fields
             const sanitized = this._sanitizeUpdateData(updateData);
 
-            // Update bid
-            Object.assign(bid, sanitized);
+            // Rebuild only the sections the update touches; set field by field so
+            // untouched paths such as the start date are not marked modified
+            const content = this._buildBidUpdate(bid, sanitized);
+            Object.entries(content).forEach(([section, value]) => {
+                if (Array.isArray(value)) {
+                    bid.set(section, value);
+                } else {
+                    Object.entries(value).forEach(([field, fieldValue]) => bid.set(`${section}.${field}`, fieldValue));
+                }
+            });
             await bid.save();
+            await this._refreshCompetitivenessScores(bid.project);
 
             logger.info('Bid updated successfully', { bidId: bid._id.toString() });
 
@@ -424,10 +613,11 @@ class BidService {
             // Get client profile
             const clientProfile = await this._getClientProfile(clientId);
             
-            // Verify ownership and status
+            // Verify ownership and status; load within the session so every
+            // save below is part of the same transaction
             const [bid, project] = await Promise.all([
-                Bid.findById(bidId),
-                Project.findOne({ _id: projectId, client: clientProfile._id })
+                Bid.findById(bidId).session(session),
+                Project.findOne({ _id: projectId, client: clientProfile._id }).session(session)
             ]);
 
             if (!bid) {
@@ -458,6 +648,12 @@ class BidService {
             if (project.status.current !== 'OPEN' && project.status.current !== 'IN_REVIEW') {
                 throw new ApiError(400, 'Project must be open or in review to select bids');
             }
+            if (project.tender?.enabled && !Project.isTenderClosed(project)) {
+                throw new ApiError(400, 'Bids cannot be selected before the tender submission deadline');
+            }
+
+            const previousBidStatus = bid.status.current;
+            const previousProjectStatus = project.status.current;
 
             // First move to IN_REVIEW if not already
             if (bid.status.current === 'PENDING') {
@@ -468,12 +664,17 @@ class BidService {
             await bid.updateStatus('ACCEPTED', 'Selected by client');
 
             // Reject other bids
+            const losingBids = await Bid.find({
+                project: projectId,
+                _id: { $ne: bidId },
+                'status.current': { $in: ['PENDING', 'IN_REVIEW'] }
+            })
+                .select('status.current')
+                .session(session)
+                .lean();
+
             await Bid.updateMany(
-                {
-                    project: projectId,
-                    _id: { $ne: bidId },
-                    'status.current': { $in: ['PENDING', 'IN_REVIEW'] }
-                },
+                { _id: { $in: losingBids.map(losingBid => losingBid._id) } },
                 {
                     $set: { 'status.current': 'REJECTED' },
                     $push: {
@@ -487,6 +688,36 @@ class BidService {
                 { session }
             );
 
+            // Record the winning bidder on the project
+            const vendor = await getBidderModel(bid.bidderType).findById(bid.vendor)
+                .select('user')
+                .session(session)
+                .lean();
+            if (!vendor) {
+                throw new ApiError(404, 'Vendor not found');
+            }
+
+            // A construction firm holds one simultaneous-project slot until the project ends
+            const capacityReserved = bid.bidderType === 'ConstructionProfile';
+            if (capacityReserved) {
+                await constructionCapacityService.reserveCapacity(vendor._id, { session });
+            }
+
+            project.assignment = {
+                bid: bid._id,
+                vendor: vendor._id,
+                bidderType: bid.bidderType,
+                vendorUser: vendor.user,
+                agreedCost: bid.proposedCost.total,
+                currency: bid.proposedCost.currency,
+                assignedAt: new Date(),
+                capacityReserved
+            };
+            project.initializeExecution(bid);
+
+            // Issue one invoice per milestone as part of the same transaction
+            await paymentService.createInvoicesForProject(project, clientProfile.user, { session });
+
             // Update project status
             project.status.current = 'IN_PROGRESS';
             project.status.history.push({
@@ -498,8 +729,15 @@ class BidService {
             await project.save({ session });
             await session.commitTransaction();
 
+            logStatusChange('Bid', bid._id, previousBidStatus, 'ACCEPTED', clientId, { projectId });
+            losingBids.forEach(losingBid => logStatusChange('Bid', losingBid._id, losingBid.status.current, 'REJECTED', clientId, {
+                projectId,
+                reason: 'Another bid was selected'
+            }));
+            logStatusChange('Project', project._id, previousProjectStatus, 'IN_PROGRESS', clientId, { bidId: bid._id });
+
             // Clear related caches
-            this._clearProjectBidCaches(projectId);
+            await this._clearProjectBidCaches(projectId);
 
             // Populate existing documents
             await Promise.all([
@@ -568,7 +806,13 @@ class BidService {
             }
 
             // Reject the bid
+            const previousStatus = bid.status.current;
             await bid.updateStatus('REJECTED', sanitizedReason);
+            logStatusChange('Bid', bid._id, previousStatus, 'REJECTED', clientId, {
+                projectId,
+                reason: sanitizedReason
+            });
+            await this._refreshCompetitivenessScores(bid.project);
             await bid.populate('vendor', 'companyName location experience ratings');
 
             logger.info('Bid rejected successfully', { bidId: bid._id.toString() });
@@ -627,13 +871,16 @@ class BidService {
     }
 
     /**
-     * Handle bid negotiation
+     * Submit a negotiation offer on a bid
+     * Each side may only have one open offer at a time. Replying to the other
+     * side's pending offer with a counter-offer rejects that offer.
      * @param {string} bidId - Bid ID
-     * @param {Object} negotiationData - Negotiation data
-     * @param {string} initiatorType - Type of initiator (client/vendor)
+     * @param {string} userId - Acting user ID
+     * @param {string} userRole - Acting user role
+     * @param {Object} negotiationData - { type, proposedValue, message, inReplyTo }
      * @returns {Promise<Object>} Updated bid with negotiation
      */
-    async negotiateBid(bidId, negotiationData, initiatorType) {
+    async negotiateBid(bidId, userId, userRole, negotiationData) {
         try {
             const bid = await Bid.findById(bidId);
             if (!bid) {
@@ -644,47 +891,196 @@ class BidService {
                 throw new ApiError(400, 'Bid cannot be negotiated in current status');
             }
 
-            // Sanitize message
-            if (negotiationData.message) {
-                negotiationData.message = sanitizeText(negotiationData.message);
+            const initiator = await this._resolveNegotiationParty(bid, userId, userRole);
+
+            const hasOpenOffer = bid.negotiations.some(
+                n => n.initiator === initiator && n.status === 'pending'
+            );
+            if (hasOpenOffer) {
+                throw new ApiError(409, 'You already have an open offer on this bid');
+            }
+
+            const { type } = negotiationData;
+            const proposedValue = this._normalizeProposedValue(type, negotiationData.proposedValue);
+
+            // A counter-offer supersedes the offer it replies to
+            if (negotiationData.inReplyTo) {
+                const original = bid.negotiations.id(negotiationData.inReplyTo);
+                if (!original) {
+                    throw new ApiError(404, 'Negotiation being replied to was not found');
+                }
+                if (original.initiator === initiator) {
+                    throw new ApiError(400, 'Cannot counter your own offer');
+                }
             }
 
-            const negotiation = await bid.addNegotiation({
-                ...negotiationData,
-                initiator: initiatorType
+            const { bid: updated, negotiation } = await bid.addNegotiation({
+                type,
+                originalValue: this._getNegotiableValue(bid, type),
+                proposedValue,
+                message: sanitizeText(negotiationData.message),
+                inReplyTo: negotiationData.inReplyTo,
+                initiator
             });
 
-            logger.info('Negotiation added successfully', { bidId: bid._id.toString() });
-            return { bid: bid.toObject(), negotiation };
+            logger.info('Negotiation added successfully', { bidId: bid._id.toString(), initiator, type });
+            return { bid: updated.toObject(), negotiation };
         } catch (error) {
             logger.error('Error processing negotiation', { error: error.message });
             if (error instanceof ApiError) throw error;
+            if (error.name === 'ValidationError') {
+                throw new ApiError(400, 'Invalid negotiation data', error.errors);
+            }
             throw new ApiError(500, 'Error processing negotiation', error);
         }
     }
 
+    /**
+     * Get the negotiation thread for a bid
+     * @param {string} bidId - Bid ID
+     * @param {string} userId - Acting user ID
+     * @param {string} userRole - Acting user role
+     * @returns {Promise<Object>} Negotiation entries, oldest first
+     */
+    async getNegotiations(bidId, userId, userRole) {
+        try {
+            const bid = await Bid.findById(bidId).select('project vendor status negotiations');
+            if (!bid) {
+                throw new ApiError(404, 'Bid not found');
+            }
+
+            await this._resolveNegotiationParty(bid, userId, userRole);
+
+            const negotiations = bid.toObject().negotiations
+                .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+            return {
+                bidId: bid._id,
+                status: bid.status.current,
+                negotiations
+            };
+        } catch (error) {
+            logger.error('Error retrieving negotiations', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, 'Error retrieving negotiations', error);
+        }
+    }
+
+    /**
+     * Accept or reject the other party's pending offer
+     * Accepting applies the proposed value to the bid.
+     * @param {string} bidId - Bid ID
+     * @param {string} negotiationId - Negotiation entry ID
+     * @param {string} userId - Acting user ID
+     * @param {string} userRole - Acting user role
+     * @param {string} decision - 'accepted' or 'rejected'
+     * @param {string} message - Optional response message
+     * @returns {Promise<Object>} Updated bid and negotiation
+     */
+    async respondToNegotiation(bidId, negotiationId, userId, userRole, decision, message) {
+        try {
+            const bid = await Bid.findById(bidId);
+            if (!bid) {
+                throw new ApiError(404, 'Bid not found');
+            }
+
+            if (!['PENDING', 'IN_REVIEW'].includes(bid.status.current)) {
+                throw new ApiError(400, 'Bid cannot be negotiated in current status');
+            }
+
+            const party = await this._resolveNegotiationParty(bid, userId, userRole);
+
+            const negotiation = bid.negotiations.id(negotiationId);
+            if (!negotiation) {
+                throw new ApiError(404, 'Negotiation not found');
+            }
+            if (negotiation.initiator === party) {
+                throw new ApiError(403, 'You cannot respond to your own offer');
+            }
+
+            const resolved = await bid.resolveNegotiation(negotiationId, decision, sanitizeText(message));
+
+            if (decision === 'accepted') {
+                await this._clearProjectBidCaches(bid.project.toString());
+                await this._refreshCompetitivenessScores(bid.project);
+            }
+
+            logger.info('Negotiation resolved', {
+                bidId: bid._id.toString(),
+                negotiationId,
+                decision
+            });
+
+            return { bid: bid.toObject(), negotiation: resolved };
+        } catch (error) {
+            logger.error('Error responding to negotiation', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            if (error.name === 'ValidationError') {
+                throw new ApiError(400, 'Negotiated value is not valid for this bid', error.errors);
+            }
+            throw new ApiError(500, 'Error responding to negotiation', error);
+        }
+    }
+
     /**
      * Get competitive analysis for a bid
+     * Clients see analyses for bids on their own projects. While a sealed tender is
+     * open, bidders only see their own bid and no market statistics.
      * @param {string} bidId - Bid ID
+     * @param {string} userId - Requesting user's ID
+     * @param {string} userRole - Requesting user's role
      * @returns {Promise<Object>} Competitive analysis
      */
-    async getCompetitiveAnalysis(bidId) {
+    async getCompetitiveAnalysis(bidId, userId, userRole) {
         try {
+            const bid = await Bid.findById(bidId).lean();
+            if (!bid) {
+                throw new ApiError(404, 'Bid not found');
+            }
+
+            const [project, vendor] = await Promise.all([
+                Project.findById(bid.project)
+                    .select('budget timeline specifications projectType tender client')
+                    .lean(),
+                getBidderModel(bid.bidderType).findById(bid.vendor)
+                    .select('ratings experience')
+                    .lean()
+            ]);
+
+            if (userRole === 'client_owner') {
+                const clientProfile = await this._getClientProfile(userId);
+                if (!project || project.client?.toString() !== clientProfile._id.toString()) {
+                    throw new ApiError(403, 'Unauthorized to view this bid');
+                }
+            } else if (Project.areBidsSealed(project)) {
+                // A sealed bid is only visible to the bidder who placed it
+                const bidder = await findBidderProfile(userId, userRole, '_id');
+                if (!bidder || bidder.profile._id.toString() !== bid.vendor.toString()) {
+                    throw new ApiError(403, 'Bids on this tender are sealed until the submission deadline');
+                }
+                return {
+                    bid: {
+                        cost: bid.proposedCost.total,
+                        duration: bid.timeline.estimatedDuration
+                    },
+                    market: null,
+                    sealed: true,
+                    sealedUntil: project.tender.submissionDeadline,
+                    competitiveness: bidScoringService.scoreBid(bid, { project, vendor })
+                };
+            }
+
             // ⚡ OPTIMIZED: Cache competitive analysis (computationally expensive)
-            const cacheKey = `competitive_analysis_${bidId}`;
-            const cached = this.bidCache.get(cacheKey);
+            const cacheKey = `${bid.project}:${bidId}`;
+            const cached = await this.bidCache.get(cacheKey);
             if (cached) {
                 logger.debug('Returning cached competitive analysis');
                 return cached;
             }
 
-            const bid = await Bid.findById(bidId).lean();
-            if (!bid) {
-                throw new ApiError(404, 'Bid not found');
-            }
-
             const competingBids = await Bid.findCompetingBids(bid.project, bid._id);
             const stats = this._calculateBidStatistics(bid, competingBids);
+            const competitiveness = bidScoringService.scoreBid(bid, { project, vendor, competingBids });
 
             const analysis = {
                 bid: {
@@ -692,11 +1088,11 @@ class BidService {
                     duration: bid.timeline.estimatedDuration
                 },
                 market: stats,
-                competitiveness: this._calculateCompetitivenessScore(bid, stats)
+                competitiveness
             };
 
             // Cache the result
-            this.bidCache.set(cacheKey, analysis);
+            await this.bidCache.set(cacheKey, analysis);
 
             return analysis;
         } catch (error) {
@@ -709,15 +1105,99 @@ class BidService {
     // Private helper methods
 
     /**
-     * Validate vendor eligibility for project
+     * Reject bid changes once a tender's submission deadline has passed
      * @private
      */
-    async _validateVendorEligibility(vendor, project) {
+    async _assertTenderOpen(project) {
+        if (Project.isTenderClosed(project)) {
+            // Close the tender now rather than waiting for the scheduled job
+            await Project.closeExpiredTenders(new Date(), { _id: project._id });
+            throw new ApiError(400, 'The bid submission deadline for this tender has passed');
+        }
+    }
+
+    /**
+     * Recompute and store the competitiveness score of every open bid on a project
+     * Scores are relative to the other open bids, so any bid entering, changing or
+     * leaving the field moves them all. Failures are logged, not raised.
+     * @private
+     */
+    async _refreshCompetitivenessScores(projectId) {
+        try {
+            const [project, bids] = await Promise.all([
+                Project.findById(projectId).select('budget timeline specifications projectType').lean(),
+                Bid.find({ project: projectId, 'status.current': { $in: ['PENDING', 'IN_REVIEW'] } }).lean()
+            ]);
+            if (!project || bids.length === 0) return;
+
+            const vendors = new Map();
+            const bidderTypes = [...new Set(bids.map(bid => bid.bidderType))];
+            await Promise.all(bidderTypes.map(async (bidderType) => {
+                const profiles = await getBidderModel(bidderType)
+                    .find({ _id: { $in: bids.filter(bid => bid.bidderType === bidderType).map(bid => bid.vendor) } })
+                    .select('ratings experience')
+                    .lean();
+                profiles.forEach(profile => vendors.set(profile._id.toString(), profile));
+            }));
+
+            await Bid.bulkWrite(bids.map(bid => ({
+                updateOne: {
+                    filter: { _id: bid._id },
+                    update: {
+                        $set: {
+                            'metadata.competitivenessScore': bidScoringService.scoreBid(bid, {
+                                project,
+                                vendor: vendors.get(bid.vendor.toString()),
+                                competingBids: bids.filter(other => !other._id.equals(bid._id))
+                            }).score
+                        }
+                    },
+                    timestamps: false
+                }
+            })));
+        } catch (error) {
+            logger.error('Error refreshing competitiveness scores', {
+                projectId: projectId.toString(),
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Get the bidding profile (vendor or construction firm) of a user
+     * @private
+     * @returns {Promise<Object>} { profile, bidderType }
+     */
+    async _getBidderProfile(userId, userRole) {
+        const bidder = await findBidderProfile(userId, userRole);
+        if (!bidder) {
+            throw new ApiError(404, userRole === 'construction_firm'
+                ? 'Construction profile not found'
+                : 'Vendor profile not found');
+        }
+        return bidder;
+    }
+
+    /**
+     * Validate bidder eligibility for project
+     * @private
+     */
+    async _validateBidderEligibility(vendor, bidderType, project) {
         if (vendor.status !== 'active') {
-            throw new ApiError(400, 'Vendor account is not active');
+            throw new ApiError(400, 'Bidder account is not active');
+        }
+
+        if (project.visibility === 'private') {
+            throw new ApiError(403, 'This project is private and is not accepting bids');
+        }
+
+        if (project.visibility === 'invited' && !(await ProjectInvitation.isInvited(project._id, vendor._id))) {
+            throw new ApiError(403, 'Only invited vendors can bid on this project');
         }
 
-        if (vendor.services && vendor.services.length > 0 && 
+        if (bidderType === 'ConstructionProfile') {
+            this._validateConstructionCapacity(vendor, project);
+        } else if (vendor.services && vendor.services.length > 0 && 
             !vendor.services.includes('NA') && 
             !vendor.services.includes(project.projectType)) {
             throw new ApiError(400, 'Project type does not match vendor services');
@@ -731,9 +1211,152 @@ class BidService {
             throw new ApiError(400, 'Vendor does not meet minimum rating requirement');
         }
 
+        const missingCertifications = this._findMissingCertifications(
+            vendor,
+            project.preferences?.vendorRequirements?.requiredCertifications
+        );
+        if (missingCertifications.length > 0) {
+            throw new ApiError(400, `Missing required certifications: ${missingCertifications.join(', ')}`);
+        }
+
         return true;
     }
 
+    /**
+     * Required certifications the bidder does not hold a current copy of
+     * @private
+     * @returns {string[]} Missing certification names
+     */
+    _findMissingCertifications(vendor, required = []) {
+        if (!required || required.length === 0) return [];
+
+        const now = new Date();
+        const held = new Set((vendor.certifications || [])
+            .filter(cert => !cert.validUntil || new Date(cert.validUntil) >= now)
+            .map(cert => cert.name.trim().toLowerCase()));
+
+        return required.filter(name => !held.has(name.trim().toLowerCase()));
+    }
+
+    /**
+     * Check a project against a construction firm's declared capacity
+     * @private
+     */
+    _validateConstructionCapacity(firm, project) {
+        const capacity = firm.projectCapacity || {};
+
+        const budget = project.budget?.range;
+        const firmBudget = capacity.budgetRange;
+        if (budget && firmBudget &&
+            (budget.max < firmBudget.minBudget || budget.min > firmBudget.maxBudget)) {
+            throw new ApiError(400, 'Project budget is outside the firm\'s project budget range');
+        }
+
+        const { city, state } = project.location || {};
+        if (city || state) {
+            const matches = (a, b) => !a || !b || a.trim().toLowerCase() === b.trim().toLowerCase();
+            const regions = [firm.location, ...(capacity.operationalRegions || [])].filter(Boolean);
+            const servesLocation = regions.some(region =>
+                matches(region.city, city) && matches(region.state, state));
+            if (!servesLocation) {
+                throw new ApiError(400, 'Project location is outside the firm\'s operational regions');
+            }
+        }
+
+        const area = project.specifications?.area;
+        const sizeRange = capacity.projectSizeRange;
+        if (area?.value && sizeRange) {
+            const squareFeet = area.unit === 'sqm' ? area.value * BID_CONSTANTS.AREA.SQFT_PER_SQM : area.value;
+            if (squareFeet < sizeRange.minSquareFeet || squareFeet > sizeRange.maxSquareFeet) {
+                throw new ApiError(400, 'Project size is outside the firm\'s project size range');
+            }
+        }
+
+        const slots = capacity.simultaneousProjects;
+        if (slots && slots.current >= slots.maximum) {
+            throw new ApiError(400, 'Construction firm has no capacity for additional projects');
+        }
+    }
+
+    /**
+     * Determine which side of a bid the user is on
+     * @private
+     * @returns {Promise<string>} 'client' or 'vendor'
+     */
+    async _resolveNegotiationParty(bid, userId, userRole) {
+        if (userRole === 'client_owner') {
+            const clientProfile = await this._getClientProfile(userId);
+            const ownsProject = await Project.exists({ _id: bid.project, client: clientProfile._id });
+            if (!ownsProject) {
+                throw new ApiError(403, 'Not authorized to negotiate on this bid');
+            }
+            return 'client';
+        }
+
+        const bidder = await findBidderProfile(userId, userRole, '_id');
+        const vendor = bidder?.profile;
+        if (!vendor || bid.vendor.toString() !== vendor._id.toString()) {
+            throw new ApiError(403, 'Not authorized to negotiate on this bid');
+        }
+        return 'vendor';
+    }
+
+    /**
+     * Current bid value that a negotiation of the given type would change
+     * @private
+     */
+    _getNegotiableValue(bid, type) {
+        switch (type) {
+            case 'cost':
+                return bid.proposedCost.total;
+            case 'timeline':
+                return {
+                    value: bid.timeline.estimatedDuration.value,
+                    unit: bid.timeline.estimatedDuration.unit
+                };
+            case 'scope':
+                return bid.proposal.approach;
+            default:
+                return undefined;
+        }
+    }
+
+    /**
+     * Validate and normalize a proposed negotiation value
+     * @private
+     */
+    _normalizeProposedValue(type, value) {
+        switch (type) {
+            case 'cost': {
+                const amount = Number(value?.total ?? value);
+                if (!Number.isFinite(amount) || amount <= 0) {
+                    throw new ApiError(400, 'Cost offer must be a positive amount');
+                }
+                return amount;
+            }
+            case 'timeline': {
+                const duration = typeof value === 'object' && value !== null ? value : { value };
+                const amount = Number(duration.value);
+                if (!Number.isInteger(amount) || amount < 1) {
+                    throw new ApiError(400, 'Timeline offer must be a duration of at least 1');
+                }
+                if (duration.unit && !['days', 'weeks', 'months'].includes(duration.unit)) {
+                    throw new ApiError(400, 'Timeline unit must be days, weeks or months');
+                }
+                return { value: amount, unit: duration.unit };
+            }
+            case 'scope': {
+                const scope = sanitizeText(value);
+                if (!scope) {
+                    throw new ApiError(400, 'Scope offer must describe the proposed scope');
+                }
+                return scope;
+            }
+            default:
+                return typeof value === 'string' ? sanitizeText(value) : value;
+        }
+    }
+
     /**
      * Sanitize update data
      * @private
@@ -776,54 +1399,38 @@ class BidService {
         };
     }
 
-    /**
-     * Calculate bid competitiveness score
-     * @private
-     */
-    _calculateCompetitivenessScore(bid, stats) {
-        let score = 100;
-
-        const costDiff = (bid.proposedCost.total - stats.averageCost) / stats.averageCost;
-        score -= Math.abs(costDiff) * 40;
-
-        const durationDiff = (bid.timeline.estimatedDuration.value - stats.averageDuration) / stats.averageDuration;
-        score -= Math.abs(durationDiff) * 30;
-
-        const teamScore = this._calculateTeamScore(bid.team);
-        score += teamScore * 0.2;
-
-        const previousWorkScore = this._calculatePreviousWorkScore(bid.previousWork);
-        score += previousWorkScore * 0.1;
-
-        return Math.max(0, Math.min(100, score));
-    }
-
-    _calculateTeamScore(team) {
-        return 80; // Placeholder
-    }
-
-    _calculatePreviousWorkScore(previousWork) {
-        return 80; // Placeholder
-    }
-
     /**
      * Get all bids for a project (optimized with caching and pagination)
      * @param {string} projectId - Project ID
      * @param {string} status - Optional status filter
-     * @param {Object} options - Pagination options { page, limit }
+     * @param {Object} options - Pagination options { page, limit } and the requesting userId and userRole
      * @returns {Promise<Object>} Object with bids array and pagination metadata
      */
     async getProjectBids(projectId, status, options = {}) {
         try {
             logger.debug('Getting bids for project', { projectId });
+
+            if (options.userRole === 'client_owner') {
+                // Clients only see bids on their own projects
+                const clientProfile = await this._getClientProfile(options.userId);
+                if (!(await Project.exists({ _id: projectId, client: clientProfile._id }))) {
+                    throw new ApiError(403, 'Unauthorized to view bids on this project');
+                }
+            } else if (options.userRole) {
+                // Vendors cannot browse competing bids while a sealed tender is open
+                const project = await Project.findById(projectId).select('tender').lean();
+                if (Project.areBidsSealed(project)) {
+                    throw new ApiError(403, 'Bids on this tender are sealed until the submission deadline');
+                }
+            }
             
             // Validate and sanitize pagination
             const { page, limit } = validatePagination(options.page, options.limit);
             const skip = (page - 1) * limit;
             
             // Check cache
-            const cacheKey = `project_bids_${projectId}_${status || 'all'}_${page}_${limit}`;
-            const cached = this.projectBidsCache.get(cacheKey);
+            const cacheKey = `${projectId}:${status || 'all'}:${page}:${limit}`;
+            const cached = await this.projectBidsCache.get(cacheKey);
             if (cached) {
                 logger.debug('Returning cached bids');
                 return cached;
@@ -857,8 +1464,7 @@ class BidService {
             const bids = await Bid.find({ _id: { $in: bidIds } })
                 .populate({
                     path: 'vendor',
-                    select: 'companyName location experience ratings services specializations certifications',
-                    model: 'VendorProfile'
+                    select: 'companyName location experience ratings services specializations certifications'
                 })
                 .select('-negotiations -previousWork')
                 .sort('-metadata.submittedAt')
@@ -876,7 +1482,7 @@ class BidService {
             };
 
             // Cache the result
-            this.projectBidsCache.set(cacheKey, response);
+            await this.projectBidsCache.set(cacheKey, response);
 
             return response;
         } catch (error) {
@@ -886,24 +1492,72 @@ class BidService {
         }
     }
 
+    /**
+     * Remove a bid that breaks platform rules (Moderator action)
+     * Accepted bids are left alone; cancel the project instead.
+     * @param {string} bidId - Bid ID
+     * @param {string} moderatorId - Moderating user ID
+     * @param {string} reason - Moderation reason
+     * @returns {Promise<Object>} Updated bid
+     */
+    async removeBid(bidId, moderatorId, reason) {
+        try {
+            const bid = await Bid.findById(bidId);
+            if (!bid) {
+                throw new ApiError(404, 'Bid not found');
+            }
+            if (!['DRAFT', 'PENDING', 'IN_REVIEW'].includes(bid.status.current)) {
+                throw new ApiError(400, `A bid that is ${bid.status.current.toLowerCase()} cannot be removed`);
+            }
+
+            const now = new Date();
+            const previousStatus = bid.status.current;
+            bid.status.current = 'REJECTED';
+            bid.status.history.push({
+                status: 'REJECTED',
+                timestamp: now,
+                reason: `Removed by moderator: ${sanitizeText(reason)}`
+            });
+            bid.moderation = {
+                removed: true,
+                reason: sanitizeText(reason),
+                moderatedBy: moderatorId,
+                moderatedAt: now
+            };
+            await bid.save();
+
+            await this._clearProjectBidCaches(bid.project.toString());
+            await this._refreshCompetitivenessScores(bid.project);
+
+            logger.info('Bid removed by moderator', { bidId });
+            logStatusChange('Bid', bid._id, previousStatus, 'REJECTED', moderatorId, {
+                projectId: bid.project,
+                reason: bid.moderation.reason
+            });
+            return bid.toObject();
+        } catch (error) {
+            logger.error('Error removing bid', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, 'Error removing bid', error);
+        }
+    }
+
     /**
      * Delete a bid
      * @param {string} bidId - Bid ID
-     * @param {string} vendorId - Vendor ID (for authorization)
+     * @param {string} vendorId - Bidder's user ID (for authorization)
+     * @param {string} userRole - Bidder's role
      * @returns {Promise<Object>} Deletion result
      */
-    async deleteBid(bidId, vendorId) {
+    async deleteBid(bidId, vendorId, userRole) {
         try {
             logger.debug('Deleting bid', { bidId });
             
-            const [vendor, bid] = await Promise.all([
-                VendorProfile.findOne({ user: vendorId }).lean(),
+            const [{ profile: vendor }, bid] = await Promise.all([
+                this._getBidderProfile(vendorId, userRole),
                 Bid.findById(bidId).lean()
             ]);
 
-            if (!vendor) {
-                throw new ApiError(404, 'Vendor profile not found');
-            }
             if (!bid) {
                 throw new ApiError(404, 'Bid not found');
             }
@@ -918,9 +1572,16 @@ class BidService {
             }
 
             await Bid.findByIdAndDelete(bidId);
-            this._clearProjectBidCaches(bid.project.toString());
+            await this._clearProjectBidCaches(bid.project.toString());
+            await this._refreshCompetitivenessScores(bid.project);
 
             logger.info('Bid deleted successfully', { bidId });
+            logAudit('BID_DELETED', {
+                entityType: 'Bid',
+                entityId: bid._id,
+                projectId: bid.project,
+                status: bidStatus
+            }, vendorId);
             return { success: true, bidId };
         } catch (error) {
             logger.error('Error deleting bid', { error: error.message });
@@ -933,7 +1594,7 @@ class BidService {
      * Get all bids for a vendor
      * @param {string} vendorId - Vendor ID
      * @param {string} status - Optional status filter
-     * @param {Object} options - Pagination options
+     * @param {Object} options - Pagination options and the bidder's userRole
      * @returns {Promise<Object>} Vendor's bids with pagination
      */
     async getVendorBids(vendorId, status, options = {}) {
@@ -943,10 +1604,7 @@ class BidService {
             // Validate pagination
             const { page, limit } = validatePagination(options.page, options.limit);
             
-            const vendor = await VendorProfile.findOne({ user: vendorId }).lean();
-            if (!vendor) {
-                throw new ApiError(404, 'Vendor profile not found');
-            }
+            const { profile: vendor } = await this._getBidderProfile(vendorId, options.userRole);
             
             const query = { vendor: vendor._id };
             if (status) {
@@ -1002,41 +1660,34 @@ class BidService {
     }
 
     /**
-     * Clear project bid caches
+     * Clear project bid caches on every instance
      * @private
      */
-    _clearProjectBidCaches(projectId) {
-        // Clear project bids cache
-        const projectBidKeys = [];
-        for (const key of this.projectBidsCache.keys()) {
-            if (key.includes(`project_bids_${projectId}`)) {
-                projectBidKeys.push(key);
-            }
-        }
-        projectBidKeys.forEach(key => this.projectBidsCache.delete(key));
-
-        // ⚡ OPTIMIZED: Also clear competitive analysis cache for bids in this project
-        const analysisKeys = [];
-        for (const key of this.bidCache.keys()) {
-            if (key.includes('competitive_analysis_')) {
-                analysisKeys.push(key);
-            }
-        }
-        analysisKeys.forEach(key => this.bidCache.delete(key));
+    async _clearProjectBidCaches(projectId) {
+        await Promise.all([
+            this.projectBidsCache.deleteByPrefix(`${projectId}:`),
+            this.bidCache.deleteByPrefix(`${projectId}:`)
+        ]);
     }
 
     /**
      * Get bids for multiple projects (batch)
+     * Clients may only request their own projects. Bidders see every bid on open
+     * tenders but only their own while a tender is sealed.
      * @param {string[]} projectIds - Array of project IDs
      * @param {string} status - Optional status filter
+     * @param {Object} viewer - Requesting { userId, userRole }
      * @returns {Promise<Object>} Bids grouped by project ID
      */
-    async getMultipleProjectBids(projectIds, status) {
+    async getMultipleProjectBids(projectIds, status, { userId, userRole }) {
         try {
             // Validate batch size
             if (projectIds.length > BID_CONSTANTS.PAGINATION.MAX_BATCH_SIZE) {
                 throw new ApiError(400, `Cannot request more than ${BID_CONSTANTS.PAGINATION.MAX_BATCH_SIZE} projects at once`);
             }
+            if (!projectIds.every(projectId => mongoose.Types.ObjectId.isValid(projectId))) {
+                throw new ApiError(400, 'Invalid project ID');
+            }
 
             logger.debug('Getting bids for multiple projects', { count: projectIds.length });
             
@@ -1044,6 +1695,29 @@ class BidService {
             if (status) {
                 query['status.current'] = status.toUpperCase();
             }
+
+            if (userRole === 'client_owner') {
+                const clientProfile = await this._getClientProfile(userId);
+                const ownedCount = await Project.countDocuments({ _id: { $in: projectIds }, client: clientProfile._id });
+                if (ownedCount !== new Set(projectIds.map(String)).size) {
+                    throw new ApiError(403, 'You can only view bids on your own projects');
+                }
+            } else {
+                const [projects, bidder] = await Promise.all([
+                    Project.find({ _id: { $in: projectIds } }).select('tender').lean(),
+                    findBidderProfile(userId, userRole, '_id')
+                ]);
+                const sealedProjectIds = projects
+                    .filter(project => Project.areBidsSealed(project))
+                    .map(project => project._id);
+
+                if (sealedProjectIds.length > 0) {
+                    query.$or = [
+                        { project: { $nin: sealedProjectIds } },
+                        ...(bidder ? [{ vendor: bidder.profile._id }] : [])
+                    ];
+                }
+            }
             
             const bids = await Bid.find(query)
                 .populate({
@@ -0,0 +1,214 @@
+const mongoose = require('mongoose');
+const Project = require('../models/project.model');
+const ConstructionProfile = require('../models/construction.profile.model');
+const { ApiError } = require('../utils/apiError');
+const logger = require('../utils/logger');
+
+const CAPACITY_PATH = 'projectCapacity.simultaneousProjects';
+
+// Project statuses that keep a firm's slot occupied
+const ACTIVE_PROJECT_STATUSES = ['IN_PROGRESS', 'ON_HOLD'];
+
+// Self-reported projects on the profile that still occupy the firm
+const ACTIVE_EXTERNAL_STATUSES = ['planning', 'in_progress', 'on_hold'];
+
+const TIMELINE_LIMITS = {
+    DEFAULT_MONTHS: 12,
+    MAX_MONTHS: 36
+};
+
+const DAYS_PER_UNIT = {
+    days: 1,
+    weeks: 7,
+    months: 30
+};
+
+class ConstructionCapacityService {
+    /**
+     * Take one simultaneous-project slot from a construction firm
+     * @param {string} firmId - Construction profile ID
+     * @param {Object} options - { session }
+     * @throws {ApiError} 400 when the firm is already at its limit
+     */
+    async reserveCapacity(firmId, { session } = {}) {
+        const result = await ConstructionProfile.updateOne(
+            {
+                _id: firmId,
+                $expr: { $lt: [`$${CAPACITY_PATH}.current`, `$${CAPACITY_PATH}.maximum`] }
+            },
+            { $inc: { [`${CAPACITY_PATH}.current`]: 1 } },
+            { session }
+        );
+
+        if (result.modifiedCount === 0) {
+            throw new ApiError(400, 'Construction firm has no capacity for additional projects');
+        }
+
+        logger.info('Construction capacity reserved', { firmId: firmId.toString() });
+    }
+
+    /**
+     * Give back the slot held by a project's construction firm
+     * Safe to call more than once; only the first call releases the slot.
+     * @param {Object} project - Project with its assignment
+     * @param {Object} options - { session }
+     * @returns {Promise<boolean>} Whether a slot was released
+     */
+    async releaseCapacity(project, { session } = {}) {
+        const assignment = project?.assignment;
+        if (assignment?.bidderType !== 'ConstructionProfile' || !assignment.capacityReserved) {
+            return false;
+        }
+
+        const claimed = await Project.updateOne(
+            { _id: project._id, 'assignment.capacityReserved': true },
+            { $set: { 'assignment.capacityReserved': false } },
+            { session }
+        );
+        if (claimed.modifiedCount === 0) {
+            return false;
+        }
+
+        await ConstructionProfile.updateOne(
+            { _id: assignment.vendor, [`${CAPACITY_PATH}.current`]: { $gt: 0 } },
+            { $inc: { [`${CAPACITY_PATH}.current`]: -1 } },
+            { session }
+        );
+
+        logger.info('Construction capacity released', {
+            firmId: assignment.vendor.toString(),
+            projectId: project._id.toString()
+        });
+        return true;
+    }
+
+    /**
+     * Committed workload of a firm for each month from the current one
+     * Counts projects won on the platform plus active projects listed on the profile.
+     * Project titles and values are only shown to the firm itself and admins;
+     * anyone else sees slot counts.
+     * @param {string} firmId - Construction profile ID
+     * @param {Object} options - { months, viewer: { userId, role } }
+     * @returns {Promise<Object>} Capacity summary and monthly timeline
+     */
+    async getCapacityTimeline(firmId, { months = TIMELINE_LIMITS.DEFAULT_MONTHS, viewer } = {}) {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(firmId)) {
+                throw new ApiError(400, 'Invalid profile ID');
+            }
+
+            const firm = await ConstructionProfile.findById(firmId)
+                .select('user companyName activeProjects projectCapacity.simultaneousProjects')
+                .lean();
+            if (!firm) {
+                throw new ApiError(404, 'Construction profile not found');
+            }
+
+            const projects = await Project.find({
+                'assignment.vendor': firm._id,
+                'assignment.bidderType': 'ConstructionProfile',
+                'status.current': { $in: ACTIVE_PROJECT_STATUSES }
+            })
+                .select('title timeline assignment execution.startedAt execution.milestones.expectedCompletionDate')
+                .lean();
+
+            const commitments = [
+                ...projects.map(project => this._toPlatformCommitment(project)),
+                ...(firm.activeProjects || [])
+                    .filter(project => ACTIVE_EXTERNAL_STATUSES.includes(project.status))
+                    .map(project => ({
+                        projectId: project._id,
+                        title: project.name,
+                        source: 'external',
+                        value: project.value,
+                        start: new Date(project.startDate),
+                        end: new Date(project.expectedCompletion)
+                    }))
+            ];
+
+            const monthCount = Math.min(Math.max(parseInt(months, 10) || TIMELINE_LIMITS.DEFAULT_MONTHS, 1),
+                TIMELINE_LIMITS.MAX_MONTHS);
+            const maximum = firm.projectCapacity?.simultaneousProjects?.maximum || 0;
+            const showDetails = viewer?.role === 'admin' ||
+                (viewer?.userId && firm.user?.toString() === viewer.userId.toString());
+
+            return {
+                firm: { _id: firm._id, companyName: firm.companyName },
+                capacity: {
+                    current: firm.projectCapacity?.simultaneousProjects?.current || 0,
+                    maximum
+                },
+                timeline: this._buildMonths(commitments, monthCount, maximum, showDetails)
+            };
+        } catch (error) {
+            logger.error('Error building capacity timeline', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, 'Error building capacity timeline', error);
+        }
+    }
+
+    // Private helper methods
+
+    /**
+     * Start and expected end of a project won on the platform
+     * @private
+     */
+    _toPlatformCommitment(project) {
+        const start = new Date(project.execution?.startedAt || project.assignment.assignedAt);
+
+        const milestoneDates = (project.execution?.milestones || [])
+            .map(milestone => new Date(milestone.expectedCompletionDate).getTime())
+            .filter(time => !Number.isNaN(time));
+
+        let end;
+        if (milestoneDates.length > 0) {
+            end = new Date(Math.max(...milestoneDates));
+        } else {
+            const duration = project.timeline?.expectedDuration;
+            const days = (duration?.value || 0) * (DAYS_PER_UNIT[duration?.unit] || DAYS_PER_UNIT.months);
+            end = new Date(start.getTime() + days * 24 * 60 * 60 * 1000);
+        }
+
+        return {
+            projectId: project._id,
+            title: project.title,
+            source: 'platform',
+            value: project.assignment.agreedCost || 0,
+            start,
+            end
+        };
+    }
+
+    /**
+     * Bucket commitments into calendar months (UTC)
+     * @private
+     */
+    _buildMonths(commitments, monthCount, maximum, showDetails) {
+        const now = new Date();
+        const timeline = [];
+
+        for (let i = 0; i < monthCount; i++) {
+            const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + i, 1));
+            const monthEnd = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + i + 1, 1));
+
+            const active = commitments.filter(c => c.start < monthEnd && c.end >= monthStart);
+
+            const month = {
+                month: monthStart.toISOString().slice(0, 7),
+                projectCount: active.length,
+                availableSlots: Math.max(maximum - active.length, 0),
+                utilization: maximum > 0 ? Math.round((active.length / maximum) * 100) : null,
+                overCapacity: active.length > maximum
+            };
+            if (showDetails) {
+                month.committedValue = active.reduce((sum, c) => sum + (c.value || 0), 0);
+                month.projects = active.map(({ projectId, title, source }) => ({ projectId, title, source }));
+            }
+            timeline.push(month);
+        }
+
+        return timeline;
+    }
+}
+
+module.exports = new ConstructionCapacityService();
@@ -0,0 +1,327 @@
+const mongoose = require('mongoose');
+const ConstructionProfile = require('../models/construction.profile.model');
+const { ApiError } = require('../utils/apiError');
+const { logAudit } = require('../utils/auditLogger');
+
+// Fields managed by the platform rather than the firm
+const PROTECTED_FIELDS = ['user', 'ratings', 'isVerified', 'status', 'suspension', '_id', 'createdAt', 'updatedAt'];
+
+// Banking details are only shown to the firm itself
+const PRIVATE_FIELDS = '-financialDetails.bankingInfo';
+
+class ConstructionProfileService {
+    async createProfile(userId, profileData) {
+        const existingProfile = await ConstructionProfile.findOne({ user: userId });
+        if (existingProfile) {
+            throw new ApiError(400, 'Construction profile already exists');
+        }
+
+        const profile = new ConstructionProfile({
+            ...this._sanitizeProfileData(profileData),
+            user: userId,
+            isVerified: false,
+            status: 'active'
+        });
+
+        this._validateRanges(profile);
+
+        try {
+            return await profile.save();
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                throw new ApiError(400, 'Invalid construction profile data', error.errors);
+            }
+            throw error;
+        }
+    }
+
+    async updateProfile(userId, updateData) {
+        const profile = await ConstructionProfile.findOne({ user: userId });
+        if (!profile) {
+            throw new ApiError(404, 'Construction profile not found');
+        }
+
+        // The platform tracks how many project slots are in use
+        const slotsInUse = profile.projectCapacity?.simultaneousProjects?.current || 0;
+        const verifiedDetails = this._verifiedDetails(profile);
+        const sanitized = this._sanitizeProfileData(updateData);
+        if (Array.isArray(sanitized.licenses)) {
+            this._assertLicensesCurrent(sanitized.licenses, profile.licenses);
+        }
+        // Set leaf paths so a partial nested object keeps the fields it leaves out
+        Object.entries(this._toUpdatePaths(sanitized)).forEach(([path, value]) => profile.set(path, value));
+        profile.set('projectCapacity.simultaneousProjects.current', slotsInUse);
+        this._validateRanges(profile);
+
+        // Verification covered the old GST and license details; changed ones need a new review
+        const verificationReset = profile.isVerified && this._verifiedDetails(profile) !== verifiedDetails;
+        if (verificationReset) {
+            profile.isVerified = false;
+        }
+
+        // Renewing the expired licenses lifts an automatic suspension
+        if (profile.status === 'suspended' &&
+            profile.suspension?.reason === 'LICENSE_EXPIRED' &&
+            !profile.hasExpiredMandatoryLicense()) {
+            profile.status = 'active';
+            profile.suspension = undefined;
+        }
+
+        try {
+            await profile.save();
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                throw new ApiError(400, 'Invalid construction profile data', error.errors);
+            }
+            throw error;
+        }
+
+        if (verificationReset) {
+            logAudit('PROFILE_VERIFICATION_RESET', {
+                entityType: 'ConstructionProfile',
+                entityId: profile._id
+            }, userId);
+        }
+
+        return profile;
+    }
+
+    async getProfileById(profileId) {
+        if (!mongoose.Types.ObjectId.isValid(profileId)) {
+            throw new ApiError(400, 'Invalid profile ID');
+        }
+
+        const profile = await ConstructionProfile.findById(profileId)
+            .select(PRIVATE_FIELDS)
+            .populate('user', 'firstName lastName email');
+
+        if (!profile) {
+            throw new ApiError(404, 'Construction profile not found');
+        }
+
+        return profile;
+    }
+
+    async getProfileByUserId(userId) {
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            throw new ApiError(400, 'Invalid user ID format');
+        }
+
+        const profile = await ConstructionProfile.findOne({ user: userId });
+        if (!profile) {
+            throw new ApiError(404, 'Construction profile not found. Please create a profile first.');
+        }
+
+        return profile;
+    }
+
+    async searchProfiles(criteria, page = 1, limit = 10, excludeUserId = null) {
+        const query = { status: 'active' };
+
+        if (excludeUserId) {
+            query.user = { $ne: excludeUserId };
+        }
+
+        // Match the head office or any operational region
+        if (criteria.city) {
+            const city = new RegExp(criteria.city, 'i');
+            query.$or = [
+                { 'location.city': city },
+                { 'projectCapacity.operationalRegions.city': city }
+            ];
+        }
+        if (criteria.state) {
+            const state = new RegExp(criteria.state, 'i');
+            query.$and = [{
+                $or: [
+                    { 'location.state': state },
+                    { 'projectCapacity.operationalRegions.state': state }
+                ]
+            }];
+        }
+        if (criteria.specializations) {
+            query.specializations = { $in: criteria.specializations };
+        }
+        if (criteria.minExperience) {
+            query['experience.yearsInBusiness'] = { $gte: criteria.minExperience };
+        }
+        if (criteria.minRating) {
+            query['ratings.average'] = { $gte: criteria.minRating };
+        }
+        if (criteria.budget) {
+            query['projectCapacity.budgetRange.minBudget'] = { $lte: criteria.budget };
+            query['projectCapacity.budgetRange.maxBudget'] = { $gte: criteria.budget };
+        }
+        if (criteria.area) {
+            query['projectCapacity.projectSizeRange.minSquareFeet'] = { $lte: criteria.area };
+            query['projectCapacity.projectSizeRange.maxSquareFeet'] = { $gte: criteria.area };
+        }
+        if (criteria.hasCapacity) {
+            query.$expr = {
+                $lt: [
+                    '$projectCapacity.simultaneousProjects.current',
+                    '$projectCapacity.simultaneousProjects.maximum'
+                ]
+            };
+        }
+        if (criteria.verifiedOnly) {
+            query.isVerified = true;
+        }
+
+        const skip = (page - 1) * limit;
+
+        const [firms, total] = await Promise.all([
+            ConstructionProfile.find(query)
+                .select(PRIVATE_FIELDS)
+                .populate('user', 'firstName lastName')
+                .sort({ 'ratings.average': -1, 'experience.yearsInBusiness': -1 })
+                .skip(skip)
+                .limit(limit),
+            ConstructionProfile.countDocuments(query)
+        ]);
+
+        return {
+            firms,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                hasMore: page * limit < total
+            }
+        };
+    }
+
+    async softDeleteProfile(userId, context = {}) {
+        const profile = await ConstructionProfile.findOneAndUpdate(
+            { user: userId },
+            { $set: { status: 'inactive' } },
+            { new: true }
+        );
+
+        if (!profile) {
+            throw new ApiError(404, 'Construction profile not found');
+        }
+
+        logAudit('PROFILE_DEACTIVATED', {
+            entityType: 'ConstructionProfile',
+            entityId: profile._id,
+            ...context
+        }, userId);
+
+        return profile;
+    }
+
+    /**
+     * The details a verification review checked against the submitted documents
+     * @private
+     */
+    _verifiedDetails(profile) {
+        const toTime = value => (value ? new Date(value).getTime() : null);
+        return JSON.stringify({
+            companyName: profile.companyName,
+            gstNumber: profile.gstDetails?.number,
+            gstRegisteredOn: toTime(profile.gstDetails?.registrationDate),
+            licenses: (profile.licenses || []).map(license => [
+                license.type,
+                license.number,
+                license.issuedBy,
+                toTime(license.validUntil)
+            ])
+        });
+    }
+
+    /**
+     * Drop platform-managed fields and normalise identifiers
+     * @private
+     */
+    _sanitizeProfileData(profileData) {
+        const sanitized = { ...profileData };
+        PROTECTED_FIELDS.forEach(field => delete sanitized[field]);
+
+        if (sanitized.gstDetails?.number) {
+            sanitized.gstDetails = {
+                ...sanitized.gstDetails,
+                number: sanitized.gstDetails.number.trim().toUpperCase()
+            };
+        }
+        if (sanitized.projectCapacity?.simultaneousProjects) {
+            const { current, ...limits } = sanitized.projectCapacity.simultaneousProjects;
+            sanitized.projectCapacity = {
+                ...sanitized.projectCapacity,
+                simultaneousProjects: limits
+            };
+        }
+        if (sanitized.financialDetails?.bankingInfo?.ifscCode) {
+            sanitized.financialDetails = {
+                ...sanitized.financialDetails,
+                bankingInfo: {
+                    ...sanitized.financialDetails.bankingInfo,
+                    ifscCode: sanitized.financialDetails.bankingInfo.ifscCode.trim().toUpperCase()
+                }
+            };
+        }
+
+        return sanitized;
+    }
+
+    /**
+     * Flatten nested objects into dotted paths; arrays and dates are set whole
+     * @private
+     */
+    _toUpdatePaths(data, prefix = '') {
+        return Object.entries(data).reduce((paths, [key, value]) => {
+            const path = prefix ? `${prefix}.${key}` : key;
+            const isPlainObject = value !== null && typeof value === 'object' &&
+                !Array.isArray(value) && !(value instanceof Date);
+            if (isPlainObject && Object.keys(value).length > 0) {
+                Object.assign(paths, this._toUpdatePaths(value, path));
+            } else {
+                paths[path] = value;
+            }
+            return paths;
+        }, {});
+    }
+
+    /**
+     * New or changed licenses must be valid until a future date
+     * Licenses already on the profile keep their dates, so an expired one stays
+     * listed (and keeps the firm suspended) until it is renewed.
+     * @private
+     */
+    _assertLicensesCurrent(licenses, existing = []) {
+        const licenseKey = license => [
+            license.type,
+            license.number?.trim(),
+            new Date(license.validUntil).getTime()
+        ].join('|');
+        const unchanged = new Set(existing.map(licenseKey));
+        const now = Date.now();
+
+        const lapsed = licenses.find(license =>
+            !unchanged.has(licenseKey(license)) && !(new Date(license.validUntil).getTime() > now));
+        if (lapsed) {
+            throw new ApiError(400, `License ${lapsed.number} must be valid until a future date`);
+        }
+    }
+
+    /**
+     * Cross-field checks the schema cannot express
+     * @private
+     */
+    _validateRanges(profile) {
+        const capacity = profile.projectCapacity;
+        if (!capacity) return;
+
+        if (capacity.budgetRange?.maxBudget < capacity.budgetRange?.minBudget) {
+            throw new ApiError(400, 'Maximum budget must be greater than or equal to minimum budget');
+        }
+        if (capacity.projectSizeRange?.maxSquareFeet < capacity.projectSizeRange?.minSquareFeet) {
+            throw new ApiError(400, 'Maximum project size must be greater than or equal to minimum project size');
+        }
+        if (capacity.simultaneousProjects?.current > capacity.simultaneousProjects?.maximum) {
+            throw new ApiError(400, 'Maximum simultaneous projects cannot be lower than the projects currently in progress');
+        }
+    }
+}
+
+module.exports = new ConstructionProfileService();
@@ -0,0 +1,129 @@
+const ConstructionProfile = require('../models/construction.profile.model');
+const VendorProfile = require('../models/vendor.profile.model');
+const Notification = require('../models/notification.model');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days before expiry at which a warning is raised; 0 is the day it lapses
+const WARNING_THRESHOLDS = [30, 7, 0];
+
+// Credential lists to scan on each profile model
+const CREDENTIAL_SOURCES = [
+    { model: ConstructionProfile, field: 'licenses', label: 'License', identify: c => c.number },
+    { model: ConstructionProfile, field: 'certifications', label: 'Certification', identify: c => c.name },
+    { model: VendorProfile, field: 'certifications', label: 'Certification', identify: c => c.name }
+];
+
+class CredentialExpiryService {
+    /**
+     * Warn profile owners about licenses and certifications nearing expiry
+     * Each credential is warned about once per threshold and validity date.
+     * @param {Date} asOf - Reference time
+     * @returns {Promise<number>} Number of warnings raised
+     */
+    async raiseExpiryWarnings(asOf = new Date()) {
+        const horizon = new Date(asOf.getTime() + WARNING_THRESHOLDS[0] * DAY_MS);
+        let raised = 0;
+
+        for (const source of CREDENTIAL_SOURCES) {
+            const profiles = await source.model.find({
+                status: { $ne: 'inactive' },
+                [`${source.field}.validUntil`]: { $lte: horizon }
+            })
+                .select(`user companyName ${source.field}`)
+                .lean();
+
+            for (const profile of profiles) {
+                for (const credential of profile[source.field] || []) {
+                    if (!credential.validUntil || credential.validUntil > horizon) continue;
+
+                    const created = await Notification.notifyOnce(
+                        this._buildWarning(profile, credential, source, asOf)
+                    );
+                    if (created) raised++;
+                }
+            }
+        }
+
+        return raised;
+    }
+
+    /**
+     * Suspend construction firms whose mandatory licenses have expired and
+     * reinstate those that have since renewed them
+     * @param {Date} asOf - Reference time
+     * @returns {Promise<Object>} { suspended, reinstated }
+     */
+    async enforceLicenseSuspensions(asOf = new Date()) {
+        const suspended = await ConstructionProfile.suspendExpiredLicenses(asOf);
+        for (const profile of suspended) {
+            await Notification.create({
+                user: profile.user,
+                type: 'ACCOUNT_SUSPENDED',
+                severity: 'critical',
+                title: 'Account suspended',
+                message: `${profile.companyName} has been suspended because a mandatory license has expired. ` +
+                    'Renew the license on your profile to resume bidding.',
+                data: { profileId: profile._id }
+            });
+        }
+
+        const reinstated = await ConstructionProfile.reinstateRenewedLicenses(asOf);
+        for (const profile of reinstated) {
+            await Notification.create({
+                user: profile.user,
+                type: 'ACCOUNT_REINSTATED',
+                severity: 'info',
+                title: 'Account reinstated',
+                message: `${profile.companyName} is active again now that its mandatory licenses are valid.`,
+                data: { profileId: profile._id }
+            });
+        }
+
+        if (suspended.length > 0 || reinstated.length > 0) {
+            logger.info('License suspensions updated', {
+                suspended: suspended.length,
+                reinstated: reinstated.length
+            });
+        }
+
+        return { suspended: suspended.length, reinstated: reinstated.length };
+    }
+
+    // Private helper methods
+
+    /**
+     * Notification for the tightest threshold a credential has reached
+     * @private
+     */
+    _buildWarning(profile, credential, source, asOf) {
+        const validUntil = new Date(credential.validUntil);
+        const daysLeft = Math.ceil((validUntil.getTime() - asOf.getTime()) / DAY_MS);
+        const threshold = daysLeft <= 0
+            ? 0
+            : Math.min(...WARNING_THRESHOLDS.filter(days => days >= daysLeft));
+        const name = `${source.label} ${source.identify(credential)}`;
+        const expired = threshold === 0;
+
+        return {
+            user: profile.user,
+            type: expired ? 'CREDENTIAL_EXPIRED' : 'CREDENTIAL_EXPIRING',
+            severity: expired ? 'critical' : 'warning',
+            title: expired ? `${name} has expired` : `${name} expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`,
+            message: expired
+                ? `${name} for ${profile.companyName} expired on ${validUntil.toDateString()}.`
+                : `${name} for ${profile.companyName} is valid until ${validUntil.toDateString()}. Renew it to keep bidding without interruption.`,
+            data: {
+                profileId: profile._id,
+                credentialId: credential._id,
+                credentialType: source.field,
+                validUntil,
+                threshold
+            },
+            dedupeKey: `credential:${credential._id}:${validUntil.getTime()}:${threshold}`
+        };
+    }
+}
+
+module.exports = new CredentialExpiryService();
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const FakeGatewayCharge = require('../../models/fake.gateway.charge.model');
+
+/**
+ * Local payment gateway for development and testing
+ * Keeps charges in the database and never contacts an external provider.
+ * Use the payment method 'fake_decline' to simulate a declined charge.
+ */
+class FakeGateway {
+    constructor() {
+        this.name = 'fake';
+    }
+
+    /**
+     * Charge the payer and hold funds in escrow
+     * @param {Object} params - { amount, currency, reference, paymentMethod, metadata }
+     * @returns {Promise<Object>} { success, reference, failureReason }
+     */
+    async charge({ amount, currency, reference, paymentMethod, metadata = {} }) {
+        const gatewayReference = `fake_ch_${crypto.randomBytes(8).toString('hex')}`;
+
+        if (paymentMethod === 'fake_decline') {
+            return {
+                success: false,
+                reference: gatewayReference,
+                failureReason: 'Card declined'
+            };
+        }
+
+        await FakeGatewayCharge.create({
+            reference: gatewayReference,
+            amount,
+            currency,
+            paymentReference: reference,
+            metadata
+        });
+
+        return { success: true, reference: gatewayReference };
+    }
+
+    /**
+     * Release held funds to the payee
+     * @param {Object} params - { reference }
+     * @returns {Promise<Object>} { success, failureReason }
+     */
+    async release({ reference }) {
+        return this._settle(reference, { status: 'released', releasedAt: new Date() });
+    }
+
+    /**
+     * Return held funds to the payer
+     * @param {Object} params - { reference }
+     * @returns {Promise<Object>} { success, failureReason }
+     */
+    async refund({ reference }) {
+        return this._settle(reference, { status: 'refunded', refundedAt: new Date() });
+    }
+
+    /**
+     * Move a held charge to its final state; only one settlement can win
+     * @private
+     */
+    async _settle(reference, update) {
+        const charge = await FakeGatewayCharge.findOneAndUpdate(
+            { reference, status: 'held' },
+            { $set: update }
+        );
+        if (!charge) {
+            return { success: false, failureReason: 'No held charge found for reference' };
+        }
+        return { success: true };
+    }
+}
+
+module.exports = FakeGateway;
@@ -0,0 +1,39 @@
+/**
+ * Payment gateway registry
+ * Adapters implement charge, release and refund, and keep any state they need in
+ * the database rather than process memory. The active adapter is chosen with the
+ * PAYMENT_GATEWAY environment variable (default: fake). Production never charges
+ * through the fake gateway: payments answer 503 until a real one is configured.
+ */
+const FakeGateway = require('./fake.gateway');
+const { ApiError } = require('../../utils/apiError');
+
+const REQUIRED_METHODS = ['charge', 'release', 'refund'];
+
+const adapters = new Map();
+
+const registerGateway = (name, adapter) => {
+    const missing = REQUIRED_METHODS.filter(method => typeof adapter[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`Payment gateway "${name}" is missing: ${missing.join(', ')}`);
+    }
+    adapters.set(name, adapter);
+};
+
+const getGateway = (name = process.env.PAYMENT_GATEWAY || 'fake') => {
+    if (name === 'fake' && process.env.NODE_ENV === 'production') {
+        throw new ApiError(503, 'Payments are not available: no payment gateway is configured');
+    }
+    const adapter = adapters.get(name);
+    if (!adapter) {
+        throw new Error(`Payment gateway "${name}" is not registered`);
+    }
+    return adapter;
+};
+
+registerGateway('fake', new FakeGateway());
+
+module.exports = {
+    registerGateway,
+    getGateway
+};
@@ -0,0 +1,91 @@
+const { getMailer } = require('./mailers');
+const logger = require('../utils/logger');
+
+class MailService {
+    /**
+     * Send the link that confirms a user's email address
+     * @param {Object} user - User document
+     * @param {string} token - Raw verification token
+     */
+    async sendEmailVerification(user, token) {
+        const link = this._link('/verify-email', token);
+        return this._send(user.email, 'Verify your BuildVeritas email address', [
+            `Hi ${user.firstName},`,
+            '',
+            'Please confirm your email address to start publishing projects and submitting bids:',
+            link,
+            '',
+            'This link expires in 24 hours.'
+        ]);
+    }
+
+    /**
+     * Send the link that lets a user choose a new password
+     * @param {Object} user - User document
+     * @param {string} token - Raw reset token
+     */
+    async sendPasswordReset(user, token) {
+        const link = this._link('/reset-password', token);
+        return this._send(user.email, 'Reset your BuildVeritas password', [
+            `Hi ${user.firstName},`,
+            '',
+            'We received a request to reset your password. Choose a new one here:',
+            link,
+            '',
+            'This link expires in 1 hour and can only be used once. If you did not ask for a reset, you can ignore this email.'
+        ]);
+    }
+
+    /**
+     * Tell someone they were invited to join an organization
+     * @param {string} email - Invitee's email address
+     * @param {Object} organization - Organization document
+     * @param {string} role - Member role offered
+     */
+    async sendOrganizationInvitation(email, organization, role) {
+        return this._send(email, `You have been invited to join ${organization.name} on BuildVeritas`, [
+            'Hi,',
+            '',
+            `You have been invited to join ${organization.name} as ${role.replace('_', ' ')}.`,
+            'Sign in or register with this email address to accept the invitation:',
+            this._url('/organizations/invitations'),
+            '',
+            'This invitation expires in 14 days.'
+        ]);
+    }
+
+    // Private helper methods
+
+    /**
+     * @private
+     */
+    async _send(to, subject, lines) {
+        const mailer = getMailer();
+        const result = await mailer.send({
+            from: process.env.MAIL_FROM || 'BuildVeritas <no-reply@buildveritas.com>',
+            to,
+            subject,
+            text: lines.join('\n')
+        });
+
+        logger.debug('Mail sent', { to, subject, transport: mailer.name, messageId: result.messageId });
+        return result;
+    }
+
+    /**
+     * @private
+     */
+    _link(pathname, token) {
+        return `${this._url(pathname)}?token=${encodeURIComponent(token)}`;
+    }
+
+    /**
+     * @private
+     */
+    _url(pathname) {
+        const baseUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+        return `${baseUrl}${pathname}`;
+    }
+}
+
+module.exports = new MailService();
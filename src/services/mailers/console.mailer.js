@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+// Only the most recent messages are kept for inspection
+const OUTBOX_MAX_SIZE = 100;
+
+/**
+ * Local mail transport for development and testing
+ * Logs that a message was sent instead of delivering it and keeps the
+ * latest ones in memory. The body carries single-use tokens, so only the
+ * outbox holds it, never the log.
+ */
+class ConsoleMailer {
+    constructor() {
+        this.name = 'console';
+        this.outbox = [];
+    }
+
+    /**
+     * Send a message
+     * @param {Object} message - { from, to, subject, text }
+     * @returns {Promise<Object>} { messageId }
+     */
+    async send(message) {
+        const messageId = `console_${crypto.randomBytes(8).toString('hex')}`;
+
+        this.outbox.push({ messageId, ...message, sentAt: new Date() });
+        if (this.outbox.length > OUTBOX_MAX_SIZE) {
+            this.outbox.shift();
+        }
+
+        logger.info(`Mail to ${message.to}: ${message.subject}`, { messageId });
+        return { messageId };
+    }
+}
+
+module.exports = ConsoleMailer;
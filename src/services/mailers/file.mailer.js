@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Local mail transport that writes each message to a JSON file
+ * Files go to MAIL_OUTBOX_DIR (default: ./mail-outbox) so tests and
+ * developers can open the links they contain.
+ */
+class FileMailer {
+    constructor() {
+        this.name = 'file';
+    }
+
+    get directory() {
+        return path.resolve(process.env.MAIL_OUTBOX_DIR || 'mail-outbox');
+    }
+
+    /**
+     * Send a message
+     * @param {Object} message - { from, to, subject, text }
+     * @returns {Promise<Object>} { messageId }
+     */
+    async send(message) {
+        const messageId = `file_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(
+            path.join(this.directory, `${messageId}.json`),
+            JSON.stringify({ messageId, ...message, sentAt: new Date() }, null, 2)
+        );
+
+        return { messageId };
+    }
+}
+
+module.exports = FileMailer;
@@ -0,0 +1,42 @@
+/**
+ * Mail transport registry
+ * Transports implement send. The active transport is chosen with the
+ * MAIL_TRANSPORT environment variable (default: console). The local
+ * transports never deliver mail, so in production sending answers 503 until
+ * a delivering transport is registered and selected.
+ */
+const ConsoleMailer = require('./console.mailer');
+const FileMailer = require('./file.mailer');
+const { ApiError } = require('../../utils/apiError');
+
+const REQUIRED_METHODS = ['send'];
+const LOCAL_TRANSPORTS = ['console', 'file'];
+
+const transports = new Map();
+
+const registerMailer = (name, transport) => {
+    const missing = REQUIRED_METHODS.filter(method => typeof transport[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`Mail transport "${name}" is missing: ${missing.join(', ')}`);
+    }
+    transports.set(name, transport);
+};
+
+const getMailer = (name = process.env.MAIL_TRANSPORT || 'console') => {
+    if (LOCAL_TRANSPORTS.includes(name) && process.env.NODE_ENV === 'production') {
+        throw new ApiError(503, 'Email delivery is not available: no mail transport is configured');
+    }
+    const transport = transports.get(name);
+    if (!transport) {
+        throw new Error(`Mail transport "${name}" is not registered`);
+    }
+    return transport;
+};
+
+registerMailer('console', new ConsoleMailer());
+registerMailer('file', new FileMailer());
+
+module.exports = {
+    registerMailer,
+    getMailer
+};
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/notification.model');
+const { ApiError } = require('../utils/apiError');
+const logger = require('../utils/logger');
+
+class NotificationService {
+    /**
+     * Get a user's notifications, newest first
+     * @param {string} userId - User ID
+     * @param {Object} options - { unreadOnly, page, limit }
+     * @returns {Promise<Object>} Notifications, unread count and pagination
+     */
+    async getUserNotifications(userId, { unreadOnly = false, page = 1, limit = 20 } = {}) {
+        try {
+            const query = { user: userId };
+            if (unreadOnly) {
+                query.readAt = null;
+            }
+
+            const [notifications, total, unread] = await Promise.all([
+                Notification.find(query)
+                    .select('-dedupeKey')
+                    .sort({ createdAt: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit)
+                    .lean(),
+                Notification.countDocuments(query),
+                Notification.countDocuments({ user: userId, readAt: null })
+            ]);
+
+            return {
+                notifications,
+                unread,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            };
+        } catch (error) {
+            logger.error('Error retrieving notifications', { error: error.message });
+            throw new ApiError(500, 'Error retrieving notifications', error);
+        }
+    }
+
+    /**
+     * Mark one notification as read
+     * @param {string} notificationId - Notification ID
+     * @param {string} userId - Owner's user ID
+     * @returns {Promise<Object>} Updated notification
+     */
+    async markAsRead(notificationId, userId) {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+                throw new ApiError(400, 'Invalid notification ID');
+            }
+
+            const notification = await Notification.findOne({ _id: notificationId, user: userId });
+            if (!notification) {
+                throw new ApiError(404, 'Notification not found');
+            }
+
+            if (!notification.readAt) {
+                notification.readAt = new Date();
+                await notification.save();
+            }
+
+            return notification.toObject();
+        } catch (error) {
+            logger.error('Error marking notification as read', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, 'Error marking notification as read', error);
+        }
+    }
+
+    /**
+     * Mark all of a user's notifications as read
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} { updated }
+     */
+    async markAllAsRead(userId) {
+        try {
+            const result = await Notification.updateMany(
+                { user: userId, readAt: null },
+                { $set: { readAt: new Date() } }
+            );
+            return { updated: result.modifiedCount };
+        } catch (error) {
+            logger.error('Error marking notifications as read', { error: error.message });
+            throw new ApiError(500, 'Error marking notifications as read', error);
+        }
+    }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,393 @@
+const mongoose = require('mongoose');
+const Organization = require('../models/organization.model');
+const OrganizationInvitation = require('../models/organization.invitation.model');
+const User = require('../models/user.model');
+const VendorProfile = require('../models/vendor.profile.model');
+const ConstructionProfile = require('../models/construction.profile.model');
+const ClientProfile = require('../models/client.profile.model');
+const mailService = require('./mail.service');
+const { ApiError } = require('../utils/apiError');
+const logger = require('../utils/logger');
+const { logAudit } = require('../utils/auditLogger');
+const { sanitizeText } = require('../utils/sanitize');
+
+const ROLE_PROFILE_MODELS = {
+    client_owner: ClientProfile,
+    vendor_supplier: VendorProfile,
+    construction_firm: ConstructionProfile
+};
+
+const INVITATION_EXPIRY_MS = 14 * 24 * 60 * 60 * 1000;
+
+class OrganizationService {
+    /**
+     * Set up an organization around the caller's company profile
+     * The caller becomes its account holder and first owner.
+     * @param {string} userId - Account holder's user ID
+     * @param {string} role - Active role; selects the company profile
+     * @param {Object} data - { name }
+     * @param {Object} context - { ip, userAgent } of the request
+     * @returns {Promise<Object>} Created organization
+     */
+    async createOrganization(userId, role, { name }, context = {}) {
+        try {
+            const ProfileModel = ROLE_PROFILE_MODELS[role];
+            if (!ProfileModel || !(await ProfileModel.exists({ user: userId }))) {
+                throw new ApiError(400, 'Create your company profile before setting up an organization');
+            }
+            if (await Organization.exists({ account: userId, role })) {
+                throw new ApiError(400, 'An organization already exists for this profile');
+            }
+
+            const organization = await Organization.create({
+                name: sanitizeText(name),
+                account: userId,
+                role,
+                members: [{ user: userId, role: 'owner', addedBy: userId }]
+            });
+
+            logAudit('ORGANIZATION_CREATED', {
+                entityType: 'Organization',
+                entityId: organization._id,
+                role,
+                ...context
+            }, userId);
+
+            return organization.toObject();
+        } catch (error) {
+            logger.error('Error creating organization', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, 'Error creating organization', error);
+        }
+    }
+
+    /**
+     * Organizations the user belongs to, with their member role and permissions
+     * @param {string} userId - User ID
+     * @returns {Promise<Array>} Organizations
+     */
+    async getUserOrganizations(userId) {
+        const organizations = await Organization.find({ 'members.user': userId })
+            .sort('name')
+            .lean();
+
+        return organizations.map(({ members, ...organization }) => {
+            const member = members.find(entry => entry.user.toString() === userId.toString());
+            return {
+                ...organization,
+                memberCount: members.length,
+                memberRole: member.role,
+                permissions: Organization.permissionsFor(member.role)
+            };
+        });
+    }
+
+    /**
+     * Organization with its members (Member action)
+     * @param {string} organizationId - Organization ID
+     * @param {string} userId - Requesting user ID
+     * @returns {Promise<Object>} Organization
+     */
+    async getOrganization(organizationId, userId) {
+        const organization = await this._getOrganization(organizationId);
+        if (!organization.getMember(userId)) {
+            throw new ApiError(404, 'Organization not found');
+        }
+
+        await organization.populate('members.user', 'firstName lastName email');
+        return organization.toObject();
+    }
+
+    /**
+     * Rename an organization (Owner action)
+     * @param {string} organizationId - Organization ID
+     * @param {string} userId - Acting user ID
+     * @param {Object} data - { name }
+     * @returns {Promise<Object>} Updated organization
+     */
+    async updateOrganization(organizationId, userId, { name }, context = {}) {
+        const organization = await this._getManagedOrganization(organizationId, userId);
+
+        organization.name = sanitizeText(name);
+        await organization.save();
+
+        logAudit('ORGANIZATION_UPDATED', {
+            entityType: 'Organization',
+            entityId: organization._id,
+            name: organization.name,
+            ...context
+        }, userId);
+
+        return organization.toObject();
+    }
+
+    /**
+     * Invite someone to join by email (Owner action)
+     * Re-inviting an address reopens its invitation with the new role.
+     * @param {string} organizationId - Organization ID
+     * @param {string} userId - Acting user ID
+     * @param {Object} data - { email, role }
+     * @returns {Promise<Object>} Invitation
+     */
+    async inviteMember(organizationId, userId, { email, role }, context = {}) {
+        try {
+            const organization = await this._getManagedOrganization(organizationId, userId);
+            const normalizedEmail = email.trim().toLowerCase();
+
+            const invitee = await User.findOne({ email: normalizedEmail }).select('_id').lean();
+            if (invitee && organization.getMember(invitee._id)) {
+                throw new ApiError(400, 'This user is already a member of the organization');
+            }
+
+            const invitation = await OrganizationInvitation.findOneAndUpdate(
+                { organization: organization._id, email: normalizedEmail },
+                {
+                    $set: {
+                        role,
+                        invitedBy: userId,
+                        status: 'PENDING',
+                        expiresAt: new Date(Date.now() + INVITATION_EXPIRY_MS)
+                    },
+                    $unset: { respondedAt: '', revokedAt: '' }
+                },
+                { upsert: true, new: true, setDefaultsOnInsert: true }
+            );
+
+            mailService.sendOrganizationInvitation(normalizedEmail, organization, role).catch(error => {
+                logger.error('Failed to send organization invitation', { invitationId: invitation._id, error: error.message });
+            });
+
+            logAudit('ORGANIZATION_MEMBER_INVITED', {
+                entityType: 'Organization',
+                entityId: organization._id,
+                email: normalizedEmail,
+                role,
+                ...context
+            }, userId);
+
+            return invitation.toObject();
+        } catch (error) {
+            logger.error('Error inviting organization member', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, 'Error inviting organization member', error);
+        }
+    }
+
+    /**
+     * Invitations sent by an organization (Owner action)
+     * @param {string} organizationId - Organization ID
+     * @param {string} userId - Acting user ID
+     * @returns {Promise<Array>} Invitations
+     */
+    async getOrganizationInvitations(organizationId, userId) {
+        const organization = await this._getManagedOrganization(organizationId, userId);
+
+        return OrganizationInvitation.find({ organization: organization._id })
+            .populate('invitedBy', 'firstName lastName')
+            .sort('-createdAt')
+            .lean();
+    }
+
+    /**
+     * Withdraw an invitation (Owner action)
+     * @param {string} organizationId - Organization ID
+     * @param {string} invitationId - Invitation ID
+     * @param {string} userId - Acting user ID
+     * @returns {Promise<Object>} Revoked invitation
+     */
+    async revokeInvitation(organizationId, invitationId, userId, context = {}) {
+        const organization = await this._getManagedOrganization(organizationId, userId);
+
+        const invitation = await OrganizationInvitation.findOne({ _id: invitationId, organization: organization._id });
+        if (!invitation) {
+            throw new ApiError(404, 'Invitation not found');
+        }
+        if (invitation.status !== 'PENDING') {
+            throw new ApiError(400, 'Only pending invitations can be revoked');
+        }
+
+        invitation.status = 'REVOKED';
+        invitation.revokedAt = new Date();
+        await invitation.save();
+
+        logAudit('ORGANIZATION_INVITATION_REVOKED', {
+            entityType: 'Organization',
+            entityId: organization._id,
+            email: invitation.email,
+            ...context
+        }, userId);
+
+        return invitation.toObject();
+    }
+
+    /**
+     * Open invitations addressed to the user's email
+     * @param {string} userId - User ID
+     * @returns {Promise<Array>} Invitations with organization summaries
+     */
+    async getUserInvitations(userId) {
+        const user = await User.findById(userId).select('email').lean();
+        if (!user) {
+            throw new ApiError(404, 'User not found');
+        }
+
+        return OrganizationInvitation.find({
+            email: user.email,
+            status: 'PENDING',
+            expiresAt: { $gt: new Date() }
+        })
+            .populate('organization', 'name role')
+            .populate('invitedBy', 'firstName lastName')
+            .sort('-createdAt')
+            .lean();
+    }
+
+    /**
+     * Accept or decline an invitation (Invitee action)
+     * @param {string} invitationId - Invitation ID
+     * @param {string} userId - Invitee's user ID
+     * @param {string} decision - 'accept' or 'decline'
+     * @returns {Promise<Object>} Updated invitation
+     */
+    async respondToInvitation(invitationId, userId, decision, context = {}) {
+        try {
+            const user = await User.findById(userId).select('email').lean();
+            const invitation = user && await OrganizationInvitation.findOne({ _id: invitationId, email: user.email });
+            if (!invitation || invitation.status === 'REVOKED') {
+                throw new ApiError(404, 'Invitation not found');
+            }
+            if (!invitation.isOpen()) {
+                throw new ApiError(400, 'Invitation has already been answered or has expired');
+            }
+
+            if (decision === 'accept') {
+                // Only add the member if they have not joined in the meantime
+                await Organization.updateOne(
+                    { _id: invitation.organization, 'members.user': { $ne: userId } },
+                    { $push: { members: { user: userId, role: invitation.role, addedBy: invitation.invitedBy } } }
+                );
+            }
+
+            invitation.status = decision === 'accept' ? 'ACCEPTED' : 'DECLINED';
+            invitation.respondedAt = new Date();
+            await invitation.save();
+
+            logAudit(decision === 'accept' ? 'ORGANIZATION_MEMBER_JOINED' : 'ORGANIZATION_INVITATION_DECLINED', {
+                entityType: 'Organization',
+                entityId: invitation.organization,
+                role: invitation.role,
+                ...context
+            }, userId);
+
+            return invitation.toObject();
+        } catch (error) {
+            logger.error('Error responding to organization invitation', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, 'Error responding to organization invitation', error);
+        }
+    }
+
+    /**
+     * Change a member's role (Owner action)
+     * @param {string} organizationId - Organization ID
+     * @param {string} memberUserId - Member's user ID
+     * @param {string} userId - Acting user ID
+     * @param {string} role - New member role
+     * @returns {Promise<Object>} Updated organization
+     */
+    async updateMemberRole(organizationId, memberUserId, userId, role, context = {}) {
+        const organization = await this._getManagedOrganization(organizationId, userId);
+        const member = this._getChangeableMember(organization, memberUserId);
+
+        const previousRole = member.role;
+        member.role = role;
+        await organization.save();
+
+        logAudit('ORGANIZATION_MEMBER_ROLE_CHANGED', {
+            entityType: 'Organization',
+            entityId: organization._id,
+            member: memberUserId,
+            from: previousRole,
+            to: role,
+            ...context
+        }, userId);
+
+        return organization.toObject();
+    }
+
+    /**
+     * Remove a member; members may also remove themselves to leave
+     * @param {string} organizationId - Organization ID
+     * @param {string} memberUserId - Member's user ID
+     * @param {string} userId - Acting user ID
+     * @returns {Promise<Object>} Updated organization
+     */
+    async removeMember(organizationId, memberUserId, userId, context = {}) {
+        const organization = await this._getOrganization(organizationId);
+        if (memberUserId.toString() !== userId.toString() && !organization.can(userId, 'organization:manage')) {
+            throw new ApiError(403, 'Only organization owners can remove members');
+        }
+        const member = this._getChangeableMember(organization, memberUserId);
+
+        organization.members = organization.members.filter(entry => entry !== member);
+        await organization.save();
+
+        logAudit('ORGANIZATION_MEMBER_REMOVED', {
+            entityType: 'Organization',
+            entityId: organization._id,
+            member: memberUserId,
+            role: member.role,
+            ...context
+        }, userId);
+
+        return organization.toObject();
+    }
+
+    // Private helper methods
+
+    /**
+     * @private
+     */
+    async _getOrganization(organizationId) {
+        if (!mongoose.Types.ObjectId.isValid(organizationId)) {
+            throw new ApiError(400, 'Invalid organization ID');
+        }
+
+        const organization = await Organization.findById(organizationId);
+        if (!organization) {
+            throw new ApiError(404, 'Organization not found');
+        }
+        return organization;
+    }
+
+    /**
+     * @private
+     */
+    async _getManagedOrganization(organizationId, userId) {
+        const organization = await this._getOrganization(organizationId);
+        if (!organization.getMember(userId)) {
+            throw new ApiError(404, 'Organization not found');
+        }
+        if (!organization.can(userId, 'organization:manage')) {
+            throw new ApiError(403, 'Only organization owners can manage members');
+        }
+        return organization;
+    }
+
+    /**
+     * The account holder always stays an owner
+     * @private
+     */
+    _getChangeableMember(organization, memberUserId) {
+        const member = organization.getMember(memberUserId);
+        if (!member) {
+            throw new ApiError(404, 'Member not found');
+        }
+        if (member.user.toString() === organization.account.toString()) {
+            throw new ApiError(400, 'The account holder cannot be changed or removed');
+        }
+        return member;
+    }
+}
+
+module.exports = new OrganizationService();
@@ -0,0 +1,552 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/invoice.model');
+const Project = require('../models/project.model');
+const { getGateway } = require('./gateways');
+const { ApiError } = require('../utils/apiError');
+const logger = require('../utils/logger');
+
+const roundAmount = value => Math.round(value * 100) / 100;
+
+// Times an invoice change is retried when another request saved the invoice first
+const SAVE_ATTEMPTS = 3;
+
+class PaymentService {
+    /**
+     * Create one invoice per execution milestone of an assigned project
+     * Amounts are the milestone's payment percentage of the agreed cost, in
+     * the currency of the accepted bid. The last invoice absorbs rounding so
+     * invoices always add up to the agreed cost.
+     * @param {Object} project - Project document with assignment and execution set
+     * @param {string} clientUserId - User ID of the project's client
+     * @param {Object} options - { session }
+     * @returns {Promise<Object[]>} Created invoices
+     */
+    async createInvoicesForProject(project, clientUserId, { session } = {}) {
+        const milestones = project.execution?.milestones || [];
+        const { assignment } = project;
+        if (milestones.length === 0 || !assignment?.bid) {
+            return [];
+        }
+
+        const totalPercentage = milestones.reduce((sum, m) => sum + (m.paymentPercentage || 0), 0);
+        let invoiced = 0;
+
+        const invoices = milestones.map((milestone, index) => {
+            const isLast = index === milestones.length - 1;
+            const share = totalPercentage > 0
+                ? (milestone.paymentPercentage || 0) / totalPercentage
+                : 1 / milestones.length;
+            const amount = isLast
+                ? roundAmount(assignment.agreedCost - invoiced)
+                : roundAmount(assignment.agreedCost * share);
+            invoiced = roundAmount(invoiced + amount);
+
+            return {
+                invoiceNumber: Invoice.generateInvoiceNumber(project._id, index),
+                project: project._id,
+                bid: assignment.bid,
+                milestone: milestone._id,
+                milestoneTitle: milestone.title,
+                client: project.client,
+                clientUser: clientUserId,
+                vendor: assignment.vendor,
+                bidderType: assignment.bidderType,
+                vendorUser: assignment.vendorUser,
+                amount,
+                currency: assignment.currency || 'INR',
+                paymentPercentage: milestone.paymentPercentage,
+                dueDate: milestone.expectedCompletionDate
+            };
+        });
+
+        return Invoice.insertMany(invoices, { session });
+    }
+
+    /**
+     * Get invoices for a project
+     * @param {string} projectId - Project ID
+     * @param {string} userId - Acting user ID
+     * @param {string} userRole - Acting user role
+     * @returns {Promise<Object>} Invoices and project totals
+     */
+    async getProjectInvoices(projectId, userId, userRole) {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(projectId)) {
+                throw new ApiError(400, 'Invalid project ID');
+            }
+
+            const project = await Project.findById(projectId);
+            if (!project) {
+                throw new ApiError(404, 'Project not found');
+            }
+
+            await this._resolveProjectParticipant(project, userId, userRole);
+
+            // Invoices are issued when a bid is selected; reading never creates them
+            const invoices = await Invoice.find({ project: projectId }).sort('dueDate');
+
+            return {
+                projectId,
+                invoices: invoices.map(invoice => invoice.toObject()),
+                totals: this._summarize(invoices)
+            };
+        } catch (error) {
+            logger.error('Error retrieving project invoices', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, 'Error retrieving project invoices', error);
+        }
+    }
+
+    /**
+     * Get a single invoice
+     * @param {string} invoiceId - Invoice ID
+     * @param {string} userId - Acting user ID
+     * @returns {Promise<Object>} Invoice
+     */
+    async getInvoice(invoiceId, userId) {
+        try {
+            const invoice = await this._getInvoiceForUser(invoiceId, userId);
+            return invoice.toObject();
+        } catch (error) {
+            logger.error('Error retrieving invoice', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, 'Error retrieving invoice', error);
+        }
+    }
+
+    /**
+     * Client pays all or part of an invoice; funds are held in escrow
+     * @param {string} invoiceId - Invoice ID
+     * @param {string} clientUserId - Client user ID
+     * @param {Object} paymentData - { amount, currency, paymentMethod }
+     * @returns {Promise<Object>} Updated invoice and payment
+     */
+    async payInvoice(invoiceId, clientUserId, paymentData) {
+        try {
+            const invoice = await this._getInvoiceForUser(invoiceId, clientUserId);
+            if (invoice.clientUser.toString() !== clientUserId.toString()) {
+                throw new ApiError(403, 'Only the project client can pay this invoice');
+            }
+
+            const amount = roundAmount(Number(paymentData.amount));
+            invoice.assertPayable(amount, paymentData.currency);
+
+            const gateway = getGateway();
+            const payment = await this._reservePayment(invoice, {
+                amount,
+                currency: invoice.currency,
+                gateway: gateway.name,
+                paidBy: clientUserId,
+                status: 'PENDING'
+            });
+
+            let result;
+            try {
+                result = await gateway.charge({
+                    amount,
+                    currency: invoice.currency,
+                    reference: `${invoice.invoiceNumber}:${payment._id}`,
+                    paymentMethod: paymentData.paymentMethod,
+                    metadata: { invoiceId: invoice._id.toString() }
+                });
+            } catch (error) {
+                result = { success: false, failureReason: error.message || 'Payment gateway error' };
+            }
+
+            const settled = await this._settlePayment(invoice._id, payment._id, result.success
+                ? { status: 'HELD', heldAt: new Date(), gatewayReference: result.reference }
+                : { status: 'FAILED', failureReason: result.failureReason, gatewayReference: result.reference });
+
+            if (!result.success) {
+                throw new ApiError(402, `Payment failed: ${result.failureReason}`);
+            }
+
+            logger.info('Invoice payment held in escrow', {
+                invoiceId: invoice._id.toString(),
+                amount,
+                currency: invoice.currency
+            });
+
+            return {
+                invoice: settled.toObject(),
+                payment: settled.payments.id(payment._id).toObject()
+            };
+        } catch (error) {
+            logger.error('Error paying invoice', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            if (error.name === 'ValidationError') {
+                throw new ApiError(400, 'Invalid payment data', error.errors);
+            }
+            throw new ApiError(500, 'Error paying invoice', error);
+        }
+    }
+
+    /**
+     * Record a PENDING payment only if the invoice can still take it
+     * The balance check runs inside the update so two concurrent payments cannot
+     * both pass it and overpay the invoice.
+     * @private
+     */
+    async _reservePayment(invoice, paymentFields) {
+        const committed = {
+            $sum: {
+                $map: {
+                    input: {
+                        $filter: {
+                            input: '$payments',
+                            as: 'p',
+                            cond: { $in: ['$$p.status', ['PENDING', 'HELD', 'RELEASED']] }
+                        }
+                    },
+                    as: 'p',
+                    in: '$$p.amount'
+                }
+            }
+        };
+
+        const reserved = await Invoice.findOneAndUpdate(
+            {
+                _id: invoice._id,
+                status: { $in: ['ISSUED', 'PARTIALLY_PAID'] },
+                $expr: { $lte: [{ $round: [{ $add: [committed, paymentFields.amount] }, 2] }, '$amount'] }
+            },
+            // Bump the version so saves over a copy read before this payment fail
+            { $push: { payments: paymentFields }, $inc: { __v: 1 } },
+            { new: true, runValidators: true }
+        );
+
+        if (!reserved) {
+            throw new ApiError(409, 'The invoice balance changed while paying. Refresh and try again');
+        }
+        return reserved.payments[reserved.payments.length - 1];
+    }
+
+    /**
+     * Apply the gateway's outcome to a reserved payment and refresh the totals
+     * @private
+     */
+    async _settlePayment(invoiceId, paymentId, fields) {
+        const invoice = await this._updateInvoice(invoiceId, current => {
+            const payment = current.payments.id(paymentId);
+            if (payment?.status !== 'PENDING') return false;
+            Object.assign(payment, fields);
+        });
+
+        if (!invoice) {
+            throw new ApiError(409, 'This payment has already been settled');
+        }
+        return invoice;
+    }
+
+    /**
+     * Apply a change to a fresh copy of an invoice, refresh its totals and save
+     * A save that loses to a concurrent one fails its version check and the
+     * change is retried on a new read. The change returns false to skip.
+     * @private
+     * @returns {Promise<Object|null>} Saved invoice, or null when skipped
+     */
+    async _updateInvoice(invoiceId, change) {
+        for (let attempt = 1; ; attempt++) {
+            const invoice = await Invoice.findById(invoiceId);
+            if (!invoice || change(invoice) === false) {
+                return null;
+            }
+
+            invoice.refreshTotals();
+            try {
+                return await invoice.save();
+            } catch (error) {
+                if (error.name !== 'VersionError' || attempt >= SAVE_ATTEMPTS) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    /**
+     * Client releases escrowed funds on an invoice to the vendor
+     * @param {string} invoiceId - Invoice ID
+     * @param {string} clientUserId - Client user ID
+     * @returns {Promise<Object>} Updated invoice
+     */
+    async releaseInvoice(invoiceId, clientUserId) {
+        try {
+            const invoice = await this._getInvoiceForUser(invoiceId, clientUserId);
+            if (invoice.clientUser.toString() !== clientUserId.toString()) {
+                throw new ApiError(403, 'Only the project client can release escrow');
+            }
+
+            const { released, invoice: updated } = await this._releaseHeldPayments(invoice);
+            if (released === 0) {
+                throw new ApiError(400, 'No funds are held in escrow for this invoice');
+            }
+
+            return updated.toObject();
+        } catch (error) {
+            logger.error('Error releasing escrow', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, 'Error releasing escrow', error);
+        }
+    }
+
+    /**
+     * Release escrow for a milestone once the client approves it
+     * @param {string} projectId - Project ID
+     * @param {string} milestoneId - Execution milestone ID
+     * @returns {Promise<number>} Amount released
+     */
+    async releaseForMilestone(projectId, milestoneId) {
+        const invoice = await Invoice.findOne({ project: projectId, milestone: milestoneId });
+        if (!invoice) {
+            return 0;
+        }
+        const { released } = await this._releaseHeldPayments(invoice);
+        return released;
+    }
+
+    /**
+     * Settle a project's invoices before it is cancelled
+     * Held escrow is refunded to the client. Invoices with nothing paid out are
+     * cancelled, and those with funds already released are closed at the released
+     * amount, so nothing stays payable or counts as client debt.
+     * @param {string} projectId - Project ID
+     * @returns {Promise<Object>} { refunded, cancelledInvoices, closedInvoices }
+     */
+    async settleForCancellation(projectId) {
+        const invoices = await Invoice.find({ project: projectId, status: { $ne: 'CANCELLED' } });
+        if (invoices.some(invoice => invoice.payments.some(p => p.status === 'PENDING'))) {
+            throw new ApiError(409, 'A payment on this project is still processing. Try again once it completes');
+        }
+
+        const summary = { refunded: 0, cancelledInvoices: 0, closedInvoices: 0 };
+
+        for (const invoice of invoices) {
+            for (const payment of invoice.payments.filter(p => p.status === 'HELD')) {
+                const result = await getGateway(payment.gateway).refund({ reference: payment.gatewayReference });
+                if (!result.success) {
+                    // Refunds that went through are already saved; a retry picks up the rest
+                    throw new ApiError(502, `Escrow refund failed: ${result.failureReason}`);
+                }
+                const refunded = await this._updateInvoice(invoice._id, current => {
+                    const held = current.payments.id(payment._id);
+                    if (held?.status !== 'HELD') return false;
+                    held.status = 'REFUNDED';
+                    held.refundedAt = new Date();
+                });
+                if (refunded) {
+                    summary.refunded = roundAmount(summary.refunded + payment.amount);
+                }
+            }
+
+            const closed = await this._updateInvoice(invoice._id, current => {
+                if (current.status === 'CANCELLED') return false;
+                // A payment made since the refunds above still needs settling
+                if (current.payments.some(p => ['PENDING', 'HELD'].includes(p.status))) {
+                    throw new ApiError(409, 'A payment on this project is still processing. Try again once it completes');
+                }
+
+                current.refreshTotals();
+                if (current.escrow.released > 0) {
+                    current.amount = current.escrow.released;
+                } else {
+                    current.status = 'CANCELLED';
+                }
+            });
+            if (closed?.status === 'CANCELLED') {
+                summary.cancelledInvoices++;
+            } else if (closed) {
+                summary.closedInvoices++;
+            }
+        }
+
+        if (invoices.length > 0) {
+            logger.info('Project invoices settled for cancellation', { projectId: projectId.toString(), ...summary });
+        }
+
+        return summary;
+    }
+
+    /**
+     * Whether any money has moved on a project's invoices
+     * @param {string} projectId - Project ID
+     * @returns {Promise<boolean>}
+     */
+    async hasPayments(projectId) {
+        return Boolean(await Invoice.exists({
+            project: projectId,
+            'payments.status': { $in: ['PENDING', 'HELD', 'RELEASED', 'REFUNDED'] }
+        }));
+    }
+
+    /**
+     * Outstanding balances for a client, per currency
+     * @param {string} clientUserId - Client user ID
+     * @returns {Promise<Object>} Balances
+     */
+    async getClientBalance(clientUserId) {
+        try {
+            const balances = await this._aggregateBalances({ clientUser: this._toObjectId(clientUserId) });
+
+            return {
+                balances: balances.map(b => ({
+                    currency: b._id,
+                    invoiceCount: b.invoiceCount,
+                    totalInvoiced: roundAmount(b.invoiced),
+                    paidIntoEscrow: roundAmount(b.held),
+                    releasedToVendors: roundAmount(b.released),
+                    outstanding: roundAmount(b.invoiced - b.held - b.released)
+                }))
+            };
+        } catch (error) {
+            logger.error('Error retrieving client balance', { error: error.message });
+            throw new ApiError(500, 'Error retrieving client balance', error);
+        }
+    }
+
+    /**
+     * Outstanding balances for a vendor, per currency
+     * @param {string} vendorUserId - Vendor user ID
+     * @returns {Promise<Object>} Balances
+     */
+    async getVendorBalance(vendorUserId) {
+        try {
+            const balances = await this._aggregateBalances({ vendorUser: this._toObjectId(vendorUserId) });
+
+            return {
+                balances: balances.map(b => ({
+                    currency: b._id,
+                    invoiceCount: b.invoiceCount,
+                    totalInvoiced: roundAmount(b.invoiced),
+                    heldInEscrow: roundAmount(b.held),
+                    received: roundAmount(b.released),
+                    outstanding: roundAmount(b.invoiced - b.released)
+                }))
+            };
+        } catch (error) {
+            logger.error('Error retrieving vendor balance', { error: error.message });
+            throw new ApiError(500, 'Error retrieving vendor balance', error);
+        }
+    }
+
+    // Private helper methods
+
+    async _getInvoiceForUser(invoiceId, userId) {
+        if (!mongoose.Types.ObjectId.isValid(invoiceId)) {
+            throw new ApiError(400, 'Invalid invoice ID');
+        }
+
+        const invoice = await Invoice.findById(invoiceId);
+        if (!invoice) {
+            throw new ApiError(404, 'Invoice not found');
+        }
+
+        const isParticipant = [invoice.clientUser, invoice.vendorUser]
+            .some(id => id.toString() === userId.toString());
+        if (!isParticipant) {
+            throw new ApiError(403, 'Not authorized to access this invoice');
+        }
+
+        return invoice;
+    }
+
+    /**
+     * Check the user is the project's client or assigned vendor
+     * @private
+     * @returns {Promise<string>} The project client's user ID
+     */
+    async _resolveProjectParticipant(project, userId, userRole) {
+        const ClientProfile = mongoose.model('ClientProfile');
+        const clientProfile = await ClientProfile.findById(project.client).select('user').lean();
+        if (!clientProfile) {
+            throw new ApiError(404, 'Client profile not found for this project');
+        }
+
+        const isClient = userRole === 'client_owner' && clientProfile.user.toString() === userId.toString();
+        const isVendor = project.assignment?.vendorUser?.toString() === userId.toString();
+        if (!isClient && !isVendor) {
+            throw new ApiError(403, 'Not authorized to view invoices for this project');
+        }
+
+        return clientProfile.user;
+    }
+
+    /**
+     * Release each held payment through its gateway and record it on the invoice
+     * @private
+     * @returns {Promise<Object>} { released, invoice } with the latest saved invoice
+     */
+    async _releaseHeldPayments(invoice) {
+        const held = invoice.payments.filter(p => p.status === 'HELD');
+        let released = 0;
+        let latest = invoice;
+
+        for (const payment of held) {
+            const result = await getGateway(payment.gateway).release({ reference: payment.gatewayReference });
+            if (!result.success) {
+                logger.warn('Escrow release failed', {
+                    invoiceId: invoice._id.toString(),
+                    paymentId: payment._id.toString(),
+                    reason: result.failureReason
+                });
+                continue;
+            }
+
+            const updated = await this._updateInvoice(invoice._id, current => {
+                const heldPayment = current.payments.id(payment._id);
+                if (heldPayment?.status !== 'HELD') return false;
+                heldPayment.status = 'RELEASED';
+                heldPayment.releasedAt = new Date();
+            });
+            if (updated) {
+                latest = updated;
+                released = roundAmount(released + payment.amount);
+            }
+        }
+
+        if (released > 0) {
+            logger.info('Escrow released', { invoiceId: invoice._id.toString(), amount: released });
+        }
+
+        return { released, invoice: latest };
+    }
+
+    _aggregateBalances(match) {
+        return Invoice.aggregate([
+            { $match: { ...match, status: { $ne: 'CANCELLED' } } },
+            {
+                $group: {
+                    _id: '$currency',
+                    invoiceCount: { $sum: 1 },
+                    invoiced: { $sum: '$amount' },
+                    held: { $sum: '$escrow.held' },
+                    released: { $sum: '$escrow.released' }
+                }
+            },
+            { $sort: { _id: 1 } }
+        ]);
+    }
+
+    _summarize(invoices) {
+        const byCurrency = {};
+        invoices.forEach(invoice => {
+            const totals = byCurrency[invoice.currency] || (byCurrency[invoice.currency] = {
+                currency: invoice.currency,
+                invoiced: 0,
+                heldInEscrow: 0,
+                released: 0,
+                outstanding: 0
+            });
+            totals.invoiced = roundAmount(totals.invoiced + invoice.amount);
+            totals.heldInEscrow = roundAmount(totals.heldInEscrow + invoice.escrow.held);
+            totals.released = roundAmount(totals.released + invoice.escrow.released);
+            totals.outstanding = roundAmount(totals.outstanding + invoice.outstanding);
+        });
+        return Object.values(byCurrency);
+    }
+
+    _toObjectId(id) {
+        return new mongoose.Types.ObjectId(id.toString());
+    }
+}
+
+module.exports = new PaymentService();
@@ -0,0 +1,256 @@
+const mongoose = require('mongoose');
+const Project = require('../models/project.model');
+const paymentService = require('./payment.service');
+const constructionCapacityService = require('./construction.capacity.service');
+const { ApiError } = require('../utils/apiError');
+const logger = require('../utils/logger');
+const { sanitizeText } = require('../utils/sanitize');
+const { logAudit, logStatusChange } = require('../utils/auditLogger');
+
+class ProjectExecutionService {
+    /**
+     * Get execution progress for a project
+     * @param {string} projectId - Project ID
+     * @param {string} userId - Acting user ID
+     * @param {string} userRole - Acting user role
+     * @returns {Promise<Object>} Milestones, percent complete and slipped milestones
+     */
+    async getExecution(projectId, userId, userRole) {
+        try {
+            const project = await this._getProject(projectId);
+            await this._resolveParticipant(project, userId, userRole);
+
+            return this._formatExecution(project);
+        } catch (error) {
+            logger.error('Error retrieving project execution', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, 'Error retrieving project execution', error);
+        }
+    }
+
+    /**
+     * Vendor marks a milestone as complete and attaches evidence
+     * @param {string} projectId - Project ID
+     * @param {string} milestoneId - Execution milestone ID
+     * @param {string} vendorUserId - Vendor user ID
+     * @param {Object} submission - { notes, evidence }
+     * @returns {Promise<Object>} Updated execution progress
+     */
+    async submitMilestone(projectId, milestoneId, vendorUserId, submission) {
+        try {
+            const project = await this._getProject(projectId);
+            const party = await this._resolveParticipant(project, vendorUserId, 'vendor_supplier');
+            if (party !== 'vendor') {
+                throw new ApiError(403, 'Only the assigned vendor can submit milestones');
+            }
+
+            this._assertInProgress(project);
+
+            const milestone = this._getMilestone(project, milestoneId);
+            if (!['PENDING', 'REJECTED'].includes(milestone.status)) {
+                throw new ApiError(400, `Milestone cannot be submitted while ${milestone.status}`);
+            }
+
+            const evidence = (submission.evidence || []).map(item => ({
+                type: item.type || 'photo',
+                url: item.url,
+                caption: sanitizeText(item.caption)
+            }));
+            if (evidence.length === 0) {
+                throw new ApiError(400, 'At least one piece of evidence is required');
+            }
+
+            milestone.status = 'SUBMITTED';
+            milestone.submission = {
+                notes: sanitizeText(submission.notes),
+                evidence,
+                submittedAt: new Date()
+            };
+            milestone.history.push({
+                status: 'SUBMITTED',
+                timestamp: new Date(),
+                note: sanitizeText(submission.notes)
+            });
+
+            await project.save();
+
+            logger.info('Milestone submitted', { projectId, milestoneId });
+
+            return this._formatExecution(project);
+        } catch (error) {
+            logger.error('Error submitting milestone', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            if (error.name === 'ValidationError') {
+                throw new ApiError(400, 'Invalid milestone submission', error.errors);
+            }
+            throw new ApiError(500, 'Error submitting milestone', error);
+        }
+    }
+
+    /**
+     * Client approves or rejects a submitted milestone
+     * Approving the last outstanding milestone completes the project.
+     * @param {string} projectId - Project ID
+     * @param {string} milestoneId - Execution milestone ID
+     * @param {string} clientUserId - Client user ID
+     * @param {string} decision - 'approve' or 'reject'
+     * @param {string} feedback - Review feedback (required when rejecting)
+     * @returns {Promise<Object>} Updated execution progress
+     */
+    async reviewMilestone(projectId, milestoneId, clientUserId, decision, feedback) {
+        try {
+            const project = await this._getProject(projectId);
+            const party = await this._resolveParticipant(project, clientUserId, 'client_owner');
+            if (party !== 'client') {
+                throw new ApiError(403, 'Only the project owner can review milestones');
+            }
+
+            this._assertInProgress(project);
+
+            const milestone = this._getMilestone(project, milestoneId);
+            if (milestone.status !== 'SUBMITTED') {
+                throw new ApiError(400, 'Only submitted milestones can be reviewed');
+            }
+
+            const sanitizedFeedback = sanitizeText(feedback);
+            if (decision === 'reject' && !sanitizedFeedback) {
+                throw new ApiError(400, 'Feedback is required when rejecting a milestone');
+            }
+
+            const now = new Date();
+            milestone.status = decision === 'approve' ? 'APPROVED' : 'REJECTED';
+            milestone.review = {
+                feedback: sanitizedFeedback,
+                reviewedAt: now
+            };
+            if (decision === 'approve') {
+                milestone.approvedAt = now;
+            }
+            milestone.history.push({
+                status: milestone.status,
+                timestamp: now,
+                note: sanitizedFeedback
+            });
+
+            project.recalculateProgress();
+
+            const allApproved = project.execution.milestones.every(m => m.status === 'APPROVED');
+            if (allApproved) {
+                project.execution.completedAt = now;
+                project.status.current = 'COMPLETED';
+                project.status.history.push({
+                    status: 'COMPLETED',
+                    timestamp: now,
+                    reason: 'All milestones approved'
+                });
+            }
+
+            await project.save();
+
+            if (allApproved) {
+                await constructionCapacityService.releaseCapacity(project);
+            }
+
+            logger.info('Milestone reviewed', { projectId, milestoneId, decision, completed: allApproved });
+            logAudit('MILESTONE_REVIEWED', {
+                entityType: 'Project',
+                entityId: project._id,
+                milestoneId: milestone._id,
+                decision,
+                feedback: sanitizedFeedback
+            }, clientUserId);
+            if (allApproved) {
+                logStatusChange('Project', project._id, 'IN_PROGRESS', 'COMPLETED', clientUserId, {
+                    reason: 'All milestones approved'
+                });
+            }
+
+            // Approval releases any escrowed payment for the milestone; a gateway
+            // failure leaves the funds held for a manual release
+            if (decision === 'approve') {
+                try {
+                    await paymentService.releaseForMilestone(project._id, milestone._id);
+                } catch (releaseError) {
+                    logger.error('Error releasing milestone escrow', { error: releaseError.message });
+                }
+            }
+
+            return this._formatExecution(project);
+        } catch (error) {
+            logger.error('Error reviewing milestone', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, 'Error reviewing milestone', error);
+        }
+    }
+
+    // Private helper methods
+
+    async _getProject(projectId) {
+        if (!mongoose.Types.ObjectId.isValid(projectId)) {
+            throw new ApiError(400, 'Invalid project ID');
+        }
+
+        const project = await Project.findById(projectId);
+        if (!project) {
+            throw new ApiError(404, 'Project not found');
+        }
+        return project;
+    }
+
+    /**
+     * Determine whether the user is the project's client or its assigned vendor
+     * @private
+     * @returns {Promise<string>} 'client' or 'vendor'
+     */
+    async _resolveParticipant(project, userId, userRole) {
+        if (userRole === 'client_owner') {
+            const ClientProfile = mongoose.model('ClientProfile');
+            const clientProfile = await ClientProfile.findOne({ user: userId }).select('_id').lean();
+            if (clientProfile && project.client.toString() === clientProfile._id.toString()) {
+                return 'client';
+            }
+        } else if (project.assignment?.vendorUser &&
+            project.assignment.vendorUser.toString() === userId.toString()) {
+            return 'vendor';
+        }
+
+        throw new ApiError(403, 'Not authorized to access this project\'s execution');
+    }
+
+    _assertInProgress(project) {
+        if (project.status.current !== 'IN_PROGRESS') {
+            throw new ApiError(400, 'Milestones can only be updated while the project is in progress');
+        }
+    }
+
+    _getMilestone(project, milestoneId) {
+        const milestone = project.execution.milestones.id(milestoneId);
+        if (!milestone) {
+            throw new ApiError(404, 'Milestone not found');
+        }
+        return milestone;
+    }
+
+    _formatExecution(project) {
+        const execution = project.toObject().execution || { milestones: [] };
+        const slippedIds = new Set(project.getSlippedMilestones().map(m => m._id.toString()));
+
+        return {
+            projectId: project._id,
+            status: project.status.current,
+            percentComplete: execution.percentComplete || 0,
+            startedAt: execution.startedAt,
+            completedAt: execution.completedAt,
+            milestones: execution.milestones.map(milestone => ({
+                ...milestone,
+                slipped: slippedIds.has(milestone._id.toString())
+            })),
+            slippedMilestones: slippedIds.size,
+            isBehindSchedule: execution.milestones.some(m =>
+                slippedIds.has(m._id.toString()) && m.status !== 'APPROVED'
+            )
+        };
+    }
+}
+
+module.exports = new ProjectExecutionService();
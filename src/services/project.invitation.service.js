@@ -0,0 +1,234 @@
+const mongoose = require('mongoose');
+const Project = require('../models/project.model');
+const ProjectInvitation = require('../models/project.invitation.model');
+const { ApiError } = require('../utils/apiError');
+const logger = require('../utils/logger');
+const { sanitizeText } = require('../utils/sanitize');
+const { BIDDER_TYPES, getBidderModel, findBidderProfile } = require('../utils/bidder');
+
+class ProjectInvitationService {
+    /**
+     * Invite vendors or construction firms to bid on a project
+     * Re-inviting a vendor who declined or was revoked reopens their invitation.
+     * @param {string} projectId - Project ID
+     * @param {string} clientId - Client user ID
+     * @param {Object} data - { vendorIds, message } (vendor or construction profile IDs)
+     * @returns {Promise<Array>} Invitations for the requested vendors
+     */
+    async inviteVendors(projectId, clientId, { vendorIds, message }) {
+        try {
+            const project = await this._getOwnedProject(projectId, clientId);
+
+            if (project.visibility === 'private') {
+                throw new ApiError(400, 'Private projects cannot receive invitations. Change visibility to invited first');
+            }
+            if (!['DRAFT', 'OPEN'].includes(project.status.current)) {
+                throw new ApiError(400, 'Vendors can only be invited while the project is open');
+            }
+
+            const uniqueIds = [...new Set(vendorIds.map(id => id.toString()))];
+            const bidderTypes = await this._resolveBidderTypes(uniqueIds);
+            if (bidderTypes.size !== uniqueIds.length) {
+                throw new ApiError(400, 'Some vendors were not found or are not active');
+            }
+
+            const sanitizedMessage = sanitizeText(message);
+            await ProjectInvitation.bulkWrite(uniqueIds.map(vendorId => ({
+                updateOne: {
+                    filter: { project: project._id, vendor: vendorId },
+                    update: {
+                        $set: {
+                            invitedBy: clientId,
+                            message: sanitizedMessage,
+                            bidderType: bidderTypes.get(vendorId),
+                            status: 'PENDING'
+                        },
+                        $unset: { respondedAt: '', revokedAt: '' }
+                    },
+                    upsert: true
+                }
+            })));
+
+            logger.info('Vendors invited to project', { projectId, count: uniqueIds.length });
+
+            return ProjectInvitation.find({ project: project._id, vendor: { $in: uniqueIds } })
+                .populate('vendor', 'companyName ratings')
+                .lean();
+        } catch (error) {
+            logger.error('Error inviting vendors', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, 'Error inviting vendors', error);
+        }
+    }
+
+    /**
+     * List invitations sent for a project
+     * @param {string} projectId - Project ID
+     * @param {string} clientId - Client user ID
+     * @returns {Promise<Array>} Invitations
+     */
+    async getProjectInvitations(projectId, clientId) {
+        try {
+            const project = await this._getOwnedProject(projectId, clientId);
+
+            return ProjectInvitation.find({ project: project._id })
+                .populate('vendor', 'companyName ratings experience')
+                .sort('-createdAt')
+                .lean();
+        } catch (error) {
+            logger.error('Error retrieving project invitations', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, 'Error retrieving project invitations', error);
+        }
+    }
+
+    /**
+     * Revoke an invitation
+     * @param {string} projectId - Project ID
+     * @param {string} invitationId - Invitation ID
+     * @param {string} clientId - Client user ID
+     * @returns {Promise<Object>} Revoked invitation
+     */
+    async revokeInvitation(projectId, invitationId, clientId) {
+        try {
+            const project = await this._getOwnedProject(projectId, clientId);
+
+            const invitation = await ProjectInvitation.findOne({ _id: invitationId, project: project._id });
+            if (!invitation) {
+                throw new ApiError(404, 'Invitation not found');
+            }
+            if (invitation.status === 'REVOKED') {
+                return invitation.toObject();
+            }
+
+            invitation.status = 'REVOKED';
+            invitation.revokedAt = new Date();
+            await invitation.save();
+
+            logger.info('Project invitation revoked', { projectId, invitationId });
+
+            return invitation.toObject();
+        } catch (error) {
+            logger.error('Error revoking invitation', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, 'Error revoking invitation', error);
+        }
+    }
+
+    /**
+     * List invitations received by a vendor
+     * @param {string} vendorUserId - Vendor or construction firm user ID
+     * @param {string} status - Optional status filter
+     * @param {string} userRole - Invitee's role
+     * @returns {Promise<Array>} Invitations with project summaries
+     */
+    async getVendorInvitations(vendorUserId, status, userRole) {
+        try {
+            const vendor = await this._getVendorProfile(vendorUserId, userRole);
+
+            const query = { vendor: vendor._id, status: { $ne: 'REVOKED' } };
+            if (status) {
+                query.status = status.toUpperCase();
+            }
+
+            return ProjectInvitation.find(query)
+                .populate('project', 'title projectType location budget timeline status tender')
+                .sort('-createdAt')
+                .lean();
+        } catch (error) {
+            logger.error('Error retrieving vendor invitations', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, 'Error retrieving vendor invitations', error);
+        }
+    }
+
+    /**
+     * Accept or decline an invitation (Vendor action)
+     * @param {string} invitationId - Invitation ID
+     * @param {string} vendorUserId - Vendor or construction firm user ID
+     * @param {string} decision - 'accept' or 'decline'
+     * @param {string} userRole - Invitee's role
+     * @returns {Promise<Object>} Updated invitation
+     */
+    async respondToInvitation(invitationId, vendorUserId, decision, userRole) {
+        try {
+            const vendor = await this._getVendorProfile(vendorUserId, userRole);
+
+            const invitation = await ProjectInvitation.findOne({ _id: invitationId, vendor: vendor._id });
+            if (!invitation || invitation.status === 'REVOKED') {
+                throw new ApiError(404, 'Invitation not found');
+            }
+            if (invitation.status !== 'PENDING') {
+                throw new ApiError(400, 'Invitation has already been answered');
+            }
+
+            invitation.status = decision === 'accept' ? 'ACCEPTED' : 'DECLINED';
+            invitation.respondedAt = new Date();
+            await invitation.save();
+
+            logger.info('Vendor responded to invitation', { invitationId, status: invitation.status });
+
+            return invitation.toObject();
+        } catch (error) {
+            logger.error('Error responding to invitation', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, 'Error responding to invitation', error);
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _getOwnedProject(projectId, clientId) {
+        if (!mongoose.Types.ObjectId.isValid(projectId)) {
+            throw new ApiError(400, 'Invalid project ID');
+        }
+
+        const ClientProfile = mongoose.model('ClientProfile');
+        const clientProfile = await ClientProfile.findOne({ user: clientId }).select('_id').lean();
+        if (!clientProfile) {
+            throw new ApiError(404, 'Client profile not found');
+        }
+
+        const project = await Project.findOne({ _id: projectId, client: clientProfile._id })
+            .select('visibility status')
+            .lean();
+        if (!project) {
+            throw new ApiError(404, 'Project not found or access denied');
+        }
+
+        return project;
+    }
+
+    /**
+     * @private
+     */
+    async _getVendorProfile(vendorUserId, userRole) {
+        const bidder = await findBidderProfile(vendorUserId, userRole, '_id');
+        if (!bidder) {
+            throw new ApiError(404, 'Vendor profile not found');
+        }
+        return bidder.profile;
+    }
+
+    /**
+     * Map active bidder profile IDs to their profile model
+     * @private
+     * @returns {Promise<Map>} Profile ID -> bidder type
+     */
+    async _resolveBidderTypes(profileIds) {
+        const bidderTypes = new Map();
+
+        await Promise.all(BIDDER_TYPES.map(async (bidderType) => {
+            const profiles = await getBidderModel(bidderType)
+                .find({ _id: { $in: profileIds }, status: 'active' })
+                .select('_id')
+                .lean();
+            profiles.forEach(profile => bidderTypes.set(profile._id.toString(), bidderType));
+        }));
+
+        return bidderTypes;
+    }
+}
+
+module.exports = new ProjectInvitationService();
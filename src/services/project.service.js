@@ -1,7 +1,34 @@
 const Project = require('../models/project.model');
+const ProjectInvitation = require('../models/project.invitation.model');
+const constructionCapacityService = require('./construction.capacity.service');
+const paymentService = require('./payment.service');
 const { ApiError } = require('../utils/apiError');
+const { logAudit, logStatusChange } = require('../utils/auditLogger');
+const { getBidderType, findBidderProfile } = require('../utils/bidder');
+const { getCache } = require('../utils/cache');
 const mongoose = require('mongoose');
 
+// Request fields a client may edit, mapped to the project paths they set the
+// same way createAndPublish does; status, tender, assignment and execution
+// change only through their own flows
+const UPDATE_PATHS = {
+    title: value => ({ title: value }),
+    description: value => ({ description: value }),
+    budget: value => ({
+        'budget.range.min': Number(value),
+        'budget.range.max': Number(value) * 1.2
+    }),
+    location: value => ({
+        'location.address': value,
+        'location.city': value.split(',')[0]?.trim() || value
+    }),
+    projectType: value => ({ projectType: value }),
+    area: value => ({ 'specifications.area.value': Number(value) }),
+    startDate: value => ({ 'timeline.expectedStartDate': new Date(value) }),
+    duration: value => ({ 'timeline.expectedDuration.value': Number(value) }),
+    visibility: value => ({ visibility: value })
+};
+
 class ProjectService {
     /**
      * Create and publish a project in one step
@@ -84,7 +111,12 @@ class ProjectService {
                     },
                     communicationPreference: 'both'
                 },
-                visibility: 'public',
+                visibility: projectData.visibility || 'public',
+                tender: projectData.tender?.submissionDeadline ? {
+                    enabled: true,
+                    submissionDeadline: new Date(projectData.tender.submissionDeadline),
+                    sealed: Boolean(projectData.tender.sealed)
+                } : { enabled: false },
                 status: {
                     current: 'OPEN', // Directly set to OPEN for create-and-publish
                     history: [{
@@ -112,8 +144,10 @@ class ProjectService {
                 throw saveError;
             }
 
+            logStatusChange('Project', project._id, null, 'OPEN', clientId, { reason: 'Project published on creation' });
+
             // Cache the new project
-            this._cacheProject(project);
+            await this._cacheProject(project);
 
             return project;
         } catch (error) {
@@ -126,19 +160,20 @@ class ProjectService {
     }
     constructor() {
         // Cache frequently accessed data
-        this.projectCache = new Map();
         this.PROJECT_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
-        this.MAX_CACHE_SIZE = 1000;
+        this.projectCache = getCache('projects', { ttl: this.PROJECT_CACHE_TTL });
     }
 
     // Removed createProject method - only using createAndPublish now
 
     /**
      * Get project by ID
+     * When a viewer is given, private and invite-only projects are hidden from everyone
+     * but the owning client and invited bidders.
      */
-    async getProjectById(projectId) {
+    async getProjectById(projectId, viewer) {
         // Try cache first
-        let project = this._getCachedProject(projectId);
+        let project = await this._getCachedProject(projectId);
 
         if (!project) {
             project = await Project.findById(projectId)
@@ -148,7 +183,16 @@ class ProjectService {
                 throw new ApiError(404, 'Project not found');
             }
 
-            this._cacheProject(project);
+            await this._cacheProject(project);
+        }
+
+        if (viewer && project.visibility !== 'public' && !(await this._isProjectOwner(project, viewer.id))) {
+            const invitedProjectIds = await this._getInvitedProjectIds(viewer.id, viewer.role);
+            const visible = project.visibility === 'invited' &&
+                invitedProjectIds.some(id => id.toString() === project._id.toString());
+            if (!visible) {
+                throw new ApiError(404, 'Project not found');
+            }
         }
 
         return project;
@@ -156,12 +200,25 @@ class ProjectService {
 
     /**
      * Update a project
+     * Takes the flat fields used on creation; anything outside UPDATE_PATHS is ignored.
      */
     async updateProject(projectId, clientId, updateData) {
         try {
+            const updates = this._toProjectUpdate(updateData);
+            if (Object.keys(updates).length === 0) {
+                throw new ApiError(400, 'No updatable project fields provided');
+            }
+
+            // Projects reference the client's profile, not the user
+            const ClientProfile = mongoose.model('ClientProfile');
+            const clientProfile = await ClientProfile.findOne({ user: clientId }).select('_id').lean();
+            if (!clientProfile) {
+                throw new ApiError(404, 'Client profile not found');
+            }
+
             const project = await Project.findOneAndUpdate(
-                { _id: projectId, client: clientId },
-                updateData,
+                { _id: projectId, client: clientProfile._id },
+                { $set: updates },
                 { new: true, runValidators: true }
             );
 
@@ -170,7 +227,7 @@ class ProjectService {
             }
 
             // Clear cache
-            this._clearProjectCache(projectId);
+            await this._clearProjectCache(projectId);
 
             return project;
         } catch (error) {
@@ -179,6 +236,169 @@ class ProjectService {
         }
     }
 
+    /**
+     * Map flat request fields onto the nested project paths they update
+     * @private
+     */
+    _toProjectUpdate(updateData) {
+        return Object.entries(updateData).reduce((updates, [field, value]) => {
+            if (Object.prototype.hasOwnProperty.call(UPDATE_PATHS, field) && value !== undefined) {
+                Object.assign(updates, UPDATE_PATHS[field](value));
+            }
+            return updates;
+        }, {});
+    }
+
+    /**
+     * Configure tender mode on an open project
+     * The deadline can be moved while the tender is open but not once it has passed.
+     * @param {string} projectId - Project ID
+     * @param {string} clientId - Client user ID
+     * @param {Object} tenderData - { enabled, submissionDeadline, sealed }
+     * @returns {Promise<Object>} Updated project
+     */
+    async updateTender(projectId, clientId, tenderData) {
+        try {
+            const ClientProfile = mongoose.model('ClientProfile');
+            const clientProfile = await ClientProfile.findOne({ user: clientId }).select('_id').lean();
+            if (!clientProfile) {
+                throw new ApiError(404, 'Client profile not found');
+            }
+
+            const project = await Project.findOne({ _id: projectId, client: clientProfile._id });
+            if (!project) {
+                throw new ApiError(404, 'Project not found or access denied');
+            }
+            if (project.status.current !== 'OPEN') {
+                throw new ApiError(400, 'Tender settings can only be changed while the project is open');
+            }
+            if (Project.isTenderClosed(project)) {
+                throw new ApiError(400, 'The tender submission deadline has already passed');
+            }
+
+            const enabled = tenderData.enabled ?? true;
+            project.tender = enabled ? {
+                enabled: true,
+                submissionDeadline: new Date(tenderData.submissionDeadline),
+                sealed: tenderData.sealed ?? project.tender?.sealed ?? false
+            } : { enabled: false };
+
+            await project.save();
+
+            // Clear cache
+            await this._clearProjectCache(projectId);
+
+            return project;
+        } catch (error) {
+            if (error instanceof ApiError) throw error;
+            if (error.name === 'ValidationError') {
+                throw new ApiError(400, 'Invalid tender settings', error.errors);
+            }
+            throw new ApiError(500, 'Error updating tender settings', error);
+        }
+    }
+
+    /**
+     * Cancel a project that has not finished
+     * Rejects open bids and releases the assigned construction firm's capacity slot.
+     * @param {string} projectId - Project ID
+     * @param {string} clientId - Client user ID
+     * @param {string} reason - Optional cancellation reason
+     * @returns {Promise<Object>} Cancelled project
+     */
+    async cancelProject(projectId, clientId, reason) {
+        try {
+            const ClientProfile = mongoose.model('ClientProfile');
+            const clientProfile = await ClientProfile.findOne({ user: clientId }).select('_id').lean();
+            if (!clientProfile) {
+                throw new ApiError(404, 'Client profile not found');
+            }
+
+            const project = await Project.findOne({ _id: projectId, client: clientProfile._id });
+            if (!project) {
+                throw new ApiError(404, 'Project not found or access denied');
+            }
+
+            return await this._cancel(project, reason || 'Cancelled by client', clientId);
+        } catch (error) {
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, 'Error cancelling project', error);
+        }
+    }
+
+    /**
+     * Cancel any unfinished project regardless of owner (Admin action)
+     * @param {string} projectId - Project ID
+     * @param {string} adminId - Acting admin's user ID
+     * @param {string} reason - Cancellation reason
+     * @returns {Promise<Object>} Cancelled project
+     */
+    async forceCancelProject(projectId, adminId, reason) {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(projectId)) {
+                throw new ApiError(400, 'Invalid project ID');
+            }
+
+            const project = await Project.findById(projectId);
+            if (!project) {
+                throw new ApiError(404, 'Project not found');
+            }
+
+            return await this._cancel(project, `Cancelled by platform administrator: ${reason}`, adminId);
+        } catch (error) {
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, 'Error cancelling project', error);
+        }
+    }
+
+    /**
+     * Move a project to CANCELLED, close its open bids and free the firm's capacity
+     * Held escrow is refunded and unpaid invoices are cancelled first; if a refund
+     * fails the project stays as it was.
+     * @private
+     */
+    async _cancel(project, reason, actorId) {
+        if (['COMPLETED', 'CANCELLED'].includes(project.status.current)) {
+            throw new ApiError(400, `A ${project.status.current.toLowerCase()} project cannot be cancelled`);
+        }
+
+        const settlement = await paymentService.settleForCancellation(project._id);
+
+        const now = new Date();
+        const previousStatus = project.status.current;
+        project.status.current = 'CANCELLED';
+        project.status.history.push({
+            status: 'CANCELLED',
+            timestamp: now,
+            reason
+        });
+
+        await project.save();
+        await constructionCapacityService.releaseCapacity(project);
+        logStatusChange('Project', project._id, previousStatus, 'CANCELLED', actorId, { reason, ...settlement });
+
+        const Bid = require('../models/bid.model');
+        const openBids = await Bid.find({ project: project._id, 'status.current': { $in: ['PENDING', 'IN_REVIEW'] } })
+            .select('status.current')
+            .lean();
+        await Bid.updateMany(
+            { _id: { $in: openBids.map(bid => bid._id) } },
+            {
+                $set: { 'status.current': 'REJECTED' },
+                $push: { 'status.history': { status: 'REJECTED', timestamp: now, reason: 'Project cancelled' } }
+            }
+        );
+        openBids.forEach(bid => logStatusChange('Bid', bid._id, bid.status.current, 'REJECTED', actorId, {
+            projectId: project._id,
+            reason: 'Project cancelled'
+        }));
+
+        // Clear cache
+        await this._clearProjectCache(project._id.toString());
+
+        return project;
+    }
+
     /**
      * Delete a project
      */
@@ -186,7 +406,7 @@ class ProjectService {
         try {
             console.log('deleteProject service - projectId:', projectId, 'clientId:', clientId);
             
-            const project = await Project.findOneAndDelete({
+            const project = await Project.findOne({
                 _id: projectId,
                 client: clientId
             });
@@ -196,13 +416,34 @@ class ProjectService {
                 throw new ApiError(404, 'Project not found or access denied');
             }
 
-            // Also delete all related bids
+            // Payment records must outlive the project; such projects are cancelled instead
+            if (await paymentService.hasPayments(project._id)) {
+                throw new ApiError(400, 'Projects with payments cannot be deleted. Cancel the project instead');
+            }
+
+            // Free the assigned firm's slot before the project disappears
+            await constructionCapacityService.releaseCapacity(project);
+            await project.deleteOne();
+
+            // Also delete all related bids and unpaid invoices
             const Bid = require('../models/bid.model');
-            const deletedBids = await Bid.deleteMany({ project: projectId });
+            const Invoice = require('../models/invoice.model');
+            const [deletedBids, deletedInvoices] = await Promise.all([
+                Bid.deleteMany({ project: projectId }),
+                Invoice.deleteMany({ project: project._id })
+            ]);
             console.log('Deleted', deletedBids.deletedCount, 'related bids');
 
+            logAudit('PROJECT_DELETED', {
+                entityType: 'Project',
+                entityId: project._id,
+                status: project.status.current,
+                deletedBids: deletedBids.deletedCount,
+                deletedInvoices: deletedInvoices.deletedCount
+            }, clientId);
+
             // Clear cache
-            this._clearProjectCache(projectId);
+            await this._clearProjectCache(projectId);
 
             console.log('Project deleted successfully');
             return { message: 'Project deleted successfully' };
@@ -218,12 +459,15 @@ class ProjectService {
      */
     async searchProjects(criteria, options = {}) {
         try {
+            if (criteria.userRole !== 'client_owner') {
+                criteria.invitedProjectIds = await this._getInvitedProjectIds(criteria.userId, criteria.userRole);
+            }
             const query = this._buildSearchQuery(criteria);
             
             const { page = 1, limit = 10, sort = '-metadata.createdAt' } = options;
 
-            // If vendor and no status specified, default to OPEN projects
-            if (criteria.userRole === 'vendor_supplier' && !query['status.current']) {
+            // If bidder and no status specified, default to OPEN projects
+            if (getBidderType(criteria.userRole) && !query['status.current']) {
                 query['status.current'] = 'OPEN';
             }
 
@@ -345,8 +589,8 @@ class ProjectService {
         console.log('_buildSearchQuery - criteria:', criteria);
 
         // Handle role-based visibility
-        if (criteria.userRole === 'vendor_supplier') {
-            // Vendors can only see OPEN projects
+        if (getBidderType(criteria.userRole)) {
+            // Vendors and construction firms can only see OPEN projects
             query['status.current'] = 'OPEN';
         } else if (criteria.userRole === 'client_owner') {
             // Clients can see their own projects in any status
@@ -358,6 +602,14 @@ class ProjectService {
             console.log('_buildSearchQuery - client query set to:', criteria.userId);
         }
 
+        // Everyone but the owning client sees public projects plus those they were invited to
+        if (criteria.userRole !== 'client_owner') {
+            query.$or = [
+                { visibility: 'public' },
+                { visibility: 'invited', _id: { $in: criteria.invitedProjectIds || [] } }
+            ];
+        }
+
         // Handle project type
         if (criteria.projectType) {
             query.projectType = criteria.projectType.toLowerCase();
@@ -388,31 +640,40 @@ class ProjectService {
         return query;
     }
 
-    _getCachedProject(projectId) {
-        const cached = this.projectCache.get(projectId);
-        if (cached && Date.now() - cached.timestamp < this.PROJECT_CACHE_TTL) {
-            return cached.project;
-        }
-        this.projectCache.delete(projectId);
-        return null;
+    /**
+     * Whether the user's client profile owns the project
+     * @private
+     */
+    async _isProjectOwner(project, userId) {
+        const ClientProfile = mongoose.model('ClientProfile');
+        const clientProfile = await ClientProfile.findOne({ user: userId }).select('_id').lean();
+        const clientId = project.client?._id || project.client;
+        return Boolean(clientProfile && clientId && clientId.toString() === clientProfile._id.toString());
     }
 
-    _cacheProject(project) {
-        if (this.projectCache.size >= this.MAX_CACHE_SIZE) {
-            const oldestKey = this.projectCache.keys().next().value;
-            this.projectCache.delete(oldestKey);
-        }
+    /**
+     * Projects a vendor or construction firm user has an active invitation to
+     * @private
+     */
+    async _getInvitedProjectIds(userId, userRole) {
+        if (!userId) return [];
 
-        this.projectCache.set(project._id.toString(), {
-            project,
-            timestamp: Date.now()
-        });
+        const bidder = await findBidderProfile(userId, userRole, '_id');
+        if (!bidder) return [];
+
+        return ProjectInvitation.findInvitedProjectIds(bidder.profile._id);
     }
 
-    _clearProjectCache(projectId) {
-        if (this.projectCache) {
-            this.projectCache.delete(projectId);
-        }
+    async _getCachedProject(projectId) {
+        return this.projectCache.get(projectId);
+    }
+
+    async _cacheProject(project) {
+        await this.projectCache.set(project._id.toString(), project.toObject());
+    }
+
+    async _clearProjectCache(projectId) {
+        await this.projectCache.delete(projectId);
     }
 }
 
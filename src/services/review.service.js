@@ -0,0 +1,247 @@
+const mongoose = require('mongoose');
+const Review = require('../models/review.model');
+const Project = require('../models/project.model');
+const { ApiError } = require('../utils/apiError');
+const logger = require('../utils/logger');
+const { sanitizeText } = require('../utils/sanitize');
+const { findBidderProfile, findBidderProfileById } = require('../utils/bidder');
+
+class ReviewService {
+    /**
+     * Client reviews the vendor who delivered their completed project
+     * @param {string} projectId - Project ID
+     * @param {string} clientUserId - Client user ID
+     * @param {Object} reviewData - { scores, comment }
+     * @returns {Promise<Object>} Created review and the vendor's updated ratings
+     */
+    async createReview(projectId, clientUserId, reviewData) {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(projectId)) {
+                throw new ApiError(400, 'Invalid project ID');
+            }
+
+            const ClientProfile = mongoose.model('ClientProfile');
+            const [clientProfile, project] = await Promise.all([
+                ClientProfile.findOne({ user: clientUserId }).select('_id').lean(),
+                Project.findById(projectId).select('client status assignment').lean()
+            ]);
+
+            if (!project) {
+                throw new ApiError(404, 'Project not found');
+            }
+            if (!clientProfile || project.client.toString() !== clientProfile._id.toString()) {
+                throw new ApiError(403, 'Only the project owner can review its vendor');
+            }
+            if (project.status.current !== 'COMPLETED') {
+                throw new ApiError(400, 'Vendors can only be reviewed once the project is completed');
+            }
+            if (!project.assignment?.vendor) {
+                throw new ApiError(400, 'No vendor was assigned to this project');
+            }
+
+            const { scores = {} } = reviewData;
+            const review = new Review({
+                project: project._id,
+                bid: project.assignment.bid,
+                vendor: project.assignment.vendor,
+                bidderType: project.assignment.bidderType,
+                client: clientProfile._id,
+                clientUser: clientUserId,
+                scores: {
+                    quality: scores.quality,
+                    timeliness: scores.timeliness,
+                    communication: scores.communication,
+                    budgetAdherence: scores.budgetAdherence
+                },
+                comment: sanitizeText(reviewData.comment)
+            });
+
+            await review.save();
+
+            const ratings = await Review.recalculateVendorRatings(
+                project.assignment.vendor,
+                project.assignment.bidderType
+            );
+
+            logger.info('Review created', { reviewId: review._id.toString(), projectId });
+
+            return { review: review.toObject(), vendorRatings: ratings };
+        } catch (error) {
+            logger.error('Error creating review', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            if (error.code === 11000) {
+                throw new ApiError(400, 'This project has already been reviewed');
+            }
+            if (error.name === 'ValidationError') {
+                throw new ApiError(400, 'Invalid review data', error.errors);
+            }
+            throw new ApiError(500, 'Error creating review', error);
+        }
+    }
+
+    /**
+     * Vendor responds to a review of their work
+     * @param {string} reviewId - Review ID
+     * @param {string} vendorUserId - Vendor or construction firm user ID
+     * @param {string} message - Response text
+     * @param {string} userRole - Responder's role
+     * @returns {Promise<Object>} Updated review
+     */
+    async respondToReview(reviewId, vendorUserId, message, userRole) {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(reviewId)) {
+                throw new ApiError(400, 'Invalid review ID');
+            }
+
+            const [review, bidder] = await Promise.all([
+                Review.findById(reviewId),
+                findBidderProfile(vendorUserId, userRole, '_id')
+            ]);
+            const vendor = bidder?.profile;
+
+            if (!review) {
+                throw new ApiError(404, 'Review not found');
+            }
+            if (!vendor || review.vendor.toString() !== vendor._id.toString()) {
+                throw new ApiError(403, 'Only the reviewed vendor can respond');
+            }
+            if (review.vendorResponse?.respondedAt) {
+                throw new ApiError(400, 'You have already responded to this review');
+            }
+
+            review.vendorResponse = {
+                message: sanitizeText(message),
+                respondedAt: new Date()
+            };
+            await review.save();
+
+            logger.info('Vendor responded to review', { reviewId });
+
+            return review.toObject();
+        } catch (error) {
+            logger.error('Error responding to review', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            if (error.name === 'ValidationError') {
+                throw new ApiError(400, 'Invalid response', error.errors);
+            }
+            throw new ApiError(500, 'Error responding to review', error);
+        }
+    }
+
+    /**
+     * Get reviews for a vendor, newest first
+     * @param {string} vendorId - Vendor or construction firm profile ID
+     * @param {Object} options - { page, limit }
+     * @returns {Promise<Object>} Reviews, rating summary and pagination
+     */
+    async getVendorReviews(vendorId, { page = 1, limit = 10 } = {}) {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(vendorId)) {
+                throw new ApiError(400, 'Invalid vendor ID');
+            }
+
+            const bidder = await findBidderProfileById(vendorId, 'companyName ratings');
+            if (!bidder) {
+                throw new ApiError(404, 'Vendor profile not found');
+            }
+            const vendor = bidder.profile;
+
+            const query = { vendor: vendorId, 'moderation.hidden': { $ne: true } };
+            const [reviews, total] = await Promise.all([
+                Review.find(query)
+                    .populate('client', 'name')
+                    .populate('project', 'title projectType location.city')
+                    .sort({ createdAt: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit)
+                    .lean(),
+                Review.countDocuments(query)
+            ]);
+
+            return {
+                vendor,
+                reviews,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            };
+        } catch (error) {
+            logger.error('Error retrieving vendor reviews', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, 'Error retrieving vendor reviews', error);
+        }
+    }
+
+    /**
+     * Get the review left on a project
+     * @param {string} projectId - Project ID
+     * @returns {Promise<Object>} Review
+     */
+    async getProjectReview(projectId) {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(projectId)) {
+                throw new ApiError(400, 'Invalid project ID');
+            }
+
+            const review = await Review.findOne({ project: projectId, 'moderation.hidden': { $ne: true } })
+                .populate('client', 'name')
+                .populate('vendor', 'companyName')
+                .lean();
+
+            if (!review) {
+                throw new ApiError(404, 'No review found for this project');
+            }
+
+            return review;
+        } catch (error) {
+            logger.error('Error retrieving project review', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, 'Error retrieving project review', error);
+        }
+    }
+
+    /**
+     * Hide a review or restore it (Moderator action)
+     * Ratings are recalculated so hidden reviews stop counting.
+     * @param {string} reviewId - Review ID
+     * @param {boolean} hidden - Whether the review should be hidden
+     * @param {string} moderatorId - Moderating user ID
+     * @param {string} reason - Moderation reason
+     * @returns {Promise<Object>} Updated review and the vendor's ratings
+     */
+    async setReviewVisibility(reviewId, hidden, moderatorId, reason) {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(reviewId)) {
+                throw new ApiError(400, 'Invalid review ID');
+            }
+
+            const review = await Review.findById(reviewId);
+            if (!review) {
+                throw new ApiError(404, 'Review not found');
+            }
+
+            review.moderation = {
+                hidden,
+                reason: sanitizeText(reason),
+                moderatedBy: moderatorId,
+                moderatedAt: new Date()
+            };
+            await review.save();
+
+            const ratings = await Review.recalculateVendorRatings(review.vendor, review.bidderType);
+
+            logger.info('Review moderated', { reviewId, hidden });
+
+            return { review: review.toObject(), vendorRatings: ratings };
+        } catch (error) {
+            logger.error('Error moderating review', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, 'Error moderating review', error);
+        }
+    }
+}
+
+module.exports = new ReviewService();
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/refresh.token.model');
+const User = require('../models/user.model');
+const { ApiError } = require('../utils/apiError');
+const { logSecurityEvent } = require('../utils/auditLogger');
+const { revokeSessions } = require('../utils/tokenRevocation');
+const sessionManager = require('../utils/sessionManager');
+
+// Access tokens are short-lived; clients renew them with a refresh token
+const ACCESS_TOKEN_EXPIRY_SECONDS = 15 * 60;
+const REFRESH_TOKEN_EXPIRY_MS = 30 * 24 * 60 * 60 * 1000;
+
+class TokenService {
+    /**
+     * Start a session and issue its first token pair
+     * @param {Object} user - User document
+     * @param {Object} context - { ip, userAgent } of the request
+     * @param {Object} options - { role, mfa }: role the session acts as (must be one the
+     *   user holds) and whether the user passed two-factor authentication
+     * @returns {Promise<Object>} { token, refreshToken, expiresIn, activeRole }
+     */
+    async issueTokens(user, context = {}, { role = user.role, mfa = false } = {}) {
+        const sessionId = await sessionManager.createSession(user._id, context);
+        const refreshToken = await this._createRefreshToken(user._id, sessionId, { role, mfa }, context);
+        return this._buildTokenPair(user, sessionId, { role, mfa }, refreshToken);
+    }
+
+    /**
+     * Exchange a refresh token for a new token pair
+     * Each refresh token works once. Presenting one that was already rotated
+     * means it has leaked, so the whole session is revoked.
+     * @param {string} rawToken - Refresh token from the client
+     * @param {Object} context - { ip, userAgent } of the request
+     * @returns {Promise<Object>} { token, refreshToken, expiresIn }
+     */
+    async refresh(rawToken, context = {}) {
+        const stored = await RefreshToken.findOne({ tokenHash: this._hash(rawToken) });
+        if (!stored) {
+            throw new ApiError(401, 'Invalid refresh token');
+        }
+
+        if (stored.revokedAt) {
+            if (stored.revokedReason === 'ROTATED') {
+                await this._revoke([stored.sessionId], stored.user, 'REUSE_DETECTED');
+                logSecurityEvent('REFRESH_TOKEN_REUSE', {
+                    entityType: 'User',
+                    entityId: stored.user,
+                    sessionId: stored.sessionId,
+                    ...context
+                }, stored.user);
+            }
+            throw new ApiError(401, 'Refresh token has been revoked');
+        }
+        if (!stored.isActive()) {
+            throw new ApiError(401, 'Refresh token has expired');
+        }
+
+        // The session may have been ended from another device or timed out
+        const session = await sessionManager.getSession(stored.sessionId);
+        if (!session) {
+            await this._revoke([stored.sessionId], stored.user, 'LOGOUT');
+            throw new ApiError(401, 'Session has ended');
+        }
+
+        const user = await User.findById(stored.user).select('role roles status twoFactorEnabled');
+        if (!user) {
+            throw new ApiError(401, 'Account no longer exists');
+        }
+        if (user.status === 'suspended') {
+            await this._revoke([stored.sessionId], user._id, 'ACCOUNT_SUSPENDED');
+            throw new ApiError(403, 'This account has been suspended');
+        }
+
+        // Claim the token so two concurrent refreshes cannot both succeed
+        const claimed = await RefreshToken.findOneAndUpdate(
+            { _id: stored._id, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: 'ROTATED' } }
+        );
+        if (!claimed) {
+            throw new ApiError(401, 'Refresh token has been revoked');
+        }
+
+        // Fall back to the default role if the active one has since been removed
+        const role = stored.role && user.hasRole(stored.role) ? stored.role : user.role;
+        // A session loses its two-factor status if two-factor authentication was turned off
+        const mfa = Boolean(stored.mfa && user.twoFactorEnabled);
+
+        const refreshToken = await this._createRefreshToken(user._id, stored.sessionId, { role, mfa }, context);
+        await RefreshToken.updateOne({ _id: stored._id }, { $set: { replacedBy: this._hash(refreshToken) } });
+        await sessionManager.updateActivity(stored.sessionId, context);
+
+        return this._buildTokenPair(user, stored.sessionId, { role, mfa }, refreshToken);
+    }
+
+    /**
+     * End one session
+     * @param {string} sessionId - Session ID from the access token
+     * @param {string} userId - Session owner
+     * @param {string} reason - 'LOGOUT', 'ROLE_SWITCHED' or 'TWO_FACTOR_ENABLED'
+     */
+    async revokeSession(sessionId, userId, reason = 'LOGOUT') {
+        await this._revoke([sessionId], userId, reason);
+    }
+
+    /**
+     * End every session a user has open
+     * @param {string} userId - User ID
+     * @param {string} reason - 'LOGOUT_ALL', 'ACCOUNT_SUSPENDED', 'PASSWORD_RESET' or 'TWO_FACTOR_RESET'
+     * @returns {Promise<number>} Number of sessions ended
+     */
+    async revokeAllSessions(userId, reason = 'LOGOUT_ALL') {
+        const [sessions, tokenSessionIds] = await Promise.all([
+            sessionManager.getUserSessions(userId),
+            RefreshToken.distinct('sessionId', {
+                user: userId,
+                revokedAt: null,
+                expiresAt: { $gt: new Date() }
+            })
+        ]);
+        const sessionIds = [...new Set([
+            ...sessions.map(session => session.sessionId),
+            ...tokenSessionIds
+        ])];
+
+        await this._revoke(sessionIds, userId, reason);
+        return sessionIds.length;
+    }
+
+    // Private helper methods
+
+    /**
+     * End the sessions, revoke their refresh tokens and add them to the access token revocation list
+     * @private
+     */
+    async _revoke(sessionIds, userId, reason) {
+        await RefreshToken.updateMany(
+            { sessionId: { $in: sessionIds }, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: reason } }
+        );
+        await Promise.all(sessionIds.map(sessionId => sessionManager.invalidateSession(sessionId)));
+        await revokeSessions(sessionIds, userId, reason, ACCESS_TOKEN_EXPIRY_SECONDS * 1000);
+    }
+
+    /**
+     * @private
+     */
+    async _createRefreshToken(userId, sessionId, { role, mfa }, context) {
+        const rawToken = crypto.randomBytes(48).toString('hex');
+
+        await RefreshToken.create({
+            user: userId,
+            tokenHash: this._hash(rawToken),
+            sessionId,
+            role,
+            mfa,
+            expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRY_MS),
+            createdByIp: context.ip,
+            userAgent: context.userAgent
+        });
+
+        return rawToken;
+    }
+
+    /**
+     * @private
+     */
+    _buildTokenPair(user, sessionId, { role, mfa }, refreshToken) {
+        try {
+            const token = jwt.sign(
+                {
+                    id: user._id,
+                    role,
+                    sid: sessionId,
+                    mfa
+                },
+                process.env.JWT_SECRET,
+                {
+                    expiresIn: ACCESS_TOKEN_EXPIRY_SECONDS,
+                    algorithm: 'HS256'
+                }
+            );
+
+            return { token, refreshToken, expiresIn: ACCESS_TOKEN_EXPIRY_SECONDS, activeRole: role };
+        } catch (error) {
+            throw new ApiError(500, 'Failed to generate authentication token');
+        }
+    }
+
+    /**
+     * @private
+     */
+    _hash(rawToken) {
+        return crypto.createHash('sha256').update(String(rawToken)).digest('hex');
+    }
+}
+
+module.exports = new TokenService();
@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const TwoFactorCredential = require('../models/two.factor.credential.model');
+const User = require('../models/user.model');
+const { ApiError } = require('../utils/apiError');
+const { getThrottleStore } = require('../utils/throttleStores');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+
+const ISSUER = 'BuildVeritas';
+const BACKUP_CODE_COUNT = 10;
+const BACKUP_CODE_REGEX = /^[0-9a-f]{4}-?[0-9a-f]{4}$/i;
+
+// Login challenges bridge the password step and the code step
+const CHALLENGE_EXPIRY_SECONDS = 5 * 60;
+const CHALLENGE_AUDIENCE = 'two-factor-challenge';
+const CHALLENGE_MAX_ATTEMPTS = 5;
+
+class TwoFactorService {
+    /**
+     * Two-factor status of an account
+     * @param {Object} user - User document
+     * @returns {Promise<Object>} { enabled, enabledAt, backupCodesRemaining, required }
+     */
+    async getStatus(user) {
+        const credential = user.twoFactorEnabled
+            ? await TwoFactorCredential.findOne({ user: user._id })
+            : null;
+
+        return {
+            enabled: Boolean(credential && credential.secret),
+            enabledAt: credential?.enabledAt || null,
+            backupCodesRemaining: credential ? credential.remainingBackupCodes() : 0,
+            required: this.isRequired(user)
+        };
+    }
+
+    /**
+     * Admins must sign in with two-factor authentication
+     * Payout actions additionally require it of whoever performs them.
+     * @param {Object} user - User document
+     * @returns {boolean}
+     */
+    isRequired(user) {
+        return user.hasRole('admin');
+    }
+
+    /**
+     * Start enrollment with a new secret for the user's authenticator app
+     * @param {Object} user - User document
+     * @returns {Promise<Object>} { secret, otpauthUri }
+     */
+    async startEnrollment(user) {
+        if (user.twoFactorEnabled) {
+            throw new ApiError(400, 'Two-factor authentication is already enabled');
+        }
+
+        const secret = generateSecret();
+        await TwoFactorCredential.findOneAndUpdate(
+            { user: user._id },
+            { $set: { pendingSecret: this._encrypt(secret) } },
+            { upsert: true, setDefaultsOnInsert: true }
+        );
+
+        return {
+            secret,
+            otpauthUri: buildOtpauthUri({ secret, account: user.email, issuer: ISSUER })
+        };
+    }
+
+    /**
+     * Finish enrollment once the app produces a valid code
+     * @param {Object} user - User document
+     * @param {string} code - Code from the authenticator app
+     * @returns {Promise<string[]>} Backup codes, shown to the user once
+     */
+    async enable(user, code) {
+        const credential = await TwoFactorCredential.findOne({ user: user._id });
+        if (user.twoFactorEnabled || !credential?.pendingSecret) {
+            throw new ApiError(400, 'Start two-factor setup first');
+        }
+
+        const secret = this._decrypt(credential.pendingSecret);
+        const step = verifyCode(secret, code);
+        if (step === null) {
+            throw new ApiError(400, 'Invalid authentication code');
+        }
+
+        const backupCodes = this._generateBackupCodes();
+        credential.secret = credential.pendingSecret;
+        credential.pendingSecret = undefined;
+        credential.lastUsedStep = step;
+        credential.backupCodes = backupCodes.map(backupCode => ({ hash: this._hash(backupCode) }));
+        credential.enabledAt = new Date();
+        await credential.save();
+
+        await User.updateOne({ _id: user._id }, { $set: { twoFactorEnabled: true } });
+
+        return backupCodes;
+    }
+
+    /**
+     * Check a code from the authenticator app or an unused backup code
+     * Each code is accepted once.
+     * @param {string} userId - User ID
+     * @param {string} code - TOTP or backup code
+     * @returns {Promise<string>} 'totp' or 'backup_code'
+     */
+    async verify(userId, code) {
+        const credential = await TwoFactorCredential.findOne({ user: userId });
+        if (!credential?.secret) {
+            throw new ApiError(400, 'Two-factor authentication is not enabled');
+        }
+
+        const normalized = String(code || '').trim();
+
+        if (BACKUP_CODE_REGEX.test(normalized)) {
+            const hash = this._hash(this._normalizeBackupCode(normalized));
+            const used = await TwoFactorCredential.findOneAndUpdate(
+                { _id: credential._id, backupCodes: { $elemMatch: { hash, usedAt: null } } },
+                { $set: { 'backupCodes.$.usedAt': new Date() } }
+            );
+            if (!used) {
+                throw new ApiError(401, 'Invalid authentication code');
+            }
+            return 'backup_code';
+        }
+
+        const step = verifyCode(this._decrypt(credential.secret), normalized);
+        if (step === null) {
+            throw new ApiError(401, 'Invalid authentication code');
+        }
+
+        // Claim the step so the same code cannot be replayed
+        const claimed = await TwoFactorCredential.findOneAndUpdate(
+            { _id: credential._id, lastUsedStep: { $lt: step } },
+            { $set: { lastUsedStep: step } }
+        );
+        if (!claimed) {
+            throw new ApiError(401, 'This code has already been used. Wait for the next one');
+        }
+        return 'totp';
+    }
+
+    /**
+     * Replace all backup codes
+     * @param {string} userId - User ID
+     * @returns {Promise<string[]>} New backup codes
+     */
+    async regenerateBackupCodes(userId) {
+        const backupCodes = this._generateBackupCodes();
+        await TwoFactorCredential.updateOne(
+            { user: userId },
+            { $set: { backupCodes: backupCodes.map(backupCode => ({ hash: this._hash(backupCode) })) } }
+        );
+        return backupCodes;
+    }
+
+    /**
+     * Remove two-factor authentication from an account
+     * @param {string} userId - User ID
+     */
+    async disable(userId) {
+        await TwoFactorCredential.deleteOne({ user: userId });
+        await User.updateOne({ _id: userId }, { $unset: { twoFactorEnabled: '' } });
+    }
+
+    /**
+     * Short-lived token proving the password step passed
+     * @param {Object} user - User document
+     * @param {string} role - Role the session will act as
+     * @returns {Object} { challengeToken, expiresIn }
+     */
+    createChallenge(user, role) {
+        const challengeToken = jwt.sign(
+            { id: user._id, role },
+            process.env.JWT_SECRET,
+            {
+                expiresIn: CHALLENGE_EXPIRY_SECONDS,
+                algorithm: 'HS256',
+                audience: CHALLENGE_AUDIENCE,
+                jwtid: crypto.randomUUID()
+            }
+        );
+
+        return { challengeToken, expiresIn: CHALLENGE_EXPIRY_SECONDS };
+    }
+
+    /**
+     * Read a login challenge, rejecting it if it is forged or has expired
+     * @param {string} challengeToken - Token from the password step
+     * @returns {Object} { userId, role, jti, expiresAt }
+     */
+    readChallenge(challengeToken) {
+        let payload;
+        try {
+            payload = jwt.verify(challengeToken, process.env.JWT_SECRET, {
+                algorithms: ['HS256'],
+                audience: CHALLENGE_AUDIENCE
+            });
+        } catch (error) {
+            throw new ApiError(401, 'Sign-in challenge is invalid or has expired. Please sign in again');
+        }
+
+        return { userId: payload.id, role: payload.role, jti: payload.jti, expiresAt: payload.exp * 1000 };
+    }
+
+    /**
+     * Check a code against a login challenge
+     * A challenge allows a few attempts and can only be completed once.
+     * @param {Object} challenge - Result of readChallenge
+     * @param {string} code - TOTP or backup code
+     * @returns {Promise<string>} 'totp' or 'backup_code'
+     */
+    async completeChallenge(challenge, code) {
+        // Attempts are counted in the throttle store so every instance sees them
+        const store = getThrottleStore();
+        const key = `two-factor-challenge:${challenge.jti}`;
+        const expiresAt = new Date(challenge.expiresAt);
+
+        const attempts = await store.hit(key, Math.max(expiresAt.getTime() - Date.now(), 1000));
+        if (attempts.count > CHALLENGE_MAX_ATTEMPTS || attempts.blockedUntil > new Date()) {
+            throw new ApiError(429, 'Too many invalid codes. Please sign in again');
+        }
+
+        const method = await this.verify(challenge.userId, code);
+
+        // Spend the challenge
+        await store.block(key, expiresAt);
+
+        return method;
+    }
+
+    // Private helper methods
+
+    /**
+     * @private
+     */
+    _generateBackupCodes() {
+        return Array.from({ length: BACKUP_CODE_COUNT }, () => {
+            const code = crypto.randomBytes(4).toString('hex');
+            return `${code.slice(0, 4)}-${code.slice(4)}`;
+        });
+    }
+
+    /**
+     * @private
+     */
+    _normalizeBackupCode(code) {
+        const compact = code.replace('-', '').toLowerCase();
+        return `${compact.slice(0, 4)}-${compact.slice(4)}`;
+    }
+
+    /**
+     * @private
+     */
+    _hash(value) {
+        return crypto.createHash('sha256').update(value).digest('hex');
+    }
+
+    /**
+     * AES-256-GCM with a key from TWO_FACTOR_ENCRYPTION_KEY (falls back to JWT_SECRET)
+     * @private
+     */
+    _key() {
+        const keyMaterial = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+        return crypto.createHash('sha256').update(String(keyMaterial)).digest();
+    }
+
+    /**
+     * @private
+     */
+    _encrypt(plaintext) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this._key(), iv);
+        const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+        return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+    }
+
+    /**
+     * @private
+     */
+    _decrypt(value) {
+        const [iv, tag, encrypted] = value.split('.').map(part => Buffer.from(part, 'base64'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this._key(), iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    }
+}
+
+module.exports = new TwoFactorService();
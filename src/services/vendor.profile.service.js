@@ -1,6 +1,10 @@
 const mongoose = require('mongoose');
 const VendorProfile = require('../models/vendor.profile.model');
 const { ApiError } = require('../utils/apiError');
+const { logAudit } = require('../utils/auditLogger');
+
+// Fields managed by the platform rather than the vendor
+const PROTECTED_FIELDS = ['user', 'ratings', 'isVerified', 'status', 'suspension', '_id', 'createdAt', 'updatedAt'];
 
 class VendorProfileService {
     async createProfile(userId, profileData) {
@@ -14,7 +18,7 @@ class VendorProfileService {
         const profile = new VendorProfile({
             user: userId,
             ...profileData,
-            isVerified: true,  // Set verified by default
+            isVerified: false,  // Set through the verification review
             status: 'active',  // Set active by default
             ratings: {
                 average: 4.0,
@@ -26,9 +30,22 @@ class VendorProfileService {
     }
 
     async updateProfile(userId, updateData) {
+        const sanitized = { ...updateData };
+        PROTECTED_FIELDS.forEach(field => delete sanitized[field]);
+
+        // Verification covered the registered company name; a new one needs a new review
+        let verificationReset = false;
+        if (typeof sanitized.companyName === 'string') {
+            const current = await VendorProfile.findOne({ user: userId }).select('companyName isVerified');
+            verificationReset = Boolean(current?.isVerified && current.companyName !== sanitized.companyName.trim());
+            if (verificationReset) {
+                sanitized.isVerified = false;
+            }
+        }
+
         const profile = await VendorProfile.findOneAndUpdate(
             { user: userId },
-            { $set: updateData },
+            { $set: sanitized },
             { new: true, runValidators: true }
         );
 
@@ -36,6 +53,13 @@ class VendorProfileService {
             throw new ApiError(404, 'Vendor profile not found');
         }
 
+        if (verificationReset) {
+            logAudit('PROFILE_VERIFICATION_RESET', {
+                entityType: 'VendorProfile',
+                entityId: profile._id
+            }, userId);
+        }
+
         return profile;
     }
 
@@ -149,17 +173,24 @@ class VendorProfileService {
         };
     }
 
-    async deleteProfile(userId) {
+    async deleteProfile(userId, context = {}) {
         const profile = await VendorProfile.findOneAndDelete({ user: userId });
         
         if (!profile) {
             throw new ApiError(404, 'Vendor profile not found');
         }
 
+        logAudit('PROFILE_DELETED', {
+            entityType: 'VendorProfile',
+            entityId: profile._id,
+            companyName: profile.companyName,
+            ...context
+        }, userId, 'warn');
+
         return profile;
     }
 
-    async softDeleteProfile(userId) {
+    async softDeleteProfile(userId, context = {}) {
         const profile = await VendorProfile.findOneAndUpdate(
             { user: userId },
             { $set: { status: 'inactive' } },
@@ -170,6 +201,12 @@ class VendorProfileService {
             throw new ApiError(404, 'Vendor profile not found');
         }
 
+        logAudit('PROFILE_DEACTIVATED', {
+            entityType: 'VendorProfile',
+            entityId: profile._id,
+            ...context
+        }, userId);
+
         return profile;
     }
 }
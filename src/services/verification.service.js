@@ -0,0 +1,276 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+const VerificationRequest = require('../models/verification.request.model');
+const Notification = require('../models/notification.model');
+const { ApiError } = require('../utils/apiError');
+const logger = require('../utils/logger');
+const { logAdminAction } = require('../utils/auditLogger');
+const { sanitizeText } = require('../utils/sanitize');
+const { findBidderProfile, getBidderModel } = require('../utils/bidder');
+
+// Documents each kind of business must provide before review
+const REQUIRED_DOCUMENTS = {
+    VendorProfile: ['gst_certificate', 'identity'],
+    ConstructionProfile: ['gst_certificate', 'license', 'identity']
+};
+
+const DOCUMENT_LABELS = {
+    gst_certificate: 'GST certificate',
+    license: 'license',
+    identity: 'identity document',
+    other: 'supporting document'
+};
+
+class VerificationService {
+    /**
+     * Submit documents for verification (Vendor or construction firm action)
+     * @param {string} userId - Submitting user ID
+     * @param {string} userRole - Submitting user's role
+     * @param {Array} files - Uploaded files tagged with their document type
+     * @param {Object} data - { notes }
+     * @returns {Promise<Object>} Created verification request
+     */
+    async submitVerification(userId, userRole, files, { notes } = {}) {
+        try {
+            const bidder = await findBidderProfile(userId, userRole, 'isVerified status');
+            if (!bidder) {
+                throw new ApiError(404, 'Create your business profile before requesting verification');
+            }
+            const { profile, bidderType } = bidder;
+
+            if (profile.isVerified) {
+                throw new ApiError(400, 'Your profile is already verified');
+            }
+
+            const pending = await VerificationRequest.exists({ profile: profile._id, status: 'PENDING' });
+            if (pending) {
+                throw new ApiError(400, 'A verification request is already awaiting review');
+            }
+
+            const submittedTypes = new Set(files.map(file => file.fieldname));
+            const missing = REQUIRED_DOCUMENTS[bidderType].filter(type => !submittedTypes.has(type));
+            if (missing.length > 0) {
+                throw new ApiError(400, `Missing required documents: ${missing.map(type => DOCUMENT_LABELS[type]).join(', ')}`);
+            }
+
+            const request = await VerificationRequest.create({
+                profile: profile._id,
+                profileType: bidderType,
+                user: userId,
+                notes: sanitizeText(notes),
+                documents: files.map(file => ({
+                    type: file.fieldname,
+                    originalName: file.originalname,
+                    path: file.path,
+                    mimeType: file.mimetype,
+                    size: file.size
+                }))
+            });
+
+            logger.info('Verification request submitted', { requestId: request._id.toString(), bidderType });
+
+            return this._toPublicRequest(request.toObject());
+        } catch (error) {
+            logger.error('Error submitting verification', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            if (error.name === 'ValidationError') {
+                throw new ApiError(400, 'Invalid verification request', error.errors);
+            }
+            throw new ApiError(500, 'Error submitting verification', error);
+        }
+    }
+
+    /**
+     * Verification state of the user's own profile
+     * @param {string} userId - User ID
+     * @param {string} userRole - User's role
+     * @returns {Promise<Object>} { isVerified, requiredDocuments, latestRequest }
+     */
+    async getVerificationStatus(userId, userRole) {
+        try {
+            const bidder = await findBidderProfile(userId, userRole, 'isVerified');
+            if (!bidder) {
+                throw new ApiError(404, 'Business profile not found');
+            }
+
+            const latestRequest = await VerificationRequest.findOne({ profile: bidder.profile._id })
+                .sort({ createdAt: -1 })
+                .lean();
+
+            return {
+                isVerified: Boolean(bidder.profile.isVerified),
+                requiredDocuments: REQUIRED_DOCUMENTS[bidder.bidderType],
+                latestRequest: latestRequest ? this._toPublicRequest(latestRequest) : null
+            };
+        } catch (error) {
+            logger.error('Error retrieving verification status', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, 'Error retrieving verification status', error);
+        }
+    }
+
+    /**
+     * Review queue, oldest submissions first (Admin action)
+     * @param {Object} filters - { status, profileType, page, limit }
+     * @returns {Promise<Object>} Requests with pagination
+     */
+    async getReviewQueue({ status = 'PENDING', profileType, page = 1, limit = 20 } = {}) {
+        try {
+            const query = { status };
+            if (profileType) {
+                query.profileType = profileType;
+            }
+
+            const [requests, total] = await Promise.all([
+                VerificationRequest.find(query)
+                    .populate('profile', 'companyName location gstDetails.number licenses')
+                    .populate('user', 'firstName lastName email phone')
+                    .sort({ createdAt: status === 'PENDING' ? 1 : -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit)
+                    .lean(),
+                VerificationRequest.countDocuments(query)
+            ]);
+
+            return {
+                requests: requests.map(request => this._toPublicRequest(request)),
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            };
+        } catch (error) {
+            logger.error('Error retrieving verification queue', { error: error.message });
+            throw new ApiError(500, 'Error retrieving verification queue', error);
+        }
+    }
+
+    /**
+     * Full verification request with the submitting profile (Admin action)
+     * @param {string} requestId - Verification request ID
+     * @returns {Promise<Object>} Verification request
+     */
+    async getRequest(requestId) {
+        const request = await this._findRequest(requestId);
+        await request.populate([
+            { path: 'profile', select: '-financialDetails.bankingInfo' },
+            { path: 'user', select: 'firstName lastName email phone' },
+            { path: 'review.reviewedBy', select: 'firstName lastName email' }
+        ]);
+        return this._toPublicRequest(request.toObject());
+    }
+
+    /**
+     * Locate an uploaded document on disk (Admin action)
+     * @param {string} requestId - Verification request ID
+     * @param {string} documentId - Document ID
+     * @returns {Promise<Object>} { path, originalName, mimeType }
+     */
+    async getDocumentFile(requestId, documentId) {
+        const request = await this._findRequest(requestId);
+
+        const document = request.documents.id(documentId);
+        if (!document || !fs.existsSync(document.path)) {
+            throw new ApiError(404, 'Document not found');
+        }
+
+        return {
+            path: document.path,
+            originalName: document.originalName,
+            mimeType: document.mimeType
+        };
+    }
+
+    /**
+     * Approve or reject a verification request (Admin action)
+     * @param {string} requestId - Verification request ID
+     * @param {string} adminId - Reviewing admin's user ID
+     * @param {Object} decision - { decision: 'approve'|'reject', reason }
+     * @param {Object} context - { ip, userAgent } of the admin request
+     * @returns {Promise<Object>} Reviewed request
+     */
+    async reviewRequest(requestId, adminId, { decision, reason }, context = {}) {
+        try {
+            const request = await this._findRequest(requestId);
+            if (request.status !== 'PENDING') {
+                throw new ApiError(400, `This request has already been ${request.status.toLowerCase()}`);
+            }
+
+            const approved = decision === 'approve';
+            if (!approved && !reason) {
+                throw new ApiError(400, 'A reason is required when rejecting a verification request');
+            }
+
+            request.status = approved ? 'APPROVED' : 'REJECTED';
+            request.review = {
+                reviewedBy: adminId,
+                reviewedAt: new Date(),
+                reason: sanitizeText(reason)
+            };
+            await request.save();
+
+            await getBidderModel(request.profileType).updateOne(
+                { _id: request.profile },
+                { $set: { isVerified: approved } }
+            );
+
+            logAdminAction(approved ? 'VERIFICATION_APPROVED' : 'VERIFICATION_REJECTED', adminId, {
+                entityType: request.profileType,
+                entityId: request.profile,
+                requestId: request._id,
+                reason: request.review.reason,
+                ip: context.ip,
+                userAgent: context.userAgent
+            });
+
+            await Notification.create({
+                user: request.user,
+                type: approved ? 'VERIFICATION_APPROVED' : 'VERIFICATION_REJECTED',
+                severity: approved ? 'info' : 'warning',
+                title: approved ? 'Profile verified' : 'Verification rejected',
+                message: approved
+                    ? 'Your business profile has been verified.'
+                    : `Your verification request was rejected: ${request.review.reason}. You can submit new documents.`,
+                data: { requestId: request._id, profileId: request.profile }
+            });
+
+            return this._toPublicRequest(request.toObject());
+        } catch (error) {
+            logger.error('Error reviewing verification request', { error: error.message });
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, 'Error reviewing verification request', error);
+        }
+    }
+
+    // Private helper methods
+
+    /**
+     * @private
+     */
+    async _findRequest(requestId) {
+        if (!mongoose.Types.ObjectId.isValid(requestId)) {
+            throw new ApiError(400, 'Invalid verification request ID');
+        }
+
+        const request = await VerificationRequest.findById(requestId);
+        if (!request) {
+            throw new ApiError(404, 'Verification request not found');
+        }
+        return request;
+    }
+
+    /**
+     * Hide server file paths from API responses
+     * @private
+     */
+    _toPublicRequest(request) {
+        return {
+            ...request,
+            documents: (request.documents || []).map(({ path, ...document }) => document)
+        };
+    }
+}
+
+module.exports = new VerificationService();
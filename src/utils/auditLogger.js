@@ -1,51 +1,42 @@
-const winston = require('winston');
-const path = require('path');
+/**
+ * Audit logging
+ * Audit events are written as structured entries through the application logger
+ * and persisted to the AuditEvent collection so they can be browsed later.
+ */
+const logger = require('./logger');
+const AuditEvent = require('../models/audit.event.model');
 
-// Create logs directory if it doesn't exist
-const fs = require('fs');
-const logsDir = path.join(__dirname, '../../logs');
-if (!fs.existsSync(logsDir)) {
-    fs.mkdirSync(logsDir);
-}
+/**
+ * Record an audit event
+ * `entityType`, `entityId`, `ip` and `userAgent` in data are stored as their own fields.
+ * @param {string} event - Event name
+ * @param {Object} data - Event details
+ * @param {string} userId - Acting user ID; null for system jobs
+ * @param {string} level - Log level
+ */
+const logAudit = (event, data = {}, userId = null, level = 'info') => {
+    const { entityType, entityId, ip, userAgent, ...details } = data;
 
-// Create Winston logger
-const auditLogger = winston.createLogger({
-    level: 'info',
-    format: winston.format.combine(
-        winston.format.timestamp(),
-        winston.format.json()
-    ),
-    transports: [
-        // Write all logs to audit.log
-        new winston.transports.File({ 
-            filename: path.join(logsDir, 'audit.log'),
-            maxsize: 5242880, // 5MB
-            maxFiles: 5,
-        }),
-        // Write security events to security.log
-        new winston.transports.File({ 
-            filename: path.join(logsDir, 'security.log'),
-            level: 'warn',
-            maxsize: 5242880, // 5MB
-            maxFiles: 5,
-        })
-    ]
-});
-
-// Add console logging in development
-if (process.env.NODE_ENV !== 'production') {
-    auditLogger.add(new winston.transports.Console({
-        format: winston.format.simple()
-    }));
-}
-
-const logAudit = (event, data, userId = null, level = 'info') => {
-    auditLogger.log(level, event, {
+    logger[level](`[AUDIT] ${event}`, {
         userId,
         timestamp: new Date(),
         data,
-        ip: data.ip || 'unknown',
-        userAgent: data.userAgent || 'unknown'
+        ip: ip || 'unknown',
+        userAgent: userAgent || 'unknown'
+    });
+
+    // Persisting must never fail the operation being audited
+    AuditEvent.create({
+        event,
+        level,
+        actor: userId,
+        entityType,
+        entityId,
+        data: details,
+        ip,
+        userAgent
+    }).catch((error) => {
+        logger.error('Failed to persist audit event', { event, error: error.message });
     });
 };
 
@@ -55,11 +46,16 @@ const logSecurityEvent = (event, data, userId = null) => {
 };
 
 // Admin action logging
-const logAdminAction = (action, adminId, data) => {
+const logAdminAction = (action, adminId, data = {}) => {
+    const { ip, userAgent, entityType, entityId, ...details } = data;
     logAudit('ADMIN_ACTION', {
         action,
         adminId,
-        details: data
+        details,
+        entityType,
+        entityId,
+        ip,
+        userAgent
     }, adminId, 'warn');
 };
 
@@ -71,9 +67,21 @@ const logAuthEvent = (event, userId, success, data) => {
     }, userId, success ? 'info' : 'warn');
 };
 
+// Status transition logging, e.g. BID_STATUS_CHANGED
+const logStatusChange = (entityType, entityId, from, to, userId = null, data = {}) => {
+    logAudit(`${entityType.toUpperCase()}_STATUS_CHANGED`, {
+        entityType,
+        entityId,
+        from,
+        to,
+        ...data
+    }, userId);
+};
+
 module.exports = {
     logAudit,
     logSecurityEvent,
     logAdminAction,
-    logAuthEvent
+    logAuthEvent,
+    logStatusChange
 };
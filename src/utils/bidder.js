@@ -0,0 +1,86 @@
+/**
+ * Bidder profile helpers
+ * Bids can be placed by vendors (VendorProfile) or construction firms
+ * (ConstructionProfile). The profile model follows from the user's role.
+ */
+const VendorProfile = require('../models/vendor.profile.model');
+const ConstructionProfile = require('../models/construction.profile.model');
+
+const BIDDER_MODELS = {
+    VendorProfile,
+    ConstructionProfile
+};
+
+const BIDDER_TYPES_BY_ROLE = {
+    vendor_supplier: 'VendorProfile',
+    construction_firm: 'ConstructionProfile'
+};
+
+const BIDDER_TYPES = Object.keys(BIDDER_MODELS);
+
+/**
+ * Profile model name for a bidding role
+ * @param {string} role - User role
+ * @returns {string|null} 'VendorProfile', 'ConstructionProfile' or null
+ */
+const getBidderType = (role) => BIDDER_TYPES_BY_ROLE[role] || null;
+
+/**
+ * Profile model for a bidder type (defaults to VendorProfile for older bids)
+ * @param {string} bidderType - Profile model name
+ * @returns {mongoose.Model} Profile model
+ */
+const getBidderModel = (bidderType) => BIDDER_MODELS[bidderType] || VendorProfile;
+
+/**
+ * Find the bidder profile belonging to a user
+ * @param {string} userId - User ID
+ * @param {string} [role] - User role; every bidder type is checked when omitted
+ * @param {string} [select] - Fields to select
+ * @returns {Promise<Object|null>} { profile, bidderType } or null
+ */
+const findBidderProfile = async (userId, role, select) => {
+    const types = role ? [getBidderType(role)].filter(Boolean) : BIDDER_TYPES;
+
+    for (const bidderType of types) {
+        const query = BIDDER_MODELS[bidderType].findOne({ user: userId });
+        if (select) {
+            query.select(select);
+        }
+        const profile = await query.lean();
+        if (profile) {
+            return { profile, bidderType };
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Find a bidder profile by its own ID when the bidder type is unknown
+ * @param {string} profileId - VendorProfile or ConstructionProfile ID
+ * @param {string} [select] - Fields to select
+ * @returns {Promise<Object|null>} { profile, bidderType } or null
+ */
+const findBidderProfileById = async (profileId, select) => {
+    for (const bidderType of BIDDER_TYPES) {
+        const query = BIDDER_MODELS[bidderType].findById(profileId);
+        if (select) {
+            query.select(select);
+        }
+        const profile = await query.lean();
+        if (profile) {
+            return { profile, bidderType };
+        }
+    }
+
+    return null;
+};
+
+module.exports = {
+    BIDDER_TYPES,
+    getBidderType,
+    getBidderModel,
+    findBidderProfile,
+    findBidderProfileById
+};
@@ -0,0 +1,186 @@
+/**
+ * Shared cache
+ * Services get a namespaced cache with getCache(namespace). Entries live in the
+ * store selected by CACHE_STORE; with a per-instance store, deletes are replayed
+ * on the other instances through cache invalidation events.
+ * Cache failures are logged and treated as misses, never surfaced to callers.
+ */
+const { getCacheStore } = require('./cacheStores');
+const cacheInvalidation = require('./cacheInvalidation');
+const logger = require('./logger');
+
+const DEFAULT_TTL = 5 * 60 * 1000; // 5 minutes
+
+const caches = new Map();
+
+class Cache {
+    constructor(namespace, { ttl = DEFAULT_TTL } = {}) {
+        this.namespace = namespace;
+        this.ttl = ttl;
+        this.counters = { hits: 0, misses: 0, sets: 0, deletes: 0, remoteInvalidations: 0, errors: 0 };
+    }
+
+    // Resolved per call so CACHE_STORE can be set after this module loads
+    get store() {
+        return getCacheStore();
+    }
+
+    /**
+     * @param {string} key - Key within the namespace
+     * @returns {Promise<*>} Cached value, or null on a miss
+     */
+    async get(key) {
+        try {
+            const value = await this.store.get(this._key(key));
+            if (value === null || value === undefined) {
+                this.counters.misses++;
+                return null;
+            }
+            this.counters.hits++;
+            return value;
+        } catch (error) {
+            this._fail('read', error);
+            this.counters.misses++;
+            return null;
+        }
+    }
+
+    /**
+     * @param {string} key - Key within the namespace
+     * @param {*} value - Plain data; external stores keep it as JSON
+     * @param {number} ttl - Lifetime in ms (defaults to the namespace TTL)
+     */
+    async set(key, value, ttl = this.ttl) {
+        if (ttl <= 0) return;
+        try {
+            await this.store.set(this._key(key), value, ttl);
+            this.counters.sets++;
+        } catch (error) {
+            this._fail('write', error);
+        }
+    }
+
+    /**
+     * Drop a key on every instance
+     * @param {string} key - Key within the namespace
+     */
+    async delete(key) {
+        await this._invalidate({ key });
+    }
+
+    /**
+     * Drop every key starting with the prefix on every instance
+     * @param {string} prefix - Key prefix within the namespace
+     */
+    async deleteByPrefix(prefix) {
+        await this._invalidate({ prefix });
+    }
+
+    /**
+     * Usage counters for this instance and the number of entries in the store
+     * @returns {Promise<Object>} Stats
+     */
+    async stats() {
+        let size = null;
+        try {
+            size = await this.store.size(this._key(''));
+        } catch (error) {
+            this._fail('size', error);
+        }
+
+        const lookups = this.counters.hits + this.counters.misses;
+        return {
+            ...this.counters,
+            hitRate: lookups > 0 ? Math.round((this.counters.hits / lookups) * 1000) / 1000 : null,
+            size,
+            ttl: this.ttl
+        };
+    }
+
+    /**
+     * Remove entries from the store without broadcasting
+     * @private
+     */
+    async _apply({ key, prefix }) {
+        try {
+            if (prefix !== undefined && prefix !== null) {
+                await this.store.deleteByPrefix(this._key(prefix));
+            } else {
+                await this.store.delete(this._key(key));
+            }
+            this.counters.deletes++;
+        } catch (error) {
+            this._fail('delete', error);
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _invalidate(event) {
+        await this._apply(event);
+        if (!this.store.shared) {
+            await cacheInvalidation.publish({ namespace: this.namespace, ...event });
+        }
+    }
+
+    /**
+     * @private
+     */
+    _key(key) {
+        return `${this.namespace}:${key}`;
+    }
+
+    /**
+     * @private
+     */
+    _fail(operation, error) {
+        this.counters.errors++;
+        logger.warn(`Cache ${operation} failed`, { namespace: this.namespace, error: error.message });
+    }
+}
+
+/**
+ * Cache for a namespace, created on first use
+ * Options only apply when the namespace is created.
+ * @param {string} namespace - e.g. 'projects'
+ * @param {Object} options - { ttl } default lifetime in ms
+ * @returns {Cache}
+ */
+const getCache = (namespace, options = {}) => {
+    if (!caches.has(namespace)) {
+        caches.set(namespace, new Cache(namespace, options));
+    }
+    return caches.get(namespace);
+};
+
+/**
+ * Stats of every namespace used by this instance
+ * @returns {Promise<Object>} { store, instance, namespaces }
+ */
+const getCacheStats = async () => {
+    const namespaces = {};
+    for (const [namespace, cache] of caches.entries()) {
+        namespaces[namespace] = await cache.stats();
+    }
+
+    return {
+        store: getCacheStore().name,
+        instance: cacheInvalidation.INSTANCE_ID,
+        namespaces
+    };
+};
+
+// Replay deletes made on other instances against this instance's store
+cacheInvalidation.subscribe(async (event) => {
+    const cache = caches.get(event.namespace);
+    if (!cache || cache.store.shared) return;
+
+    await cache._apply(event);
+    cache.counters.remoteInvalidations++;
+});
+
+module.exports = {
+    getCache,
+    getCacheStats
+};
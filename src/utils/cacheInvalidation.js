@@ -0,0 +1,88 @@
+/**
+ * Cache invalidation events between app instances
+ * Events are written to the cacheinvalidations collection and every instance
+ * polls for the ones it did not publish itself.
+ */
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const CacheInvalidation = require('../models/cache.invalidation.model');
+const logger = require('./logger');
+
+const INSTANCE_ID = crypto.randomUUID();
+const POLL_INTERVAL_MS = 2000;
+// Re-read this far back so events written late by a slow instance are not missed
+const POLL_OVERLAP_MS = 5000;
+
+const handlers = [];
+// Event ID -> createdAt (ms) of events already handled within the overlap
+const seenEvents = new Map();
+let lastPollAt = Date.now();
+let polling = false;
+
+const poll = async () => {
+    if (polling || mongoose.connection.readyState !== 1) return;
+    polling = true;
+
+    try {
+        const since = new Date(lastPollAt - POLL_OVERLAP_MS);
+        lastPollAt = Date.now();
+
+        const events = await CacheInvalidation.find({ createdAt: { $gte: since }, origin: { $ne: INSTANCE_ID } })
+            .sort('createdAt')
+            .lean();
+
+        for (const event of events) {
+            const eventId = event._id.toString();
+            if (seenEvents.has(eventId)) continue;
+            seenEvents.set(eventId, event.createdAt.getTime());
+
+            for (const handler of handlers) {
+                await handler({ namespace: event.namespace, key: event.key, prefix: event.prefix });
+            }
+        }
+
+        for (const [eventId, createdAt] of seenEvents.entries()) {
+            if (createdAt < since.getTime()) {
+                seenEvents.delete(eventId);
+            }
+        }
+    } catch (error) {
+        logger.error('Failed to read cache invalidations', { error: error.message });
+    } finally {
+        polling = false;
+    }
+};
+
+setInterval(poll, POLL_INTERVAL_MS).unref();
+
+/**
+ * Tell the other instances to drop a key or every key under a prefix
+ * @param {Object} event - { namespace, key } or { namespace, prefix }
+ */
+const publish = async (event) => {
+    // Without a connection the insert would wait in Mongoose's command buffer
+    if (mongoose.connection.readyState !== 1) {
+        logger.warn('Cache invalidation not published: database is not connected', { namespace: event.namespace });
+        return;
+    }
+
+    try {
+        await CacheInvalidation.create({ ...event, origin: INSTANCE_ID });
+    } catch (error) {
+        logger.error('Failed to publish cache invalidation', { namespace: event.namespace, error: error.message });
+    }
+};
+
+/**
+ * Run a handler for every event published by another instance
+ * @param {Function} handler - async ({ namespace, key, prefix }) => void
+ */
+const subscribe = (handler) => {
+    handlers.push(handler);
+};
+
+module.exports = {
+    INSTANCE_ID,
+    publish,
+    subscribe
+};
@@ -0,0 +1,36 @@
+/**
+ * Cache store registry
+ * Stores implement get, set, delete, deleteByPrefix and size on namespaced keys,
+ * and set `shared` when every instance reads the same entries.
+ * The active store is chosen with the CACHE_STORE environment variable (default: memory).
+ */
+const MemoryCacheStore = require('./memory.store');
+const MongoCacheStore = require('./mongo.store');
+
+const REQUIRED_METHODS = ['get', 'set', 'delete', 'deleteByPrefix', 'size'];
+
+const stores = new Map();
+
+const registerCacheStore = (name, store) => {
+    const missing = REQUIRED_METHODS.filter(method => typeof store[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`Cache store "${name}" is missing: ${missing.join(', ')}`);
+    }
+    stores.set(name, store);
+};
+
+const getCacheStore = (name = process.env.CACHE_STORE || 'memory') => {
+    const store = stores.get(name);
+    if (!store) {
+        throw new Error(`Cache store "${name}" is not registered`);
+    }
+    return store;
+};
+
+registerCacheStore('memory', new MemoryCacheStore());
+registerCacheStore('mongo', new MongoCacheStore());
+
+module.exports = {
+    registerCacheStore,
+    getCacheStore
+};
@@ -0,0 +1,74 @@
+/**
+ * Cache store kept in process memory
+ * Entries are held by reference and evicted least recently used first.
+ * Each instance has its own copy, so invalidations are broadcast to the others.
+ */
+const DEFAULT_MAX_ENTRIES = 5000;
+
+class MemoryCacheStore {
+    constructor(maxEntries = parseInt(process.env.CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES) {
+        this.name = 'memory';
+        this.shared = false;
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+
+        // Drop expired entries
+        setInterval(() => {
+            const now = Date.now();
+            for (const [key, entry] of this.entries.entries()) {
+                if (now > entry.expiresAt) {
+                    this.entries.delete(key);
+                }
+            }
+        }, 60 * 1000).unref();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (Date.now() > entry.expiresAt) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        // Move to the back so eviction takes the least recently used entry
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    async set(key, value, ttlMs) {
+        this.entries.delete(key);
+        if (this.entries.size >= this.maxEntries) {
+            const oldestKey = this.entries.keys().next().value;
+            this.entries.delete(oldestKey);
+        }
+        this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async deleteByPrefix(prefix) {
+        let deleted = 0;
+        for (const key of this.entries.keys()) {
+            if (key.startsWith(prefix)) {
+                this.entries.delete(key);
+                deleted++;
+            }
+        }
+        return deleted;
+    }
+
+    async size(prefix) {
+        let count = 0;
+        for (const key of this.entries.keys()) {
+            if (key.startsWith(prefix)) count++;
+        }
+        return count;
+    }
+}
+
+module.exports = MemoryCacheStore;
@@ -0,0 +1,47 @@
+const CacheEntry = require('../../models/cache.entry.model');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Cache store backed by the cacheentries collection
+ * Shared by every instance, so invalidations need no broadcast.
+ */
+class MongoCacheStore {
+    constructor() {
+        this.name = 'mongo';
+        this.shared = true;
+    }
+
+    async get(key) {
+        const entry = await CacheEntry.findOne({ key, expiresAt: { $gt: new Date() } })
+            .select('value')
+            .lean();
+        return entry ? JSON.parse(entry.value) : null;
+    }
+
+    async set(key, value, ttlMs) {
+        await CacheEntry.updateOne(
+            { key },
+            { $set: { value: JSON.stringify(value), expiresAt: new Date(Date.now() + ttlMs) } },
+            { upsert: true }
+        );
+    }
+
+    async delete(key) {
+        await CacheEntry.deleteOne({ key });
+    }
+
+    async deleteByPrefix(prefix) {
+        const result = await CacheEntry.deleteMany({ key: { $regex: `^${escapeRegex(prefix)}` } });
+        return result.deletedCount;
+    }
+
+    async size(prefix) {
+        return CacheEntry.countDocuments({
+            key: { $regex: `^${escapeRegex(prefix)}` },
+            expiresAt: { $gt: new Date() }
+        });
+    }
+}
+
+module.exports = MongoCacheStore;
@@ -0,0 +1,29 @@
+/**
+ * CSV export helpers
+ */
+
+/**
+ * Escape a single CSV cell (RFC 4180)
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+const escapeCell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = value.toString();
+    // Prefix formula-like values so spreadsheets do not evaluate them
+    const safe = /^[=+\-@]/.test(text) && isNaN(Number(text)) ? `'${text}` : text;
+    return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+/**
+ * Convert rows of cells to a CSV string
+ * @param {Array<Array<*>>} rows - Rows including the header row
+ * @returns {string} CSV text
+ */
+const toCsv = (rows) => rows
+    .map(row => row.map(escapeCell).join(','))
+    .join('\r\n');
+
+module.exports = {
+    toCsv
+};
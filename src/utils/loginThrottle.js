@@ -0,0 +1,140 @@
+const { getThrottleStore } = require('./throttleStores');
+const { ApiError } = require('./apiError');
+const logger = require('./logger');
+const { logSecurityEvent } = require('./auditLogger');
+const { loginThrottleConfig } = require('../config/security');
+
+const { account: ACCOUNT, ip: IP } = loginThrottleConfig;
+
+/**
+ * Failed sign-in tracking shared by every app instance
+ * Accounts wait progressively longer between failures and are locked after
+ * too many; addresses that fail across many accounts are blocked outright.
+ */
+class LoginThrottle {
+    // Resolved per call so THROTTLE_STORE can be set after this module loads
+    get store() {
+        return getThrottleStore();
+    }
+
+    /**
+     * Reject the attempt while the address is blocked
+     * @param {string} ip - Client address
+     */
+    async assertIpAllowed(ip) {
+        if (!ip) return;
+
+        const blockedUntil = await this._blockedUntil(this._ipKey(ip));
+        if (blockedUntil) {
+            logSecurityEvent('LOGIN_THROTTLED', { reason: 'IP_BLOCKED', ip, blockedUntil });
+            throw new ApiError(429, `IP blocked due to too many failed attempts. Try again in ${this._formatWait(blockedUntil)}`);
+        }
+    }
+
+    /**
+     * Reject the attempt while the address is blocked or the account is locked or waiting out a delay
+     * @param {Object} attempt - { email, ip }
+     */
+    async assertAllowed({ email, ip }) {
+        await this.assertIpAllowed(ip);
+
+        const blockedUntil = await this._blockedUntil(this._accountKey(email));
+        if (blockedUntil) {
+            logSecurityEvent('LOGIN_THROTTLED', { reason: 'ACCOUNT_THROTTLED', email, ip, blockedUntil });
+            throw new ApiError(429, `Too many failed sign-in attempts. Try again in ${this._formatWait(blockedUntil)}`);
+        }
+    }
+
+    /**
+     * Count a failed attempt against the account and the address
+     * Store errors are logged rather than thrown so the original failure reaches the client.
+     * @param {Object} attempt - { email, ip }
+     * @param {Object} context - { userId, userAgent } for the security log
+     */
+    async recordFailure({ email, ip }, { userId = null, userAgent } = {}) {
+        try {
+            const now = Date.now();
+            const accountKey = this._accountKey(email);
+
+            const account = await this.store.hit(accountKey, ACCOUNT.windowMs);
+            if (account.count >= ACCOUNT.maxFailures) {
+                const lockedUntil = new Date(now + ACCOUNT.lockDuration);
+                await this.store.block(accountKey, lockedUntil);
+                logSecurityEvent('ACCOUNT_LOCKED', { email: this._normalize(email), failures: account.count, lockedUntil, ip, userAgent }, userId);
+            } else if (account.count >= ACCOUNT.delayAfter) {
+                const delay = Math.min(ACCOUNT.baseDelay * 2 ** (account.count - ACCOUNT.delayAfter), ACCOUNT.maxDelay);
+                await this.store.block(accountKey, new Date(now + delay));
+            }
+
+            if (ip) {
+                const address = await this.store.hit(this._ipKey(ip), IP.windowMs);
+                if (address.count === IP.maxFailures) {
+                    const blockedUntil = new Date(now + IP.blockDuration);
+                    await this.store.block(this._ipKey(ip), blockedUntil);
+                    logSecurityEvent('IP_BLOCKED', { failures: address.count, blockedUntil, ip, userAgent });
+                }
+            }
+        } catch (error) {
+            logger.error('Failed to record sign-in failure', { error: error.message });
+        }
+    }
+
+    /**
+     * Clear the account's failures after a completed sign-in
+     * The address keeps its count, so one good account cannot mask guessing at others.
+     * @param {Object} attempt - { email }
+     */
+    async recordSuccess({ email }) {
+        await this.store.reset(this._accountKey(email));
+    }
+
+    /**
+     * Lift a lock, e.g. once the owner has reset their password
+     * @param {string} email - Account email
+     */
+    async unlockAccount(email) {
+        await this.store.reset(this._accountKey(email));
+    }
+
+    // Private helper methods
+
+    /**
+     * @private
+     */
+    async _blockedUntil(key) {
+        const record = await this.store.get(key);
+        const blockedUntil = record?.blockedUntil ? new Date(record.blockedUntil) : null;
+        return blockedUntil && blockedUntil > new Date() ? blockedUntil : null;
+    }
+
+    /**
+     * @private
+     */
+    _accountKey(email) {
+        return `account:${this._normalize(email)}`;
+    }
+
+    /**
+     * @private
+     */
+    _normalize(email) {
+        return String(email).trim().toLowerCase();
+    }
+
+    /**
+     * @private
+     */
+    _ipKey(ip) {
+        return `ip:${ip}`;
+    }
+
+    /**
+     * @private
+     */
+    _formatWait(until) {
+        const seconds = Math.ceil((until.getTime() - Date.now()) / 1000);
+        return seconds < 60 ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minutes`;
+    }
+}
+
+module.exports = new LoginThrottle();
@@ -0,0 +1,28 @@
+/**
+ * Input sanitization helpers
+ */
+
+/**
+ * Sanitize text input (prevent XSS)
+ * @param {*} text - Value to sanitize
+ * @returns {string|*} Trimmed string without angle brackets, or the original falsy value
+ */
+const sanitizeText = (text) => {
+    if (!text) return text;
+    return text
+        .toString()
+        .replace(/[<>]/g, '') // Remove < and >
+        .trim();
+};
+
+/**
+ * Escape user input for use inside a regular expression
+ * @param {string} text - Raw search text
+ * @returns {string} Text with regex metacharacters escaped
+ */
+const escapeRegex = (text) => text.toString().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+    sanitizeText,
+    escapeRegex
+};
@@ -1,86 +1,66 @@
-const Redis = require('ioredis');
-const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
+const { getSessionStore } = require('./sessionStores');
+
+// Sessions slide forward on activity and end after this long without it
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
 
 class SessionManager {
-    constructor() {
-        this.redis = new Redis({
-            host: process.env.REDIS_HOST || 'localhost',
-            port: process.env.REDIS_PORT || 6379,
-            password: process.env.REDIS_PASSWORD,
-            keyPrefix: 'session:'
-        });
+    // Resolved per call so SESSION_STORE can be set after this module loads
+    get store() {
+        return getSessionStore();
     }
 
     // Create new session
-    async createSession(userId, deviceInfo) {
-        const sessionId = uuidv4();
+    async createSession(userId, deviceInfo = {}) {
+        const now = new Date();
         const session = {
+            sessionId: crypto.randomUUID(),
             userId,
-            deviceInfo,
-            createdAt: Date.now(),
-            lastActivity: Date.now()
+            deviceInfo: {
+                ip: deviceInfo.ip,
+                userAgent: deviceInfo.userAgent
+            },
+            lastActivity: now,
+            expiresAt: new Date(now.getTime() + SESSION_TTL_MS)
         };
 
-        await this.redis.set(
-            sessionId,
-            JSON.stringify(session),
-            'EX',
-            24 * 60 * 60 // 24 hours
-        );
+        await this.store.create(session);
 
-        return sessionId;
+        return session.sessionId;
     }
 
     // Get session
     async getSession(sessionId) {
-        const session = await this.redis.get(sessionId);
-        return session ? JSON.parse(session) : null;
+        return this.store.get(sessionId);
     }
 
     // Update session activity
-    async updateActivity(sessionId) {
-        const session = await this.getSession(sessionId);
-        if (session) {
-            session.lastActivity = Date.now();
-            await this.redis.set(
-                sessionId,
-                JSON.stringify(session),
-                'EX',
-                24 * 60 * 60
-            );
+    async updateActivity(sessionId, deviceInfo = {}) {
+        const now = new Date();
+        const fields = {
+            lastActivity: now,
+            expiresAt: new Date(now.getTime() + SESSION_TTL_MS)
+        };
+        if (deviceInfo.ip || deviceInfo.userAgent) {
+            fields.deviceInfo = { ip: deviceInfo.ip, userAgent: deviceInfo.userAgent };
         }
+
+        await this.store.update(sessionId, fields);
     }
 
     // Invalidate session
     async invalidateSession(sessionId) {
-        await this.redis.del(sessionId);
+        await this.store.delete(sessionId);
     }
 
-    // Invalidate all sessions for user
+    // Invalidate all sessions for user; returns the IDs that were removed
     async invalidateUserSessions(userId) {
-        const keys = await this.redis.keys(`session:*`);
-        for (const key of keys) {
-            const session = await this.getSession(key.replace('session:', ''));
-            if (session && session.userId === userId) {
-                await this.invalidateSession(key.replace('session:', ''));
-            }
-        }
+        return this.store.deleteByUser(userId);
     }
 
-    // Get all active sessions for user
+    // Get all active sessions for user, most recently used first
     async getUserSessions(userId) {
-        const keys = await this.redis.keys(`session:*`);
-        const sessions = [];
-        for (const key of keys) {
-            const session = await this.getSession(key.replace('session:', ''));
-            if (session && session.userId === userId) {
-                sessions.push({
-                    sessionId: key.replace('session:', ''),
-                    ...session
-                });
-            }
-        }
-        return sessions;
+        return this.store.listByUser(userId);
     }
 }
 
@@ -0,0 +1,35 @@
+/**
+ * Session store registry
+ * Stores implement create, get, update, delete, listByUser and deleteByUser.
+ * The active store is chosen with the SESSION_STORE environment variable (default: mongo).
+ */
+const MongoSessionStore = require('./mongo.store');
+const MemorySessionStore = require('./memory.store');
+
+const REQUIRED_METHODS = ['create', 'get', 'update', 'delete', 'listByUser', 'deleteByUser'];
+
+const stores = new Map();
+
+const registerSessionStore = (name, store) => {
+    const missing = REQUIRED_METHODS.filter(method => typeof store[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`Session store "${name}" is missing: ${missing.join(', ')}`);
+    }
+    stores.set(name, store);
+};
+
+const getSessionStore = (name = process.env.SESSION_STORE || 'mongo') => {
+    const store = stores.get(name);
+    if (!store) {
+        throw new Error(`Session store "${name}" is not registered`);
+    }
+    return store;
+};
+
+registerSessionStore('mongo', new MongoSessionStore());
+registerSessionStore('memory', new MemorySessionStore());
+
+module.exports = {
+    registerSessionStore,
+    getSessionStore
+};
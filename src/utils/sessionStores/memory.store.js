@@ -0,0 +1,70 @@
+/**
+ * Session store kept in process memory, for development and tests
+ * Sessions are lost on restart and are not shared between instances.
+ */
+class MemorySessionStore {
+    constructor() {
+        this.name = 'memory';
+        this.sessions = new Map();
+        // userId -> Set of session IDs
+        this.userIndex = new Map();
+    }
+
+    async create(session) {
+        const stored = { ...session, userId: session.userId.toString(), createdAt: new Date() };
+        this.sessions.set(session.sessionId, stored);
+
+        if (!this.userIndex.has(stored.userId)) {
+            this.userIndex.set(stored.userId, new Set());
+        }
+        this.userIndex.get(stored.userId).add(session.sessionId);
+    }
+
+    async get(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) return null;
+
+        if (session.expiresAt <= new Date()) {
+            await this.delete(sessionId);
+            return null;
+        }
+        return { ...session };
+    }
+
+    async update(sessionId, fields) {
+        const session = this.sessions.get(sessionId);
+        if (session) {
+            Object.assign(session, fields);
+        }
+    }
+
+    async delete(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) return;
+
+        this.sessions.delete(sessionId);
+        const userSessions = this.userIndex.get(session.userId);
+        if (userSessions) {
+            userSessions.delete(sessionId);
+            if (userSessions.size === 0) {
+                this.userIndex.delete(session.userId);
+            }
+        }
+    }
+
+    async listByUser(userId) {
+        const sessionIds = [...(this.userIndex.get(userId.toString()) || [])];
+        const sessions = await Promise.all(sessionIds.map(sessionId => this.get(sessionId)));
+        return sessions
+            .filter(Boolean)
+            .sort((a, b) => b.lastActivity - a.lastActivity);
+    }
+
+    async deleteByUser(userId) {
+        const sessionIds = [...(this.userIndex.get(userId.toString()) || [])];
+        await Promise.all(sessionIds.map(sessionId => this.delete(sessionId)));
+        return sessionIds;
+    }
+}
+
+module.exports = MemorySessionStore;
@@ -0,0 +1,68 @@
+const Session = require('../../models/session.model');
+
+/**
+ * Session store backed by the sessions collection
+ * Expired sessions are removed by a TTL index and ignored until then.
+ */
+class MongoSessionStore {
+    constructor() {
+        this.name = 'mongo';
+    }
+
+    async create(session) {
+        await Session.create({
+            sessionId: session.sessionId,
+            user: session.userId,
+            deviceInfo: session.deviceInfo,
+            lastActivity: session.lastActivity,
+            expiresAt: session.expiresAt
+        });
+    }
+
+    async get(sessionId) {
+        const session = await Session.findOne({ sessionId, expiresAt: { $gt: new Date() } }).lean();
+        return session ? this._toSession(session) : null;
+    }
+
+    async update(sessionId, fields) {
+        const update = {};
+        if (fields.lastActivity) update.lastActivity = fields.lastActivity;
+        if (fields.expiresAt) update.expiresAt = fields.expiresAt;
+        if (fields.deviceInfo) update.deviceInfo = fields.deviceInfo;
+
+        await Session.updateOne({ sessionId }, { $set: update });
+    }
+
+    async delete(sessionId) {
+        await Session.deleteOne({ sessionId });
+    }
+
+    async listByUser(userId) {
+        const sessions = await Session.find({ user: userId, expiresAt: { $gt: new Date() } })
+            .sort({ lastActivity: -1 })
+            .lean();
+        return sessions.map(session => this._toSession(session));
+    }
+
+    async deleteByUser(userId) {
+        const sessionIds = await Session.distinct('sessionId', { user: userId });
+        await Session.deleteMany({ user: userId });
+        return sessionIds;
+    }
+
+    /**
+     * @private
+     */
+    _toSession(session) {
+        return {
+            sessionId: session.sessionId,
+            userId: session.user.toString(),
+            deviceInfo: session.deviceInfo || {},
+            createdAt: session.createdAt,
+            lastActivity: session.lastActivity,
+            expiresAt: session.expiresAt
+        };
+    }
+}
+
+module.exports = MongoSessionStore;
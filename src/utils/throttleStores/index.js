@@ -0,0 +1,35 @@
+/**
+ * Throttle store registry
+ * Stores implement get, hit, decrement, block and reset on keyed counters.
+ * The active store is chosen with the THROTTLE_STORE environment variable (default: mongo).
+ */
+const MongoThrottleStore = require('./mongo.store');
+const MemoryThrottleStore = require('./memory.store');
+
+const REQUIRED_METHODS = ['get', 'hit', 'decrement', 'block', 'reset'];
+
+const stores = new Map();
+
+const registerThrottleStore = (name, store) => {
+    const missing = REQUIRED_METHODS.filter(method => typeof store[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`Throttle store "${name}" is missing: ${missing.join(', ')}`);
+    }
+    stores.set(name, store);
+};
+
+const getThrottleStore = (name = process.env.THROTTLE_STORE || 'mongo') => {
+    const store = stores.get(name);
+    if (!store) {
+        throw new Error(`Throttle store "${name}" is not registered`);
+    }
+    return store;
+};
+
+registerThrottleStore('mongo', new MongoThrottleStore());
+registerThrottleStore('memory', new MemoryThrottleStore());
+
+module.exports = {
+    registerThrottleStore,
+    getThrottleStore
+};
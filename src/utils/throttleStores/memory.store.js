@@ -0,0 +1,61 @@
+/**
+ * Throttle store kept in process memory, for development and tests
+ * Counters are lost on restart and are not shared between instances.
+ */
+class MemoryThrottleStore {
+    constructor() {
+        this.name = 'memory';
+        this.records = new Map();
+
+        // Drop records whose window and block have both ended
+        setInterval(() => {
+            const now = new Date();
+            for (const [key, record] of this.records.entries()) {
+                if (record.windowExpiresAt <= now && (!record.blockedUntil || record.blockedUntil <= now)) {
+                    this.records.delete(key);
+                }
+            }
+        }, 60 * 1000).unref();
+    }
+
+    async get(key) {
+        const record = this.records.get(key);
+        return record ? { ...record } : null;
+    }
+
+    async hit(key, windowMs) {
+        const now = new Date();
+        const record = this.records.get(key) || { count: 0, windowExpiresAt: now, blockedUntil: null };
+
+        if (record.windowExpiresAt > now) {
+            record.count += 1;
+        } else {
+            record.count = 1;
+            record.windowExpiresAt = new Date(now.getTime() + windowMs);
+        }
+        this.records.set(key, record);
+
+        return { ...record };
+    }
+
+    async decrement(key) {
+        const record = this.records.get(key);
+        if (record && record.count > 0 && record.windowExpiresAt > new Date()) {
+            record.count -= 1;
+        }
+    }
+
+    async block(key, until) {
+        const record = this.records.get(key) || { count: 0, windowExpiresAt: new Date(), blockedUntil: null };
+        if (!record.blockedUntil || record.blockedUntil < until) {
+            record.blockedUntil = until;
+        }
+        this.records.set(key, record);
+    }
+
+    async reset(key) {
+        this.records.delete(key);
+    }
+}
+
+module.exports = MemoryThrottleStore;
@@ -0,0 +1,76 @@
+const LoginThrottle = require('../../models/login.throttle.model');
+
+/**
+ * Throttle store backed by the loginthrottles collection
+ * Counters are updated atomically, so every instance sees the same counts.
+ */
+class MongoThrottleStore {
+    constructor() {
+        this.name = 'mongo';
+    }
+
+    async get(key) {
+        const record = await LoginThrottle.findOne({ key }).lean();
+        return record ? this._toRecord(record) : null;
+    }
+
+    async hit(key, windowMs) {
+        const now = new Date();
+        const windowOpen = { $gt: ['$windowExpiresAt', now] };
+
+        const record = await LoginThrottle.findOneAndUpdate(
+            { key },
+            [
+                {
+                    $set: {
+                        count: { $cond: [windowOpen, { $add: ['$count', 1] }, 1] },
+                        windowExpiresAt: { $cond: [windowOpen, '$windowExpiresAt', new Date(now.getTime() + windowMs)] }
+                    }
+                },
+                { $set: { expiresAt: { $max: ['$windowExpiresAt', '$blockedUntil'] } } }
+            ],
+            { upsert: true, new: true }
+        ).lean();
+
+        return this._toRecord(record);
+    }
+
+    async decrement(key) {
+        await LoginThrottle.updateOne(
+            { key, count: { $gt: 0 }, windowExpiresAt: { $gt: new Date() } },
+            { $inc: { count: -1 } }
+        );
+    }
+
+    async block(key, until) {
+        await LoginThrottle.updateOne(
+            { key },
+            [
+                {
+                    $set: {
+                        blockedUntil: { $max: ['$blockedUntil', until] },
+                        expiresAt: { $max: ['$expiresAt', until] }
+                    }
+                }
+            ],
+            { upsert: true }
+        );
+    }
+
+    async reset(key) {
+        await LoginThrottle.deleteOne({ key });
+    }
+
+    /**
+     * @private
+     */
+    _toRecord(record) {
+        return {
+            count: record.count || 0,
+            windowExpiresAt: record.windowExpiresAt,
+            blockedUntil: record.blockedUntil || null
+        };
+    }
+}
+
+module.exports = MongoThrottleStore;
@@ -0,0 +1,48 @@
+const { getThrottleStore } = require('./index');
+
+/**
+ * express-rate-limit store on top of the active throttle store
+ * Lets the rate limiters share their counts across instances.
+ * Each limiter needs its own instance with a distinct prefix.
+ */
+class RateLimitStore {
+    constructor(prefix) {
+        this.prefix = prefix;
+        this.localKeys = false;
+        this.windowMs = 60 * 1000;
+    }
+
+    init(options) {
+        this.windowMs = options.windowMs;
+    }
+
+    async get(key) {
+        const record = await getThrottleStore().get(this._key(key));
+        if (!record || !record.windowExpiresAt || record.windowExpiresAt <= new Date()) {
+            return undefined;
+        }
+        return { totalHits: record.count, resetTime: record.windowExpiresAt };
+    }
+
+    async increment(key) {
+        const record = await getThrottleStore().hit(this._key(key), this.windowMs);
+        return { totalHits: record.count, resetTime: record.windowExpiresAt };
+    }
+
+    async decrement(key) {
+        await getThrottleStore().decrement(this._key(key));
+    }
+
+    async resetKey(key) {
+        await getThrottleStore().reset(this._key(key));
+    }
+
+    /**
+     * @private
+     */
+    _key(key) {
+        return `${this.prefix}${key}`;
+    }
+}
+
+module.exports = RateLimitStore;
@@ -0,0 +1,86 @@
+/**
+ * Access token revocation list
+ * Revoked session IDs are held in memory so cached tokens can be refused without
+ * a database round trip, and persisted so other instances refuse them on a cache miss.
+ */
+const TokenRevocation = require('../models/token.revocation.model');
+const { getCache } = require('./cache');
+
+// Decoded access tokens cached by authMiddleware, keyed `<sessionId>:<token hash>`
+const TOKEN_CACHE_NAMESPACE = 'auth-tokens';
+
+// sessionId -> time (ms) after which every access token of the session has expired
+const revokedSessions = new Map();
+
+// Drop entries whose tokens can no longer be presented
+setInterval(() => {
+    const now = Date.now();
+    for (const [sessionId, expiresAt] of revokedSessions.entries()) {
+        if (now > expiresAt) {
+            revokedSessions.delete(sessionId);
+        }
+    }
+}, 5 * 60 * 1000).unref();
+
+/**
+ * Whether this instance already knows the session is revoked
+ * @param {string} sessionId - Session ID carried in the access token
+ * @returns {boolean}
+ */
+const isRevokedLocally = (sessionId) => {
+    const expiresAt = revokedSessions.get(sessionId);
+    if (!expiresAt) return false;
+    if (Date.now() > expiresAt) {
+        revokedSessions.delete(sessionId);
+        return false;
+    }
+    return true;
+};
+
+/**
+ * Whether the session has been revoked on any instance
+ * @param {string} sessionId - Session ID carried in the access token
+ * @returns {Promise<boolean>}
+ */
+const isRevoked = async (sessionId) => {
+    if (isRevokedLocally(sessionId)) return true;
+
+    const revocation = await TokenRevocation.findOne({ sessionId }).select('expiresAt').lean();
+    if (!revocation) return false;
+
+    revokedSessions.set(sessionId, revocation.expiresAt.getTime());
+    return true;
+};
+
+/**
+ * Refuse every access token issued for the given sessions
+ * @param {Array<string>} sessionIds - Session IDs
+ * @param {string} userId - Owner of the sessions
+ * @param {string} reason - Revocation reason
+ * @param {number} ttlMs - Lifetime of the longest-lived access token
+ */
+const revokeSessions = async (sessionIds, userId, reason, ttlMs) => {
+    if (sessionIds.length === 0) return;
+
+    const expiresAt = new Date(Date.now() + ttlMs);
+    sessionIds.forEach(sessionId => revokedSessions.set(sessionId, expiresAt.getTime()));
+
+    await TokenRevocation.bulkWrite(sessionIds.map(sessionId => ({
+        updateOne: {
+            filter: { sessionId },
+            update: { $set: { user: userId, reason, expiresAt } },
+            upsert: true
+        }
+    })));
+
+    // Cached tokens would otherwise be accepted by instances that have not seen the revocation
+    const tokenCache = getCache(TOKEN_CACHE_NAMESPACE);
+    await Promise.all(sessionIds.map(sessionId => tokenCache.deleteByPrefix(`${sessionId}:`)));
+};
+
+module.exports = {
+    TOKEN_CACHE_NAMESPACE,
+    isRevoked,
+    isRevokedLocally,
+    revokeSessions
+};
@@ -0,0 +1,119 @@
+/**
+ * Time-based one-time passwords (RFC 6238)
+ * Uses HMAC-SHA1, 6 digits and 30 second steps, which is what authenticator apps expect.
+ */
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+const base32Decode = (text) => {
+    const cleaned = text.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32 secret
+ * @returns {string} 160-bit secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Code for a given time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @returns {string} Zero-padded code
+ */
+const generateCode = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code, allowing for clock drift of `window` steps either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} window - Steps of drift to accept
+ * @returns {number|null} The matching time step, or null if the code is wrong
+ */
+const verifyCode = (secret, code, window = 1) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) {
+        return null;
+    }
+
+    const currentStep = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+    for (let step = currentStep - window; step <= currentStep + window; step++) {
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+/**
+ * otpauth:// URI for authenticator apps; clients render it as a QR code
+ * @param {Object} params - { secret, account, issuer }
+ * @returns {string} Provisioning URI
+ */
+const buildOtpauthUri = ({ secret, account, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const query = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${query.toString()}`;
+};
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    verifyCode,
+    buildOtpauthUri
+};
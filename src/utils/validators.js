@@ -0,0 +1,61 @@
+/**
+ * Validators for Indian business identifiers
+ */
+
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/;
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const LICENSE_NUMBER_PATTERN = /^[A-Z0-9][A-Z0-9/.-]{3,49}$/i;
+
+/**
+ * Compute the GSTIN check character from the first 14 characters
+ * @param {string} gstin - GSTIN (at least 14 characters)
+ * @returns {string} Expected check character
+ */
+const gstinCheckCharacter = (gstin) => {
+    let sum = 0;
+    for (let i = 0; i < 14; i++) {
+        const product = GSTIN_CHARSET.indexOf(gstin[i]) * (i % 2 === 0 ? 1 : 2);
+        sum += Math.floor(product / GSTIN_CHARSET.length) + (product % GSTIN_CHARSET.length);
+    }
+    return GSTIN_CHARSET[(GSTIN_CHARSET.length - (sum % GSTIN_CHARSET.length)) % GSTIN_CHARSET.length];
+};
+
+/**
+ * Validate a GST identification number: format, state code and check character
+ * @param {string} value - GSTIN
+ * @returns {boolean} Whether the GSTIN is valid
+ */
+const isValidGstin = (value) => {
+    if (typeof value !== 'string') return false;
+    const gstin = value.trim().toUpperCase();
+    if (!GSTIN_PATTERN.test(gstin)) return false;
+
+    // 01-38 are states and union territories, 97 other territory, 99 centre jurisdiction
+    const stateCode = parseInt(gstin.slice(0, 2), 10);
+    if (!((stateCode >= 1 && stateCode <= 38) || stateCode === 97 || stateCode === 99)) {
+        return false;
+    }
+
+    return gstinCheckCharacter(gstin) === gstin[14];
+};
+
+/**
+ * Validate an IFSC bank branch code
+ * @param {string} value - IFSC code
+ * @returns {boolean} Whether the code is valid
+ */
+const isValidIfsc = (value) => typeof value === 'string' && IFSC_PATTERN.test(value.trim().toUpperCase());
+
+/**
+ * Validate a license or registration number
+ * @param {string} value - License number
+ * @returns {boolean} Whether the number is plausible
+ */
+const isValidLicenseNumber = (value) => typeof value === 'string' && LICENSE_NUMBER_PATTERN.test(value.trim());
+
+module.exports = {
+    isValidGstin,
+    isValidIfsc,
+    isValidLicenseNumber
+};
@@ -0,0 +1,97 @@
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+// No database in unit tests: fail fast on any query that is not mocked
+mongoose.set('bufferCommands', false);
+
+const Bid = require('../src/models/bid.model');
+const Project = require('../src/models/project.model');
+const VendorProfile = require('../src/models/vendor.profile.model');
+const ConstructionProfile = require('../src/models/construction.profile.model');
+const bidService = require('../src/services/bid.service');
+const bidScoringService = require('../src/services/bid.scoring.service');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const buildBid = (total, bidderType = 'VendorProfile') => ({
+    _id: objectId(),
+    vendor: objectId(),
+    bidderType,
+    proposedCost: { total, currency: 'INR', breakdown: [] },
+    timeline: { estimatedDuration: { value: 6, unit: 'months' } },
+    team: { size: 10 },
+    previousWork: [],
+    status: { current: 'PENDING' }
+});
+
+describe('competitiveness scores', () => {
+    let project;
+    let bids;
+    let profiles;
+
+    beforeEach(() => {
+        project = {
+            _id: objectId(),
+            budget: { range: { min: 900000, max: 1100000 }, currency: 'INR' },
+            projectType: 'residential',
+            specifications: { area: { value: 2000, unit: 'sqft' } },
+            timeline: { expectedDuration: { value: 6, unit: 'months' } }
+        };
+        bids = [buildBid(950000), buildBid(1050000, 'ConstructionProfile')];
+        profiles = bids.map(bid => ({
+            _id: bid.vendor,
+            ratings: { average: 4.5, count: 12 },
+            experience: { yearsInBusiness: 8 }
+        }));
+
+        const findProfiles = () => ({
+            select: () => ({
+                lean: async () => profiles
+            })
+        });
+        mock.method(Project, 'findById', () => ({ select: () => ({ lean: async () => project }) }));
+        mock.method(Bid, 'find', () => ({ lean: async () => bids }));
+        mock.method(VendorProfile, 'find', findProfiles);
+        mock.method(ConstructionProfile, 'find', findProfiles);
+        mock.method(Bid, 'bulkWrite', async () => ({}));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('stores a score for every open bid, scored against the others', async () => {
+        await bidService._refreshCompetitivenessScores(project._id);
+
+        const [operations] = Bid.bulkWrite.mock.calls[0].arguments;
+        assert.strictEqual(operations.length, 2);
+        operations.forEach(({ updateOne }, index) => {
+            const expected = bidScoringService.scoreBid(bids[index], {
+                project,
+                vendor: profiles[index],
+                competingBids: bids.filter((_, other) => other !== index)
+            }).score;
+            assert.deepStrictEqual(updateOne.filter, { _id: bids[index]._id });
+            assert.strictEqual(updateOne.update.$set['metadata.competitivenessScore'], expected);
+            assert.strictEqual(updateOne.timestamps, false);
+        });
+    });
+
+    it('only scores bids that are still in the running', async () => {
+        await bidService._refreshCompetitivenessScores(project._id);
+
+        const [filter] = Bid.find.mock.calls[0].arguments;
+        assert.deepStrictEqual(filter['status.current'], { $in: ['PENDING', 'IN_REVIEW'] });
+    });
+
+    it('does not fail the calling request when storing scores fails', async () => {
+        mock.method(Bid, 'bulkWrite', async () => {
+            throw new Error('connection lost');
+        });
+
+        await assert.doesNotReject(bidService._refreshCompetitivenessScores(project._id));
+    });
+});
@@ -0,0 +1,74 @@
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+// No database in unit tests: fail fast on any query that is not mocked
+mongoose.set('bufferCommands', false);
+
+const ConstructionProfile = require('../src/models/construction.profile.model');
+const Project = require('../src/models/project.model');
+const constructionCapacityService = require('../src/services/construction.capacity.service');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+describe('getCapacityTimeline', () => {
+    let firm;
+
+    beforeEach(() => {
+        firm = {
+            _id: objectId(),
+            user: objectId(),
+            companyName: 'Sahyadri Builders',
+            activeProjects: [],
+            projectCapacity: { simultaneousProjects: { current: 1, maximum: 3 } }
+        };
+        const project = {
+            _id: objectId(),
+            title: 'Riverside towers',
+            assignment: { agreedCost: 25000000, assignedAt: new Date() },
+            timeline: { expectedDuration: { value: 6, unit: 'months' } }
+        };
+        mock.method(ConstructionProfile, 'findById', () => ({ select: () => ({ lean: async () => firm }) }));
+        mock.method(Project, 'find', () => ({ select: () => ({ lean: async () => [project] }) }));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('shows committed projects and values to the firm itself', async () => {
+        const result = await constructionCapacityService.getCapacityTimeline(firm._id, {
+            months: 1,
+            viewer: { userId: firm.user.toString(), role: 'construction_firm' }
+        });
+
+        assert.strictEqual(result.timeline[0].committedValue, 25000000);
+        assert.deepStrictEqual(result.timeline[0].projects.map(p => p.title), ['Riverside towers']);
+    });
+
+    it('shows committed projects and values to admins', async () => {
+        const result = await constructionCapacityService.getCapacityTimeline(firm._id, {
+            months: 1,
+            viewer: { userId: objectId().toString(), role: 'admin' }
+        });
+
+        assert.strictEqual(result.timeline[0].committedValue, 25000000);
+    });
+
+    it('only shows slot counts to anyone else', async () => {
+        const result = await constructionCapacityService.getCapacityTimeline(firm._id, {
+            months: 1,
+            viewer: { userId: objectId().toString(), role: 'client_owner' }
+        });
+
+        assert.deepStrictEqual(result.timeline[0], {
+            month: result.timeline[0].month,
+            projectCount: 1,
+            availableSlots: 2,
+            utilization: 33,
+            overCapacity: false
+        });
+    });
+});
@@ -0,0 +1,86 @@
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+// No database in unit tests: fail fast on any query that is not mocked
+mongoose.set('bufferCommands', false);
+
+const ConstructionProfile = require('../src/models/construction.profile.model');
+const constructionProfileService = require('../src/services/construction.profile.service');
+
+const buildProfile = () => ConstructionProfile.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    user: new mongoose.Types.ObjectId(),
+    companyName: 'Sahyadri Builders',
+    location: { city: 'Pune', state: 'Maharashtra' },
+    experience: { yearsInBusiness: 12, totalProjects: 40 },
+    gstDetails: { number: '27ABCDE1234F1Z5', registrationDate: new Date('2015-04-01') },
+    licenses: [],
+    projectCapacity: {
+        budgetRange: { minBudget: 1000000, maxBudget: 50000000 },
+        operationalRegions: [{ city: 'Pune', state: 'Maharashtra', isMainBranch: true }],
+        simultaneousProjects: { current: 2, maximum: 5 },
+        projectSizeRange: { minSquareFeet: 1000, maxSquareFeet: 100000 }
+    },
+    financialDetails: {
+        annualTurnover: 90000000,
+        bankingInfo: { bankName: 'State Bank', accountType: 'current', ifscCode: 'SBIN0001234' }
+    },
+    isVerified: false,
+    status: 'active'
+});
+
+describe('updateProfile', () => {
+    let profile;
+
+    beforeEach(() => {
+        profile = buildProfile();
+        mock.method(ConstructionProfile, 'findOne', async () => profile);
+        mock.method(profile, 'save', async function () {
+            await this.validate();
+            return this;
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('keeps sibling fields when a nested object is only partly sent', async () => {
+        const updated = await constructionProfileService.updateProfile(profile.user, {
+            gstDetails: { number: '27pqrst6789k1z2' },
+            financialDetails: { bankingInfo: { bankName: 'HDFC Bank' } },
+            projectCapacity: { simultaneousProjects: { maximum: 8 } }
+        });
+
+        assert.strictEqual(updated.gstDetails.number, '27PQRST6789K1Z2');
+        assert.deepStrictEqual(updated.gstDetails.registrationDate, new Date('2015-04-01'));
+        assert.strictEqual(updated.financialDetails.bankingInfo.bankName, 'HDFC Bank');
+        assert.strictEqual(updated.financialDetails.bankingInfo.ifscCode, 'SBIN0001234');
+        assert.strictEqual(updated.financialDetails.annualTurnover, 90000000);
+        assert.strictEqual(updated.projectCapacity.simultaneousProjects.maximum, 8);
+        assert.strictEqual(updated.projectCapacity.budgetRange.maxBudget, 50000000);
+    });
+
+    it('keeps the platform-tracked slot count', async () => {
+        const updated = await constructionProfileService.updateProfile(profile.user, {
+            projectCapacity: { simultaneousProjects: { current: 0, maximum: 6 } }
+        });
+
+        assert.strictEqual(updated.projectCapacity.simultaneousProjects.current, 2);
+        assert.strictEqual(updated.projectCapacity.simultaneousProjects.maximum, 6);
+    });
+
+    it('replaces arrays as a whole', async () => {
+        const updated = await constructionProfileService.updateProfile(profile.user, {
+            projectCapacity: { operationalRegions: [{ city: 'Nashik', state: 'Maharashtra' }] }
+        });
+
+        assert.deepStrictEqual(
+            updated.projectCapacity.operationalRegions.map(region => region.city),
+            ['Nashik']
+        );
+    });
+});
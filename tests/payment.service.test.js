@@ -0,0 +1,334 @@
+process.env.LOG_LEVEL = 'error';
+process.env.PAYMENT_GATEWAY = 'test';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+// No database in unit tests: fail fast on any query that is not mocked
+mongoose.set('bufferCommands', false);
+
+const Invoice = require('../src/models/invoice.model');
+const Project = require('../src/models/project.model');
+const paymentService = require('../src/services/payment.service');
+const { registerGateway } = require('../src/services/gateways');
+
+const gateway = {
+    name: 'test',
+    charge: async ({ reference }) => ({ success: true, reference }),
+    release: async () => ({ success: true }),
+    refund: async () => ({ success: true })
+};
+registerGateway('test', gateway);
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const buildProject = (overrides = {}) => ({
+    _id: objectId(),
+    client: objectId(),
+    budget: { currency: 'INR' },
+    assignment: {
+        bid: objectId(),
+        vendor: objectId(),
+        bidderType: 'VendorProfile',
+        vendorUser: objectId(),
+        agreedCost: 1000.01,
+        currency: 'USD'
+    },
+    execution: {
+        milestones: [
+            { _id: objectId(), title: 'Foundation', paymentPercentage: 30, expectedCompletionDate: new Date() },
+            { _id: objectId(), title: 'Structure', paymentPercentage: 40, expectedCompletionDate: new Date() },
+            { _id: objectId(), title: 'Handover', paymentPercentage: 30, expectedCompletionDate: new Date() }
+        ]
+    },
+    ...overrides
+});
+
+const buildInvoice = (payments = []) => {
+    const invoice = new Invoice({
+        invoiceNumber: 'INV-TEST-01',
+        project: objectId(),
+        bid: objectId(),
+        milestone: objectId(),
+        client: objectId(),
+        clientUser: objectId(),
+        vendor: objectId(),
+        vendorUser: objectId(),
+        amount: 500,
+        currency: 'USD',
+        payments: payments.map(payment => ({
+            currency: 'USD',
+            gateway: 'test',
+            gatewayReference: `ref-${payment.amount}`,
+            ...payment
+        }))
+    });
+    invoice.refreshTotals();
+    mock.method(invoice, 'save', async () => invoice);
+    return invoice;
+};
+
+// Serve the given invoices to list and by-ID reads
+const stubInvoices = (...invoices) => {
+    mock.method(Invoice, 'find', async () => invoices);
+    mock.method(Invoice, 'findById', async (id) => invoices.find(invoice => invoice._id.equals(id)) || null);
+};
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+describe('createInvoicesForProject', () => {
+    beforeEach(() => {
+        mock.method(Invoice, 'insertMany', async (docs) => docs);
+    });
+
+    it('issues one invoice per milestone that adds up to the agreed cost', async () => {
+        const project = buildProject();
+
+        const invoices = await paymentService.createInvoicesForProject(project, objectId());
+
+        assert.strictEqual(invoices.length, 3);
+        assert.deepStrictEqual(invoices.map(invoice => invoice.amount), [300, 400, 300.01]);
+        assert.deepStrictEqual(
+            invoices.map(invoice => invoice.milestone),
+            project.execution.milestones.map(milestone => milestone._id)
+        );
+        assert.strictEqual(invoices[1].invoiceNumber, `INV-${project._id.toString().toUpperCase()}-02`);
+    });
+
+    it('bills in the accepted bid currency', async () => {
+        const invoices = await paymentService.createInvoicesForProject(buildProject(), objectId());
+
+        assert.ok(invoices.every(invoice => invoice.currency === 'USD'));
+    });
+
+    it('splits evenly when milestones carry no payment share', async () => {
+        const project = buildProject();
+        project.assignment.agreedCost = 100;
+        project.execution.milestones.forEach(milestone => {
+            milestone.paymentPercentage = 0;
+        });
+
+        const invoices = await paymentService.createInvoicesForProject(project, objectId());
+
+        assert.deepStrictEqual(invoices.map(invoice => invoice.amount), [33.33, 33.33, 33.34]);
+    });
+
+    it('issues nothing for a project without milestones', async () => {
+        const invoices = await paymentService.createInvoicesForProject(
+            buildProject({ execution: { milestones: [] } }),
+            objectId()
+        );
+
+        assert.deepStrictEqual(invoices, []);
+        assert.strictEqual(Invoice.insertMany.mock.callCount(), 0);
+    });
+});
+
+describe('getProjectInvoices', () => {
+    it('never issues invoices while reading them', async () => {
+        const project = buildProject();
+        mock.method(Project, 'findById', async () => project);
+        mock.method(paymentService, '_resolveProjectParticipant', async () => project.client);
+        mock.method(Invoice, 'find', () => ({ sort: async () => [] }));
+        mock.method(Invoice, 'insertMany');
+
+        const result = await paymentService.getProjectInvoices(project._id.toString(), objectId(), 'client_owner');
+
+        assert.deepStrictEqual(result.invoices, []);
+        assert.strictEqual(Invoice.insertMany.mock.callCount(), 0);
+    });
+});
+
+describe('payInvoice', () => {
+    it('marks the payment FAILED when the gateway throws', async () => {
+        const invoice = buildInvoice();
+        mock.method(paymentService, '_getInvoiceForUser', async () => invoice);
+        mock.method(Invoice, 'findOneAndUpdate', async (filter, update) => {
+            invoice.payments.push(update.$push.payments);
+            return invoice;
+        });
+        mock.method(Invoice, 'findById', async () => invoice);
+        mock.method(gateway, 'charge', async () => {
+            throw new Error('Gateway timeout');
+        });
+
+        await assert.rejects(
+            paymentService.payInvoice(invoice._id, invoice.clientUser, { amount: 200 }),
+            { statusCode: 402 }
+        );
+
+        assert.strictEqual(invoice.payments[0].status, 'FAILED');
+        assert.strictEqual(invoice.payments[0].failureReason, 'Gateway timeout');
+        assert.strictEqual(invoice.status, 'ISSUED');
+    });
+
+    it('refuses the payment when the balance changed before it was reserved', async () => {
+        const invoice = buildInvoice();
+        mock.method(paymentService, '_getInvoiceForUser', async () => invoice);
+        mock.method(Invoice, 'findOneAndUpdate', async () => null);
+        mock.method(gateway, 'charge');
+
+        await assert.rejects(
+            paymentService.payInvoice(invoice._id, invoice.clientUser, { amount: 200 }),
+            { statusCode: 409 }
+        );
+        assert.strictEqual(gateway.charge.mock.callCount(), 0);
+    });
+
+    it('answers 503 in production until a real gateway is configured', async (t) => {
+        const invoice = buildInvoice();
+        mock.method(paymentService, '_getInvoiceForUser', async () => invoice);
+        mock.method(Invoice, 'findOneAndUpdate');
+        const nodeEnv = process.env.NODE_ENV;
+        t.after(() => {
+            if (nodeEnv === undefined) delete process.env.NODE_ENV;
+            else process.env.NODE_ENV = nodeEnv;
+            process.env.PAYMENT_GATEWAY = 'test';
+        });
+        process.env.NODE_ENV = 'production';
+        process.env.PAYMENT_GATEWAY = 'fake';
+
+        await assert.rejects(
+            paymentService.payInvoice(invoice._id, invoice.clientUser, { amount: 200 }),
+            { statusCode: 503 }
+        );
+        assert.strictEqual(Invoice.findOneAndUpdate.mock.callCount(), 0);
+    });
+});
+
+describe('escrow release', () => {
+    it('releases held payments to the vendor and marks the invoice paid', async () => {
+        const invoice = buildInvoice([
+            { amount: 200, status: 'HELD' },
+            { amount: 300, status: 'HELD' }
+        ]);
+        mock.method(paymentService, '_getInvoiceForUser', async () => invoice);
+        stubInvoices(invoice);
+        mock.method(gateway, 'release');
+
+        const result = await paymentService.releaseInvoice(invoice._id, invoice.clientUser);
+
+        assert.strictEqual(gateway.release.mock.callCount(), 2);
+        assert.deepStrictEqual(invoice.payments.map(payment => payment.status), ['RELEASED', 'RELEASED']);
+        assert.strictEqual(result.escrow.held, 0);
+        assert.strictEqual(result.escrow.released, 500);
+        assert.strictEqual(result.status, 'PAID');
+    });
+
+    it('keeps funds held when the gateway refuses the release', async () => {
+        const invoice = buildInvoice([{ amount: 200, status: 'HELD' }]);
+        mock.method(paymentService, '_getInvoiceForUser', async () => invoice);
+        stubInvoices(invoice);
+        mock.method(gateway, 'release', async () => ({ success: false, failureReason: 'Declined' }));
+
+        await assert.rejects(
+            paymentService.releaseInvoice(invoice._id, invoice.clientUser),
+            { statusCode: 400 }
+        );
+
+        assert.strictEqual(invoice.payments[0].status, 'HELD');
+        assert.strictEqual(invoice.escrow.held, 200);
+        assert.strictEqual(invoice.save.mock.callCount(), 0);
+    });
+
+    it('retries on a fresh copy when another request saved the invoice first', async () => {
+        const invoice = buildInvoice([{ amount: 500, status: 'HELD' }]);
+        const stored = invoice.toObject({ virtuals: false });
+        mock.method(paymentService, '_getInvoiceForUser', async () => invoice);
+        let saves = 0;
+        mock.method(Invoice, 'findById', async () => {
+            const copy = Invoice.hydrate(stored);
+            mock.method(copy, 'save', async () => {
+                saves++;
+                if (saves === 1) {
+                    throw new mongoose.Error.VersionError(copy, 0, []);
+                }
+                return copy;
+            });
+            return copy;
+        });
+
+        const result = await paymentService.releaseInvoice(invoice._id, invoice.clientUser);
+
+        assert.strictEqual(saves, 2);
+        assert.strictEqual(Invoice.findById.mock.callCount(), 2);
+        assert.strictEqual(result.escrow.released, 500);
+        assert.strictEqual(result.status, 'PAID');
+    });
+
+    it('only lets the project client release escrow', async () => {
+        const invoice = buildInvoice([{ amount: 200, status: 'HELD' }]);
+        mock.method(paymentService, '_getInvoiceForUser', async () => invoice);
+
+        await assert.rejects(
+            paymentService.releaseInvoice(invoice._id, invoice.vendorUser),
+            { statusCode: 403 }
+        );
+        assert.strictEqual(invoice.payments[0].status, 'HELD');
+    });
+
+    it('releases the invoice for an approved milestone', async () => {
+        const invoice = buildInvoice([{ amount: 500, status: 'HELD' }]);
+        mock.method(Invoice, 'findOne', async () => invoice);
+        stubInvoices(invoice);
+
+        const released = await paymentService.releaseForMilestone(invoice.project, invoice.milestone);
+
+        assert.strictEqual(released, 500);
+        assert.strictEqual(invoice.status, 'PAID');
+    });
+});
+
+describe('settleForCancellation', () => {
+    it('refunds held escrow and cancels invoices with nothing released', async () => {
+        const unpaid = buildInvoice();
+        const held = buildInvoice([{ amount: 200, status: 'HELD' }]);
+        stubInvoices(unpaid, held);
+        mock.method(gateway, 'refund');
+
+        const summary = await paymentService.settleForCancellation(objectId());
+
+        assert.deepStrictEqual(summary, { refunded: 200, cancelledInvoices: 2, closedInvoices: 0 });
+        assert.strictEqual(held.payments[0].status, 'REFUNDED');
+        assert.strictEqual(held.escrow.held, 0);
+        assert.strictEqual(unpaid.status, 'CANCELLED');
+        assert.strictEqual(held.status, 'CANCELLED');
+    });
+
+    it('closes a partly released invoice at the released amount', async () => {
+        const invoice = buildInvoice([
+            { amount: 200, status: 'RELEASED' },
+            { amount: 100, status: 'HELD' }
+        ]);
+        stubInvoices(invoice);
+
+        const summary = await paymentService.settleForCancellation(objectId());
+
+        assert.deepStrictEqual(summary, { refunded: 100, cancelledInvoices: 0, closedInvoices: 1 });
+        assert.strictEqual(invoice.amount, 200);
+        assert.strictEqual(invoice.status, 'PAID');
+        assert.strictEqual(invoice.outstanding, 0);
+    });
+
+    it('refuses while a payment is still processing', async () => {
+        const invoice = buildInvoice([{ amount: 200, status: 'PENDING' }]);
+        stubInvoices(invoice);
+        mock.method(gateway, 'refund');
+
+        await assert.rejects(paymentService.settleForCancellation(objectId()), { statusCode: 409 });
+        assert.strictEqual(gateway.refund.mock.callCount(), 0);
+    });
+
+    it('stops when a refund fails and leaves the invoice payable', async () => {
+        const invoice = buildInvoice([{ amount: 200, status: 'HELD' }]);
+        stubInvoices(invoice);
+        mock.method(gateway, 'refund', async () => ({ success: false, failureReason: 'Declined' }));
+
+        await assert.rejects(paymentService.settleForCancellation(objectId()), { statusCode: 502 });
+        assert.strictEqual(invoice.payments[0].status, 'HELD');
+        assert.notStrictEqual(invoice.status, 'CANCELLED');
+    });
+});
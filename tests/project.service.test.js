@@ -0,0 +1,90 @@
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+// No database in unit tests: fail fast on any query that is not mocked
+mongoose.set('bufferCommands', false);
+
+const Project = require('../src/models/project.model');
+const ClientProfile = require('../src/models/client.profile.model');
+const projectService = require('../src/services/project.service');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+describe('updateProject', () => {
+    let profile;
+    let project;
+
+    beforeEach(() => {
+        profile = { _id: objectId() };
+        project = { _id: objectId() };
+        mock.method(ClientProfile, 'findOne', () => ({
+            select: () => ({ lean: async () => profile })
+        }));
+        mock.method(Project, 'findOneAndUpdate', async () => project);
+        mock.method(projectService, '_clearProjectCache', async () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const appliedUpdate = () => Project.findOneAndUpdate.mock.calls[0].arguments[1].$set;
+
+    it('maps the flat creation fields onto their nested project paths', async () => {
+        await projectService.updateProject(project._id, objectId(), {
+            budget: '500000',
+            location: 'Andheri East, Mumbai',
+            area: 1200,
+            startDate: '2027-01-15',
+            duration: 8
+        });
+
+        assert.deepStrictEqual(appliedUpdate(), {
+            'budget.range.min': 500000,
+            'budget.range.max': 600000,
+            'location.address': 'Andheri East, Mumbai',
+            'location.city': 'Andheri East',
+            'specifications.area.value': 1200,
+            'timeline.expectedStartDate': new Date('2027-01-15'),
+            'timeline.expectedDuration.value': 8
+        });
+    });
+
+    it('applies a partial update without touching other fields', async () => {
+        await projectService.updateProject(project._id, objectId(), { title: 'Two storey villa' });
+
+        assert.deepStrictEqual(appliedUpdate(), { title: 'Two storey villa' });
+    });
+
+    it('scopes the update to the client\'s own project', async () => {
+        await projectService.updateProject(project._id, objectId(), { visibility: 'private' });
+
+        const [filter, , options] = Project.findOneAndUpdate.mock.calls[0].arguments;
+        assert.deepStrictEqual(filter, { _id: project._id, client: profile._id });
+        assert.strictEqual(options.runValidators, true);
+    });
+
+    it('ignores fields that change through their own flows', async () => {
+        await assert.rejects(
+            projectService.updateProject(project._id, objectId(), {
+                status: { current: 'COMPLETED' },
+                tender: { enabled: false },
+                assignment: { agreedCost: 1 }
+            }),
+            { statusCode: 400 }
+        );
+        assert.strictEqual(Project.findOneAndUpdate.mock.callCount(), 0);
+    });
+
+    it('reports a project the client does not own as not found', async () => {
+        mock.method(Project, 'findOneAndUpdate', async () => null);
+
+        await assert.rejects(
+            projectService.updateProject(project._id, objectId(), { title: 'Two storey villa' }),
+            { statusCode: 404 }
+        );
+    });
+});
@@ -0,0 +1,132 @@
+process.env.LOG_LEVEL = 'error';
+process.env.JWT_SECRET = 'test-secret';
+process.env.SESSION_STORE = 'memory';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+// No database in unit tests: fail fast on any query that is not mocked
+mongoose.set('bufferCommands', false);
+
+const RefreshToken = require('../src/models/refresh.token.model');
+const TokenRevocation = require('../src/models/token.revocation.model');
+const User = require('../src/models/user.model');
+const AuditEvent = require('../src/models/audit.event.model');
+const tokenService = require('../src/services/token.service');
+const sessionManager = require('../src/utils/sessionManager');
+
+const hash = value => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('refresh token rotation', () => {
+    let user;
+    let sessionId;
+    let stored;
+    let created;
+
+    beforeEach(async () => {
+        user = new User({
+            email: 'client@example.com',
+            firstName: 'Test',
+            lastName: 'Client',
+            role: 'client_owner',
+            status: 'active'
+        });
+        sessionId = await sessionManager.createSession(user._id, { ip: '203.0.113.5' });
+        stored = new RefreshToken({
+            user: user._id,
+            tokenHash: hash('old-token'),
+            sessionId,
+            role: 'client_owner',
+            mfa: false,
+            expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+        });
+        created = [];
+
+        mock.method(RefreshToken, 'findOne', async () => stored);
+        mock.method(RefreshToken, 'findOneAndUpdate', async () => stored);
+        mock.method(RefreshToken, 'create', async (doc) => {
+            created.push(doc);
+            return doc;
+        });
+        mock.method(RefreshToken, 'updateOne', async () => ({ modifiedCount: 1 }));
+        mock.method(RefreshToken, 'updateMany', async () => ({ modifiedCount: 1 }));
+        mock.method(TokenRevocation, 'bulkWrite', async () => ({}));
+        mock.method(AuditEvent, 'create', async () => ({}));
+        mock.method(User, 'findById', () => ({ select: async () => user }));
+    });
+
+    afterEach(async () => {
+        mock.restoreAll();
+        await sessionManager.invalidateSession(sessionId);
+    });
+
+    it('exchanges a refresh token for a new pair on the same session', async () => {
+        const result = await tokenService.refresh('old-token', { ip: '203.0.113.5' });
+
+        assert.notStrictEqual(result.refreshToken, 'old-token');
+        assert.strictEqual(created.length, 1);
+        assert.strictEqual(created[0].tokenHash, hash(result.refreshToken));
+        assert.strictEqual(created[0].sessionId, sessionId);
+
+        const payload = jwt.verify(result.token, process.env.JWT_SECRET);
+        assert.strictEqual(payload.sid, sessionId);
+        assert.strictEqual(payload.id, user._id.toString());
+        assert.strictEqual(payload.role, 'client_owner');
+    });
+
+    it('retires the presented token and links it to its replacement', async () => {
+        const result = await tokenService.refresh('old-token');
+
+        const [claimFilter, claimUpdate] = RefreshToken.findOneAndUpdate.mock.calls[0].arguments;
+        assert.deepStrictEqual(claimFilter, { _id: stored._id, revokedAt: null });
+        assert.strictEqual(claimUpdate.$set.revokedReason, 'ROTATED');
+
+        const [linkFilter, linkUpdate] = RefreshToken.updateOne.mock.calls[0].arguments;
+        assert.deepStrictEqual(linkFilter, { _id: stored._id });
+        assert.strictEqual(linkUpdate.$set.replacedBy, hash(result.refreshToken));
+    });
+
+    it('lets only one of two concurrent refreshes through', async () => {
+        mock.method(RefreshToken, 'findOneAndUpdate', async () => null);
+
+        await assert.rejects(tokenService.refresh('old-token'), { statusCode: 401 });
+        assert.strictEqual(created.length, 0);
+    });
+
+    it('revokes the whole session when a rotated token is presented again', async () => {
+        stored.revokedAt = new Date();
+        stored.revokedReason = 'ROTATED';
+
+        await assert.rejects(tokenService.refresh('old-token'), { statusCode: 401 });
+
+        const [filter, update] = RefreshToken.updateMany.mock.calls[0].arguments;
+        assert.deepStrictEqual(filter.sessionId, { $in: [sessionId] });
+        assert.strictEqual(update.$set.revokedReason, 'REUSE_DETECTED');
+        assert.strictEqual(await sessionManager.getSession(sessionId), null);
+        assert.strictEqual(created.length, 0);
+    });
+
+    it('refuses an expired refresh token', async () => {
+        stored.expiresAt = new Date(Date.now() - 1000);
+
+        await assert.rejects(tokenService.refresh('old-token'), { statusCode: 401 });
+        assert.strictEqual(RefreshToken.findOneAndUpdate.mock.callCount(), 0);
+    });
+
+    it('refuses an unknown refresh token', async () => {
+        mock.method(RefreshToken, 'findOne', async () => null);
+
+        await assert.rejects(tokenService.refresh('unknown-token'), { statusCode: 401 });
+    });
+
+    it('ends the session instead of rotating for a suspended account', async () => {
+        user.status = 'suspended';
+
+        await assert.rejects(tokenService.refresh('old-token'), { statusCode: 403 });
+        assert.strictEqual(created.length, 0);
+        assert.strictEqual(await sessionManager.getSession(sessionId), null);
+    });
+});
@@ -0,0 +1,54 @@
+process.env.LOG_LEVEL = 'error';
+process.env.THROTTLE_STORE = 'memory';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const twoFactorService = require('../src/services/two.factor.service');
+const { ApiError } = require('../src/utils/apiError');
+
+const buildChallenge = () => ({
+    userId: 'user-1',
+    role: 'admin',
+    jti: crypto.randomUUID(),
+    expiresAt: Date.now() + 5 * 60 * 1000
+});
+
+describe('completeChallenge', () => {
+    let challenge;
+
+    beforeEach(() => {
+        challenge = buildChallenge();
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('stops accepting codes after five wrong attempts', async () => {
+        mock.method(twoFactorService, 'verify', async () => {
+            throw new ApiError(401, 'Invalid verification code');
+        });
+
+        for (let i = 0; i < 5; i++) {
+            await assert.rejects(twoFactorService.completeChallenge(challenge, '000000'), { statusCode: 401 });
+        }
+        await assert.rejects(twoFactorService.completeChallenge(challenge, '000000'), { statusCode: 429 });
+        assert.strictEqual(twoFactorService.verify.mock.callCount(), 5);
+    });
+
+    it('can only be completed once', async () => {
+        mock.method(twoFactorService, 'verify', async () => 'totp');
+
+        assert.strictEqual(await twoFactorService.completeChallenge(challenge, '123456'), 'totp');
+        await assert.rejects(twoFactorService.completeChallenge(challenge, '123456'), { statusCode: 429 });
+    });
+
+    it('counts attempts per challenge', async () => {
+        mock.method(twoFactorService, 'verify', async () => 'totp');
+        await twoFactorService.completeChallenge(challenge, '123456');
+
+        assert.strictEqual(await twoFactorService.completeChallenge(buildChallenge(), '123456'), 'totp');
+    });
+});